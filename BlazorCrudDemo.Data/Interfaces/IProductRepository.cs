@@ -47,6 +47,36 @@ public interface IProductRepository : IRepository<Product>
         bool sortDescending = false,
         int? categoryId = null);
 
+    /// <summary>
+    /// Searches products and returns one page of the matches, sorted.
+    /// </summary>
+    /// <param name="pageNumber">The page number (1-based).</param>
+    /// <param name="pageSize">The number of items per page.</param>
+    /// <param name="sortBy">The field to sort by.</param>
+    /// <param name="sortDescending">True for descending order, false for ascending.</param>
+    /// <param name="searchTerm">Optional search term (searches in name, description and SKU).</param>
+    /// <param name="categoryIds">Optional categories; products in any of them match.</param>
+    /// <param name="minPrice">Optional minimum price filter.</param>
+    /// <param name="maxPrice">Optional maximum price filter.</param>
+    /// <param name="inStock">Optional stock filter.</param>
+    /// <param name="tags">Optional tags; products with any of them match.</param>
+    /// <param name="createdFrom">Optional earliest creation date (UTC, inclusive).</param>
+    /// <param name="createdUntil">Optional latest creation date (UTC, exclusive).</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the page of products and the total number of matches.</returns>
+    Task<(IEnumerable<Product> Products, int TotalCount)> SearchPaginatedAsync(
+        int pageNumber,
+        int pageSize,
+        string sortBy = "Name",
+        bool sortDescending = false,
+        string? searchTerm = null,
+        IReadOnlyCollection<int>? categoryIds = null,
+        decimal? minPrice = null,
+        decimal? maxPrice = null,
+        bool? inStock = null,
+        IReadOnlyCollection<string>? tags = null,
+        DateTime? createdFrom = null,
+        DateTime? createdUntil = null);
+
     /// <summary>
     /// Gets all active products.
     /// </summary>
@@ -83,6 +113,13 @@ public interface IProductRepository : IRepository<Product>
     /// <returns>A task that represents the asynchronous operation.</returns>
     Task UpdateStockAsync(int productId, int newStock);
 
+    /// <summary>
+    /// Reactivates a product that was deleted (deletes only mark products inactive).
+    /// </summary>
+    /// <param name="productId">The product ID.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is false if no such product exists.</returns>
+    Task<bool> RestoreAsync(int productId);
+
     /// <summary>
     /// Gets product statistics.
     /// </summary>
@@ -181,6 +181,113 @@ public class ProductRepository : BaseRepository<Product>, IProductRepository
         }
     }
 
+    /// <inheritdoc />
+    public async Task<(IEnumerable<Product> Products, int TotalCount)> SearchPaginatedAsync(
+        int pageNumber,
+        int pageSize,
+        string sortBy = "Name",
+        bool sortDescending = false,
+        string? searchTerm = null,
+        IReadOnlyCollection<int>? categoryIds = null,
+        decimal? minPrice = null,
+        decimal? maxPrice = null,
+        bool? inStock = null,
+        IReadOnlyCollection<string>? tags = null,
+        DateTime? createdFrom = null,
+        DateTime? createdUntil = null)
+    {
+        try
+        {
+            _logger.LogDebug("Searching paginated products: PageNumber={PageNumber}, PageSize={PageSize}, SortBy={SortBy}, SearchTerm={SearchTerm}, CategoryIds={CategoryIds}, CreatedFrom={CreatedFrom}, CreatedUntil={CreatedUntil}",
+                pageNumber, pageSize, sortBy, searchTerm, categoryIds, createdFrom, createdUntil);
+
+            if (pageNumber < 1)
+                throw new ArgumentException("Page number must be greater than 0", nameof(pageNumber));
+
+            if (pageSize < 1)
+                throw new ArgumentException("Page size must be greater than 0", nameof(pageSize));
+
+            var query = _dbSet.AsNoTracking().Where(p => p.IsActive);
+
+            // Apply search term filter
+            if (!string.IsNullOrWhiteSpace(searchTerm))
+            {
+                query = query.Where(p =>
+                    p.Name.Contains(searchTerm!) ||
+                    p.Description.Contains(searchTerm!) ||
+                    p.SKU.Contains(searchTerm!));
+            }
+
+            // Apply category filter
+            if (categoryIds?.Count > 0)
+            {
+                query = query.Where(p => categoryIds.Contains(p.CategoryId));
+            }
+
+            // Apply price range filters
+            if (minPrice.HasValue)
+            {
+                query = query.Where(p => p.Price >= minPrice.Value);
+            }
+
+            if (maxPrice.HasValue)
+            {
+                query = query.Where(p => p.Price <= maxPrice.Value);
+            }
+
+            // Apply stock filter
+            if (inStock.HasValue && inStock.Value)
+            {
+                query = query.Where(p => p.Stock > 0);
+            }
+
+            // Apply tag filter
+            if (tags?.Count > 0)
+            {
+                query = query.Where(p => p.Tags != null && p.Tags.Any(t => tags.Contains(t)));
+            }
+
+            // Apply creation date filters
+            if (createdFrom.HasValue)
+            {
+                query = query.Where(p => p.CreatedDate >= createdFrom.Value);
+            }
+
+            if (createdUntil.HasValue)
+            {
+                query = query.Where(p => p.CreatedDate < createdUntil.Value);
+            }
+
+            // Apply sorting
+            query = sortBy.ToLower() switch
+            {
+                "name" => sortDescending ? query.OrderByDescending(p => p.Name) : query.OrderBy(p => p.Name),
+                "price" => sortDescending ? query.OrderByDescending(p => p.Price) : query.OrderBy(p => p.Price),
+                "createddate" => sortDescending ? query.OrderByDescending(p => p.CreatedDate) : query.OrderBy(p => p.CreatedDate),
+                "stock" => sortDescending ? query.OrderByDescending(p => p.Stock) : query.OrderBy(p => p.Stock),
+                _ => sortDescending ? query.OrderByDescending(p => p.Name) : query.OrderBy(p => p.Name)
+            };
+
+            // Get total count
+            var totalCount = await query.CountAsync();
+
+            // Apply pagination
+            var products = await query
+                .Skip((pageNumber - 1) * pageSize)
+                .Take(pageSize)
+                .Include(p => p.Category)
+                .ToListAsync();
+
+            _logger.LogDebug("Search returned {Count} products out of {TotalCount} matches", products.Count, totalCount);
+            return (products, totalCount);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error occurred while searching paginated products");
+            throw new RepositoryException("Failed to search paginated products", ex);
+        }
+    }
+
     /// <inheritdoc />
     public async Task<IEnumerable<Product>> GetActiveProductsAsync()
     {
@@ -315,6 +422,35 @@ public class ProductRepository : BaseRepository<Product>, IProductRepository
         }
     }
 
+    /// <inheritdoc />
+    public async Task<bool> RestoreAsync(int productId)
+    {
+        try
+        {
+            _logger.LogDebug("Restoring product ID {ProductId}", productId);
+
+            // Deleted products are hidden by the IsActive query filter
+            var product = await _dbSet.IgnoreQueryFilters().FirstOrDefaultAsync(p => p.Id == productId);
+            if (product == null)
+            {
+                return false;
+            }
+
+            product.IsActive = true;
+            product.ModifiedDate = DateTime.UtcNow;
+
+            await _context.SaveChangesAsync();
+
+            _logger.LogInformation("Restored product ID {ProductId}", productId);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error occurred while restoring product ID {ProductId}", productId);
+            throw new RepositoryException($"Failed to restore product ID {productId}", ex);
+        }
+    }
+
     /// <inheritdoc />
     public async Task<(int TotalProducts, int ActiveProducts, int OutOfStockProducts, decimal AveragePrice)> GetProductStatisticsAsync()
     {
@@ -0,0 +1,130 @@
+// Tests for BlazorCrudDemo.Web/wwwroot/js/audit-export.js
+// Run with: node --test BlazorCrudDemo.Tests/JavaScript
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { loadScript } = require('./load-script');
+
+// exports.js is replaced by a stand-in that keeps the files it is asked to zip
+function loadAuditExport() {
+    const zipped = [];
+    const window = {
+        crypto: globalThis.crypto,
+        blazorCrudDemo: {
+            exports: {
+                zip: files => {
+                    zipped.push(...files);
+                    return Promise.resolve('zip');
+                },
+                download: () => Promise.resolve()
+            }
+        }
+    };
+    loadScript('audit-export.js', { window: window, TextEncoder: TextEncoder });
+    return { auditExport: window.blazorCrudDemo.auditExport, zipped: zipped };
+}
+
+// Serves the given pages to GetExportPage; a page of null cancels
+function fakeDotNet(pages) {
+    return {
+        invokeMethodAsync: (method, page) => Promise.resolve(method === 'GetExportPage' ? (page <= pages.length ? pages[page - 1] : []) : undefined)
+    };
+}
+
+function entry(id, changes) {
+    return { id: id, timestamp: '2026-01-01T10:00:00Z', userName: 'admin', action: 'UPDATE', entityType: 'Product', entityId: '5', changes: changes };
+}
+
+const manifest = { exportedAt: '2026-01-02T08:00:00Z', exportedBy: 'admin', filters: { action: 'UPDATE' } };
+
+test.describe('escapeCsv', () => {
+    test.it('leaves plain values as they are', () => {
+        const { auditExport } = loadAuditExport();
+        assert.equal(auditExport.escapeCsv('Product'), 'Product');
+        assert.equal(auditExport.escapeCsv(42), '42');
+        assert.equal(auditExport.escapeCsv(false), 'false');
+    });
+
+    test.it('writes null and undefined as empty fields', () => {
+        const { auditExport } = loadAuditExport();
+        assert.equal(auditExport.escapeCsv(null), '');
+        assert.equal(auditExport.escapeCsv(undefined), '');
+    });
+
+    test.it('quotes values with commas, quotes or line breaks and doubles the quotes', () => {
+        const { auditExport } = loadAuditExport();
+        assert.equal(auditExport.escapeCsv('Price, Stock'), '"Price, Stock"');
+        assert.equal(auditExport.escapeCsv('Name: "Earbuds"'), '"Name: ""Earbuds"""');
+        assert.equal(auditExport.escapeCsv('line one\r\nline two'), '"line one\r\nline two"');
+        assert.equal(auditExport.escapeCsv('line one\nline two'), '"line one\nline two"');
+    });
+
+    test.it('keeps text that starts like a formula from running in a spreadsheet', () => {
+        const { auditExport } = loadAuditExport();
+        assert.equal(auditExport.escapeCsv('=HYPERLINK("http://evil.example","x")'), '"\'=HYPERLINK(""http://evil.example"",""x"")"');
+        assert.equal(auditExport.escapeCsv('+1'), "'+1");
+        assert.equal(auditExport.escapeCsv('-2+3'), "'-2+3");
+        assert.equal(auditExport.escapeCsv('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(auditExport.escapeCsv('\t=1'), "'\t=1");
+        assert.equal(auditExport.escapeCsv(-5), '-5');
+    });
+});
+
+test.describe('run', () => {
+    test.it('writes the manifest with the record count and the SHA-256 of each file', () => {
+        const { auditExport, zipped } = loadAuditExport();
+        const pages = [[entry(1, 'Price: 10 => 12'), entry(2, 'Name: "A", "B"')], [entry(3, null)]];
+
+        return auditExport.run(fakeDotNet(pages), { fileName: 'audit.zip', pageSize: 2, expectedCount: 3, manifest: manifest })
+            .then(summary => {
+                assert.equal(summary.recordCount, 3);
+                assert.deepEqual(zipped.map(file => file.name), ['audit-log.csv', 'audit-log.ndjson', 'manifest.json']);
+
+                const written = JSON.parse(Buffer.from(zipped[2].data).toString('utf8'));
+                assert.equal(written.recordCount, 3);
+                assert.equal(written.exportedBy, 'admin');
+                assert.deepEqual(written.filters, { action: 'UPDATE' });
+                written.files.forEach((file, index) => {
+                    const data = Buffer.from(zipped[index].data);
+                    assert.equal(file.name, zipped[index].name);
+                    assert.equal(file.bytes, data.length);
+                    assert.equal(file.sha256, crypto.createHash('sha256').update(data).digest('hex'));
+                });
+            });
+    });
+
+    test.it('writes a CSV with a byte order mark, a header row and escaped values', () => {
+        const { auditExport, zipped } = loadAuditExport();
+        const pages = [[entry(1, 'Name: "A", "B"')]];
+
+        return auditExport.run(fakeDotNet(pages), { fileName: 'audit.zip', pageSize: 50, expectedCount: 1, manifest: manifest })
+            .then(() => {
+                const lines = Buffer.from(zipped[0].data).toString('utf8').split('\r\n');
+                assert.equal(lines[0], '\uFEFF' + auditExport.columns.join(','));
+                assert.equal(lines[1], '1,2026-01-01T10:00:00Z,,admin,UPDATE,Product,5,"Name: ""A"", ""B""",,,,');
+                assert.equal(lines[2], '');
+
+                const ndjson = Buffer.from(zipped[1].data).toString('utf8').split('\n');
+                assert.deepEqual(JSON.parse(ndjson[0]), pages[0][0]);
+            });
+    });
+
+    test.it('fails instead of writing a partial export', () => {
+        const { auditExport, zipped } = loadAuditExport();
+
+        return assert.rejects(
+            auditExport.run(fakeDotNet([[entry(1)]]), { fileName: 'audit.zip', pageSize: 50, expectedCount: 2, manifest: manifest }),
+            /Expected 2 entries but received 1/)
+            .then(() => assert.equal(zipped.length, 0));
+    });
+
+    test.it('resolves to null when .NET cancels', () => {
+        const { auditExport, zipped } = loadAuditExport();
+
+        return auditExport.run(fakeDotNet([[entry(1), entry(2)], null]), { fileName: 'audit.zip', pageSize: 2, expectedCount: 4, manifest: manifest })
+            .then(summary => {
+                assert.equal(summary, null);
+                assert.equal(zipped.length, 0);
+            });
+    });
+});
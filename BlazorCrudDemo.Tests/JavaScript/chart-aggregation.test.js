@@ -0,0 +1,138 @@
+// Tests for BlazorCrudDemo.Web/wwwroot/js/chart-aggregation.js
+// Run with: node --test BlazorCrudDemo.Tests/JavaScript
+// Dates are built from local parts because the module buckets by the browser's local day.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, plain } = require('./load-script');
+
+function loadAggregation() {
+    const context = { window: {}, navigator: { languages: ['en-US'], language: 'en-US' }, Intl: Intl };
+    loadScript('chart-aggregation.js', context);
+    return context.window.blazorCrudDemo.chartAggregation;
+}
+
+// An event at a local date and time; month is one-based
+function at(year, month, day, hours, minutes) {
+    return { timestamp: new Date(year, month - 1, day, hours || 0, minutes || 0).toISOString() };
+}
+
+test.describe('getBucketUnit', () => {
+    test.it('uses days up to a month, weeks up to half a year and months beyond', () => {
+        const aggregation = loadAggregation();
+        assert.deepEqual(
+            [7, 31, 32, 180, 181, 365].map(days => aggregation.getBucketUnit(days)),
+            ['day', 'day', 'week', 'week', 'month', 'month']);
+    });
+});
+
+test.describe('aggregate by day', () => {
+    test.it('counts events per local day and fills empty days with zero', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([
+            at(2026, 1, 2, 9),
+            at(2026, 1, 2, 17, 30),
+            at(2026, 1, 7, 23, 59)
+        ], { periodDays: 7, endDate: new Date(2026, 0, 7, 12), locale: 'en-US' });
+
+        assert.equal(result.unit, 'day');
+        assert.deepEqual(plain(result.current), [0, 2, 0, 0, 0, 0, 1]);
+        assert.deepEqual(plain(result.ranges[0]), { start: '2026-01-01', end: '2026-01-01' });
+        assert.deepEqual(plain(result.ranges[6]), { start: '2026-01-07', end: '2026-01-07' });
+        assert.equal(result.labels.length, 7);
+        assert.equal(result.previous, null);
+    });
+
+    test.it('leaves out events just outside the window', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([
+            at(2025, 12, 31, 23, 59),
+            at(2026, 1, 1),
+            at(2026, 1, 8)
+        ], { periodDays: 7, endDate: new Date(2026, 0, 7), locale: 'en-US' });
+
+        assert.deepEqual(plain(result.current), [1, 0, 0, 0, 0, 0, 0]);
+    });
+
+    test.it('sums event values and ignores unreadable ones', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([
+            Object.assign(at(2026, 1, 7, 8), { value: 2.5 }),
+            Object.assign(at(2026, 1, 7, 9), { value: '4' }),
+            Object.assign(at(2026, 1, 7, 10), { value: 'n/a' }),
+            { timestamp: 'not a date' }
+        ], { periodDays: 7, endDate: new Date(2026, 0, 7), locale: 'en-US' });
+
+        assert.equal(result.current[6], 6.5);
+        assert.equal(result.current.reduce((total, value) => total + value, 0), 6.5);
+    });
+});
+
+test.describe('aggregate by week', () => {
+    test.it('starts weeks on Sunday for en-US', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([at(2026, 1, 4), at(2026, 1, 3, 23)],
+            { periodDays: 90, endDate: new Date(2026, 0, 7), locale: 'en-US' });
+
+        assert.equal(result.unit, 'week');
+        assert.deepEqual(plain(result.ranges[result.ranges.length - 1]), { start: '2026-01-04', end: '2026-01-07' });
+        assert.deepEqual(plain(result.current.slice(-2)), [1, 1]);
+    });
+
+    test.it('starts weeks on Monday for de-DE', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([at(2026, 1, 4), at(2026, 1, 3, 23)],
+            { periodDays: 90, endDate: new Date(2026, 0, 7), locale: 'de-DE' });
+
+        assert.deepEqual(plain(result.ranges[result.ranges.length - 1]), { start: '2026-01-05', end: '2026-01-07' });
+        assert.deepEqual(plain(result.current.slice(-2)), [2, 0]);
+    });
+
+    test.it('clamps the first week to the start of the period', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([], { periodDays: 90, endDate: new Date(2026, 0, 7), locale: 'de-DE' });
+
+        assert.equal(result.ranges[0].start, '2025-10-10');
+        assert.ok(result.current.every(value => value === 0));
+    });
+});
+
+test.describe('aggregate by month', () => {
+    test.it('splits at the first of the month and clamps both ends', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([at(2026, 2, 28, 23), at(2026, 3, 1)],
+            { periodDays: 365, endDate: new Date(2026, 2, 15), locale: 'en-US' });
+
+        assert.equal(result.unit, 'month');
+        assert.equal(result.ranges.length, 13);
+        assert.deepEqual(plain(result.ranges[0]), { start: '2025-03-16', end: '2025-03-31' });
+        assert.deepEqual(plain(result.ranges[11]), { start: '2026-02-01', end: '2026-02-28' });
+        assert.deepEqual(plain(result.ranges[12]), { start: '2026-03-01', end: '2026-03-15' });
+        assert.deepEqual(plain(result.current.slice(-2)), [1, 1]);
+    });
+});
+
+test.describe('previous period', () => {
+    test.it('shifts every bucket back by the period so they line up', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([at(2026, 1, 3, 10), at(2026, 1, 10, 10)],
+            { periodDays: 7, endDate: new Date(2026, 0, 14), locale: 'en-US', compareToPrevious: true });
+
+        assert.equal(result.previous.length, result.current.length);
+        assert.equal(result.previousLabels.length, result.labels.length);
+        assert.deepEqual(plain(result.ranges[0]), { start: '2026-01-08', end: '2026-01-08' });
+        assert.deepEqual(plain(result.previousRanges[0]), { start: '2026-01-01', end: '2026-01-01' });
+        assert.deepEqual(plain(result.current), [0, 0, 1, 0, 0, 0, 0]);
+        assert.deepEqual(plain(result.previous), [0, 0, 1, 0, 0, 0, 0]);
+    });
+
+    test.it('lines up weeks with the same weekday a period earlier', () => {
+        const aggregation = loadAggregation();
+        const result = aggregation.aggregate([], { periodDays: 91, endDate: new Date(2026, 0, 7), locale: 'de-DE', compareToPrevious: true });
+
+        result.ranges.forEach((range, index) => {
+            const current = new Date(range.start + 'T00:00:00');
+            const previous = new Date(result.previousRanges[index].start + 'T00:00:00');
+            assert.equal(Math.round((current - previous) / 86400000), 91);
+        });
+    });
+});
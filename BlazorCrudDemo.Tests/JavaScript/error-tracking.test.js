@@ -0,0 +1,88 @@
+// Tests for BlazorCrudDemo.Web/wwwroot/js/error-tracking.js
+// Run with: node --test BlazorCrudDemo.Tests/JavaScript
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, plain } = require('./load-script');
+
+// Stored issues and metrics live in a fake localStorage
+function loadErrorTracking(errors, metrics) {
+    const items = new Map([
+        ['blazorCrudDemo_errors', JSON.stringify(errors || [])],
+        ['blazorCrudDemo_metrics', JSON.stringify(metrics || [])]
+    ]);
+    const localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    const context = {
+        window: {},
+        document: { addEventListener: () => {} },
+        navigator: { userAgent: 'test', onLine: true },
+        console: { warn: () => {}, log: () => {}, error: () => {} },
+        localStorage: localStorage,
+        TextEncoder: TextEncoder
+    };
+    loadScript('error-tracking.js', context);
+    return context.window.blazorCrudDemo.errorTracking;
+}
+
+function issue(id, options) {
+    return Object.assign({
+        id: id,
+        fingerprint: `fp-${id}`,
+        type: 'JavaScript Error',
+        count: 1,
+        firstSeen: '2026-01-01T10:00:00Z',
+        lastSeen: '2026-01-01T10:00:00Z',
+        frames: ['render@app.js:10'],
+        breadcrumbs: [],
+        error: { message: `Error ${id}`, stack: 'at render (app.js:10:5)', url: 'https://shop.example.com/products' }
+    }, options);
+}
+
+function metric(id) {
+    return { id: id, route: '/products', metric: 'LCP', p75: 1200, count: 4 };
+}
+
+test.describe('takeBatch', () => {
+    test.it('keeps every batch under the size limit and takes the oldest entries first', () => {
+        const bigStack = 'at render (app.js:10:5)\n'.repeat(200);
+        const tracking = loadErrorTracking(
+            Array.from({ length: 20 }, (_, i) => issue(`e${i}`, { error: { message: `Error ${i}`, stack: bigStack } })),
+            Array.from({ length: 100 }, (_, i) => metric(`m${i}`)));
+        tracking.reporting.maxBatchBytes = 16 * 1024;
+
+        const batch = tracking.takeBatch();
+
+        assert.ok(Buffer.byteLength(tracking.serializeBatch(batch)) <= 16 * 1024);
+        assert.ok(batch.errors.length > 0 && batch.errors.length < 20);
+        assert.deepEqual(plain(batch.errors.map(entry => entry.id)), Array.from({ length: batch.errors.length }, (_, i) => `e${i}`));
+    });
+
+    test.it('sends an oversized issue without breadcrumbs and with a shortened stack', () => {
+        const breadcrumbs = Array.from({ length: 20 }, (_, i) => ({ category: 'ui', message: 'x'.repeat(500), timestamp: i }));
+        const tracking = loadErrorTracking([issue('e1', { breadcrumbs: breadcrumbs, error: { message: 'Boom', stack: 'y'.repeat(20000) } })]);
+        tracking.reporting.maxBatchBytes = 8 * 1024;
+
+        const batch = tracking.takeBatch();
+
+        assert.equal(batch.reports.length, 1);
+        assert.equal(batch.reports[0].breadcrumbs.length, 0);
+        assert.equal(batch.reports[0].stack.length, 4000);
+        assert.equal(batch.reports[0].message, 'Boom');
+    });
+
+    test.it('drops an issue that does not fit even when trimmed, so the entries behind it are sent', () => {
+        const tracking = loadErrorTracking([
+            issue('e1', { frames: Array.from({ length: 20 }, () => 'z'.repeat(1000)) }),
+            issue('e2')
+        ]);
+        tracking.reporting.maxBatchBytes = 8 * 1024;
+
+        const batch = tracking.takeBatch();
+
+        assert.deepEqual(plain(batch.errors.map(entry => entry.id)), ['e2']);
+        assert.deepEqual(plain(tracking.getStoredErrors().map(entry => entry.id)), ['e2']);
+    });
+});
@@ -0,0 +1,147 @@
+// Tests for BlazorCrudDemo.Web/wwwroot/js/exports.js
+// Run with: node --test BlazorCrudDemo.Tests/JavaScript
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { loadScript } = require('./load-script');
+
+// Without CompressionStream the archive stores its entries, as in browsers that lack it. Date is
+// shared so dates made here pass the script's instanceof check.
+function loadExports(options) {
+    const context = { window: {}, Date: Date, Blob: Blob, Response: Response, TextEncoder: TextEncoder };
+    if (options && options.compress) {
+        context.CompressionStream = CompressionStream;
+    }
+    loadScript('exports.js', context);
+    return context.window.blazorCrudDemo.exports;
+}
+
+// Reads the entries back through the central directory, as unzip tools do
+function readZip(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const endOffset = buffer.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054b50, 'end of central directory signature');
+
+    const count = view.getUint16(endOffset + 10, true);
+    const directorySize = view.getUint32(endOffset + 12, true);
+    const directoryOffset = view.getUint32(endOffset + 16, true);
+    assert.equal(directoryOffset + directorySize, endOffset, 'central directory ends where the end record starts');
+
+    const entries = [];
+    let position = directoryOffset;
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50, 'central directory entry signature');
+        const method = view.getUint16(position + 10, true);
+        const crc = view.getUint32(position + 16, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = buffer.subarray(position + 46, position + 46 + nameLength).toString('utf8');
+
+        assert.equal(view.getUint32(localOffset, true), 0x04034b50, `local header signature for ${name}`);
+        assert.equal(view.getUint16(localOffset + 26, true), nameLength);
+        assert.equal(view.getUint32(localOffset + 14, true), crc);
+        const dataStart = localOffset + 30 + nameLength;
+        const stored = buffer.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 8 ? zlib.inflateRawSync(stored) : Buffer.from(stored);
+
+        entries.push({ name, method, crc, size, data });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+function zipFiles(exports, files) {
+    const encoder = new TextEncoder();
+    return exports.zip(files.map(file => ({ name: file.name, data: encoder.encode(file.content) })))
+        .then(blob => blob.arrayBuffer())
+        .then(buffer => readZip(Buffer.from(buffer)));
+}
+
+test.describe('cellReference', () => {
+    test.it('names columns A to Z, then AA onwards', () => {
+        const exports = loadExports();
+        assert.equal(exports.cellReference(0, 1), 'A1');
+        assert.equal(exports.cellReference(25, 2), 'Z2');
+        assert.equal(exports.cellReference(26, 3), 'AA3');
+        assert.equal(exports.cellReference(51, 4), 'AZ4');
+        assert.equal(exports.cellReference(701, 5), 'ZZ5');
+        assert.equal(exports.cellReference(702, 6), 'AAA6');
+    });
+});
+
+test.describe('toSerialDate', () => {
+    test.it('counts days from 1899-12-30', () => {
+        const exports = loadExports();
+        assert.equal(exports.toSerialDate('1899-12-31'), 1);
+        assert.equal(exports.toSerialDate('1900-03-01'), 61);
+        assert.equal(exports.toSerialDate('2026-01-01'), 46023);
+    });
+
+    test.it('keeps the time of day as a fraction', () => {
+        const exports = loadExports();
+        assert.equal(exports.toSerialDate('2026-01-01T12:00:00'), 46023.5);
+        assert.equal(exports.toSerialDate('2026-01-01 18:00'), 46023.75);
+        assert.equal(exports.toSerialDate('2026-01-01T06:00:00.0000000'), 46023.25);
+    });
+
+    test.it('reads values as wall-clock time, ignoring any offset', () => {
+        const exports = loadExports();
+        assert.equal(exports.toSerialDate('2026-01-01T12:00:00+05:00'), 46023.5);
+        assert.equal(exports.toSerialDate(new Date(2026, 0, 1, 12)), 46023.5);
+    });
+
+    test.it('returns null for values that are not dates', () => {
+        const exports = loadExports();
+        assert.equal(exports.toSerialDate('soon'), null);
+        assert.equal(exports.toSerialDate(new Date('invalid')), null);
+    });
+});
+
+test.describe('crc32', () => {
+    test.it('matches the standard check value', () => {
+        const exports = loadExports();
+        assert.equal(exports.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+        assert.equal(exports.crc32(new Uint8Array(0)), 0);
+    });
+});
+
+test.describe('zip', () => {
+    const files = [
+        { name: '[Content_Types].xml', content: '<Types/>' },
+        { name: 'xl/worksheets/sheet1.xml', content: '<worksheet>' + 'Ünïcode '.repeat(50) + '</worksheet>' }
+    ];
+
+    test.it('stores entries with headers, sizes and checksums that unzip tools can read', () => {
+        const exports = loadExports();
+        return zipFiles(exports, files).then(entries => {
+            assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+            entries.forEach((entry, index) => {
+                const expected = Buffer.from(files[index].content, 'utf8');
+                assert.equal(entry.method, 0);
+                assert.equal(entry.size, expected.length);
+                assert.equal(entry.crc, exports.crc32(expected));
+                assert.deepEqual(entry.data, expected);
+            });
+        });
+    });
+
+    test.it('deflates entries where CompressionStream is available', () => {
+        const exports = loadExports({ compress: true });
+        return zipFiles(exports, files).then(entries => {
+            entries.forEach((entry, index) => {
+                assert.equal(entry.method, 8);
+                assert.equal(entry.data.toString('utf8'), files[index].content);
+                assert.equal(entry.crc, exports.crc32(entry.data));
+            });
+        });
+    });
+});
+
+test.describe('sanitizeText', () => {
+    test.it('removes control characters XML does not allow but keeps tabs and line breaks', () => {
+        const exports = loadExports();
+        assert.equal(exports.sanitizeText('a\u0000b\u0008c\u000Bd\u001Fe\uFFFEf\tg\nh\ri'), 'abcdef\tg\nh\ri');
+    });
+});
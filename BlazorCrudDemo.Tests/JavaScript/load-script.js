@@ -0,0 +1,25 @@
+// Loads the scripts in BlazorCrudDemo.Web/wwwroot/js for the tests in this folder. The scripts are
+// plain browser files that attach themselves to window, so each runs in its own vm context.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const scriptDirectory = path.join(__dirname, '..', '..', 'BlazorCrudDemo.Web', 'wwwroot', 'js');
+const sources = new Map();
+
+// Runs wwwroot/js/<fileName> against the given globals and returns them. Every call starts from a
+// fresh copy of the script, so state set by one test does not leak into the next.
+function loadScript(fileName, context) {
+    if (!sources.has(fileName)) {
+        sources.set(fileName, fs.readFileSync(path.join(scriptDirectory, fileName), 'utf8'));
+    }
+    vm.runInNewContext(sources.get(fileName), context);
+    return context;
+}
+
+// Objects from the script's context have their own prototypes; compare them as plain data
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScript, plain };
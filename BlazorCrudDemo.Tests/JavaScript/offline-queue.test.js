@@ -0,0 +1,39 @@
+// Tests for BlazorCrudDemo.Web/wwwroot/js/offline-queue.js
+// Run with: node --test BlazorCrudDemo.Tests/JavaScript
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+function loadOfflineQueue() {
+    const context = { window: {}, document: { addEventListener: () => {} } };
+    loadScript('offline-queue.js', context);
+    return context.window.blazorCrudDemo.offlineQueue;
+}
+
+// A form field as the submit handler sees it
+function field(value, dataset, type) {
+    return { value: value, dataset: dataset || {}, type: type || 'text', checked: value === 'on' };
+}
+
+test.describe('fieldValue', () => {
+    test.it('sends plain fields and checkboxes as they are', () => {
+        const queue = loadOfflineQueue();
+        assert.equal(queue.fieldValue(field('Earbuds')), 'Earbuds');
+        assert.equal(queue.fieldValue(field('on', {}, 'checkbox')), true);
+    });
+
+    test.it('sends formatted currency in the invariant culture', () => {
+        const queue = loadOfflineQueue();
+        const currency = { offlineDecimalSeparator: '.' };
+        assert.equal(queue.fieldValue(field('Ksh1,234.50', currency)), '1234.50');
+        assert.equal(queue.fieldValue(field('Ksh12', currency)), '12');
+        assert.equal(queue.fieldValue(field('.5', currency)), '0.5');
+        assert.equal(queue.fieldValue(field('1.234,5 €', { offlineDecimalSeparator: ',' })), '1234.5');
+    });
+
+    test.it('sends an empty value when no digits were entered', () => {
+        const queue = loadOfflineQueue();
+        assert.equal(queue.fieldValue(field('', { offlineDecimalSeparator: '.' })), '');
+        assert.equal(queue.fieldValue(field('Ksh', { offlineDecimalSeparator: '.' })), '');
+    });
+});
@@ -0,0 +1,332 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Text.Json;
+using System.Threading.Tasks;
+using BlazorCrudDemo.Shared.DTOs;
+using BlazorCrudDemo.Shared.Exceptions;
+using BlazorCrudDemo.Web.Models;
+using BlazorCrudDemo.Web.Services;
+using FluentAssertions;
+using Microsoft.JSInterop;
+using Moq;
+using Xunit;
+
+namespace BlazorCrudDemo.Tests.Services
+{
+    public class OfflineActionProcessorTests
+    {
+        private readonly Mock<IProductService> _productServiceMock;
+        private readonly Mock<ICategoryService> _categoryServiceMock;
+        private readonly OfflineActionProcessor _processor;
+        private readonly ProductDto _serverProduct;
+
+        public OfflineActionProcessorTests()
+        {
+            _productServiceMock = new Mock<IProductService>();
+            _categoryServiceMock = new Mock<ICategoryService>();
+            _processor = new OfflineActionProcessor(
+                _productServiceMock.Object,
+                _categoryServiceMock.Object,
+                new CrossTabSyncService(Mock.Of<IJSRuntime>()));
+
+            _serverProduct = new ProductDto
+            {
+                Id = 5,
+                Name = "Wireless Earbuds",
+                SKU = "WE-001",
+                Description = "<p>Noise cancelling</p>",
+                Price = 99.99m,
+                Stock = 12,
+                CategoryId = 2,
+                IsActive = true
+            };
+            _productServiceMock.Setup(s => s.GetProductAsync(5)).ReturnsAsync(_serverProduct);
+        }
+
+        [Fact]
+        public void VersionOf_WithSameFields_ShouldMatch()
+        {
+            // Arrange
+            var copy = new ProductDto
+            {
+                Id = 5,
+                Name = "Wireless Earbuds",
+                SKU = "WE-001",
+                Description = "<p>Noise cancelling</p>",
+                Price = 99.99m,
+                Stock = 12,
+                CategoryId = 2,
+                IsActive = true
+            };
+
+            // Act
+            var version = OfflineActionProcessor.VersionOf(_serverProduct);
+
+            // Assert
+            version.Should().MatchRegex("^[0-9a-f]{16}$");
+            OfflineActionProcessor.VersionOf(copy).Should().Be(version);
+        }
+
+        [Fact]
+        public void VersionOf_WithChangedField_ShouldDiffer()
+        {
+            // Arrange
+            var version = OfflineActionProcessor.VersionOf(_serverProduct);
+
+            // Act
+            _serverProduct.Stock = 11;
+
+            // Assert
+            OfflineActionProcessor.VersionOf(_serverProduct).Should().NotBe(version);
+        }
+
+        [Fact]
+        public void VersionOf_ShouldNotDependOnCulture()
+        {
+            // Arrange
+            var originalCulture = CultureInfo.CurrentCulture;
+            var version = OfflineActionProcessor.VersionOf(_serverProduct);
+
+            try
+            {
+                // Act
+                CultureInfo.CurrentCulture = new CultureInfo("de-DE");
+
+                // Assert
+                OfflineActionProcessor.VersionOf(_serverProduct).Should().Be(version);
+            }
+            finally
+            {
+                CultureInfo.CurrentCulture = originalCulture;
+            }
+        }
+
+        [Fact]
+        public async Task ProcessAsync_UpdateWithCurrentVersion_ShouldOnlyChangeSentFields()
+        {
+            // Arrange
+            var action = CreateAction("product.update", new { Price = "12.50" }, OfflineActionProcessor.VersionOf(_serverProduct));
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Applied);
+            _productServiceMock.Verify(s => s.UpdateProductAsync(It.Is<UpdateProductDto>(dto =>
+                dto.Id == 5 &&
+                dto.Price == 12.50m &&
+                dto.Name == "Wireless Earbuds" &&
+                dto.SKU == "WE-001" &&
+                dto.Description == "<p>Noise cancelling</p>" &&
+                dto.Stock == 12 &&
+                dto.CategoryId == 2 &&
+                dto.IsActive)), Times.Once);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_UpdateWithStaleVersion_ShouldReturnConflict()
+        {
+            // Arrange
+            var action = CreateAction("product.update", new { Name = "Earbuds Pro" }, "0000000000000000");
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Conflict);
+            result.ServerVersion.Should().Be(OfflineActionProcessor.VersionOf(_serverProduct));
+            _productServiceMock.Verify(s => s.UpdateProductAsync(It.IsAny<UpdateProductDto>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_UpdateWithStaleVersionAndForce_ShouldApply()
+        {
+            // Arrange
+            var action = CreateAction("product.update", new { Name = "Earbuds Pro" }, "0000000000000000");
+            action.Force = true;
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Applied);
+            _productServiceMock.Verify(s => s.UpdateProductAsync(It.Is<UpdateProductDto>(dto => dto.Name == "Earbuds Pro")), Times.Once);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_UpdateOfProductDeletedOnServer_ShouldReturnConflict()
+        {
+            // Arrange
+            var action = CreateAction("product.update", new { Name = "Earbuds Pro" }, "0000000000000000", entityId: 404);
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Conflict);
+            result.ServerVersion.Should().BeNull();
+            _productServiceMock.Verify(s => s.UpdateProductAsync(It.IsAny<UpdateProductDto>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_DeleteOfProductDeletedOnServer_ShouldApply()
+        {
+            // Arrange
+            var action = CreateAction("product.delete", null, "0000000000000000", entityId: 404);
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Applied);
+            _productServiceMock.Verify(s => s.DeleteProductAsync(It.IsAny<int>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_DeleteOfCategoryChangedOnServer_ShouldReturnConflict()
+        {
+            // Arrange
+            var category = new CategoryDto { Id = 2, Name = "Electronics", DisplayOrder = 1, IsActive = true };
+            _categoryServiceMock.Setup(s => s.GetCategoryAsync(2, false)).ReturnsAsync(category);
+            var action = CreateAction("category.delete", null, "0000000000000000", entityId: 2);
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Conflict);
+            result.ServerVersion.Should().Be(OfflineActionProcessor.VersionOf(category));
+            _categoryServiceMock.Verify(s => s.DeleteCategoryAsync(It.IsAny<int>()), Times.Never);
+        }
+
+        [Theory]
+        [InlineData("Price", "abc")]
+        [InlineData("Stock", "1.5")]
+        [InlineData("CategoryId", "two")]
+        public async Task ProcessAsync_WithMalformedNumber_ShouldReject(string field, string value)
+        {
+            // Arrange
+            var data = JsonSerializer.SerializeToElement(new Dictionary<string, string> { [field] = value });
+            var action = CreateAction("product.update", data, OfflineActionProcessor.VersionOf(_serverProduct));
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Rejected);
+            result.Reason.Should().Contain(value).And.Contain(field);
+            _productServiceMock.Verify(s => s.UpdateProductAsync(It.IsAny<UpdateProductDto>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_CreateWithProductFormFields_ShouldApply()
+        {
+            // Arrange: what ProductForm.razor sends, with the price as offline-queue.js normalizes it
+            _productServiceMock.Setup(s => s.CreateProductAsync(It.IsAny<CreateProductDto>()))
+                .ReturnsAsync(new ProductDto { Id = 6 });
+            var action = CreateAction("product.create", new
+            {
+                Name = "Earbuds",
+                SKU = "EB-001",
+                Description = "<p>Small</p>",
+                Price = "1234.50",
+                Stock = "3",
+                IsActive = "true",
+                CategoryId = "2",
+                ImageUrl = "https://example.com/images/earbuds.webp"
+            }, null, entityId: null);
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Applied);
+            _productServiceMock.Verify(s => s.CreateProductAsync(It.Is<CreateProductDto>(dto =>
+                dto.Name == "Earbuds" &&
+                dto.Price == 1234.50m &&
+                dto.Stock == 3 &&
+                dto.CategoryId == 2 &&
+                dto.ImageUrl == "https://example.com/images/earbuds.webp")), Times.Once);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_UpdateWithEmptyImageUrl_ShouldRemoveImage()
+        {
+            // Arrange
+            _serverProduct.ImageUrl = "https://example.com/images/earbuds.webp";
+            var action = CreateAction("product.update", new { Price = "89", ImageUrl = "" }, OfflineActionProcessor.VersionOf(_serverProduct));
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Applied);
+            _productServiceMock.Verify(s => s.UpdateProductAsync(It.Is<UpdateProductDto>(dto =>
+                dto.Price == 89m &&
+                dto.ImageUrl == null)), Times.Once);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_CreateWithoutRequiredFields_ShouldReject()
+        {
+            // Arrange
+            var action = CreateAction("product.create", new { Name = "Earbuds", Price = "10" }, null, entityId: null);
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Rejected);
+            _productServiceMock.Verify(s => s.CreateProductAsync(It.IsAny<CreateProductDto>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessAsync_WhenServiceWrapsValidationFailure_ShouldReject()
+        {
+            // Arrange
+            _productServiceMock.Setup(s => s.UpdateProductAsync(It.IsAny<UpdateProductDto>()))
+                .ThrowsAsync(new ServiceException("Failed to update product", new ValidationException("SKU is already in use")));
+            var action = CreateAction("product.update", new { SKU = "WE-002" }, OfflineActionProcessor.VersionOf(_serverProduct));
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Rejected);
+            result.Reason.Should().Be("SKU is already in use");
+        }
+
+        [Fact]
+        public async Task ProcessAsync_WhenServiceFailsTransiently_ShouldReturnFailed()
+        {
+            // Arrange
+            _productServiceMock.Setup(s => s.UpdateProductAsync(It.IsAny<UpdateProductDto>()))
+                .ThrowsAsync(new ServiceException("Failed to update product", new TimeoutException("The database did not respond")));
+            var action = CreateAction("product.update", new { SKU = "WE-002" }, OfflineActionProcessor.VersionOf(_serverProduct));
+
+            // Act
+            var result = await _processor.ProcessAsync(action);
+
+            // Assert
+            result.Outcome.Should().Be(OfflineActionOutcome.Failed);
+        }
+
+        private static OfflineAction CreateAction(string type, object? data, string? baseVersion, int? entityId = 5)
+        {
+            return new OfflineAction
+            {
+                Id = Guid.NewGuid().ToString(),
+                Type = type,
+                EntityId = entityId,
+                BaseVersion = baseVersion,
+                Data = data switch
+                {
+                    null => null,
+                    JsonElement element => element,
+                    _ => JsonSerializer.SerializeToElement(data)
+                }
+            };
+        }
+    }
+}
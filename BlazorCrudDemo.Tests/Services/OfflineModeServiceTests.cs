@@ -0,0 +1,182 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using BlazorCrudDemo.Web.Models;
+using BlazorCrudDemo.Web.Services;
+using Blazored.Toast.Services;
+using FluentAssertions;
+using Microsoft.Extensions.Configuration;
+using Microsoft.JSInterop;
+using Moq;
+using Xunit;
+
+namespace BlazorCrudDemo.Tests.Services
+{
+    public class OfflineModeServiceTests
+    {
+        private const string UserId = "user-1";
+
+        private readonly Mock<IJSRuntime> _jsRuntimeMock;
+        private readonly OfflineModeService _offlineModeService;
+        private readonly List<OfflineAction> _queue = new();
+        private readonly List<string> _replayed = new();
+
+        public OfflineModeServiceTests()
+        {
+            _jsRuntimeMock = new Mock<IJSRuntime>();
+
+            // The queue lives in IndexedDB through offline-queue.js
+            _jsRuntimeMock
+                .Setup(js => js.InvokeAsync<List<OfflineAction>>("blazorCrudDemo.offlineQueue.getAll", It.IsAny<object?[]?>()))
+                .Returns(() => new ValueTask<List<OfflineAction>>(_queue.ToList()));
+            _jsRuntimeMock
+                .Setup(js => js.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.claimReplay", It.IsAny<object?[]?>()))
+                .Returns(new ValueTask<bool>(true));
+            _jsRuntimeMock
+                .Setup(js => js.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.remove", It.IsAny<object?[]?>()))
+                .Callback<string, object?[]?>((_, args) => _queue.RemoveAll(a => a.Id == (string?)args?[0]))
+                .Returns(new ValueTask<bool>(true));
+
+            _offlineModeService = new OfflineModeService(
+                _jsRuntimeMock.Object,
+                new ErrorNotificationService(Mock.Of<IToastService>()),
+                new ConfigurationBuilder().Build());
+
+            // The JS calls above complete synchronously
+            _offlineModeService.InitializeAsync(UserId).GetAwaiter().GetResult();
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_WithConflict_ShouldHoldBackLaterActionsForSameEntity()
+        {
+            // Arrange
+            Enqueue("a1", "product.update", 5);
+            Enqueue("a2", "product.update", 5);
+            Enqueue("a3", "product.update", 6);
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action,
+                action.Id == "a1" ? OfflineActionResult.Conflict("Changed on the server", "abc") : OfflineActionResult.Applied()));
+
+            // Assert
+            _replayed.Should().Equal("a1", "a3");
+            _queue.Select(a => a.Id).Should().Equal("a1", "a2");
+            _jsRuntimeMock.Verify(js => js.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.update", It.Is<object?[]?>(args => (string?)args![0] == "a1")), Times.Once);
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_WithUnresolvedAction_ShouldHoldBackPendingActionsForSameEntity()
+        {
+            // Arrange
+            Enqueue("a1", "category.update", 2, OfflineAction.StatusRejected);
+            Enqueue("a2", "category.delete", 2);
+            Enqueue("a3", "product.delete", 2);
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action, OfflineActionResult.Applied()));
+
+            // Assert
+            _replayed.Should().Equal("a3");
+            _queue.Select(a => a.Id).Should().Equal("a1", "a2");
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_WithTransientFailure_ShouldStopReplay()
+        {
+            // Arrange
+            Enqueue("a1", "product.update", 5);
+            Enqueue("a2", "product.update", 6);
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action, OfflineActionResult.Failed("Timeout")));
+
+            // Assert
+            _replayed.Should().Equal("a1");
+            _queue.Should().HaveCount(2);
+            _queue.Should().OnlyContain(a => a.Status == OfflineAction.StatusPending);
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_ShouldReplayInQueueOrder()
+        {
+            // Arrange
+            Enqueue("a2", "product.create", null, seq: 2);
+            Enqueue("a1", "product.create", null, seq: 1);
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action, OfflineActionResult.Applied()));
+
+            // Assert
+            _replayed.Should().Equal("a1", "a2");
+            _queue.Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_WhenAnotherTabIsReplaying_ShouldNotReplay()
+        {
+            // Arrange
+            Enqueue("a1", "product.update", 5);
+            _jsRuntimeMock
+                .Setup(js => js.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.claimReplay", It.IsAny<object?[]?>()))
+                .Returns(new ValueTask<bool>(false));
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action, OfflineActionResult.Applied()));
+
+            // Assert
+            _replayed.Should().BeEmpty();
+            _queue.Should().HaveCount(1);
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_WithActionsOfAnotherUser_ShouldDiscardThem()
+        {
+            // Arrange
+            Enqueue("a1", "product.update", 5, userId: "user-2");
+            Enqueue("a2", "product.update", 6);
+            Enqueue("a3", "product.delete", 7, userId: null);
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action, OfflineActionResult.Applied()));
+
+            // Assert
+            _replayed.Should().Equal("a2");
+            _queue.Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task ProcessOfflineActionsAsync_WhenSignedOut_ShouldKeepActionsWithoutReplaying()
+        {
+            // Arrange
+            Enqueue("a1", "product.update", 5);
+            await _offlineModeService.InitializeAsync(null);
+
+            // Act
+            await _offlineModeService.ProcessOfflineActionsAsync(action => Replay(action, OfflineActionResult.Applied()));
+
+            // Assert
+            _replayed.Should().BeEmpty();
+            _queue.Should().HaveCount(1);
+        }
+
+        private void Enqueue(string id, string type, int? entityId, string status = OfflineAction.StatusPending, long? seq = null, string? userId = UserId)
+        {
+            _queue.Add(new OfflineAction
+            {
+                Id = id,
+                Seq = seq ?? _queue.Count + 1,
+                Type = type,
+                EntityId = entityId,
+                UserId = userId,
+                Status = status
+            });
+        }
+
+        private Task<OfflineActionResult> Replay(OfflineAction action, OfflineActionResult result)
+        {
+            _replayed.Add(action.Id);
+            return Task.FromResult(result);
+        }
+    }
+}
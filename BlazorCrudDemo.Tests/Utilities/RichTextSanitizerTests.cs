@@ -0,0 +1,141 @@
+using BlazorCrudDemo.Web.Utilities;
+using FluentAssertions;
+using Xunit;
+
+namespace BlazorCrudDemo.Tests.Utilities
+{
+    public class RichTextSanitizerTests
+    {
+        [Fact]
+        public void Sanitize_WithAllowedTags_ShouldKeepThem()
+        {
+            // Arrange
+            var html = "<h2>Features</h2><p>Really <strong>fast</strong> and <em>quiet</em></p><ul><li>One</li></ul><ol><li>Two</li></ol>";
+
+            // Act
+            var result = RichTextSanitizer.Sanitize(html);
+
+            // Assert
+            result.Should().Be(html);
+        }
+
+        [Fact]
+        public void Sanitize_WithScriptsAndEventHandlers_ShouldRemoveThem()
+        {
+            // Arrange
+            var html = "<p onclick=\"steal()\">Hi<script>alert(1)</script><img src=x onerror=alert(1)><style>p { color: red }</style></p>";
+
+            // Act
+            var result = RichTextSanitizer.Sanitize(html);
+
+            // Assert
+            result.Should().Be("<p>Hi</p>");
+        }
+
+        [Theory]
+        [InlineData("javascript:alert(1)")]
+        [InlineData("JaVaScRiPt:alert(1)")]
+        [InlineData("data:text/html;base64,PHNjcmlwdD4=")]
+        [InlineData("/relative/path")]
+        public void Sanitize_WithUnsafeLink_ShouldKeepOnlyItsText(string href)
+        {
+            // Act
+            var result = RichTextSanitizer.Sanitize($"<p><a href=\"{href}\">click</a></p>");
+
+            // Assert
+            result.Should().Be("<p>click</p>");
+        }
+
+        [Fact]
+        public void Sanitize_WithWebLink_ShouldOpenItSafely()
+        {
+            // Act
+            var result = RichTextSanitizer.Sanitize("<a href='https://example.com/specs?a=1&amp;b=2' style='color:red'>Specs</a>");
+
+            // Assert
+            result.Should().Be("<a href=\"https://example.com/specs?a=1&amp;b=2\" rel=\"nofollow noopener noreferrer\" target=\"_blank\">Specs</a>");
+        }
+
+        [Fact]
+        public void Sanitize_WithWordMarkup_ShouldKeepOnlyTheText()
+        {
+            // Arrange
+            var html = "<!--[if gte mso 9]><xml><o:OfficeDocumentSettings/></xml><![endif]-->" +
+                       "<p class=MsoNormal><b><span style='font-family:Calibri'>Bold<o:p></o:p></span></b></p>";
+
+            // Act
+            var result = RichTextSanitizer.Sanitize(html);
+
+            // Assert
+            result.Should().Be("<p><strong>Bold</strong></p>");
+        }
+
+        [Fact]
+        public void Sanitize_WithUnclosedTags_ShouldCloseThem()
+        {
+            // Act
+            var result = RichTextSanitizer.Sanitize("<ul><li>One<li>Two</ul><p>Left <strong>open");
+
+            // Assert
+            result.Should().Be("<ul><li>One</li><li>Two</li></ul><p>Left <strong>open</strong></p>");
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        [InlineData("<p><br></p>")]
+        [InlineData("<script>alert(1)</script>")]
+        public void Sanitize_WithoutVisibleText_ShouldReturnEmpty(string? html)
+        {
+            // Act
+            var result = RichTextSanitizer.Sanitize(html);
+
+            // Assert
+            result.Should().BeEmpty();
+        }
+
+        [Fact]
+        public void Sanitize_WithPlainText_ShouldEncodeIt()
+        {
+            // Act
+            var result = RichTextSanitizer.Sanitize("Fish & chips for < $10");
+
+            // Assert
+            result.Should().Be("Fish &amp; chips for &lt; $10");
+        }
+
+        [Fact]
+        public void Sanitize_WithNonAsciiText_ShouldKeepItUnencoded()
+        {
+            // Arrange
+            var html = "<p>Café crème – 100 % «naturel» 🎧 <a href=\"https://example.com/\">ünïcode</a></p>";
+
+            // Act
+            var result = RichTextSanitizer.Sanitize(html);
+
+            // Assert
+            result.Should().Be("<p>Café crème – 100 % «naturel» 🎧 <a href=\"https://example.com/\" rel=\"nofollow noopener noreferrer\" target=\"_blank\">ünïcode</a></p>");
+            result.Length.Should().Be(html.Length + "rel=\"nofollow noopener noreferrer\" target=\"_blank\"".Length + 1);
+        }
+
+        [Fact]
+        public void ToPlainText_ShouldSeparateBlocksAndDecodeEntities()
+        {
+            // Act
+            var result = RichTextSanitizer.ToPlainText("<h2>Title</h2><p>Fish &amp;  chips</p><ul><li>One</li><li>Two</li></ul>");
+
+            // Assert
+            result.Should().Be("Title Fish & chips One Two");
+        }
+
+        [Fact]
+        public void ToPreview_WithLongText_ShouldTruncateVisibleText()
+        {
+            // Act
+            var result = RichTextSanitizer.ToPreview("<p><strong>Wireless</strong> earbuds</p>", 8);
+
+            // Assert
+            result.Should().Be("Wireless...");
+        }
+    }
+}
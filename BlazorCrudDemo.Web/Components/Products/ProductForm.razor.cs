@@ -15,6 +15,9 @@ public partial class ProductForm : ComponentBase, IDisposable
     [Inject] private ICategoryService CategoryService { get; set; } = default!;
     [Inject] private IJSRuntime JSRuntime { get; set; } = default!;
     [Inject] private NavigationManager Navigation { get; set; } = default!;
+    [Inject] private CrossTabSyncService CrossTabSync { get; set; } = default!;
+    [Inject] private OfflineModeService OfflineModeService { get; set; } = default!;
+    [Inject] private NotificationCenterService Notifications { get; set; } = default!;
 
     private ProductDto Product { get; set; } = new();
     private EditContext EditContext { get; set; } = default!;
@@ -25,6 +28,10 @@ public partial class ProductForm : ComponentBase, IDisposable
     private bool ShowSuccess { get; set; }
     private bool IsDirty { get; set; }
     private string? DraftKey => $"product_draft_{Id}";
+    // Snapshot key for form-preservation.js, restored by FormRecoveryBanner after a forced reload
+    private string FormKey => IsEdit ? $"product-{Id}" : "product-new";
+    // Version of the product as loaded, so changes queued offline can be checked for conflicts
+    private string? OfflineVersion { get; set; }
     private System.Timers.Timer? AutoSaveTimer;
 
     protected override async Task OnInitializedAsync()
@@ -57,7 +64,7 @@ public partial class ProductForm : ComponentBase, IDisposable
         }
         catch (Exception ex)
         {
-            await ShowToast("Error loading categories", ex.Message, "danger");
+            await ShowToast("Error loading categories", ex.Message, ToastType.Error);
         }
     }
 
@@ -69,10 +76,15 @@ public partial class ProductForm : ComponentBase, IDisposable
             {
                 var product = await ProductService.GetProductAsync(Id.Value);
                 Product = product ?? new ProductDto();
+                OfflineVersion = product != null ? OfflineActionProcessor.VersionOf(product) : null;
+                if (product != null)
+                {
+                    await OfflineModeService.CacheProductsAsync(new[] { product });
+                }
             }
             catch (Exception ex)
             {
-                await ShowToast("Error loading product", ex.Message, "danger");
+                await ShowToast("Error loading product", ex.Message, ToastType.Error);
             }
         }
     }
@@ -151,6 +163,7 @@ public partial class ProductForm : ComponentBase, IDisposable
                     IsActive = Product.IsActive
                 };
                 await ProductService.UpdateProductAsync(updateDto);
+                await PublishProductChangedAsync("updated", Product.Id);
             }
             else
             {
@@ -165,7 +178,8 @@ public partial class ProductForm : ComponentBase, IDisposable
                     ImageUrl = Product.ImageUrl,
                     IsActive = Product.IsActive
                 };
-                await ProductService.CreateProductAsync(createDto);
+                var created = await ProductService.CreateProductAsync(createDto);
+                await PublishProductChangedAsync("created", created.Id);
             }
 
             IsDirty = false;
@@ -174,7 +188,7 @@ public partial class ProductForm : ComponentBase, IDisposable
         }
         catch (Exception ex)
         {
-            await ShowToast("Error saving product", ex.Message, "danger");
+            await ShowToast("Error saving product", ex.Message, ToastType.Error);
         }
         finally
         {
@@ -182,6 +196,12 @@ public partial class ProductForm : ComponentBase, IDisposable
         }
     }
 
+    private Task PublishProductChangedAsync(string action, int id)
+    {
+        return CrossTabSync.PublishAsync(CrossTabSyncService.ProductsChangedTopic,
+            new EntityChangedMessage { Action = action, Ids = new List<int> { id } });
+    }
+
     private async Task ResetForm()
     {
         if (await ConfirmAction("Reset Form", "Are you sure you want to reset all changes?"))
@@ -239,16 +259,9 @@ public partial class ProductForm : ComponentBase, IDisposable
         }
     }
 
-    private async Task ShowToast(string title, string message, string type)
+    private Task ShowToast(string title, string message, ToastType type)
     {
-        try
-        {
-            await JSRuntime.InvokeVoidAsync("showToast", title, message, type);
-        }
-        catch (Exception ex)
-        {
-            Console.WriteLine($"Toast error: {ex.Message}");
-        }
+        return Notifications.ShowAsync(new ToastNotification { Type = type, Title = title, Message = message });
     }
 
     private void CloseSuccessModal()
@@ -0,0 +1,127 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using BlazorCrudDemo.Web.Models;
+
+namespace BlazorCrudDemo.Web.Controllers
+{
+    /// <summary>
+    /// Receives errors reported by error-tracking.js, and the performance summaries sent along with them,
+    /// and writes them to the application log (Serilog).
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    [AllowAnonymous]
+    public class ClientErrorsController : ControllerBase
+    {
+        private const int MaxErrorsPerBatch = 50;
+        private const int MaxFieldLength = 4000;
+        private const int MaxBreadcrumbs = 50;
+        private const int MaxMetricsPerBatch = 200;
+
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly ILogger<ClientErrorsController> _logger;
+
+        public ClientErrorsController(ILogger<ClientErrorsController> logger)
+        {
+            _logger = logger;
+        }
+
+        // The body is read by hand because navigator.sendBeacon posts it as text/plain
+        [HttpPost]
+        [RequestSizeLimit(256 * 1024)]
+        public async Task<IActionResult> Post()
+        {
+            ClientErrorBatch? batch;
+            try
+            {
+                batch = await JsonSerializer.DeserializeAsync<ClientErrorBatch>(Request.Body, JsonOptions, HttpContext.RequestAborted);
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning("Rejected malformed client error report: {Error}", ex.Message);
+                return BadRequest();
+            }
+
+            if (batch == null || (batch.Errors.Count == 0 && batch.Metrics.Count == 0))
+            {
+                return BadRequest();
+            }
+
+            foreach (var report in batch.Errors.Take(MaxErrorsPerBatch))
+            {
+                LogReport(report);
+            }
+
+            if (batch.Errors.Count > MaxErrorsPerBatch)
+            {
+                _logger.LogWarning("Dropped {Count} client errors over the per-batch limit of {Limit}",
+                    batch.Errors.Count - MaxErrorsPerBatch, MaxErrorsPerBatch);
+            }
+
+            foreach (var metric in batch.Metrics.Take(MaxMetricsPerBatch))
+            {
+                LogMetric(metric);
+            }
+
+            return Accepted();
+        }
+
+        private void LogReport(ClientErrorReport report)
+        {
+            using (_logger.BeginScope(new Dictionary<string, object?>
+            {
+                ["ClientErrorId"] = Truncate(report.Id),
+                ["ClientFingerprint"] = Truncate(report.Fingerprint),
+                ["ClientFirstSeen"] = report.FirstSeen,
+                ["ClientLastSeen"] = report.LastSeen,
+                ["ClientSampleRate"] = report.SampleRate,
+                ["ClientFrames"] = report.Frames?.Take(10).Select(Truncate).ToList(),
+                ["ClientStack"] = Truncate(report.Stack),
+                ["ClientBreadcrumbs"] = report.Breadcrumbs?
+                    .TakeLast(MaxBreadcrumbs)
+                    .Select(b => $"{b.Timestamp:HH:mm:ss.fff} [{Truncate(b.Category)}] {Truncate(b.Message)}")
+                    .ToList(),
+                ["ClientUserAgent"] = Truncate(report.UserAgent),
+                ["ClientTimestamp"] = report.Timestamp,
+                ["RemoteIpAddress"] = HttpContext.Connection.RemoteIpAddress?.ToString()
+            }))
+            {
+                _logger.LogError("Client error ({ClientErrorType}) x{ClientCount} on {ClientUrl}: {ClientMessage} at {ClientSource}:{ClientLine}:{ClientColumn}",
+                    Truncate(report.Type) ?? "Unknown",
+                    Math.Max(report.Count, 1),
+                    Truncate(report.Url),
+                    Truncate(report.Message),
+                    Truncate(report.Source),
+                    report.Line,
+                    report.Column);
+            }
+        }
+
+        private void LogMetric(ClientMetricReport metric)
+        {
+            using (_logger.BeginScope(new Dictionary<string, object?>
+            {
+                ["ClientMetricId"] = Truncate(metric.Id),
+                ["ClientSampleRate"] = metric.SampleRate,
+                ["ClientTimestamp"] = metric.Timestamp,
+                ["UserAgent"] = Truncate(Request.Headers.UserAgent.ToString())
+            }))
+            {
+                _logger.LogInformation("Client performance {ClientMetric} on {ClientRoute}: p50 {P50} p75 {P75} p95 {P95} max {Max} {Unit} (n={Count})",
+                    Truncate(metric.Metric) ?? "unknown",
+                    Truncate(metric.Route) ?? "/",
+                    metric.P50,
+                    metric.P75,
+                    metric.P95,
+                    metric.Max,
+                    Truncate(metric.Unit) ?? "ms",
+                    metric.Count);
+            }
+        }
+
+        private static string? Truncate(string? value) =>
+            value != null && value.Length > MaxFieldLength ? value[..MaxFieldLength] : value;
+    }
+}
@@ -6,7 +6,8 @@ using BlazorCrudDemo.Shared.Models;
 namespace BlazorCrudDemo.Web.Hubs;
 
 /// <summary>
-/// SignalR hub for real-time communication between server and clients.
+/// SignalR hub for real-time communication between server and clients. Product and stock changes
+/// are sent by <see cref="Services.LiveUpdatePublisher"/> through IHubContext, never by clients.
 /// </summary>
 public class NotificationHub : Hub<INotificationClient>
 {
@@ -112,58 +113,6 @@ public class NotificationHub : Hub<INotificationClient>
         });
     }
 
-    /// <summary>
-    /// Notifies clients about a product creation.
-    /// </summary>
-    /// <param name="productDto">The created product.</param>
-    /// <returns>A task that represents the asynchronous operation.</returns>
-    public async Task NotifyProductCreatedAsync(ProductDto productDto)
-    {
-        _logger.LogInformation("Notifying clients about product creation: {ProductName}", productDto.Name);
-
-        await Clients.All.ReceiveProductUpdate(new ProductUpdateMessage
-        {
-            Action = UpdateAction.Created,
-            Product = productDto,
-            Timestamp = DateTime.UtcNow
-        });
-    }
-
-    /// <summary>
-    /// Notifies clients about a product update.
-    /// </summary>
-    /// <param name="productDto">The updated product.</param>
-    /// <returns>A task that represents the asynchronous operation.</returns>
-    public async Task NotifyProductUpdatedAsync(ProductDto productDto)
-    {
-        _logger.LogInformation("Notifying clients about product update: {ProductName}", productDto.Name);
-
-        await Clients.All.ReceiveProductUpdate(new ProductUpdateMessage
-        {
-            Action = UpdateAction.Updated,
-            Product = productDto,
-            Timestamp = DateTime.UtcNow
-        });
-    }
-
-    /// <summary>
-    /// Notifies clients about a product deletion.
-    /// </summary>
-    /// <param name="productId">The deleted product ID.</param>
-    /// <param name="productName">The deleted product name.</param>
-    /// <returns>A task that represents the asynchronous operation.</returns>
-    public async Task NotifyProductDeletedAsync(int productId, string productName)
-    {
-        _logger.LogInformation("Notifying clients about product deletion: {ProductName} (ID: {ProductId})", productName, productId);
-
-        await Clients.All.ReceiveProductUpdate(new ProductUpdateMessage
-        {
-            Action = UpdateAction.Deleted,
-            Product = new ProductDto { Id = productId, Name = productName },
-            Timestamp = DateTime.UtcNow
-        });
-    }
-
     /// <summary>
     /// Notifies clients about a category creation.
     /// </summary>
@@ -322,6 +271,13 @@ public interface INotificationClient
     /// <returns>A task that represents the asynchronous operation.</returns>
     Task ReceiveLowStockAlert(LowStockAlertMessage alert);
 
+    /// <summary>
+    /// Receives a stock level change.
+    /// </summary>
+    /// <param name="change">The stock changed message.</param>
+    /// <returns>A task that represents the asynchronous operation.</returns>
+    Task ReceiveStockChanged(StockChangedMessage change);
+
     /// <summary>
     /// Receives statistics update.
     /// </summary>
@@ -417,6 +373,37 @@ public class LowStockAlertMessage : BaseMessage
     public int AlertThreshold { get; set; }
 }
 
+/// <summary>
+/// Stock changed message.
+/// </summary>
+public class StockChangedMessage : BaseMessage
+{
+    /// <summary>
+    /// The product ID.
+    /// </summary>
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The product name.
+    /// </summary>
+    public string ProductName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The product's category ID.
+    /// </summary>
+    public int CategoryId { get; set; }
+
+    /// <summary>
+    /// The stock level before the change.
+    /// </summary>
+    public int PreviousStock { get; set; }
+
+    /// <summary>
+    /// The new stock level.
+    /// </summary>
+    public int NewStock { get; set; }
+}
+
 /// <summary>
 /// Statistics update message.
 /// </summary>
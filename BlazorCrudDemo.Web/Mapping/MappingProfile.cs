@@ -1,6 +1,7 @@
 using AutoMapper;
 using BlazorCrudDemo.Shared.DTOs;
 using BlazorCrudDemo.Shared.Models;
+using BlazorCrudDemo.Web.Utilities;
 
 namespace BlazorCrudDemo.Web.Mapping;
 
@@ -21,10 +22,7 @@ public class MappingProfile : Profile
             .ForMember(dto => dto.FormattedPrice, opt => opt.MapFrom(src => src.Price.ToString("C")))
             .ForMember(dto => dto.StockStatus, opt => opt.MapFrom(src => src.Stock > 0 ? $"{src.Stock} in stock" : "Out of stock"))
             .ForMember(dto => dto.AvailabilityStatus, opt => opt.MapFrom(src => src.IsActive ? "Active" : "Inactive"))
-            .ForMember(dto => dto.TruncatedDescription, opt => opt.MapFrom(src =>
-                src.Description != null && src.Description.Length > 100
-                    ? src.Description.Substring(0, 100) + "..."
-                    : src.Description));
+            .ForMember(dto => dto.TruncatedDescription, opt => opt.MapFrom(src => RichTextSanitizer.ToPreview(src.Description, 100)));
 
         CreateMap<ProductDto, Product>()
             .ForMember(dest => dest.Category, opt => opt.Ignore())
@@ -47,10 +47,11 @@ namespace BlazorCrudDemo.Web.Middleware
                 "default-src 'self'",
                 "script-src 'self' 'nonce-" + nonce + "' 'strict-dynamic' 'unsafe-eval' 'unsafe-inline' https: http:",
                 "style-src 'self' 'nonce-" + nonce + "' 'unsafe-inline' https: http:",
-                "img-src 'self' data: https: http:",
+                "img-src 'self' data: blob: https: http:",
                 "font-src 'self' https: http: data:",
                 "connect-src 'self' wss: ws: https: http: wss://localhost:5120 ws://localhost:5120 https://localhost:5120 http://localhost:5120",
                 "frame-src 'self' https: http:",
+                "worker-src 'self'",
                 "object-src 'none'",
                 "base-uri 'self'",
                 "form-action 'self'",
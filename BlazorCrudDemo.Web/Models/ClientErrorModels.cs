@@ -0,0 +1,68 @@
+using System;
+using System.Collections.Generic;
+
+namespace BlazorCrudDemo.Web.Models
+{
+    /// <summary>
+    /// Batch of browser errors and performance summaries posted by error-tracking.js to api/ClientErrors.
+    /// </summary>
+    public class ClientErrorBatch
+    {
+        public List<ClientErrorReport> Errors { get; set; } = new();
+        public List<ClientMetricReport> Metrics { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One grouped issue: every occurrence with the same fingerprint between FirstSeen and LastSeen.
+    /// </summary>
+    public class ClientErrorReport
+    {
+        public string? Id { get; set; }
+        public string? Fingerprint { get; set; }
+        public int Count { get; set; } = 1;
+        public DateTime? FirstSeen { get; set; }
+        public DateTime? LastSeen { get; set; }
+        public double SampleRate { get; set; } = 1;
+        public List<string>? Frames { get; set; }
+        public List<ClientBreadcrumb>? Breadcrumbs { get; set; }
+        public string? Type { get; set; }
+        public string? Message { get; set; }
+        public string? Stack { get; set; }
+        public string? Url { get; set; }
+        public string? Source { get; set; }
+        public int? Line { get; set; }
+        public int? Column { get; set; }
+        public string? UserAgent { get; set; }
+        public DateTime? Timestamp { get; set; }
+    }
+
+    /// <summary>
+    /// Something the user or app did shortly before an error: a navigation, click, interop call or connection change.
+    /// </summary>
+    public class ClientBreadcrumb
+    {
+        public DateTime? Timestamp { get; set; }
+        public string? Category { get; set; }
+        public string? Message { get; set; }
+        public Dictionary<string, string?>? Data { get; set; }
+    }
+
+    /// <summary>
+    /// Percentiles of one metric (e.g. "lcp", "inp", "interop.downloadFile") on one route, from performance-monitoring.js.
+    /// Unit is "ms", or "score" for CLS.
+    /// </summary>
+    public class ClientMetricReport
+    {
+        public string? Id { get; set; }
+        public string? Route { get; set; }
+        public string? Metric { get; set; }
+        public string? Unit { get; set; }
+        public int Count { get; set; }
+        public double P50 { get; set; }
+        public double P75 { get; set; }
+        public double P95 { get; set; }
+        public double Max { get; set; }
+        public double SampleRate { get; set; } = 1;
+        public DateTime? Timestamp { get; set; }
+    }
+}
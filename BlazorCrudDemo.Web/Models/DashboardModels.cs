@@ -45,6 +45,7 @@ namespace BlazorCrudDemo.Web.Models
 
     public class CategoryDistribution
     {
+        public int CategoryId { get; set; }
         public string Category { get; set; } = string.Empty;
         public int Count { get; set; }
     }
@@ -67,6 +68,92 @@ namespace BlazorCrudDemo.Web.Models
         public decimal Amount { get; set; }
     }
 
+    /// <summary>
+    /// Labels and series for a dashboard chart, passed to updateChart in dashboard-charts.js.
+    /// </summary>
+    public class ChartData
+    {
+        public List<string> Labels { get; set; } = new();
+
+        /// <summary>
+        /// Optional ids aligned with Labels, used to match live updates and returned on drill-down.
+        /// </summary>
+        public List<string>? Keys { get; set; }
+
+        public List<ChartSeries> Series { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Full chart definition passed to renderChart in dashboard-charts.js.
+    /// </summary>
+    public class ChartSpec : ChartData
+    {
+        public string Type { get; set; } = "line";
+        public string? Title { get; set; }
+        public string? ValueLabel { get; set; }
+    }
+
+    public class ChartSeries
+    {
+        public string Label { get; set; } = string.Empty;
+        public List<decimal> Data { get; set; } = new();
+        public string? Color { get; set; }
+        public List<string>? Colors { get; set; }
+    }
+
+    /// <summary>
+    /// Time series chart definition passed to renderTimeSeriesChart in dashboard-charts.js.
+    /// Events are bucketed client-side by day, week or month depending on the period.
+    /// </summary>
+    public class TimeSeriesChartSpec
+    {
+        public string Type { get; set; } = "line";
+        public string? Title { get; set; }
+        public string? ValueLabel { get; set; }
+        public int PeriodDays { get; set; } = 30;
+        public bool CompareToPrevious { get; set; }
+        public List<TimeSeriesSeries> Series { get; set; } = new();
+    }
+
+    public class TimeSeriesSeries
+    {
+        public string Label { get; set; } = string.Empty;
+        public string? Color { get; set; }
+        public List<ChartEvent> Events { get; set; } = new();
+    }
+
+    public class ChartEvent
+    {
+        public DateTime Timestamp { get; set; }
+        public decimal Value { get; set; } = 1;
+    }
+
+    /// <summary>
+    /// Chart point activated by click or keyboard, sent from dashboard-charts.js for drill-down.
+    /// Range dates are inclusive and only set for time series charts.
+    /// </summary>
+    public class ChartPointSelection
+    {
+        public string CanvasId { get; set; } = string.Empty;
+        public int DatasetIndex { get; set; }
+        public int Index { get; set; }
+        public string? Label { get; set; }
+        public string? Key { get; set; }
+        public decimal? Value { get; set; }
+        public DateTime? RangeStart { get; set; }
+        public DateTime? RangeEnd { get; set; }
+    }
+
+    /// <summary>
+    /// Notification hub events a chart follows, passed to enableLiveChartUpdates in dashboard-charts.js.
+    /// Event names: productCreated, productUpdated, productDeleted, stockChanged.
+    /// </summary>
+    public class ChartLiveUpdateOptions
+    {
+        public List<string> Events { get; set; } = new();
+        public int? MaxPoints { get; set; }
+    }
+
     public class LowStockItem
     {
         public int Id { get; set; }
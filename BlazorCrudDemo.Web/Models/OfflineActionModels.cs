@@ -0,0 +1,117 @@
+using System;
+using System.Text.Json;
+
+namespace BlazorCrudDemo.Web.Models
+{
+    /// <summary>
+    /// A product or category change kept in the browser's IndexedDB (wwwroot/js/offline-queue.js)
+    /// until it can be replayed by OfflineModeService.
+    /// </summary>
+    public class OfflineAction
+    {
+        public const string StatusPending = "pending";
+        public const string StatusConflict = "conflict";
+        public const string StatusRejected = "rejected";
+
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Position in the queue; actions are replayed in ascending order.
+        /// </summary>
+        public long Seq { get; set; }
+
+        /// <summary>
+        /// "product.create", "product.update", "product.delete", or the same for "category".
+        /// </summary>
+        public string Type { get; set; } = string.Empty;
+
+        public int? EntityId { get; set; }
+
+        /// <summary>
+        /// Id of the user who made the change; only they can have it replayed.
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Version of the entity the change was made against (OfflineActionProcessor.VersionOf).
+        /// </summary>
+        public string? BaseVersion { get; set; }
+
+        /// <summary>
+        /// What the user would call the entity, for the conflict list.
+        /// </summary>
+        public string? Label { get; set; }
+
+        /// <summary>
+        /// Changed fields by DTO property name. Values from forms are strings or booleans.
+        /// </summary>
+        public JsonElement? Data { get; set; }
+
+        public DateTime? QueuedAt { get; set; }
+
+        public string Status { get; set; } = StatusPending;
+
+        /// <summary>
+        /// Why the action is in conflict or was rejected.
+        /// </summary>
+        public string? Reason { get; set; }
+
+        /// <summary>
+        /// Version found on the server when the conflict was detected.
+        /// </summary>
+        public string? ServerVersion { get; set; }
+
+        /// <summary>
+        /// Set when the user chose to overwrite the server's version; skips the version check.
+        /// </summary>
+        public bool Force { get; set; }
+
+        public string EntityType => Type.Split('.')[0];
+
+        public string Operation => Type.Contains('.') ? Type[(Type.IndexOf('.') + 1)..] : Type;
+
+        /// <summary>
+        /// Actions with the same key touch the same entity and must be applied in order.
+        /// </summary>
+        public string EntityKey => EntityId.HasValue ? $"{EntityType}:{EntityId}" : $"{EntityType}:new:{Id}";
+    }
+
+    /// <summary>
+    /// How replaying an offline action went.
+    /// </summary>
+    public enum OfflineActionOutcome
+    {
+        /// <summary>The change was applied; the action is removed from the queue.</summary>
+        Applied,
+
+        /// <summary>The entity changed on the server since the action was queued; the user decides.</summary>
+        Conflict,
+
+        /// <summary>The change can never be applied (invalid, duplicate); the user can only discard it.</summary>
+        Rejected,
+
+        /// <summary>Something transient went wrong; the replay stops and is tried again later.</summary>
+        Failed
+    }
+
+    /// <summary>
+    /// Result of replaying one offline action.
+    /// </summary>
+    public class OfflineActionResult
+    {
+        public OfflineActionOutcome Outcome { get; set; }
+        public string? Reason { get; set; }
+        public string? ServerVersion { get; set; }
+
+        public static OfflineActionResult Applied() => new() { Outcome = OfflineActionOutcome.Applied };
+
+        public static OfflineActionResult Conflict(string reason, string? serverVersion) =>
+            new() { Outcome = OfflineActionOutcome.Conflict, Reason = reason, ServerVersion = serverVersion };
+
+        public static OfflineActionResult Rejected(string reason) =>
+            new() { Outcome = OfflineActionOutcome.Rejected, Reason = reason };
+
+        public static OfflineActionResult Failed(string reason) =>
+            new() { Outcome = OfflineActionOutcome.Failed, Reason = reason };
+    }
+}
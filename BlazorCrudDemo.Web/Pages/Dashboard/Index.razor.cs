@@ -4,6 +4,7 @@ using Microsoft.JSInterop;
 using System;
 using System.Collections.Generic;
 using System.Threading.Tasks;
+using System.Web;
 using BlazorCrudDemo.Web.Components.Dashboard;
 using BlazorCrudDemo.Web.Models;
 using BlazorCrudDemo.Web.Services;
@@ -12,13 +13,15 @@ using BlazorCrudDemo.Shared.DTOs;
 namespace BlazorCrudDemo.Web.Pages.Dashboard
 {
     // [Authorize] - Removed to disable authentication
-    public partial class Index : ComponentBase, IDisposable
+    public partial class Index : ComponentBase, IAsyncDisposable
     {
         [Inject] private ILogger<Index> Logger { get; set; } = default!;
         [Inject] private IJSRuntime JS { get; set; } = default!;
         [Inject] private NavigationManager Navigation { get; set; } = default!;
         // [Inject] private IAuthenticationService AuthenticationService { get; set; } = default!;
         [Inject] private IAuditService AuditService { get; set; } = default!;
+        [Inject] private ICategoryService CategoryService { get; set; } = default!;
+        [Inject] private IProductService ProductService { get; set; } = default!;
 
         private bool isLoading = true;
         private bool hasError = false;
@@ -27,6 +30,20 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
         private string? errorMessage;
         private DashboardStats stats = new();
         private List<ActivityItem> recentActivities = new();
+        private List<CategoryDistribution> categoryDistribution = new();
+        private List<ChartEvent> activityEvents = new();
+        private int activityPeriodDays = 30;
+        private bool compareToPreviousPeriod;
+        private bool chartsNeedRender;
+        private DotNetObjectReference<Index>? chartCallbackRef;
+
+        private const string ActivityChartId = "activityChart";
+        private const string CategoryChartId = "categoryChart";
+
+        // Number of --chart-series-N colours in dashboard.css. Charts and the category legend use the
+        // custom properties rather than hex values so both follow the active theme and palette.
+        private const int ChartSeriesColorCount = 8;
+
         // private ApplicationUserDto? currentUser; - Removed since auth is disabled
 
         private IQueryable<ActivityItem> FilteredActivities => recentActivities.AsQueryable()
@@ -101,10 +118,12 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
                 // Load data in parallel for better performance
                 await Task.WhenAll(
                     LoadStatsAsync(),
-                    LoadRecentActivitiesAsync()
+                    LoadRecentActivitiesAsync(),
+                    LoadChartDataAsync()
                 );
 
                 lastRefreshed = DateTime.Now;
+                chartsNeedRender = true;
                 hasError = false;
                 errorMessage = null;
                 isLoading = false; // Set loading to false after data loads
@@ -254,6 +273,228 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
             }
         }
 
+        // One after the other: both query the circuit's DbContext, which runs one query at a time
+        private async Task LoadChartDataAsync()
+        {
+            await LoadCategoryDistributionAsync();
+            await LoadProductActivityAsync();
+        }
+
+        private async Task LoadCategoryDistributionAsync()
+        {
+            try
+            {
+                var categories = await CategoryService.GetCategoriesWithProductCountsAsync();
+
+                categoryDistribution = categories
+                    .Where(c => c.ProductCount > 0)
+                    .OrderByDescending(c => c.ProductCount)
+                    .Select(c => new CategoryDistribution
+                    {
+                        CategoryId = c.Id,
+                        Category = c.Name ?? "Uncategorized",
+                        Count = c.ProductCount
+                    })
+                    .ToList();
+
+                Logger.LogInformation("Category distribution loaded: {Count} categories", categoryDistribution.Count);
+            }
+            catch (Exception ex)
+            {
+                Logger.LogError(ex, "Error loading category distribution");
+                throw;
+            }
+        }
+
+        private async Task LoadProductActivityAsync()
+        {
+            try
+            {
+                // Two periods are loaded so the previous-period comparison can be toggled without a reload
+                var since = DateTime.UtcNow.Date.AddDays(1 - activityPeriodDays * 2);
+                var dates = await ProductService.GetProductCreationDatesAsync(since);
+
+                activityEvents = dates.Select(date => new ChartEvent { Timestamp = date }).ToList();
+
+                Logger.LogInformation("Product activity loaded for the last {Days} days: {Count} products added", activityPeriodDays, activityEvents.Count);
+            }
+            catch (Exception ex)
+            {
+                Logger.LogError(ex, "Error loading product activity");
+                throw;
+            }
+        }
+
+        protected override async Task OnAfterRenderAsync(bool firstRender)
+        {
+            // The canvases only exist once loading has finished, so charts are drawn after that render
+            if (chartsNeedRender && !isLoading && !hasError)
+            {
+                chartsNeedRender = false;
+                await RenderChartsAsync();
+            }
+        }
+
+        private async Task RenderChartsAsync()
+        {
+            try
+            {
+                await JS.InvokeVoidAsync("renderTimeSeriesChart", ActivityChartId, BuildActivityChartSpec());
+                await JS.InvokeVoidAsync("renderChart", CategoryChartId, BuildCategoryChartSpec());
+
+                chartCallbackRef ??= DotNetObjectReference.Create(this);
+                await JS.InvokeVoidAsync("enableChartDrillDown", ActivityChartId, chartCallbackRef, nameof(OnChartPointActivated));
+                await JS.InvokeVoidAsync("enableChartDrillDown", CategoryChartId, chartCallbackRef, nameof(OnChartPointActivated));
+
+                // Pushed from the notification hub by LiveUpdatePublisher when products change
+                await JS.InvokeVoidAsync("enableLiveChartUpdates", CategoryChartId,
+                    new ChartLiveUpdateOptions { Events = new List<string> { "productCreated", "productDeleted" } });
+            }
+            catch (JSException ex)
+            {
+                Logger.LogError(ex, "Error rendering dashboard charts");
+            }
+        }
+
+        private TimeSeriesChartSpec BuildActivityChartSpec()
+        {
+            return new TimeSeriesChartSpec
+            {
+                Type = "line",
+                Title = "Product Activity",
+                ValueLabel = "products added",
+                PeriodDays = activityPeriodDays,
+                CompareToPrevious = compareToPreviousPeriod,
+                Series = new List<TimeSeriesSeries>
+                {
+                    new()
+                    {
+                        Label = "Products added",
+                        Color = GetChartSeriesColor(0),
+                        Events = activityEvents
+                    }
+                }
+            };
+        }
+
+        private ChartSpec BuildCategoryChartSpec()
+        {
+            return new ChartSpec
+            {
+                Type = "doughnut",
+                Title = "Category Distribution",
+                ValueLabel = "items",
+                Labels = categoryDistribution.Select(c => c.Category).ToList(),
+                Keys = categoryDistribution.Select(c => c.CategoryId.ToString()).ToList(),
+                Series = new List<ChartSeries>
+                {
+                    new()
+                    {
+                        Label = "Products",
+                        Data = categoryDistribution.Select(c => (decimal)c.Count).ToList(),
+                        Colors = categoryDistribution.Select((_, index) => GetCategoryColor(index)).ToList()
+                    }
+                }
+            };
+        }
+
+        private async Task OnActivityPeriodChanged(ChangeEventArgs e)
+        {
+            if (!int.TryParse(e.Value?.ToString(), out var days) || days == activityPeriodDays)
+                return;
+
+            activityPeriodDays = days;
+
+            try
+            {
+                await LoadProductActivityAsync();
+                await JS.InvokeVoidAsync("renderTimeSeriesChart", ActivityChartId, BuildActivityChartSpec());
+            }
+            catch (OperationCanceledException)
+            {
+                Logger.LogInformation("Activity period change was cancelled");
+            }
+            catch (Exception ex)
+            {
+                Logger.LogError(ex, "Error changing activity period to {Days} days", days);
+            }
+        }
+
+        private async Task OnCompareToPreviousChanged(ChangeEventArgs e)
+        {
+            compareToPreviousPeriod = e.Value is bool isChecked && isChecked;
+
+            try
+            {
+                await JS.InvokeVoidAsync("renderTimeSeriesChart", ActivityChartId, BuildActivityChartSpec());
+            }
+            catch (JSException ex)
+            {
+                Logger.LogError(ex, "Error toggling previous period comparison");
+            }
+        }
+
+        private string ActivityPeriodDescription => activityPeriodDays switch
+        {
+            <= 31 => $"Daily products added over the last {activityPeriodDays} days",
+            <= 180 => $"Weekly products added over the last {activityPeriodDays} days",
+            _ => $"Monthly products added over the last {activityPeriodDays} days"
+        };
+
+        /// <summary>
+        /// Called from dashboard-charts.js when a chart point is clicked or activated from the keyboard.
+        /// Opens the product search with the matching category or date range applied.
+        /// </summary>
+        [JSInvokable]
+        public Task OnChartPointActivated(ChartPointSelection selection)
+        {
+            var search = new ProductSearchModel();
+
+            if (selection.CanvasId == CategoryChartId)
+            {
+                // Categories added by live updates are only known by key
+                if (!int.TryParse(selection.Key, out var categoryId))
+                {
+                    var category = categoryDistribution.ElementAtOrDefault(selection.Index);
+                    if (category == null)
+                        return Task.CompletedTask;
+
+                    categoryId = category.CategoryId;
+                }
+
+                search.CategoryIds = new List<int> { categoryId };
+            }
+            else if (selection.CanvasId == ActivityChartId)
+            {
+                if (selection.RangeStart == null || selection.RangeEnd == null)
+                    return Task.CompletedTask;
+
+                search.CreatedAfter = selection.RangeStart.Value.Date;
+                search.CreatedBefore = selection.RangeEnd.Value.Date;
+            }
+            else
+            {
+                return Task.CompletedTask;
+            }
+
+            Logger.LogInformation("Drilling down from {Chart} point '{Label}' into product search", selection.CanvasId, selection.Label);
+
+            // Same URL format Products/Search.razor writes for its own filters
+            var json = System.Text.Json.JsonSerializer.Serialize(search);
+            Navigation.NavigateTo($"/products/search/{HttpUtility.UrlEncode(json)}");
+            return Task.CompletedTask;
+        }
+
+        private static string GetChartSeriesColor(int index) => $"var(--chart-series-{index % ChartSeriesColorCount + 1})";
+
+        private static string GetCategoryColor(int index) => GetChartSeriesColor(index);
+
+        private int GetCategoryPercentage(CategoryDistribution item)
+        {
+            var total = categoryDistribution.Sum(c => c.Count);
+            return total == 0 ? 0 : (int)Math.Round(item.Count * 100.0 / total);
+        }
+
         private async Task RefreshDashboard()
         {
             if (isLoading)
@@ -273,9 +514,6 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
             {
                 await LoadDashboardDataAsync();
                 Logger.LogInformation("Dashboard refreshed successfully");
-
-                // Refresh charts after data update
-                await InvokeAsync(async () => await JS.InvokeVoidAsync("refreshCharts"));
             }
             catch (OperationCanceledException)
             {
@@ -445,7 +683,7 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
 
         #region Cleanup
 
-        public void Dispose()
+        public async ValueTask DisposeAsync()
         {
             try
             {
@@ -456,6 +694,12 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
                 // Stop auto-refresh timer
                 StopAutoRefresh();
 
+                if (chartCallbackRef != null)
+                {
+                    await DisposeChartsAsync();
+                    chartCallbackRef.Dispose();
+                }
+
                 Logger.LogInformation("Dashboard component disposed");
             }
             catch (Exception ex)
@@ -464,6 +708,25 @@ namespace BlazorCrudDemo.Web.Pages.Dashboard
             }
         }
 
+        // Drill-down calls back through chartCallbackRef and live updates keep redrawing, so both are
+        // switched off with the charts before the reference is disposed
+        private async Task DisposeChartsAsync()
+        {
+            try
+            {
+                foreach (var canvasId in new[] { ActivityChartId, CategoryChartId })
+                {
+                    await JS.InvokeVoidAsync("disableChartDrillDown", canvasId);
+                    await JS.InvokeVoidAsync("disableLiveChartUpdates", canvasId);
+                    await JS.InvokeVoidAsync("destroyChart", canvasId);
+                }
+            }
+            catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+            {
+                // The circuit is already gone
+            }
+        }
+
         #endregion
     }
 
@@ -2,6 +2,7 @@ using BlazorCrudDemo.Shared.DTOs;
 using BlazorCrudDemo.Web.Services;
 using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Components.Web;
+using Microsoft.Extensions.Logging;
 using Microsoft.JSInterop;
 using System.Text.Json;
 
@@ -13,6 +14,12 @@ public partial class ProductListPage : ComponentBase, IDisposable
     [Inject] private ICategoryService CategoryService { get; set; } = default!;
     [Inject] private IJSRuntime JSRuntime { get; set; } = default!;
     [Inject] private NavigationManager Navigation { get; set; } = default!;
+    [Inject] private CrossTabSyncService CrossTabSync { get; set; } = default!;
+    [Inject] private OfflineModeService OfflineModeService { get; set; } = default!;
+    [Inject] private NotificationCenterService Notifications { get; set; } = default!;
+    [Inject] private KeyboardShortcutService KeyboardShortcuts { get; set; } = default!;
+    [Inject] private ClientExportService ClientExport { get; set; } = default!;
+    [Inject] private ILogger<ProductListPage> Logger { get; set; } = default!;
 
     // View State
     private string ViewMode { get; set; } = "table";
@@ -39,6 +46,11 @@ public partial class ProductListPage : ComponentBase, IDisposable
     private bool IsLoading { get; set; } = true;
     private bool HasActiveFilters => !string.IsNullOrEmpty(SearchTerm) || SelectedCategoryId.HasValue;
 
+    // Set when another tab changed products while this one was mid-task (selection or open modal)
+    private bool IsStale { get; set; }
+    private readonly List<IAsyncDisposable> _tabSubscriptions = new();
+    private IAsyncDisposable? _shortcutRegistration;
+
     // Modals
     private bool ShowDeleteModal { get; set; }
     private bool ShowBulkDeleteModal { get; set; }
@@ -54,14 +66,60 @@ public partial class ProductListPage : ComponentBase, IDisposable
 
             // Load initial products
             await LoadProductsAsync();
+        }
+        catch (Exception ex)
+        {
+            await ShowToast("Initialization Error", $"Failed to initialize products page: {ex.Message}", ToastType.Error);
+        }
+    }
+
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        if (firstRender)
+        {
+            try
+            {
+                _tabSubscriptions.Add(await CrossTabSync.SubscribeAsync<EntityChangedMessage>(
+                    CrossTabSyncService.ProductsChangedTopic, _ => InvokeAsync(OnChangedInAnotherTabAsync)));
+                _tabSubscriptions.Add(await CrossTabSync.SubscribeAsync<EntityChangedMessage>(
+                    CrossTabSyncService.CategoriesChangedTopic, _ => InvokeAsync(async () =>
+                    {
+                        await LoadCategoriesAsync();
+                        await OnChangedInAnotherTabAsync();
+                    })));
+            }
+            catch (Exception ex)
+            {
+                Logger.LogWarning(ex, "Failed to subscribe to changes from other tabs");
+            }
 
-            // Setup keyboard shortcuts
             await SetupKeyboardShortcuts();
         }
-        catch (Exception ex)
+    }
+
+    private async Task OnChangedInAnotherTabAsync()
+    {
+        // Reloading would throw away the user's selection or the item behind an open modal
+        if (SelectedProducts.Any() || ShowDeleteModal || ShowBulkDeleteModal)
         {
-            await ShowToast("Initialization Error", $"Failed to initialize products page: {ex.Message}", "danger");
+            IsStale = true;
+            StateHasChanged();
+            return;
         }
+
+        await LoadProductsAsync();
+    }
+
+    private async Task RefreshStaleList()
+    {
+        SelectedProducts.Clear();
+        await LoadProductsAsync();
+    }
+
+    private Task PublishProductsChangedAsync(string action, IEnumerable<int> ids)
+    {
+        return CrossTabSync.PublishAsync(CrossTabSyncService.ProductsChangedTopic,
+            new EntityChangedMessage { Action = action, Ids = ids.ToList() });
     }
 
     private async Task LoadCategoriesAsync()
@@ -69,10 +127,11 @@ public partial class ProductListPage : ComponentBase, IDisposable
         try
         {
             Categories = (await CategoryService.GetCategoriesAsync()).ToList();
+            await OfflineModeService.CacheCategoriesAsync(Categories);
         }
         catch (Exception ex)
         {
-            await ShowToast("Error loading categories", ex.Message, "danger");
+            await ShowToast("Error loading categories", ex.Message, ToastType.Error);
         }
     }
 
@@ -92,16 +151,20 @@ public partial class ProductListPage : ComponentBase, IDisposable
 
             _products = (result.Items ?? Enumerable.Empty<ProductDto>()).ToList();
             TotalCount = result.TotalCount;
+
+            // Keep what the user has seen browsable offline
+            await OfflineModeService.CacheProductsAsync(_products);
         }
         catch (Exception ex)
         {
-            await ShowToast("Error loading products", ex.Message, "danger");
+            await ShowToast("Error loading products", ex.Message, ToastType.Error);
             _products.Clear();
             TotalCount = 0;
         }
         finally
         {
             IsLoading = false;
+            IsStale = false;
             StateHasChanged();
         }
     }
@@ -110,7 +173,21 @@ public partial class ProductListPage : ComponentBase, IDisposable
     {
         try
         {
-            await JSRuntime.InvokeVoidAsync("setupProductsKeyboardShortcuts", DotNetObjectReference.Create(this));
+            _shortcutRegistration = await KeyboardShortcuts.RegisterAsync(KeyboardShortcutService.PageScope, new[]
+            {
+                new KeyboardShortcut("products.new", "n", "New product"),
+                new KeyboardShortcut("products.search", "/", "Search products") { Focus = "#product-search" },
+                new KeyboardShortcut("products.select-all", "shift+a", "Select or deselect all products"),
+                new KeyboardShortcut("products.delete", "delete", "Delete selected products"),
+                new KeyboardShortcut("products.clear-search", "escape", "Clear search"),
+                new KeyboardShortcut("products.clear-filters", "shift+c", "Clear search, category and sorting"),
+                new KeyboardShortcut("products.export-csv", "shift+e", "Export selected products to CSV"),
+                new KeyboardShortcut("products.export-excel", "shift+x", "Export selected products to Excel")
+            }, shortcut => InvokeAsync(async () =>
+            {
+                await HandleKeyboardShortcut(shortcut);
+                StateHasChanged();
+            }));
         }
         catch (Exception ex)
         {
@@ -197,13 +274,22 @@ public partial class ProductListPage : ComponentBase, IDisposable
 
         try
         {
-            await ProductService.DeleteProductAsync(ProductToDelete.Id);
-            await ShowToast("Product Deleted", $"{ProductToDelete.Name} has been deleted successfully.", "success");
+            var deleted = ProductToDelete;
+            await ProductService.DeleteProductAsync(deleted.Id);
+            await PublishProductsChangedAsync("deleted", new[] { deleted.Id });
+            await Notifications.ShowAsync(new ToastNotification
+            {
+                Type = ToastType.Success,
+                Title = "Product Deleted",
+                Message = $"{deleted.Name} has been deleted successfully.",
+                Duration = 10000,
+                Actions = { new NotificationAction("undo", "Undo delete") }
+            }, _ => InvokeAsync(() => UndoDeleteAsync(deleted)));
             await LoadProductsAsync();
         }
         catch (Exception ex)
         {
-            await ShowToast("Delete Failed", ex.Message, "danger");
+            await ShowToast("Delete Failed", ex.Message, ToastType.Error);
         }
         finally
         {
@@ -212,11 +298,31 @@ public partial class ProductListPage : ComponentBase, IDisposable
         }
     }
 
+    private async Task UndoDeleteAsync(ProductDto product)
+    {
+        try
+        {
+            if (await ProductService.RestoreProductAsync(product.Id) == null)
+            {
+                await ShowToast("Undo Failed", $"{product.Name} could not be found.", ToastType.Error);
+                return;
+            }
+
+            await PublishProductsChangedAsync("created", new[] { product.Id });
+            await ShowToast("Delete Undone", $"{product.Name} has been restored.", ToastType.Info);
+            await LoadProductsAsync();
+        }
+        catch (Exception ex)
+        {
+            await ShowToast("Undo Failed", ex.Message, ToastType.Error);
+        }
+    }
+
     private void ShowBulkDeleteConfirmation()
     {
         if (!SelectedProducts.Any())
         {
-            _ = ShowToast("No Selection", "Please select products to delete.", "warning");
+            _ = ShowToast("No Selection", "Please select products to delete.", ToastType.Warning);
             return;
         }
 
@@ -239,7 +345,7 @@ public partial class ProductListPage : ComponentBase, IDisposable
 
         try
         {
-            var deletedCount = 0;
+            var deletedIds = new List<int>();
             var errors = new List<string>();
 
             foreach (var productId in SelectedProducts)
@@ -248,7 +354,7 @@ public partial class ProductListPage : ComponentBase, IDisposable
                 {
                     var success = await ProductService.DeleteProductAsync(productId);
                     if (success)
-                        deletedCount++;
+                        deletedIds.Add(productId);
                     else
                         errors.Add($"Failed to delete product ID {productId}");
                 }
@@ -258,14 +364,15 @@ public partial class ProductListPage : ComponentBase, IDisposable
                 }
             }
 
-            if (deletedCount > 0)
+            if (deletedIds.Count > 0)
             {
-                await ShowToast("Products Deleted", $"{deletedCount} products have been deleted successfully.", "success");
+                await PublishProductsChangedAsync("deleted", deletedIds);
+                await ShowToast("Products Deleted", $"{deletedIds.Count} products have been deleted successfully.", ToastType.Success);
             }
 
             if (errors.Any())
             {
-                await ShowToast("Some Deletions Failed", string.Join("\n", errors), "warning");
+                await ShowToast("Some Deletions Failed", string.Join("\n", errors), ToastType.Warning);
             }
 
             SelectedProducts.Clear();
@@ -273,7 +380,7 @@ public partial class ProductListPage : ComponentBase, IDisposable
         }
         catch (Exception ex)
         {
-            await ShowToast("Bulk Delete Failed", ex.Message, "danger");
+            await ShowToast("Bulk Delete Failed", ex.Message, ToastType.Error);
         }
         finally
         {
@@ -315,35 +422,20 @@ public partial class ProductListPage : ComponentBase, IDisposable
             var productsToExport = _products.Where(p => SelectedProducts.Contains(p.Id)).ToList();
             if (!productsToExport.Any())
             {
-                await ShowToast("No Selection", "Please select products to export.", "warning");
+                await ShowToast("No Selection", "Please select products to export.", ToastType.Warning);
                 return;
             }
 
-            var csvContent = GenerateCsvContent(productsToExport);
             var fileName = $"products_export_{DateTime.Now:yyyyMMdd_HHmmss}.csv";
-
-            await JSRuntime.InvokeVoidAsync("downloadFile", fileName, "text/csv", csvContent);
-            await ShowToast("Export Complete", $"Exported {productsToExport.Count} products to CSV.", "success");
+            await ClientExport.ExportCsvAsync(fileName, GetExportColumns(), productsToExport);
+            await ShowToast("Export Complete", $"Exported {productsToExport.Count} products to CSV.", ToastType.Success);
         }
         catch (Exception ex)
         {
-            await ShowToast("Export Failed", ex.Message, "danger");
+            await ShowToast("Export Failed", ex.Message, ToastType.Error);
         }
     }
 
-    private string GenerateCsvContent(List<ProductDto> products)
-    {
-        var sb = new System.Text.StringBuilder();
-        sb.AppendLine("Name,SKU,Category,Price,Stock,Status,Created Date");
-
-        foreach (var product in products)
-        {
-            sb.AppendLine($"\"{product.Name}\",\"{product.SKU}\",\"{product.CategoryName}\",\"{product.Price}\",\"{product.Stock}\",\"{product.AvailabilityStatus}\",\"{product.CreatedDate:yyyy-MM-dd}\"");
-        }
-
-        return sb.ToString();
-    }
-
     private async Task ExportToExcel()
     {
         try
@@ -351,24 +443,31 @@ public partial class ProductListPage : ComponentBase, IDisposable
             var productsToExport = _products.Where(p => SelectedProducts.Contains(p.Id)).ToList();
             if (!productsToExport.Any())
             {
-                await ShowToast("No Selection", "Please select products to export.", "warning");
+                await ShowToast("No Selection", "Please select products to export.", ToastType.Warning);
                 return;
             }
 
-            // In a real implementation, you would generate Excel file
-            // For now, we'll export as CSV with .xlsx extension
-            var csvContent = GenerateCsvContent(productsToExport);
             var fileName = $"products_export_{DateTime.Now:yyyyMMdd_HHmmss}.xlsx";
-
-            await JSRuntime.InvokeVoidAsync("downloadFile", fileName, "application/vnd.ms-excel", csvContent);
-            await ShowToast("Export Complete", $"Exported {productsToExport.Count} products to Excel.", "success");
+            await ClientExport.ExportXlsxAsync(fileName, "Products", GetExportColumns(), productsToExport);
+            await ShowToast("Export Complete", $"Exported {productsToExport.Count} products to Excel.", ToastType.Success);
         }
         catch (Exception ex)
         {
-            await ShowToast("Export Failed", ex.Message, "danger");
+            await ShowToast("Export Failed", ex.Message, ToastType.Error);
         }
     }
 
+    private static List<ExportColumn<ProductDto>> GetExportColumns() => new()
+    {
+        ExportColumn<ProductDto>.Text("Name", p => p.Name),
+        ExportColumn<ProductDto>.Text("SKU", p => p.SKU),
+        ExportColumn<ProductDto>.Text("Category", p => p.CategoryName),
+        ExportColumn<ProductDto>.Currency("Price", p => p.Price),
+        ExportColumn<ProductDto>.Integer("Stock", p => p.Stock),
+        ExportColumn<ProductDto>.Text("Status", p => p.AvailabilityStatus),
+        ExportColumn<ProductDto>.Date("Created Date", p => p.CreatedDate)
+    };
+
     private void GoToPage(int page)
     {
         if (page < 1 || page > TotalPages) return;
@@ -430,17 +529,9 @@ public partial class ProductListPage : ComponentBase, IDisposable
         };
     }
 
-    private async Task ShowToast(string title, string message, string type)
+    private Task ShowToast(string title, string message, ToastType type)
     {
-        try
-        {
-            await JSRuntime.InvokeVoidAsync("showToast", title, message, type);
-        }
-        catch (Exception)
-        {
-            // Fallback if toast service isn't available
-            Console.WriteLine($"Toast: {title} - {message}");
-        }
+        return Notifications.ShowAsync(new ToastNotification { Type = type, Title = title, Message = message });
     }
 
     private void HandleSearchKeyDown(KeyboardEventArgs e)
@@ -493,7 +584,7 @@ public partial class ProductListPage : ComponentBase, IDisposable
         }
         catch (Exception)
         {
-            await ShowToast("Error loading more products", "Failed to load more products", "danger");
+            await ShowToast("Error loading more products", "Failed to load more products", ToastType.Error);
         }
         finally
         {
@@ -503,37 +594,36 @@ public partial class ProductListPage : ComponentBase, IDisposable
     }
 
     // Keyboard Shortcuts Handler
-    [JSInvokable]
-    public async Task HandleKeyboardShortcut(string shortcut)
+    private async Task HandleKeyboardShortcut(string shortcut)
     {
         switch (shortcut)
         {
-            case "delete":
+            case "products.delete":
                 if (SelectedProducts.Any())
                 {
                     ShowBulkDeleteConfirmation();
                 }
                 else
                 {
-                    await ShowToast("No Selection", "Please select products to delete.", "info");
+                    await ShowToast("No Selection", "Please select products to delete.", ToastType.Info);
                 }
                 break;
-            case "new":
+            case "products.new":
                 NavigateToCreate();
                 break;
-            case "select-all":
+            case "products.select-all":
                 ToggleSelectAll();
                 break;
-            case "clear-search":
+            case "products.clear-search":
                 ClearSearch();
                 break;
-            case "clear-filters":
+            case "products.clear-filters":
                 ClearAllFilters();
                 break;
-            case "export-csv":
+            case "products.export-csv":
                 await ExportSelectedToCsv();
                 break;
-            case "export-excel":
+            case "products.export-excel":
                 await ExportToExcel();
                 break;
         }
@@ -542,5 +632,10 @@ public partial class ProductListPage : ComponentBase, IDisposable
     public void Dispose()
     {
         _searchTimer?.Dispose();
+        _ = _shortcutRegistration?.DisposeAsync();
+        foreach (var subscription in _tabSubscriptions)
+        {
+            _ = subscription.DisposeAsync();
+        }
     }
 }
@@ -559,6 +559,7 @@ builder.Services.AddValidatorsFromAssembly(Assembly.GetExecutingAssembly());
 
 // Register services
 builder.Services.AddScoped<IProductService, ProductService>();
+builder.Services.AddSingleton<LiveUpdatePublisher>();
 // Application services
 builder.Services.AddScoped<ICategoryService, CategoryService>();
 builder.Services.AddScoped<INotificationService, NotificationService>();
@@ -581,7 +582,13 @@ builder.Services.AddSession(options =>
 builder.Services.AddScoped<ErrorNotificationService>();
 builder.Services.AddScoped<ErrorRecoveryService>();
 builder.Services.AddScoped<NetworkStatusService>();
+builder.Services.AddScoped<ConnectionStateService>();
+builder.Services.AddScoped<CrossTabSyncService>();
+builder.Services.AddScoped<KeyboardShortcutService>();
+builder.Services.AddScoped<NotificationCenterService>();
+builder.Services.AddScoped<ClientExportService>();
 builder.Services.AddScoped<OfflineModeService>();
+builder.Services.AddScoped<OfflineActionProcessor>();
 builder.Services.AddScoped<ErrorRecoveryGuidanceService>();
 
 // Register authentication services
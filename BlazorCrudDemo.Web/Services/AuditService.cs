@@ -156,11 +156,12 @@ namespace BlazorCrudDemo.Web.Services
         }
 
         public async Task<List<AuditLog>> GetAuditLogsAsync(int page = 1, int pageSize = 50, string? userId = null,
-                                                          string? entityType = null, DateTime? startDate = null, DateTime? endDate = null)
+                                                          string? entityType = null, DateTime? startDate = null, DateTime? endDate = null,
+                                                          string? action = null)
         {
             try
             {
-                var query = _context.AuditLogs.AsQueryable();
+                var query = _context.AuditLogs.AsNoTracking();
 
                 if (!string.IsNullOrEmpty(userId))
                     query = query.Where(a => a.UserId == userId);
@@ -168,6 +169,9 @@ namespace BlazorCrudDemo.Web.Services
                 if (!string.IsNullOrEmpty(entityType))
                     query = query.Where(a => a.EntityType == entityType);
 
+                if (!string.IsNullOrEmpty(action))
+                    query = query.Where(a => a.Action == action);
+
                 if (startDate.HasValue)
                     query = query.Where(a => a.Timestamp >= startDate.Value);
 
@@ -176,6 +180,7 @@ namespace BlazorCrudDemo.Web.Services
 
                 return await query
                     .OrderByDescending(a => a.Timestamp)
+                    .ThenByDescending(a => a.Id)
                     .Skip((page - 1) * pageSize)
                     .Take(pageSize)
                     .ToListAsync();
@@ -194,6 +199,7 @@ namespace BlazorCrudDemo.Web.Services
                 return await _context.UserActivities
                     .Where(a => a.UserId == userId)
                     .OrderByDescending(a => a.Timestamp)
+                    .ThenByDescending(a => a.Id)
                     .Skip((page - 1) * pageSize)
                     .Take(pageSize)
                     .ToListAsync();
@@ -224,7 +230,7 @@ namespace BlazorCrudDemo.Web.Services
         }
 
         public async Task<int> GetAuditLogCountAsync(string? userId = null, string? entityType = null,
-                                                   DateTime? startDate = null, DateTime? endDate = null)
+                                                   DateTime? startDate = null, DateTime? endDate = null, string? action = null)
         {
             try
             {
@@ -236,6 +242,9 @@ namespace BlazorCrudDemo.Web.Services
                 if (!string.IsNullOrEmpty(entityType))
                     query = query.Where(a => a.EntityType == entityType);
 
+                if (!string.IsNullOrEmpty(action))
+                    query = query.Where(a => a.Action == action);
+
                 if (startDate.HasValue)
                     query = query.Where(a => a.Timestamp >= startDate.Value);
 
@@ -27,6 +27,7 @@ namespace BlazorCrudDemo.Web.Services
         private readonly IAuditService _auditService;
         private readonly IHttpContextAccessor _httpContextAccessor;
         private readonly AuthenticationStateProvider _authenticationStateProvider;
+        private readonly CrossTabSyncService? _crossTabSync;
         
         /// <summary>
         /// Event that fires when authentication state changes (login/logout).
@@ -51,7 +52,8 @@ namespace BlazorCrudDemo.Web.Services
             ILogger<AuthenticationService> logger,
             IAuditService auditService,
             AuthenticationStateProvider authenticationStateProvider,
-            IHttpContextAccessor httpContextAccessor)
+            IHttpContextAccessor httpContextAccessor,
+            CrossTabSyncService? crossTabSync = null)
         {
             _userManager = userManager;
             _signInManager = signInManager;
@@ -60,6 +62,7 @@ namespace BlazorCrudDemo.Web.Services
             _auditService = auditService;
             _httpContextAccessor = httpContextAccessor;
             _authenticationStateProvider = authenticationStateProvider;
+            _crossTabSync = crossTabSync;
         }
 
         public async Task<AuthResult> LoginAsync(LoginDto loginDto)
@@ -286,6 +289,13 @@ namespace BlazorCrudDemo.Web.Services
 
         public async Task<AuthResult> LogoutAsync()
         {
+            // Send the user's other tabs to the login page first, whatever happens below: inside a
+            // circuit there is no HTTP response to write, so SignOutAsync fails there
+            if (_crossTabSync != null)
+            {
+                await _crossTabSync.PublishAsync(CrossTabSyncService.LogoutTopic);
+            }
+
             try
             {
                 var user = await GetCurrentUserAsync();
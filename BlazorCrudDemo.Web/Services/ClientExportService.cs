@@ -0,0 +1,268 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Json;
+using Microsoft.JSInterop;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// Builds CSV and .xlsx downloads for the browser (wwwroot/js/exports.js). Content is handed over
+/// as a <see cref="DotNetStreamReference"/>, which Blazor sends in chunks, so large exports neither
+/// block the circuit nor run into SignalR's message size limit. Workbooks are assembled in the
+/// browser from typed rows; there is no spreadsheet library on the server.
+/// </summary>
+public class ClientExportService
+{
+    public const string CsvContentType = "text/csv";
+
+    // Streaming thousands of rows takes longer than the default interop timeout on slow connections
+    private static readonly TimeSpan ExportTimeout = TimeSpan.FromMinutes(5);
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Serilog.ILogger _logger;
+
+    public ClientExportService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = Log.ForContext<ClientExportService>();
+    }
+
+    /// <summary>
+    /// Downloads <paramref name="content"/> as <paramref name="fileName"/>. The stream is read from
+    /// its current position and disposed once sent.
+    /// </summary>
+    public async Task DownloadAsync(string fileName, string contentType, Stream content)
+    {
+        using var streamReference = new DotNetStreamReference(content, leaveOpen: false);
+        await _jsRuntime.InvokeVoidAsync("downloadFile", ExportTimeout, fileName, contentType, streamReference);
+    }
+
+    /// <summary>
+    /// Downloads <paramref name="items"/> as a UTF-8 CSV file with a header row.
+    /// </summary>
+    public async Task<int> ExportCsvAsync<T>(string fileName, IReadOnlyList<ExportColumn<T>> columns, IEnumerable<T> items)
+    {
+        var stream = new MemoryStream();
+        var count = 0;
+
+        // The byte order mark tells Excel the file is UTF-8
+        await using (var writer = new StreamWriter(stream, new UTF8Encoding(encoderShouldEmitUTF8Identifier: true), leaveOpen: true))
+        {
+            await writer.WriteLineAsync(string.Join(",", columns.Select(c => EscapeCsv(c.Header))));
+            foreach (var item in items)
+            {
+                await writer.WriteLineAsync(string.Join(",", columns.Select(c => EscapeCsv(FormatCsvValue(c, c.Value(item))))));
+                count++;
+            }
+        }
+
+        stream.Position = 0;
+        await DownloadAsync(fileName, CsvContentType, stream);
+        _logger.Information("Exported {Count} rows to {FileName}", count, fileName);
+        return count;
+    }
+
+    /// <summary>
+    /// Downloads <paramref name="items"/> as an .xlsx workbook with one sheet named
+    /// <paramref name="sheetName"/>, a header row and a cell type per column.
+    /// </summary>
+    public async Task<int> ExportXlsxAsync<T>(string fileName, string sheetName, IReadOnlyList<ExportColumn<T>> columns, IEnumerable<T> items)
+    {
+        // One JSON array per row (NDJSON), so exports.js can write rows while the stream arrives
+        var stream = new MemoryStream();
+        var count = 0;
+        using (var writer = new Utf8JsonWriter(stream))
+        {
+            foreach (var item in items)
+            {
+                writer.WriteStartArray();
+                foreach (var column in columns)
+                {
+                    WriteJsonValue(writer, column, column.Value(item));
+                }
+                writer.WriteEndArray();
+                writer.Flush();
+                stream.WriteByte((byte)'\n');
+                writer.Reset();
+                count++;
+            }
+        }
+
+        var sheet = new
+        {
+            Name = sheetName,
+            Columns = columns.Select(c => new { c.Header, Type = c.Type.ToString().ToLowerInvariant(), c.Format })
+        };
+
+        stream.Position = 0;
+        using var streamReference = new DotNetStreamReference(stream, leaveOpen: false);
+        await _jsRuntime.InvokeAsync<int>("blazorCrudDemo.exports.xlsx", ExportTimeout, fileName, sheet, streamReference);
+        _logger.Information("Exported {Count} rows to {FileName}", count, fileName);
+        return count;
+    }
+
+    private static void WriteJsonValue<T>(Utf8JsonWriter writer, ExportColumn<T> column, object? value)
+    {
+        if (value != null && column.Type == ExportColumnType.Text)
+        {
+            writer.WriteStringValue(Convert.ToString(value, CultureInfo.CurrentCulture));
+            return;
+        }
+
+        switch (value)
+        {
+            case null:
+                writer.WriteNullValue();
+                break;
+            case bool flag:
+                writer.WriteBooleanValue(flag);
+                break;
+            case DateTime date:
+                writer.WriteStringValue(date.ToString("yyyy-MM-ddTHH:mm:ss", CultureInfo.InvariantCulture));
+                break;
+            case DateTimeOffset date:
+                writer.WriteStringValue(date.ToString("yyyy-MM-ddTHH:mm:ss", CultureInfo.InvariantCulture));
+                break;
+            case DateOnly date:
+                writer.WriteStringValue(date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture));
+                break;
+            case decimal number:
+                writer.WriteNumberValue(number);
+                break;
+            case double number when double.IsFinite(number):
+                writer.WriteNumberValue(number);
+                break;
+            case float number when float.IsFinite(number):
+                writer.WriteNumberValue(number);
+                break;
+            case int or long or short or byte:
+                writer.WriteNumberValue(Convert.ToInt64(value, CultureInfo.InvariantCulture));
+                break;
+            default:
+                writer.WriteStringValue(Convert.ToString(value, CultureInfo.CurrentCulture));
+                break;
+        }
+    }
+
+    private static string FormatCsvValue<T>(ExportColumn<T> column, object? value) => value switch
+    {
+        null => string.Empty,
+        bool flag => flag ? "Yes" : "No",
+        DateTime date => date.ToString(column.IncludesTime ? "yyyy-MM-dd HH:mm" : "yyyy-MM-dd", CultureInfo.InvariantCulture),
+        DateTimeOffset date => date.ToString(column.IncludesTime ? "yyyy-MM-dd HH:mm" : "yyyy-MM-dd", CultureInfo.InvariantCulture),
+        DateOnly date => date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+        IFormattable number when column.Type != ExportColumnType.Text => number.ToString(null, CultureInfo.InvariantCulture),
+        _ => Convert.ToString(value, CultureInfo.CurrentCulture) ?? string.Empty
+    };
+
+    // RFC 4180: fields with commas, quotes or line breaks are quoted, with quotes doubled
+    private static string EscapeCsv(string value)
+    {
+        return value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0
+            ? $"\"{value.Replace("\"", "\"\"")}\""
+            : value;
+    }
+}
+
+/// <summary>
+/// Cell type of an exported column; decides how the value is written to a workbook.
+/// </summary>
+public enum ExportColumnType
+{
+    Text,
+    Number,
+    Integer,
+    Currency,
+    Date,
+    Boolean
+}
+
+/// <summary>
+/// A column for <see cref="ClientExportService"/>, e.g. ExportColumn&lt;ProductDto&gt;.Currency("Price", p => p.Price).
+/// </summary>
+public class ExportColumn<T>
+{
+    public string Header { get; set; } = string.Empty;
+
+    public ExportColumnType Type { get; set; } = ExportColumnType.Text;
+
+    /// <summary>
+    /// Excel number format, e.g. "#,##0.00" or "yyyy-mm-dd"; null uses the default for the type.
+    /// </summary>
+    public string? Format { get; set; }
+
+    /// <summary>Dates keep their time of day in CSV files.</summary>
+    public bool IncludesTime { get; set; }
+
+    public Func<T, object?> Value { get; set; } = _ => null;
+
+    public static ExportColumn<T> Text(string header, Func<T, object?> value) =>
+        new() { Header = header, Value = value };
+
+    public static ExportColumn<T> Number(string header, Func<T, object?> value, string? format = null) =>
+        new() { Header = header, Type = ExportColumnType.Number, Format = format, Value = value };
+
+    public static ExportColumn<T> Integer(string header, Func<T, object?> value) =>
+        new() { Header = header, Type = ExportColumnType.Integer, Value = value };
+
+    /// <summary>
+    /// Formatted with the current culture's currency symbol, like <c>ToString("C")</c>.
+    /// </summary>
+    public static ExportColumn<T> Currency(string header, Func<T, object?> value) =>
+        new() { Header = header, Type = ExportColumnType.Currency, Format = CurrencyFormat(CultureInfo.CurrentCulture.NumberFormat), Value = value };
+
+    public static ExportColumn<T> Date(string header, Func<T, object?> value, bool includeTime = false) =>
+        new()
+        {
+            Header = header,
+            Type = ExportColumnType.Date,
+            Format = includeTime ? "yyyy-mm-dd hh:mm" : "yyyy-mm-dd",
+            IncludesTime = includeTime,
+            Value = value
+        };
+
+    public static ExportColumn<T> Boolean(string header, Func<T, object?> value) =>
+        new() { Header = header, Type = ExportColumnType.Boolean, Value = value };
+
+    /// <summary>
+    /// Picks a column type from a property type, for exports of arbitrary items.
+    /// </summary>
+    public static ExportColumn<T> ForType(string header, Type propertyType, Func<T, object?> value)
+    {
+        var type = Nullable.GetUnderlyingType(propertyType) ?? propertyType;
+        if (type == typeof(bool))
+        {
+            return Boolean(header, value);
+        }
+        if (type == typeof(DateTime) || type == typeof(DateTimeOffset) || type == typeof(DateOnly))
+        {
+            return Date(header, value, includeTime: type != typeof(DateOnly));
+        }
+        if (type == typeof(int) || type == typeof(long) || type == typeof(short) || type == typeof(byte))
+        {
+            return Integer(header, value);
+        }
+        if (type == typeof(decimal) || type == typeof(double) || type == typeof(float))
+        {
+            return Number(header, value);
+        }
+        return Text(header, value);
+    }
+
+    private static string CurrencyFormat(NumberFormatInfo format)
+    {
+        var number = format.CurrencyDecimalDigits > 0
+            ? "#,##0." + new string('0', format.CurrencyDecimalDigits)
+            : "#,##0";
+        var symbol = format.CurrencySymbol.Replace("\"", string.Empty);
+
+        return format.CurrencyPositivePattern switch
+        {
+            1 => $"{number}\"{symbol}\"",
+            2 => $"\"{symbol} \"{number}",
+            3 => $"{number}\" {symbol}\"",
+            _ => $"\"{symbol}\"{number}"
+        };
+    }
+}
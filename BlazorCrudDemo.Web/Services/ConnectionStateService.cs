@@ -0,0 +1,126 @@
+using Microsoft.JSInterop;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// .NET side of wwwroot/js/connection-state.js: tracks the state of the circuit's connection.
+/// Changes that happen while the circuit is down are delivered once it is back.
+/// </summary>
+public class ConnectionStateService : IAsyncDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ErrorNotificationService _notificationService;
+    private readonly Serilog.ILogger _logger;
+    private DotNetObjectReference<ConnectionStateService>? _dotNetRef;
+
+    public ConnectionState State { get; private set; } = ConnectionState.Connected;
+
+    public event EventHandler<ConnectionStateChange>? StateChanged;
+
+    public ConnectionStateService(IJSRuntime jsRuntime, ErrorNotificationService notificationService)
+    {
+        _jsRuntime = jsRuntime;
+        _notificationService = notificationService;
+        _logger = Log.ForContext<ConnectionStateService>();
+    }
+
+    /// <summary>
+    /// Subscribes to connection state changes. Call once the component using it has rendered.
+    /// </summary>
+    public async Task InitializeAsync()
+    {
+        if (_dotNetRef != null)
+        {
+            return;
+        }
+
+        try
+        {
+            _dotNetRef = DotNetObjectReference.Create(this);
+            var current = await _jsRuntime.InvokeAsync<ConnectionStateChange>("blazorCrudDemo.connection.subscribe", _dotNetRef);
+            State = ParseState(current.State);
+        }
+        catch (Exception ex)
+        {
+            _logger.Error(ex, "Failed to initialize connection state tracking");
+        }
+    }
+
+    /// <summary>
+    /// Called from JavaScript when the connection state changes.
+    /// </summary>
+    [JSInvokable]
+    public void OnConnectionStateChanged(ConnectionStateChange change)
+    {
+        var previous = State;
+        State = ParseState(change.State);
+
+        _logger.Information("Connection state changed from {PreviousState} to {State} (attempt {Attempt}, down for {DowntimeMs} ms, reason {Reason})",
+            change.PreviousState, change.State, change.Attempt, change.DowntimeMs, change.Reason);
+
+        if (State == ConnectionState.Connected && previous != ConnectionState.Connected && change.DowntimeMs > 0)
+        {
+            _notificationService.ShowSuccess(
+                $"Reconnected after {TimeSpan.FromMilliseconds(change.DowntimeMs).TotalSeconds:0} seconds.",
+                "Connection restored");
+        }
+
+        StateChanged?.Invoke(this, change);
+    }
+
+    private static ConnectionState ParseState(string? state) =>
+        Enum.TryParse<ConnectionState>(state?.Replace("-", string.Empty), ignoreCase: true, out var parsed)
+            ? parsed
+            : ConnectionState.Connecting;
+
+    /// <summary>
+    /// Stops receiving connection state changes.
+    /// </summary>
+    public async ValueTask DisposeAsync()
+    {
+        if (_dotNetRef == null)
+        {
+            return;
+        }
+
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.connection.unsubscribe", _dotNetRef);
+        }
+        catch (Exception ex) when (ex is JSDisconnectedException or JSException or TaskCanceledException)
+        {
+            // The circuit is already gone
+        }
+
+        _dotNetRef.Dispose();
+        _dotNetRef = null;
+    }
+}
+
+/// <summary>
+/// States of the circuit's connection, as reported by connection-state.js.
+/// </summary>
+public enum ConnectionState
+{
+    Connecting,
+    Connected,
+    Reconnecting,
+    Offline,
+    ServerDown,
+    SessionExpired
+}
+
+/// <summary>
+/// A connection state change. State and PreviousState use the JavaScript names ("server-down").
+/// </summary>
+public class ConnectionStateChange
+{
+    public string? State { get; set; }
+    public string? PreviousState { get; set; }
+    public int Attempt { get; set; }
+    public long DowntimeMs { get; set; }
+    public string? Reason { get; set; }
+    public string? Error { get; set; }
+    public DateTime? Timestamp { get; set; }
+}
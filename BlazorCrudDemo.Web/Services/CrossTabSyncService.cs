@@ -0,0 +1,145 @@
+using System.Text.Json;
+using Microsoft.JSInterop;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// Publishes to and subscribes from the other open tabs of the app (wwwroot/js/tab-sync.js).
+/// Publishing is best effort: outside a circuit (e.g. from an API controller) it does nothing.
+/// </summary>
+public class CrossTabSyncService : IAsyncDisposable
+{
+    /// <summary>The user signed out; other tabs go to the login page (handled in tab-sync.js).</summary>
+    public const string LogoutTopic = "auth:logout";
+
+    /// <summary>Payload: <see cref="ThemeChangedMessage"/>.</summary>
+    public const string ThemeTopic = "theme:changed";
+
+    /// <summary>Payload: <see cref="EntityChangedMessage"/>.</summary>
+    public const string ProductsChangedTopic = "products:changed";
+
+    /// <summary>Payload: <see cref="EntityChangedMessage"/>.</summary>
+    public const string CategoriesChangedTopic = "categories:changed";
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Serilog.ILogger _logger;
+    private readonly List<Subscription> _subscriptions = new();
+
+    public CrossTabSyncService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = Log.ForContext<CrossTabSyncService>();
+    }
+
+    /// <summary>
+    /// Sends a message to every other open tab.
+    /// </summary>
+    public async Task PublishAsync(string topic, object? payload = null)
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.tabSync.publish", topic, payload);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or InvalidOperationException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not publish {Topic} to other tabs", topic);
+        }
+    }
+
+    /// <summary>
+    /// Calls <paramref name="handler"/> whenever another tab publishes to <paramref name="topic"/>.
+    /// Dispose the result to stop; all subscriptions end when the circuit does.
+    /// </summary>
+    public async Task<IAsyncDisposable> SubscribeAsync<T>(string topic, Func<T?, Task> handler)
+    {
+        var subscription = new Subscription(this, payload =>
+            handler(payload.ValueKind is JsonValueKind.Null or JsonValueKind.Undefined
+                ? default
+                : payload.Deserialize<T>(JsonOptions)));
+
+        subscription.Id = await _jsRuntime.InvokeAsync<int>("blazorCrudDemo.tabSync.subscribe", topic, subscription.Reference);
+        _subscriptions.Add(subscription);
+        return subscription;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        foreach (var subscription in _subscriptions.ToList())
+        {
+            await subscription.DisposeAsync();
+        }
+    }
+
+    /// <summary>
+    /// Target of the DotNetObjectReference handed to tab-sync.js for one subscription.
+    /// </summary>
+    public sealed class Subscription : IAsyncDisposable
+    {
+        private readonly CrossTabSyncService _owner;
+        private readonly Func<JsonElement, Task> _handler;
+
+        internal Subscription(CrossTabSyncService owner, Func<JsonElement, Task> handler)
+        {
+            _owner = owner;
+            _handler = handler;
+            Reference = DotNetObjectReference.Create(this);
+        }
+
+        internal int Id { get; set; }
+
+        internal DotNetObjectReference<Subscription> Reference { get; }
+
+        [JSInvokable]
+        public async Task ReceiveTabMessage(string topic, JsonElement payload)
+        {
+            try
+            {
+                await _handler(payload);
+            }
+            catch (Exception ex)
+            {
+                _owner._logger.Error(ex, "Error handling {Topic} from another tab", topic);
+            }
+        }
+
+        public async ValueTask DisposeAsync()
+        {
+            if (!_owner._subscriptions.Remove(this))
+            {
+                return;
+            }
+
+            try
+            {
+                await _owner._jsRuntime.InvokeVoidAsync("blazorCrudDemo.tabSync.unsubscribe", Id);
+            }
+            catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+            {
+                // The circuit is already gone
+            }
+
+            Reference.Dispose();
+        }
+    }
+}
+
+/// <summary>
+/// Sent on <see cref="CrossTabSyncService.ThemeTopic"/>.
+/// </summary>
+public class ThemeChangedMessage
+{
+    public bool IsDarkMode { get; set; }
+}
+
+/// <summary>
+/// Sent on <see cref="CrossTabSyncService.ProductsChangedTopic"/> and <see cref="CrossTabSyncService.CategoriesChangedTopic"/>.
+/// Action is "created", "updated" or "deleted"; Ids lists the affected entities.
+/// </summary>
+public class EntityChangedMessage
+{
+    public string Action { get; set; } = string.Empty;
+    public List<int> Ids { get; set; } = new();
+}
@@ -17,13 +17,14 @@ namespace BlazorCrudDemo.Web.Services
         Task LogLogoutAsync(string userId, TimeSpan? sessionDuration = null);
 
         Task<List<AuditLog>> GetAuditLogsAsync(int page = 1, int pageSize = 50, string? userId = null,
-                                             string? entityType = null, DateTime? startDate = null, DateTime? endDate = null);
+                                             string? entityType = null, DateTime? startDate = null, DateTime? endDate = null,
+                                             string? action = null);
 
         Task<List<UserActivity>> GetUserActivitiesAsync(string userId, int page = 1, int pageSize = 50);
 
         Task<List<LoginHistory>> GetLoginHistoryAsync(string userId, int page = 1, int pageSize = 50);
 
         Task<int> GetAuditLogCountAsync(string? userId = null, string? entityType = null,
-                                      DateTime? startDate = null, DateTime? endDate = null);
+                                      DateTime? startDate = null, DateTime? endDate = null, string? action = null);
     }
 }
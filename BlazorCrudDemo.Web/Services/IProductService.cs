@@ -62,6 +62,13 @@ public interface IProductService
     /// <returns>True if deleted successfully.</returns>
     Task<bool> DeleteProductAsync(int id);
 
+    /// <summary>
+    /// Brings back a deleted product, e.g. to undo a delete.
+    /// </summary>
+    /// <param name="id">The product ID to restore.</param>
+    /// <returns>The restored product, or null if it does not exist.</returns>
+    Task<ProductDto?> RestoreProductAsync(int id);
+
     /// <summary>
     /// Updates the stock quantity for a product.
     /// </summary>
@@ -106,12 +113,26 @@ public interface IProductService
     /// <returns>Products in the price range.</returns>
     Task<IEnumerable<ProductDto>> GetProductsByPriceRangeAsync(decimal minPrice, decimal maxPrice);
 
+    /// <summary>
+    /// Gets when products were added, e.g. for the dashboard's activity chart.
+    /// </summary>
+    /// <param name="since">Earliest creation date (UTC) to include.</param>
+    /// <returns>Creation dates (UTC) of active products added since then.</returns>
+    Task<IEnumerable<DateTime>> GetProductCreationDatesAsync(DateTime since);
+
     /// <summary>
     /// Searches products with advanced filters.
     /// </summary>
     /// <param name="searchDto">Search criteria.</param>
     /// <returns>Filtered products.</returns>
     Task<IEnumerable<ProductDto>> SearchProductsAsync(ProductSearchDto searchDto);
+
+    /// <summary>
+    /// Searches products with advanced filters and returns one page of the matches.
+    /// </summary>
+    /// <param name="searchDto">Search criteria, sorting and the page to return.</param>
+    /// <returns>Paginated result of the matching products.</returns>
+    Task<PaginatedResult<ProductDto>> SearchProductsPagedAsync(ProductSearchDto searchDto);
 }
 
 /// <summary>
@@ -148,4 +169,44 @@ public class ProductSearchDto
     /// Active products only filter.
     /// </summary>
     public bool? ActiveOnly { get; set; }
+
+    /// <summary>
+    /// Category IDs filter; products in any of them match.
+    /// </summary>
+    public List<int>? CategoryIds { get; set; }
+
+    /// <summary>
+    /// Tags filter; products with any of them match.
+    /// </summary>
+    public List<string>? Tags { get; set; }
+
+    /// <summary>
+    /// First day (UTC) products were created on, inclusive.
+    /// </summary>
+    public DateTime? CreatedAfter { get; set; }
+
+    /// <summary>
+    /// Last day (UTC) products were created on, inclusive.
+    /// </summary>
+    public DateTime? CreatedBefore { get; set; }
+
+    /// <summary>
+    /// Sort field.
+    /// </summary>
+    public string SortBy { get; set; } = "Name";
+
+    /// <summary>
+    /// Sort direction.
+    /// </summary>
+    public bool SortDescending { get; set; }
+
+    /// <summary>
+    /// Page number for pagination.
+    /// </summary>
+    public int PageNumber { get; set; } = 1;
+
+    /// <summary>
+    /// Page size for pagination.
+    /// </summary>
+    public int PageSize { get; set; } = 10;
 }
@@ -0,0 +1,231 @@
+using System.Text.Json;
+using BlazorCrudDemo.Data.Models;
+using Microsoft.AspNetCore.Components.Authorization;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.JSInterop;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// Registers keyboard shortcuts with the browser-side registry (wwwroot/js/keyboard-shortcuts.js)
+/// and keeps each user's remapped keys. Remappings are stored as an Identity user token, so they
+/// follow the user to other browsers without touching the schema or the auth cookie.
+/// </summary>
+public class KeyboardShortcutService : IAsyncDisposable
+{
+    /// <summary>Always available.</summary>
+    public const string GlobalScope = "global";
+
+    /// <summary>The current page; wins over a global shortcut with the same keys.</summary>
+    public const string PageScope = "page";
+
+    /// <summary>An open dialog; page and global shortcuts are suspended while it is registered.</summary>
+    public const string ModalScope = "modal";
+
+    private const string TokenProvider = "BlazorCrudDemo";
+    private const string TokenName = "KeyboardShortcuts";
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly UserManager<ApplicationUser> _userManager;
+    private readonly AuthenticationStateProvider _authenticationStateProvider;
+    private readonly Serilog.ILogger _logger;
+    private readonly List<Registration> _registrations = new();
+    private DotNetObjectReference<KeyboardShortcutService>? _reference;
+
+    public KeyboardShortcutService(
+        IJSRuntime jsRuntime,
+        UserManager<ApplicationUser> userManager,
+        AuthenticationStateProvider authenticationStateProvider)
+    {
+        _jsRuntime = jsRuntime;
+        _userManager = userManager;
+        _authenticationStateProvider = authenticationStateProvider;
+        _logger = Log.ForContext<KeyboardShortcutService>();
+    }
+
+    /// <summary>
+    /// Hands the current user's remapped keys to the browser. Call once per circuit, after the first render.
+    /// </summary>
+    public async Task InitializeAsync()
+    {
+        if (_reference != null)
+        {
+            return;
+        }
+
+        _reference = DotNetObjectReference.Create(this);
+        var bindings = await LoadBindingsAsync();
+
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.shortcuts.configure", bindings, _reference);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not configure keyboard shortcuts");
+        }
+    }
+
+    /// <summary>
+    /// Calls <paramref name="handler"/> with the shortcut id when one of <paramref name="shortcuts"/>
+    /// is pressed in <paramref name="scope"/>. Dispose the result to remove them (e.g. when the page
+    /// or dialog goes away); all registrations end when the circuit does.
+    /// </summary>
+    public async Task<IAsyncDisposable> RegisterAsync(string scope, IEnumerable<KeyboardShortcut> shortcuts, Func<string, Task> handler)
+    {
+        var registration = new Registration(this, handler);
+        registration.Id = await _jsRuntime.InvokeAsync<int>("blazorCrudDemo.shortcuts.register", scope, shortcuts, registration.Reference);
+        _registrations.Add(registration);
+        return registration;
+    }
+
+    /// <summary>
+    /// Called from keyboard-shortcuts.js when the user remaps a shortcut in the cheat sheet.
+    /// </summary>
+    [JSInvokable]
+    public async Task SaveBindings(Dictionary<string, string> bindings)
+    {
+        try
+        {
+            var user = await GetUserAsync();
+            if (user == null)
+            {
+                return;
+            }
+
+            if (bindings.Count == 0)
+            {
+                await _userManager.RemoveAuthenticationTokenAsync(user, TokenProvider, TokenName);
+            }
+            else
+            {
+                await _userManager.SetAuthenticationTokenAsync(user, TokenProvider, TokenName, JsonSerializer.Serialize(bindings));
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.Error(ex, "Error saving keyboard shortcuts");
+        }
+    }
+
+    private async Task<Dictionary<string, string>> LoadBindingsAsync()
+    {
+        try
+        {
+            var user = await GetUserAsync();
+            var json = user == null ? null : await _userManager.GetAuthenticationTokenAsync(user, TokenProvider, TokenName);
+            if (!string.IsNullOrEmpty(json))
+            {
+                return JsonSerializer.Deserialize<Dictionary<string, string>>(json) ?? new();
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.Warning(ex, "Could not load keyboard shortcuts; using the defaults");
+        }
+        return new();
+    }
+
+    private async Task<ApplicationUser?> GetUserAsync()
+    {
+        var state = await _authenticationStateProvider.GetAuthenticationStateAsync();
+        return state.User.Identity?.IsAuthenticated == true ? await _userManager.GetUserAsync(state.User) : null;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        foreach (var registration in _registrations.ToList())
+        {
+            await registration.DisposeAsync();
+        }
+        _reference?.Dispose();
+    }
+
+    /// <summary>
+    /// Target of the DotNetObjectReference handed to keyboard-shortcuts.js for one registration.
+    /// </summary>
+    public sealed class Registration : IAsyncDisposable
+    {
+        private readonly KeyboardShortcutService _owner;
+        private readonly Func<string, Task> _handler;
+
+        internal Registration(KeyboardShortcutService owner, Func<string, Task> handler)
+        {
+            _owner = owner;
+            _handler = handler;
+            Reference = DotNetObjectReference.Create(this);
+        }
+
+        internal int Id { get; set; }
+
+        internal DotNetObjectReference<Registration> Reference { get; }
+
+        [JSInvokable]
+        public async Task OnShortcut(string id)
+        {
+            try
+            {
+                await _handler(id);
+            }
+            catch (Exception ex)
+            {
+                _owner._logger.Error(ex, "Error handling keyboard shortcut {ShortcutId}", id);
+            }
+        }
+
+        public async ValueTask DisposeAsync()
+        {
+            if (!_owner._registrations.Remove(this))
+            {
+                return;
+            }
+
+            try
+            {
+                await _owner._jsRuntime.InvokeVoidAsync("blazorCrudDemo.shortcuts.unregister", Id);
+            }
+            catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+            {
+                // The circuit is already gone
+            }
+
+            Reference.Dispose();
+        }
+    }
+}
+
+/// <summary>
+/// A shortcut as registered with <see cref="KeyboardShortcutService.RegisterAsync"/>.
+/// </summary>
+public class KeyboardShortcut
+{
+    /// <summary>Stable id, e.g. "products.new"; remappings are saved against it.</summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>Default keys, e.g. "ctrl+shift+l", "shift+a", "/" or "escape".</summary>
+    public string Keys { get; set; } = string.Empty;
+
+    /// <summary>Shown in the "?" cheat sheet.</summary>
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>Heading in the cheat sheet; defaults to the scope.</summary>
+    public string? Group { get; set; }
+
+    /// <summary>Also fires while typing in a form field. Ctrl/Alt combinations always do.</summary>
+    public bool AllowInInputs { get; set; }
+
+    /// <summary>CSS selector of an element to focus instead of calling .NET.</summary>
+    public string? Focus { get; set; }
+
+    public KeyboardShortcut()
+    {
+    }
+
+    public KeyboardShortcut(string id, string keys, string description)
+    {
+        Id = id;
+        Keys = keys;
+        Description = description;
+    }
+}
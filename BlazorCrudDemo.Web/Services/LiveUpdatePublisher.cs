@@ -0,0 +1,87 @@
+using BlazorCrudDemo.Shared.DTOs;
+using BlazorCrudDemo.Shared.Models;
+using BlazorCrudDemo.Web.Hubs;
+using Microsoft.AspNetCore.SignalR;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// Sends product changes to every client of <see cref="NotificationHub"/>, e.g. the dashboard's
+/// live charts (wwwroot/js/dashboard-charts.js). Only the server publishes these; the hub has no
+/// methods that let a client broadcast them. Publishing is best effort and never fails the change.
+/// </summary>
+public class LiveUpdatePublisher
+{
+    private readonly IHubContext<NotificationHub, INotificationClient> _hubContext;
+    private readonly Serilog.ILogger _logger;
+
+    public LiveUpdatePublisher(IHubContext<NotificationHub, INotificationClient> hubContext)
+    {
+        _hubContext = hubContext;
+        _logger = Log.ForContext<LiveUpdatePublisher>();
+    }
+
+    public Task ProductCreatedAsync(ProductDto product) =>
+        SendProductUpdateAsync(UpdateAction.Created, product);
+
+    /// <summary>
+    /// Publishes the update, and the stock change when <paramref name="previousStock"/> differs.
+    /// </summary>
+    public async Task ProductUpdatedAsync(ProductDto product, int previousStock)
+    {
+        await SendProductUpdateAsync(UpdateAction.Updated, product);
+        if (product.Stock != previousStock)
+        {
+            await StockChangedAsync(product, previousStock);
+        }
+    }
+
+    public Task ProductDeletedAsync(ProductDto product) =>
+        SendProductUpdateAsync(UpdateAction.Deleted, product);
+
+    public Task StockChangedAsync(ProductDto product, int previousStock) =>
+        SendAsync("stock change", clients => clients.ReceiveStockChanged(new StockChangedMessage
+        {
+            ProductId = product.Id,
+            ProductName = product.Name ?? string.Empty,
+            CategoryId = product.CategoryId,
+            PreviousStock = previousStock,
+            NewStock = product.Stock,
+            Timestamp = DateTime.UtcNow
+        }));
+
+    private Task SendProductUpdateAsync(UpdateAction action, ProductDto product) =>
+        SendAsync($"product {action.ToString().ToLowerInvariant()}", clients => clients.ReceiveProductUpdate(new ProductUpdateMessage
+        {
+            Action = action,
+            Product = ToMessageProduct(product),
+            Timestamp = DateTime.UtcNow
+        }));
+
+    // The category entity can reference its products, which would make the message cyclic;
+    // clients only need its id and name
+    private static ProductDto ToMessageProduct(ProductDto product) => new()
+    {
+        Id = product.Id,
+        Name = product.Name,
+        SKU = product.SKU,
+        Price = product.Price,
+        Stock = product.Stock,
+        IsActive = product.IsActive,
+        CategoryId = product.CategoryId,
+        Category = product.Category == null ? null : new Category { Id = product.Category.Id, Name = product.Category.Name }
+    };
+
+    private async Task SendAsync(string description, Func<INotificationClient, Task> send)
+    {
+        try
+        {
+            await send(_hubContext.Clients.All);
+        }
+        catch (Exception ex)
+        {
+            _logger.Warning(ex, "Could not publish {Description} to notification hub clients", description);
+        }
+    }
+}
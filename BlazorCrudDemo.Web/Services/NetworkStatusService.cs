@@ -1,25 +1,43 @@
 using Microsoft.AspNetCore.Components;
 using Microsoft.JSInterop;
 using Serilog;
-using System.Timers;
 
 namespace BlazorCrudDemo.Web.Services;
 
 /// <summary>
 /// Service for monitoring network connectivity status.
+/// The browser (blazorCrudDemo.networkStatus in error-tracking.js) diagnoses the connection and
+/// reports a <see cref="NetworkStatus"/> whenever its state or quality changes.
 /// </summary>
 public class NetworkStatusService : IAsyncDisposable
 {
     private readonly IJSRuntime _jsRuntime;
     private readonly ErrorNotificationService _notificationService;
     private readonly Serilog.ILogger _logger;
-    private System.Timers.Timer? _heartbeatTimer;
-    private bool _isOnline = true;
-    private bool _wasOnline = true;
+    private DotNetObjectReference<NetworkStatusService>? _dotNetRef;
 
+    /// <summary>
+    /// Raised when the browser goes online or offline.
+    /// </summary>
     public event EventHandler<bool>? NetworkStatusChanged;
 
-    public bool IsOnline => _isOnline;
+    /// <summary>
+    /// Raised for every reported change of state or quality.
+    /// </summary>
+    public event EventHandler<NetworkStatus>? StatusChanged;
+
+    public NetworkState State { get; private set; } = NetworkState.Online;
+
+    public ConnectionQuality Quality { get; private set; } = ConnectionQuality.Unknown;
+
+    /// <summary>
+    /// The latest report, with the connection details behind State and Quality.
+    /// </summary>
+    public NetworkStatus? Status { get; private set; }
+
+    public bool IsOnline => State == NetworkState.Online;
+
+    public bool IsSlow => IsOnline && Quality == ConnectionQuality.Slow;
 
     public NetworkStatusService(IJSRuntime jsRuntime, ErrorNotificationService notificationService)
     {
@@ -29,24 +47,22 @@ public class NetworkStatusService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Initializes the network status monitoring.
+    /// Initializes the network status monitoring. Call once the component using it has rendered.
     /// </summary>
     public async Task InitializeAsync()
     {
-        try
+        if (_dotNetRef != null)
         {
-            // Check initial network status
-            _isOnline = await _jsRuntime.InvokeAsync<bool>("navigator.onLine");
-            _wasOnline = _isOnline;
-
-            _logger.Information("Network status initialized: {Status}", _isOnline ? "Online" : "Offline");
+            return;
+        }
 
-            // Set up JavaScript event listeners for network changes
-            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.networkStatus.initialize",
-                DotNetObjectReference.Create(this));
+        try
+        {
+            _dotNetRef = DotNetObjectReference.Create(this);
+            var status = await _jsRuntime.InvokeAsync<NetworkStatus>("blazorCrudDemo.networkStatus.initialize", _dotNetRef);
+            Apply(status);
 
-            // Start heartbeat monitoring
-            StartHeartbeatMonitoring();
+            _logger.Information("Network status initialized: {State} ({Quality})", State, Quality);
         }
         catch (Exception ex)
         {
@@ -55,88 +71,82 @@ public class NetworkStatusService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Called from JavaScript when network status changes.
+    /// Called from JavaScript when the network state or connection quality changes.
     /// </summary>
     [JSInvokable]
-    public void OnNetworkStatusChanged(bool isOnline)
+    public void OnNetworkStatusReported(NetworkStatus status)
     {
-        _isOnline = isOnline;
+        var previousState = State;
+        var previousQuality = Quality;
+        Apply(status);
 
-        if (_isOnline != _wasOnline)
+        if (previousState == State && previousQuality == Quality)
         {
-            _logger.Information("Network status changed: {Status}", _isOnline ? "Online" : "Offline");
-
-            // Show appropriate notification
-            if (_isOnline)
-            {
-                _notificationService.ShowSuccess("Connection restored!", "Back Online");
-            }
-            else
-            {
-                _notificationService.ShowWarning("Connection lost. Some features may not work properly.", "Offline Mode");
-            }
+            return;
+        }
 
-            // Raise event
-            NetworkStatusChanged?.Invoke(this, _isOnline);
+        _logger.Information("Network status changed from {PreviousState} ({PreviousQuality}) to {State} ({Quality}); effective type {EffectiveType}, RTT {Rtt} ms, measured latency {Latency} ms",
+            previousState, previousQuality, State, Quality, status.EffectiveType, status.Rtt, status.Latency);
 
-            _wasOnline = _isOnline;
+        if (previousState != State)
+        {
+            ShowStateNotification(previousState, State);
+        }
+        else if (Quality == ConnectionQuality.Slow)
+        {
+            _notificationService.ShowInfo("Pages may take longer to respond.", "Slow connection");
         }
-    }
 
-    /// <summary>
-    /// Starts periodic heartbeat monitoring to detect network issues.
-    /// </summary>
-    private void StartHeartbeatMonitoring()
-    {
-        _heartbeatTimer = new System.Timers.Timer(30000); // Check every 30 seconds
-        _heartbeatTimer.Elapsed += async (sender, e) => await PerformHeartbeatCheck();
-        _heartbeatTimer.Start();
+        if ((previousState == NetworkState.Offline) != (State == NetworkState.Offline))
+        {
+            NetworkStatusChanged?.Invoke(this, State != NetworkState.Offline);
+        }
 
-        _logger.Information("Network heartbeat monitoring started");
+        StatusChanged?.Invoke(this, status);
     }
 
-    /// <summary>
-    /// Performs a heartbeat check to verify network connectivity.
-    /// </summary>
-    private async Task PerformHeartbeatCheck()
+    private void Apply(NetworkStatus status)
     {
-        try
-        {
-            // Try to reach a reliable endpoint (like a favicon or health check)
-            using var httpClient = new HttpClient { Timeout = TimeSpan.FromSeconds(5) };
-
-            // Use a simple HEAD request to check connectivity
-            var response = await httpClient.SendAsync(
-                new HttpRequestMessage(HttpMethod.Head, "https://www.google.com/favicon.ico"));
+        Status = status;
+        State = Parse(status.State, NetworkState.Online);
+        Quality = Parse(status.Quality, ConnectionQuality.Unknown);
+    }
 
-            var currentOnline = response.IsSuccessStatusCode;
+    private static T Parse<T>(string? value, T fallback) where T : struct, Enum =>
+        Enum.TryParse<T>(value?.Replace("-", string.Empty), ignoreCase: true, out var parsed) ? parsed : fallback;
 
-            if (currentOnline != _isOnline)
-            {
-                OnNetworkStatusChanged(currentOnline);
-            }
-        }
-        catch (Exception ex)
+    private void ShowStateNotification(NetworkState previous, NetworkState current)
+    {
+        switch (current)
         {
-            // If the heartbeat fails and we think we're online, mark as offline
-            if (_isOnline)
-            {
-                _logger.Warning(ex, "Heartbeat check failed, marking as offline");
-                OnNetworkStatusChanged(false);
-            }
+            case NetworkState.Online when previous == NetworkState.Offline:
+                _notificationService.ShowSuccess("Connection restored!", "Back Online");
+                break;
+            case NetworkState.Online:
+                _notificationService.ShowSuccess("The server can be reached again.", "Back Online");
+                break;
+            case NetworkState.Offline:
+                _notificationService.ShowWarning("Connection lost. Some features may not work properly.", "Offline Mode");
+                break;
+            case NetworkState.ServerUnreachable:
+                _notificationService.ShowWarning("Your network is up, but the server is not responding.", "Server Unreachable");
+                break;
+            case NetworkState.CaptivePortal:
+                _notificationService.ShowWarning("Your network is asking you to sign in. Open any website to complete the sign-in, then come back.", "Network Sign-in Required");
+                break;
         }
     }
 
     /// <summary>
-    /// Manually checks current network status.
+    /// Manually checks current network status by probing the server.
     /// </summary>
     public async Task<bool> CheckNetworkStatusAsync()
     {
         try
         {
-            var isOnline = await _jsRuntime.InvokeAsync<bool>("navigator.onLine");
-            OnNetworkStatusChanged(isOnline);
-            return isOnline;
+            var status = await _jsRuntime.InvokeAsync<NetworkStatus>("blazorCrudDemo.networkStatus.check");
+            OnNetworkStatusReported(status);
+            return IsOnline;
         }
         catch (Exception ex)
         {
@@ -150,16 +160,67 @@ public class NetworkStatusService : IAsyncDisposable
     /// </summary>
     public async ValueTask DisposeAsync()
     {
-        _heartbeatTimer?.Stop();
-        _heartbeatTimer?.Dispose();
+        if (_dotNetRef == null)
+        {
+            return;
+        }
 
         try
         {
             await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.networkStatus.dispose");
         }
-        catch (Exception ex)
+        catch (Exception ex) when (ex is JSDisconnectedException or JSException or TaskCanceledException)
         {
-            _logger.Error(ex, "Error disposing network status service");
+            // The circuit is already gone
         }
+
+        _dotNetRef.Dispose();
+        _dotNetRef = null;
     }
 }
+
+/// <summary>
+/// Where the connection between the browser and the server breaks, if it does.
+/// </summary>
+public enum NetworkState
+{
+    Online,
+    Offline,
+    ServerUnreachable,
+    CaptivePortal
+}
+
+/// <summary>
+/// How usable an online connection is. Unknown when the browser gives no hints and nothing has been measured yet.
+/// </summary>
+public enum ConnectionQuality
+{
+    Unknown,
+    Good,
+    Slow
+}
+
+/// <summary>
+/// A network status report from the browser. State and Quality use the JavaScript names ("server-unreachable").
+/// </summary>
+public class NetworkStatus
+{
+    public string? State { get; set; }
+    public string? Quality { get; set; }
+
+    /// <summary>navigator.connection.effectiveType ("slow-2g", "2g", "3g", "4g"), where supported.</summary>
+    public string? EffectiveType { get; set; }
+
+    /// <summary>navigator.connection.rtt in milliseconds, where supported.</summary>
+    public int? Rtt { get; set; }
+
+    /// <summary>navigator.connection.downlink in Mbit/s, where supported.</summary>
+    public double? Downlink { get; set; }
+
+    public bool SaveData { get; set; }
+
+    /// <summary>Median latency of recent probes of the server, in milliseconds.</summary>
+    public int? Latency { get; set; }
+
+    public DateTime? CheckedAt { get; set; }
+}
@@ -0,0 +1,188 @@
+using System.Text.Json.Serialization;
+using Microsoft.JSInterop;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// Shows toasts through the browser's notification center (wwwroot/js/notifications.js), which
+/// stacks, merges and announces them and keeps the history behind the top bar's bell. Action
+/// buttons (e.g. "Undo") call back into the handler passed to <see cref="ShowAsync"/>.
+/// Like <see cref="CrossTabSyncService"/>, showing is best effort outside a live circuit.
+/// </summary>
+public class NotificationCenterService : IDisposable
+{
+    // Handlers for toasts whose buttons may still be clicked; the oldest are dropped beyond this
+    private const int MaxPendingActions = 20;
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Serilog.ILogger _logger;
+    private readonly List<KeyValuePair<string, Func<string, Task>>> _actionHandlers = new();
+    private DotNetObjectReference<NotificationCenterService>? _reference;
+
+    public NotificationCenterService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = Log.ForContext<NotificationCenterService>();
+    }
+
+    /// <summary>
+    /// Notifications in the history the user has not opened yet.
+    /// </summary>
+    public int UnreadCount { get; private set; }
+
+    public event EventHandler? UnreadCountChanged;
+
+    /// <summary>
+    /// Starts following the unread count. Call once per circuit, after the first render.
+    /// </summary>
+    public async Task InitializeAsync()
+    {
+        try
+        {
+            UnreadCount = await _jsRuntime.InvokeAsync<int>("blazorCrudDemo.notifications.follow", Reference);
+            UnreadCountChanged?.Invoke(this, EventArgs.Empty);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not follow the notification history");
+        }
+    }
+
+    /// <summary>
+    /// Shows a toast. <paramref name="onAction"/> receives the id of the action button clicked.
+    /// </summary>
+    public async Task ShowAsync(ToastNotification notification, Func<string, Task>? onAction = null)
+    {
+        string? callbackId = null;
+        if (onAction != null && notification.Actions.Count > 0)
+        {
+            callbackId = Guid.NewGuid().ToString("N");
+            _actionHandlers.Add(new(callbackId, onAction));
+            if (_actionHandlers.Count > MaxPendingActions)
+            {
+                _actionHandlers.RemoveAt(0);
+            }
+        }
+
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.notifications.showFromDotNet", notification, callbackId, Reference);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or InvalidOperationException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not show notification {Title}: {Message}", notification.Title, notification.Message);
+        }
+    }
+
+    public Task ShowSuccessAsync(string message, string? title = null) =>
+        ShowAsync(new ToastNotification { Type = ToastType.Success, Title = title, Message = message });
+
+    public Task ShowErrorAsync(string message, string? title = null) =>
+        ShowAsync(new ToastNotification { Type = ToastType.Error, Title = title, Message = message });
+
+    public Task ShowWarningAsync(string message, string? title = null) =>
+        ShowAsync(new ToastNotification { Type = ToastType.Warning, Title = title, Message = message });
+
+    public Task ShowInfoAsync(string message, string? title = null) =>
+        ShowAsync(new ToastNotification { Type = ToastType.Info, Title = title, Message = message });
+
+    /// <summary>
+    /// Opens or closes the list of recent notifications.
+    /// </summary>
+    public async Task ToggleHistoryAsync()
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.notifications.toggleHistory");
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not open the notification history");
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnNotificationAction(string callbackId, string actionId)
+    {
+        var index = _actionHandlers.FindIndex(entry => entry.Key == callbackId);
+        if (index < 0)
+        {
+            return;
+        }
+
+        // A toast's buttons act once; it closes when one is clicked
+        var handler = _actionHandlers[index].Value;
+        _actionHandlers.RemoveAt(index);
+
+        try
+        {
+            await handler(actionId);
+        }
+        catch (Exception ex)
+        {
+            _logger.Error(ex, "Error handling notification action {ActionId}", actionId);
+        }
+    }
+
+    [JSInvokable]
+    public void OnUnreadCountChanged(int unread)
+    {
+        if (unread != UnreadCount)
+        {
+            UnreadCount = unread;
+            UnreadCountChanged?.Invoke(this, EventArgs.Empty);
+        }
+    }
+
+    private DotNetObjectReference<NotificationCenterService> Reference => _reference ??= DotNetObjectReference.Create(this);
+
+    public void Dispose()
+    {
+        _reference?.Dispose();
+    }
+}
+
+/// <summary>
+/// A toast for <see cref="NotificationCenterService.ShowAsync"/>.
+/// </summary>
+public class ToastNotification
+{
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public ToastType Type { get; set; } = ToastType.Info;
+
+    public string? Title { get; set; }
+
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Milliseconds before the toast closes; 0 keeps it until closed, null uses the default for its type.
+    /// </summary>
+    public int? Duration { get; set; }
+
+    /// <summary>
+    /// Toasts with the same key are merged into one with a count; defaults to type, title and message.
+    /// </summary>
+    public string? Key { get; set; }
+
+    public List<NotificationAction> Actions { get; set; } = new();
+}
+
+/// <summary>
+/// A button on a toast, e.g. new("undo", "Undo delete").
+/// </summary>
+public class NotificationAction
+{
+    public string Id { get; set; } = string.Empty;
+    public string Label { get; set; } = string.Empty;
+
+    public NotificationAction()
+    {
+    }
+
+    public NotificationAction(string id, string label)
+    {
+        Id = id;
+        Label = label;
+    }
+}
@@ -0,0 +1,308 @@
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using BlazorCrudDemo.Shared.DTOs;
+using BlazorCrudDemo.Shared.Exceptions;
+using BlazorCrudDemo.Web.Models;
+using Serilog;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// Applies product and category changes queued offline (see <see cref="OfflineModeService"/>).
+/// Updates only touch the fields that were sent, and are refused as conflicts when the entity
+/// is no longer the version the user edited.
+/// </summary>
+public class OfflineActionProcessor
+{
+    private readonly IProductService _productService;
+    private readonly ICategoryService _categoryService;
+    private readonly CrossTabSyncService _crossTabSync;
+    private readonly Serilog.ILogger _logger;
+
+    public OfflineActionProcessor(IProductService productService, ICategoryService categoryService, CrossTabSyncService crossTabSync)
+    {
+        _productService = productService;
+        _categoryService = categoryService;
+        _crossTabSync = crossTabSync;
+        _logger = Log.ForContext<OfflineActionProcessor>();
+    }
+
+    /// <summary>
+    /// Version of a product as rendered into data-offline-version. Neither DTO carries a row
+    /// version, so this is a fingerprint of the editable fields.
+    /// </summary>
+    public static string VersionOf(ProductDto product) =>
+        Fingerprint(product.Name, product.SKU, product.Description, product.Price.ToString(CultureInfo.InvariantCulture),
+            product.Stock.ToString(CultureInfo.InvariantCulture), product.CategoryId.ToString(CultureInfo.InvariantCulture),
+            product.ImageUrl, product.IsActive.ToString());
+
+    /// <summary>
+    /// Version of a category as rendered into data-offline-version.
+    /// </summary>
+    public static string VersionOf(CategoryDto category) =>
+        Fingerprint(category.Name, category.Description, category.Icon,
+            category.DisplayOrder.ToString(CultureInfo.InvariantCulture), category.IsActive.ToString());
+
+    private static string Fingerprint(params string?[] values)
+    {
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(string.Join('\u001f', values.Select(v => v ?? string.Empty))));
+        return Convert.ToHexString(hash, 0, 8).ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// Replays one action. Pass this to <see cref="OfflineModeService.ProcessOfflineActionsAsync"/>.
+    /// </summary>
+    public async Task<OfflineActionResult> ProcessAsync(OfflineAction action)
+    {
+        try
+        {
+            var fields = ReadFields(action.Data);
+            return action.Type switch
+            {
+                "product.create" => await CreateProductAsync(fields),
+                "product.update" => await UpdateProductAsync(action, fields),
+                "product.delete" => await DeleteProductAsync(action),
+                "category.create" => await CreateCategoryAsync(fields),
+                "category.update" => await UpdateCategoryAsync(action, fields),
+                "category.delete" => await DeleteCategoryAsync(action),
+                _ => OfflineActionResult.Rejected($"Unknown change type '{action.Type}'.")
+            };
+        }
+        catch (Exception ex) when (FindPermanentFailure(ex) is { } permanent)
+        {
+            _logger.Warning(ex, "Offline action {ActionId} ({Type}) was rejected", action.Id, action.Type);
+            return OfflineActionResult.Rejected(permanent.Message);
+        }
+        catch (FormatException ex)
+        {
+            return OfflineActionResult.Rejected(ex.Message);
+        }
+        catch (Exception ex)
+        {
+            _logger.Error(ex, "Error replaying offline action {ActionId} ({Type})", action.Id, action.Type);
+            return OfflineActionResult.Failed(ex.Message);
+        }
+    }
+
+    private async Task<OfflineActionResult> CreateProductAsync(Dictionary<string, JsonElement> fields)
+    {
+        if (!HasAll(fields, "Name", "SKU", "Price", "CategoryId"))
+        {
+            return OfflineActionResult.Rejected("The product was saved without all required fields (name, SKU, price and category).");
+        }
+
+        var created = await _productService.CreateProductAsync(new CreateProductDto
+        {
+            Name = GetString(fields, "Name", null),
+            SKU = GetString(fields, "SKU", null),
+            Description = GetString(fields, "Description", null),
+            Price = GetDecimal(fields, "Price", 0),
+            Stock = GetInt(fields, "Stock", 0),
+            CategoryId = GetInt(fields, "CategoryId", 0),
+            ImageUrl = GetOptionalString(fields, "ImageUrl", null),
+            IsActive = GetBool(fields, "IsActive", true)
+        });
+
+        await PublishAsync(CrossTabSyncService.ProductsChangedTopic, "created", created.Id);
+        return OfflineActionResult.Applied();
+    }
+
+    private async Task<OfflineActionResult> UpdateProductAsync(OfflineAction action, Dictionary<string, JsonElement> fields)
+    {
+        var current = action.EntityId.HasValue ? await _productService.GetProductAsync(action.EntityId.Value) : null;
+        if (current == null)
+        {
+            return OfflineActionResult.Conflict("The product was deleted on the server.", null);
+        }
+
+        var serverVersion = VersionOf(current);
+        if (!action.Force && action.BaseVersion != null && action.BaseVersion != serverVersion)
+        {
+            return OfflineActionResult.Conflict("The product was changed on the server after you edited it.", serverVersion);
+        }
+
+        await _productService.UpdateProductAsync(new UpdateProductDto
+        {
+            Id = current.Id,
+            Name = GetString(fields, "Name", current.Name),
+            SKU = GetString(fields, "SKU", current.SKU),
+            Description = GetString(fields, "Description", current.Description),
+            Price = GetDecimal(fields, "Price", current.Price),
+            Stock = GetInt(fields, "Stock", current.Stock),
+            CategoryId = GetInt(fields, "CategoryId", current.CategoryId),
+            ImageUrl = GetOptionalString(fields, "ImageUrl", current.ImageUrl),
+            IsActive = GetBool(fields, "IsActive", current.IsActive)
+        });
+
+        await PublishAsync(CrossTabSyncService.ProductsChangedTopic, "updated", current.Id);
+        return OfflineActionResult.Applied();
+    }
+
+    private async Task<OfflineActionResult> DeleteProductAsync(OfflineAction action)
+    {
+        var current = action.EntityId.HasValue ? await _productService.GetProductAsync(action.EntityId.Value) : null;
+        if (current == null)
+        {
+            // Already gone: nothing left to do
+            return OfflineActionResult.Applied();
+        }
+
+        var serverVersion = VersionOf(current);
+        if (!action.Force && action.BaseVersion != null && action.BaseVersion != serverVersion)
+        {
+            return OfflineActionResult.Conflict("The product was changed on the server after you chose to delete it.", serverVersion);
+        }
+
+        await _productService.DeleteProductAsync(current.Id);
+        await PublishAsync(CrossTabSyncService.ProductsChangedTopic, "deleted", current.Id);
+        return OfflineActionResult.Applied();
+    }
+
+    private async Task<OfflineActionResult> CreateCategoryAsync(Dictionary<string, JsonElement> fields)
+    {
+        if (!HasAll(fields, "Name"))
+        {
+            return OfflineActionResult.Rejected("The category was saved without a name.");
+        }
+
+        var created = await _categoryService.CreateCategoryAsync(new CreateCategoryDto
+        {
+            Name = GetString(fields, "Name", null),
+            Description = GetString(fields, "Description", null),
+            Icon = GetString(fields, "Icon", null),
+            DisplayOrder = GetInt(fields, "DisplayOrder", 0),
+            IsActive = GetBool(fields, "IsActive", true)
+        });
+
+        await PublishAsync(CrossTabSyncService.CategoriesChangedTopic, "created", created.Id);
+        return OfflineActionResult.Applied();
+    }
+
+    private async Task<OfflineActionResult> UpdateCategoryAsync(OfflineAction action, Dictionary<string, JsonElement> fields)
+    {
+        var current = action.EntityId.HasValue ? await _categoryService.GetCategoryAsync(action.EntityId.Value) : null;
+        if (current == null)
+        {
+            return OfflineActionResult.Conflict("The category was deleted on the server.", null);
+        }
+
+        var serverVersion = VersionOf(current);
+        if (!action.Force && action.BaseVersion != null && action.BaseVersion != serverVersion)
+        {
+            return OfflineActionResult.Conflict("The category was changed on the server after you edited it.", serverVersion);
+        }
+
+        await _categoryService.UpdateCategoryAsync(new UpdateCategoryDto
+        {
+            Id = current.Id,
+            Name = GetString(fields, "Name", current.Name),
+            Description = GetString(fields, "Description", current.Description),
+            Icon = GetString(fields, "Icon", current.Icon),
+            DisplayOrder = GetInt(fields, "DisplayOrder", current.DisplayOrder),
+            IsActive = GetBool(fields, "IsActive", current.IsActive)
+        });
+
+        await PublishAsync(CrossTabSyncService.CategoriesChangedTopic, "updated", current.Id);
+        return OfflineActionResult.Applied();
+    }
+
+    private async Task<OfflineActionResult> DeleteCategoryAsync(OfflineAction action)
+    {
+        var current = action.EntityId.HasValue ? await _categoryService.GetCategoryAsync(action.EntityId.Value) : null;
+        if (current == null)
+        {
+            return OfflineActionResult.Applied();
+        }
+
+        var serverVersion = VersionOf(current);
+        if (!action.Force && action.BaseVersion != null && action.BaseVersion != serverVersion)
+        {
+            return OfflineActionResult.Conflict("The category was changed on the server after you chose to delete it.", serverVersion);
+        }
+
+        await _categoryService.DeleteCategoryAsync(current.Id);
+        await PublishAsync(CrossTabSyncService.CategoriesChangedTopic, "deleted", current.Id);
+        return OfflineActionResult.Applied();
+    }
+
+    private Task PublishAsync(string topic, string action, int id) =>
+        _crossTabSync.PublishAsync(topic, new EntityChangedMessage { Action = action, Ids = new List<int> { id } });
+
+    // Validation errors, duplicates and missing references will fail the same way on every retry
+    private static Exception? FindPermanentFailure(Exception? ex)
+    {
+        for (; ex != null; ex = ex.InnerException)
+        {
+            if (ex is ValidationException or DuplicateEntityException or EntityNotFoundException)
+            {
+                return ex;
+            }
+        }
+        return null;
+    }
+
+    private static Dictionary<string, JsonElement> ReadFields(JsonElement? data)
+    {
+        var fields = new Dictionary<string, JsonElement>(StringComparer.OrdinalIgnoreCase);
+        if (data is { ValueKind: JsonValueKind.Object } element)
+        {
+            foreach (var property in element.EnumerateObject())
+            {
+                fields[property.Name] = property.Value;
+            }
+        }
+        return fields;
+    }
+
+    private static bool HasAll(Dictionary<string, JsonElement> fields, params string[] names) =>
+        names.All(name => fields.TryGetValue(name, out var value) && !string.IsNullOrWhiteSpace(AsString(value)));
+
+    private static string? AsString(JsonElement value) => value.ValueKind switch
+    {
+        JsonValueKind.String => value.GetString(),
+        JsonValueKind.Null or JsonValueKind.Undefined => null,
+        _ => value.GetRawText()
+    };
+
+    private static string? GetString(Dictionary<string, JsonElement> fields, string name, string? fallback) =>
+        fields.TryGetValue(name, out var value) ? AsString(value) : fallback;
+
+    // For optional values such as the image URL, where an empty input means there is none
+    private static string? GetOptionalString(Dictionary<string, JsonElement> fields, string name, string? fallback)
+    {
+        var text = GetString(fields, name, fallback);
+        return string.IsNullOrWhiteSpace(text) ? null : text;
+    }
+
+    private static decimal GetDecimal(Dictionary<string, JsonElement> fields, string name, decimal fallback)
+    {
+        var text = GetString(fields, name, null);
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return fallback;
+        }
+        return decimal.TryParse(text, NumberStyles.Number, CultureInfo.InvariantCulture, out var parsed)
+            ? parsed
+            : throw new FormatException($"'{text}' is not a valid value for {name}.");
+    }
+
+    private static int GetInt(Dictionary<string, JsonElement> fields, string name, int fallback)
+    {
+        var text = GetString(fields, name, null);
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return fallback;
+        }
+        return int.TryParse(text, NumberStyles.Integer, CultureInfo.InvariantCulture, out var parsed)
+            ? parsed
+            : throw new FormatException($"'{text}' is not a valid value for {name}.");
+    }
+
+    private static bool GetBool(Dictionary<string, JsonElement> fields, string name, bool fallback)
+    {
+        var text = GetString(fields, name, null);
+        return bool.TryParse(text, out var parsed) ? parsed : fallback;
+    }
+}
@@ -1,43 +1,68 @@
-using Blazored.LocalStorage;
+using BlazorCrudDemo.Shared.DTOs;
+using BlazorCrudDemo.Web.Models;
+using Microsoft.JSInterop;
 using Serilog;
 
 namespace BlazorCrudDemo.Web.Services;
 
 /// <summary>
 /// Service for handling offline mode functionality.
+/// Queued actions live in the browser's IndexedDB (wwwroot/js/offline-queue.js), not in the
+/// circuit, so they survive both the lost connection and a reload. Products and categories the
+/// user has seen are snapshotted there too (wwwroot/js/offline-snapshot.js), so they can still be
+/// browsed read-only while offline.
 /// </summary>
 public class OfflineModeService
 {
-    private readonly ILocalStorageService _localStorage;
+    private readonly IJSRuntime _jsRuntime;
     private readonly ErrorNotificationService _notificationService;
+    private readonly IConfiguration _configuration;
     private readonly Serilog.ILogger _logger;
-    private readonly List<string> _offlineActions = new();
+    private readonly SemaphoreSlim _processingLock = new(1, 1);
+    private List<OfflineAction> _actions = new();
+    private string? _userId;
 
     public bool IsOfflineMode { get; private set; }
     public event EventHandler<bool>? OfflineModeChanged;
 
+    /// <summary>
+    /// Raised after the queue was loaded or changed by this service.
+    /// </summary>
+    public event EventHandler? PendingActionsChanged;
+
+    /// <summary>
+    /// Actions that could not be replayed and wait for the user: conflicts and rejected changes.
+    /// </summary>
+    public IReadOnlyList<OfflineAction> UnresolvedActions =>
+        _actions.Where(a => a.Status != OfflineAction.StatusPending).ToList();
+
     public OfflineModeService(
-        ILocalStorageService localStorage,
-        ErrorNotificationService notificationService)
+        IJSRuntime jsRuntime,
+        ErrorNotificationService notificationService,
+        IConfiguration configuration)
     {
-        _localStorage = localStorage;
+        _jsRuntime = jsRuntime;
         _notificationService = notificationService;
+        _configuration = configuration;
         _logger = Log.ForContext<OfflineModeService>();
     }
 
     /// <summary>
-    /// Initializes the offline mode service and loads any pending offline actions.
+    /// Initializes the offline mode service for the signed-in user and loads any pending offline actions.
+    /// Actions someone else queued on this browser are discarded, so they are never replayed as this user.
     /// </summary>
-    public async Task InitializeAsync()
+    /// <param name="userId">The signed-in user's id, or null when nobody is signed in.</param>
+    public async Task InitializeAsync(string? userId)
     {
         try
         {
-            // Load pending offline actions
-            var storedActions = await _localStorage.GetItemAsync<List<string>>("offlineActions");
-            if (storedActions != null)
+            _userId = userId;
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.offlineQueue.setUser", userId);
+            await LoadActionsAsync();
+            await DiscardOtherUsersActionsAsync();
+            if (_actions.Any())
             {
-                _offlineActions.AddRange(storedActions);
-                _logger.Information("Loaded {Count} pending offline actions", _offlineActions.Count);
+                _logger.Information("Loaded {Count} pending offline actions", _actions.Count);
             }
         }
         catch (Exception ex)
@@ -74,91 +99,169 @@ public class OfflineModeService
 
     /// <summary>
     /// Queues an action to be executed when back online.
+    /// Most actions are queued by offline-queue.js itself, from forms submitted while the circuit is down.
     /// </summary>
-    public async Task QueueOfflineActionAsync(string actionType, object? data = null)
+    public async Task QueueOfflineActionAsync(string actionType, object? data = null, int? entityId = null, string? baseVersion = null, string? label = null)
     {
-        var action = new
+        await _jsRuntime.InvokeAsync<string>("blazorCrudDemo.offlineQueue.enqueue", new
         {
             Type = actionType,
-            Data = data,
-            Timestamp = DateTime.UtcNow,
-            Id = Guid.NewGuid().ToString()
-        };
-
-        _offlineActions.Add(System.Text.Json.JsonSerializer.Serialize(action));
-
-        // Save to localStorage
-        await _localStorage.SetItemAsync("offlineActions", _offlineActions);
+            EntityId = entityId,
+            BaseVersion = baseVersion,
+            Label = label,
+            Data = data
+        });
 
+        await LoadActionsAsync();
         _logger.Information("Queued offline action: {ActionType}", actionType);
     }
 
     /// <summary>
-    /// Processes all pending offline actions.
+    /// Processes all pending offline actions, oldest first.
+    /// An action in conflict holds back the later actions for the same entity; a transient failure
+    /// stops the replay so nothing is applied out of order.
     /// </summary>
-    public async Task ProcessOfflineActionsAsync(Func<string, object?, Task<bool>> actionProcessor)
+    public async Task ProcessOfflineActionsAsync(Func<OfflineAction, Task<OfflineActionResult>> actionProcessor)
     {
-        if (!_offlineActions.Any())
+        // Nobody to replay them as; they wait until their user signs in again
+        if (_userId == null || !await _processingLock.WaitAsync(0))
         {
-            _logger.Information("No offline actions to process");
             return;
         }
 
-        _logger.Information("Processing {Count} offline actions", _offlineActions.Count);
-
-        var processedCount = 0;
-        var failedCount = 0;
-        var remainingActions = new List<string>();
-
-        foreach (var actionJson in _offlineActions)
+        var claimed = false;
+        try
         {
-            try
+            await LoadActionsAsync();
+            await DiscardOtherUsersActionsAsync();
+            if (!_actions.Any(a => a.Status == OfflineAction.StatusPending))
             {
-                var action = System.Text.Json.JsonSerializer.Deserialize<dynamic>(actionJson);
-                if (action == null) continue;
+                _logger.Information("No offline actions to process");
+                return;
+            }
+
+            // Another tab may be replaying the same queue
+            claimed = await _jsRuntime.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.claimReplay");
+            if (!claimed)
+            {
+                _logger.Information("Offline actions are being processed in another tab");
+                return;
+            }
+
+            _logger.Information("Processing {Count} offline actions", _actions.Count);
 
-                var success = await actionProcessor(
-                    action.GetProperty("Type").GetString() ?? "",
-                    action.Data);
+            var processedCount = 0;
+            var conflictCount = 0;
+            var failedCount = 0;
+            var heldEntities = _actions
+                .Where(a => a.Status != OfflineAction.StatusPending)
+                .Select(a => a.EntityKey)
+                .ToHashSet();
 
-                if (success)
+            foreach (var action in _actions.OrderBy(a => a.Seq).ToList())
+            {
+                if (action.Status != OfflineAction.StatusPending || heldEntities.Contains(action.EntityKey))
                 {
-                    processedCount++;
+                    continue;
                 }
-                else
+
+                var result = await actionProcessor(action);
+                switch (result.Outcome)
                 {
-                    failedCount++;
-                    remainingActions.Add(actionJson); // Keep for retry
+                    case OfflineActionOutcome.Applied:
+                        await RemoveActionAsync(action.Id);
+                        processedCount++;
+                        break;
+
+                    case OfflineActionOutcome.Conflict:
+                    case OfflineActionOutcome.Rejected:
+                        var status = result.Outcome == OfflineActionOutcome.Conflict ? OfflineAction.StatusConflict : OfflineAction.StatusRejected;
+                        await _jsRuntime.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.update", action.Id,
+                            new { Status = status, result.Reason, result.ServerVersion });
+                        heldEntities.Add(action.EntityKey);
+                        conflictCount++;
+                        _logger.Warning("Offline action {ActionId} ({Type}) needs the user: {Reason}", action.Id, action.Type, result.Reason);
+                        break;
+
+                    case OfflineActionOutcome.Failed:
+                        failedCount++;
+                        _logger.Warning("Offline action {ActionId} ({Type}) failed, stopping replay: {Reason}", action.Id, action.Type, result.Reason);
+                        break;
+                }
+
+                if (failedCount > 0)
+                {
+                    break;
                 }
             }
-            catch (Exception ex)
+
+            if (processedCount > 0)
             {
-                _logger.Error(ex, "Failed to process offline action: {Action}", actionJson);
-                failedCount++;
-                remainingActions.Add(actionJson);
+                _notificationService.ShowSuccess(
+                    $"Successfully processed {processedCount} offline actions.",
+                    "Actions Synced");
             }
+
+            if (conflictCount > 0)
+            {
+                _notificationService.ShowWarning(
+                    $"{conflictCount} changes made offline could not be applied. Please review them.",
+                    "Sync Conflicts");
+            }
+
+            if (failedCount > 0)
+            {
+                _notificationService.ShowWarning(
+                    "Some changes made offline could not be sent yet and will be retried later.",
+                    "Sync Issues");
+            }
+
+            _logger.Information("Processed {Processed} actions, {Conflicts} need review, {Failed} failed", processedCount, conflictCount, failedCount);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            _logger.Warning(ex, "Offline action replay was interrupted");
         }
+        finally
+        {
+            if (claimed)
+            {
+                await ReleaseReplayAsync();
+            }
 
-        // Update the stored actions
-        _offlineActions.Clear();
-        _offlineActions.AddRange(remainingActions);
-        await _localStorage.SetItemAsync("offlineActions", _offlineActions);
+            await LoadActionsAsync();
+            _processingLock.Release();
+        }
+    }
 
-        if (processedCount > 0)
+    /// <summary>
+    /// Settles an action in conflict: either apply it over the server's version, or drop it.
+    /// Actions for the same entity that were held back are replayed afterwards.
+    /// </summary>
+    public async Task ResolveConflictAsync(string actionId, bool keepMine, Func<OfflineAction, Task<OfflineActionResult>> actionProcessor)
+    {
+        var action = _actions.FirstOrDefault(a => a.Id == actionId);
+        if (action == null || (keepMine && action.Status != OfflineAction.StatusConflict))
         {
-            _notificationService.ShowSuccess(
-                $"Successfully processed {processedCount} offline actions.",
-                "Actions Synced");
+            // Rejected changes can only be discarded
+            return;
         }
 
-        if (failedCount > 0)
+        if (keepMine)
         {
-            _notificationService.ShowWarning(
-                $"{failedCount} actions could not be processed and will be retried later.",
-                "Sync Issues");
+            action.Force = true;
+            var result = await actionProcessor(action);
+            if (result.Outcome != OfflineActionOutcome.Applied)
+            {
+                _notificationService.ShowWarning(result.Reason ?? "The change could not be applied.", "Sync Conflicts");
+                return;
+            }
         }
 
-        _logger.Information("Processed {Processed} actions, {Failed} failed", processedCount, failedCount);
+        await RemoveActionAsync(actionId);
+        _logger.Information("Offline action {ActionId} ({Type}) resolved: {Resolution}", actionId, action.Type, keepMine ? "kept" : "discarded");
+
+        await ProcessOfflineActionsAsync(actionProcessor);
     }
 
     /// <summary>
@@ -166,7 +269,7 @@ public class OfflineModeService
     /// </summary>
     public int GetPendingActionsCount()
     {
-        return _offlineActions.Count;
+        return _actions.Count;
     }
 
     /// <summary>
@@ -174,10 +277,111 @@ public class OfflineModeService
     /// </summary>
     public async Task ClearOfflineActionsAsync()
     {
-        _offlineActions.Clear();
-        await _localStorage.RemoveItemAsync("offlineActions");
+        await _jsRuntime.InvokeAsync<int>("blazorCrudDemo.offlineQueue.clear");
+        await LoadActionsAsync();
         _logger.Warning("All offline actions cleared");
     }
+
+    /// <summary>
+    /// Adds products to the offline snapshot (OfflineBrowsing:MaxProducts most recently seen are kept).
+    /// </summary>
+    public Task CacheProductsAsync(IEnumerable<ProductDto> products) =>
+        SaveSnapshotAsync("saveProducts", products.Select(p => new
+        {
+            p.Id,
+            p.Name,
+            p.SKU,
+            p.Description,
+            p.Price,
+            p.FormattedPrice,
+            p.Stock,
+            p.CategoryId,
+            p.CategoryName,
+            p.ImageUrl,
+            p.IsActive,
+            p.ModifiedDate
+        }).ToList());
+
+    /// <summary>
+    /// Replaces the categories in the offline snapshot.
+    /// </summary>
+    public Task CacheCategoriesAsync(IEnumerable<CategoryDto> categories) =>
+        SaveSnapshotAsync("saveCategories", categories.Select(c => new
+        {
+            c.Id,
+            c.Name,
+            c.Description,
+            c.Icon,
+            c.DisplayOrder,
+            c.IsActive
+        }).ToList());
+
+    // Best effort: a page must never fail because the snapshot could not be written
+    private async Task SaveSnapshotAsync(string method, object items)
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync($"blazorCrudDemo.offlineSnapshot.{method}", items, new
+            {
+                MaxAgeMinutes = _configuration.GetValue("OfflineBrowsing:SnapshotMaxAgeMinutes", 1440),
+                MaxProducts = _configuration.GetValue("OfflineBrowsing:MaxProducts", 500)
+            });
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or InvalidOperationException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not update the offline snapshot ({Method})", method);
+        }
+    }
+
+    private async Task LoadActionsAsync()
+    {
+        try
+        {
+            _actions = await _jsRuntime.InvokeAsync<List<OfflineAction>>("blazorCrudDemo.offlineQueue.getAll") ?? new();
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            _logger.Debug(ex, "Could not read the offline queue");
+        }
+
+        PendingActionsChanged?.Invoke(this, EventArgs.Empty);
+    }
+
+    private async Task DiscardOtherUsersActionsAsync()
+    {
+        // Signed out, e.g. after the session expired: the actions may still be this browser's user's
+        var others = _userId == null ? new List<OfflineAction>() : _actions.Where(a => a.UserId != _userId).ToList();
+        if (others.Count == 0)
+        {
+            return;
+        }
+
+        foreach (var action in others)
+        {
+            await RemoveActionAsync(action.Id);
+            _logger.Warning("Discarded offline action {ActionId} ({Type}) queued by another user", action.Id, action.Type);
+        }
+
+        PendingActionsChanged?.Invoke(this, EventArgs.Empty);
+    }
+
+    private async Task RemoveActionAsync(string actionId)
+    {
+        await _jsRuntime.InvokeAsync<bool>("blazorCrudDemo.offlineQueue.remove", actionId);
+        _actions.RemoveAll(a => a.Id == actionId);
+    }
+
+    private async Task ReleaseReplayAsync()
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("blazorCrudDemo.offlineQueue.releaseReplay");
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            // The lease expires on its own
+        }
+    }
 }
 
 /// <summary>
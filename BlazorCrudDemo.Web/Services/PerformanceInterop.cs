@@ -0,0 +1,15 @@
+using Microsoft.JSInterop;
+
+namespace BlazorCrudDemo.Web.Services;
+
+/// <summary>
+/// JavaScript interop methods used by performance-monitoring.js.
+/// </summary>
+public static class PerformanceInterop
+{
+    /// <summary>
+    /// Does nothing; performance-monitoring.js times the call to measure the circuit's SignalR round trip.
+    /// </summary>
+    [JSInvokable(nameof(PerformancePing))]
+    public static bool PerformancePing() => true;
+}
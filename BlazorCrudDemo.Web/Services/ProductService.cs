@@ -6,6 +6,7 @@ using BlazorCrudDemo.Data.UnitOfWork;
 using BlazorCrudDemo.Shared.DTOs;
 using BlazorCrudDemo.Shared.Exceptions;
 using BlazorCrudDemo.Shared.Models;
+using BlazorCrudDemo.Web.Utilities;
 
 namespace BlazorCrudDemo.Web.Services;
 
@@ -18,6 +19,7 @@ public class ProductService : IProductService
     private readonly IMapper _mapper;
     private readonly IMemoryCache _cache;
     private readonly ILogger<ProductService> _logger;
+    private readonly LiveUpdatePublisher? _liveUpdates;
 
     private const string ProductsCacheKey = "AllProducts";
     private const string ProductCacheKeyPrefix = "Product_";
@@ -28,12 +30,14 @@ public class ProductService : IProductService
         IUnitOfWork unitOfWork,
         IMapper mapper,
         IMemoryCache cache,
-        ILogger<ProductService> logger)
+        ILogger<ProductService> logger,
+        LiveUpdatePublisher? liveUpdates = null)
     {
         _unitOfWork = unitOfWork ?? throw new ArgumentNullException(nameof(unitOfWork));
         _mapper = mapper ?? throw new ArgumentNullException(nameof(mapper));
         _cache = cache ?? throw new ArgumentNullException(nameof(cache));
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        _liveUpdates = liveUpdates;
     }
 
     /// <inheritdoc />
@@ -149,6 +153,9 @@ public class ProductService : IProductService
         {
             _logger.LogDebug("Creating product with SKU {Sku}", createDto.SKU);
 
+            // Descriptions come from the rich-text editor; only allow-listed markup is stored
+            createDto.Description = SanitizeDescription(createDto.Description);
+
             // Check if SKU already exists
             var existingProduct = await _unitOfWork.Products.GetBySkuAsync(createDto.SKU!);
             if (existingProduct != null)
@@ -184,6 +191,11 @@ public class ProductService : IProductService
                 var resultDto = _mapper.Map<ProductDto>(product);
                 _logger.LogInformation("Successfully created product with ID {Id} and SKU {Sku}", product.Id, product.SKU);
 
+                if (_liveUpdates != null)
+                {
+                    await _liveUpdates.ProductCreatedAsync(resultDto);
+                }
+
                 return resultDto;
             }
             catch (Exception ex)
@@ -207,6 +219,8 @@ public class ProductService : IProductService
         {
             _logger.LogDebug("Updating product with ID {Id}", updateDto.Id);
 
+            updateDto.Description = SanitizeDescription(updateDto.Description);
+
             // Validate the product
             var existingProduct = await _unitOfWork.Products.GetByIdAsync(updateDto.Id);
             if (existingProduct == null)
@@ -234,6 +248,7 @@ public class ProductService : IProductService
                 throw new ValidationException("Product validation failed", validationResult.Errors);
             }
 
+            var previousStock = existingProduct.Stock;
             _mapper.Map(updateDto, existingProduct);
 
             // Use transaction for atomic operation
@@ -252,6 +267,11 @@ public class ProductService : IProductService
                 var resultDto = _mapper.Map<ProductDto>(existingProduct);
                 _logger.LogInformation("Successfully updated product with ID {Id}", updateDto.Id);
 
+                if (_liveUpdates != null)
+                {
+                    await _liveUpdates.ProductUpdatedAsync(resultDto, previousStock);
+                }
+
                 return resultDto;
             }
             catch (Exception ex)
@@ -292,6 +312,7 @@ public class ProductService : IProductService
             {
                 return false;
             }
+            var deletedDto = _mapper.Map<ProductDto>(product);
 
             // Use transaction for atomic operation
             try
@@ -307,6 +328,11 @@ public class ProductService : IProductService
                 InvalidateProductCaches();
 
                 _logger.LogInformation("Successfully deleted product with ID {Id}", id);
+
+                if (_liveUpdates != null)
+                {
+                    await _liveUpdates.ProductDeletedAsync(deletedDto);
+                }
                 return true;
             }
             catch (Exception ex)
@@ -323,6 +349,37 @@ public class ProductService : IProductService
         }
     }
 
+    /// <inheritdoc />
+    public async Task<ProductDto?> RestoreProductAsync(int id)
+    {
+        try
+        {
+            _logger.LogDebug("Restoring product with ID {Id}", id);
+
+            if (!await _unitOfWork.Products.RestoreAsync(id))
+            {
+                return null;
+            }
+
+            InvalidateProductCaches();
+
+            _logger.LogInformation("Successfully restored product with ID {Id}", id);
+            var restored = await GetProductAsync(id);
+
+            // Counted again wherever the deletion was subtracted
+            if (restored != null && _liveUpdates != null)
+            {
+                await _liveUpdates.ProductCreatedAsync(restored);
+            }
+            return restored;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error occurred while restoring product with ID {Id}", id);
+            throw new ServiceException($"Failed to restore product with ID {id}", ex);
+        }
+    }
+
     /// <inheritdoc />
     public async Task<bool> UpdateStockAsync(int productId, int newStock)
     {
@@ -341,6 +398,7 @@ public class ProductService : IProductService
                 var errors = new Dictionary<string, string[]> { ["Stock"] = new[] { "Stock quantity cannot be negative" } };
                 throw new ValidationException("Stock update validation failed", errors);
             }
+            var previousStock = product.Stock;
 
             // Use transaction for atomic operation
             try
@@ -356,6 +414,13 @@ public class ProductService : IProductService
                 InvalidateProductCaches();
 
                 _logger.LogInformation("Successfully updated stock for product ID {ProductId} to {NewStock}", productId, newStock);
+
+                if (_liveUpdates != null && newStock != previousStock)
+                {
+                    var changed = _mapper.Map<ProductDto>(product);
+                    changed.Stock = newStock;
+                    await _liveUpdates.StockChangedAsync(changed, previousStock);
+                }
                 return true;
             }
             catch (Exception ex)
@@ -514,6 +579,29 @@ public class ProductService : IProductService
         }
     }
 
+    /// <inheritdoc />
+    public async Task<IEnumerable<DateTime>> GetProductCreationDatesAsync(DateTime since)
+    {
+        try
+        {
+            _logger.LogDebug("Getting creation dates of products added since {Since}", since);
+
+            var products = await _unitOfWork.Products.FindAsync(p => p.CreatedDate >= since);
+            var dates = products
+                .Select(p => DateTime.SpecifyKind(p.CreatedDate, DateTimeKind.Utc))
+                .OrderBy(date => date)
+                .ToList();
+
+            _logger.LogDebug("Found {Count} products added since {Since}", dates.Count, since);
+            return dates;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error occurred while getting product creation dates");
+            throw new ServiceException("Failed to get product creation dates", ex);
+        }
+    }
+
     /// <inheritdoc />
     public async Task<IEnumerable<ProductDto>> SearchProductsAsync(ProductSearchDto searchDto)
     {
@@ -540,6 +628,46 @@ public class ProductService : IProductService
         }
     }
 
+    /// <inheritdoc />
+    public async Task<PaginatedResult<ProductDto>> SearchProductsPagedAsync(ProductSearchDto searchDto)
+    {
+        try
+        {
+            _logger.LogDebug("Searching product page with criteria: {@SearchDto}", searchDto);
+
+            var categoryIds = searchDto.CategoryIds ?? new List<int>();
+            if (searchDto.CategoryId.HasValue)
+            {
+                categoryIds = categoryIds.Append(searchDto.CategoryId.Value).ToList();
+            }
+
+            // Date filters are whole days, so the last day runs until the start of the next
+            var (products, totalCount) = await _unitOfWork.Products.SearchPaginatedAsync(
+                searchDto.PageNumber,
+                searchDto.PageSize,
+                searchDto.SortBy,
+                searchDto.SortDescending,
+                searchDto.SearchTerm,
+                categoryIds,
+                searchDto.MinPrice,
+                searchDto.MaxPrice,
+                searchDto.InStock,
+                searchDto.Tags,
+                searchDto.CreatedAfter?.Date,
+                searchDto.CreatedBefore?.Date.AddDays(1));
+
+            var productDtos = _mapper.Map<IEnumerable<ProductDto>>(products);
+
+            _logger.LogDebug("Search returned {Count} products out of {TotalCount} matches", productDtos.Count(), totalCount);
+            return PaginatedResult<ProductDto>.Create(productDtos, totalCount, searchDto.PageNumber, searchDto.PageSize);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error occurred while searching product page");
+            throw new ServiceException("Failed to search products", ex);
+        }
+    }
+
     /// <summary>
     /// Invalidates product-related caches.
     /// </summary>
@@ -551,4 +679,13 @@ public class ProductService : IProductService
         // Note: Individual product caches would be invalidated here
         // For simplicity, we're removing all product-related caches
     }
+
+    /// <summary>
+    /// Reduces a description to the markup <see cref="RichTextSanitizer"/> allows; null when nothing visible is left.
+    /// </summary>
+    private static string? SanitizeDescription(string? description)
+    {
+        var sanitized = RichTextSanitizer.Sanitize(description);
+        return sanitized.Length > 0 ? sanitized : null;
+    }
 }
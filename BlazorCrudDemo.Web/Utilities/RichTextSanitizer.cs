@@ -0,0 +1,251 @@
+using System.Net;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace BlazorCrudDemo.Web.Utilities
+{
+    /// <summary>
+    /// Server side of the allow-list that wwwroot/js/rich-text.js applies in the browser. Rich text
+    /// from clients is rebuilt from scratch: only the tags below survive, without attributes apart
+    /// from a checked link address, and all text is re-encoded. Anything else is unwrapped, and
+    /// the contents of script-like elements are dropped.
+    /// </summary>
+    public static class RichTextSanitizer
+    {
+        // Tag name in the input => tag written to the output
+        private static readonly Dictionary<string, string> AllowedTags = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["p"] = "p",
+            ["div"] = "p",
+            ["br"] = "br",
+            ["strong"] = "strong",
+            ["b"] = "strong",
+            ["em"] = "em",
+            ["i"] = "em",
+            ["ul"] = "ul",
+            ["ol"] = "ol",
+            ["li"] = "li",
+            ["h1"] = "h2",
+            ["h2"] = "h2",
+            ["h3"] = "h3",
+            ["h4"] = "h3",
+            ["h5"] = "h3",
+            ["h6"] = "h3",
+            ["a"] = "a"
+        };
+
+        private static readonly HashSet<string> DroppedTags = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "script", "style", "template", "noscript", "iframe", "object", "embed", "svg", "math",
+            "head", "title", "xml", "textarea", "select", "button"
+        };
+
+        private static readonly HashSet<string> BlockTags = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "p", "br", "ul", "ol", "li", "h2", "h3"
+        };
+
+        private static readonly string[] AllowedSchemes = { "http", "https", "mailto" };
+
+        // Comments, doctypes, processing instructions and tags; everything in between is text
+        private static readonly Regex TokenPattern = new(
+            @"<!--.*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>""']|""[^""]*""|'[^']*')*)>",
+            RegexOptions.Singleline | RegexOptions.Compiled);
+
+        private static readonly Regex HrefPattern = new(
+            @"\bhref\s*=\s*(?:""([^""]*)""|'([^']*)'|([^\s>]+))",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        private static readonly Regex WhitespacePattern = new(@"\s+", RegexOptions.Compiled);
+
+        /// <summary>
+        /// Returns <paramref name="html"/> reduced to the allowed tags, or an empty string when it
+        /// has no visible text.
+        /// </summary>
+        public static string Sanitize(string? html)
+        {
+            if (string.IsNullOrWhiteSpace(html))
+            {
+                return string.Empty;
+            }
+
+            var output = new StringBuilder(html.Length);
+            var open = new List<string>();
+
+            void CloseFrom(int index)
+            {
+                for (var i = open.Count - 1; i >= index; i--)
+                {
+                    output.Append("</").Append(open[i]).Append('>');
+                }
+                open.RemoveRange(index, open.Count - index);
+            }
+
+            Walk(html,
+                text => AppendEscaped(output, text),
+                (name, attributes, isClosing) =>
+                {
+                    if (!AllowedTags.TryGetValue(name, out var tag))
+                    {
+                        return;
+                    }
+
+                    if (isClosing)
+                    {
+                        var index = open.LastIndexOf(tag);
+                        if (index >= 0)
+                        {
+                            CloseFrom(index);
+                        }
+                        return;
+                    }
+
+                    // As in browsers, blocks end an open paragraph and a list item ends the previous one
+                    if (tag is "p" or "ul" or "ol" or "h2" or "h3" && open.Contains("p"))
+                    {
+                        CloseFrom(open.LastIndexOf("p"));
+                    }
+                    if (tag == "li" && open.LastIndexOf("li") > Math.Max(open.LastIndexOf("ul"), open.LastIndexOf("ol")))
+                    {
+                        CloseFrom(open.LastIndexOf("li"));
+                    }
+
+                    if (tag == "br")
+                    {
+                        output.Append("<br>");
+                        return;
+                    }
+
+                    if (tag == "a")
+                    {
+                        var href = GetSafeHref(attributes);
+                        if (href == null || open.Contains("a"))
+                        {
+                            return;
+                        }
+                        output.Append("<a href=\"");
+                        AppendEscaped(output, href);
+                        output.Append("\" rel=\"nofollow noopener noreferrer\" target=\"_blank\">");
+                    }
+                    else
+                    {
+                        output.Append('<').Append(tag).Append('>');
+                    }
+                    open.Add(tag);
+                });
+
+            CloseFrom(0);
+
+            var result = output.ToString();
+            return ToPlainText(result).Length == 0 ? string.Empty : result;
+        }
+
+        /// <summary>
+        /// The visible text of <paramref name="html"/> with whitespace collapsed, e.g. for previews
+        /// and character counts. Block boundaries become a single space.
+        /// </summary>
+        public static string ToPlainText(string? html)
+        {
+            if (string.IsNullOrWhiteSpace(html))
+            {
+                return string.Empty;
+            }
+
+            var output = new StringBuilder(html.Length);
+            Walk(html,
+                text => output.Append(text),
+                (name, _, _) =>
+                {
+                    if (AllowedTags.TryGetValue(name, out var tag) && BlockTags.Contains(tag))
+                    {
+                        output.Append(' ');
+                    }
+                });
+
+            return WhitespacePattern.Replace(output.ToString(), " ").Trim();
+        }
+
+        /// <summary>
+        /// Plain text cut to <paramref name="maxLength"/> characters with an ellipsis, for cards and lists.
+        /// </summary>
+        public static string ToPreview(string? html, int maxLength)
+        {
+            var text = ToPlainText(html);
+            return text.Length > maxLength ? text.Substring(0, maxLength) + "..." : text;
+        }
+
+        // Calls onText with decoded text and onTag for each tag, skipping comments and the
+        // contents of dropped elements
+        private static void Walk(string html, Action<string> onText, Action<string, string, bool> onTag)
+        {
+            var position = 0;
+            while (position < html.Length)
+            {
+                var match = TokenPattern.Match(html, position);
+                var textEnd = match.Success ? match.Index : html.Length;
+                if (textEnd > position)
+                {
+                    onText(WebUtility.HtmlDecode(html.Substring(position, textEnd - position)));
+                }
+                if (!match.Success)
+                {
+                    break;
+                }
+
+                position = match.Index + match.Length;
+                if (!match.Groups[2].Success)
+                {
+                    continue;
+                }
+
+                var name = match.Groups[2].Value;
+                var isClosing = match.Groups[1].Value == "/";
+                if (DroppedTags.Contains(name))
+                {
+                    if (!isClosing && !match.Groups[3].Value.TrimEnd().EndsWith('/'))
+                    {
+                        var end = Regex.Match(html.Substring(position), $@"</{Regex.Escape(name)}\s*>", RegexOptions.IgnoreCase);
+                        position = end.Success ? position + end.Index + end.Length : html.Length;
+                    }
+                    continue;
+                }
+
+                onTag(name, match.Groups[3].Value, isClosing);
+            }
+        }
+
+        // Only the characters that matter in text and quoted attributes; WebUtility.HtmlEncode would
+        // also turn non-ASCII characters into numeric references and make the stored value longer
+        private static void AppendEscaped(StringBuilder output, string text)
+        {
+            foreach (var c in text)
+            {
+                switch (c)
+                {
+                    case '&': output.Append("&amp;"); break;
+                    case '<': output.Append("&lt;"); break;
+                    case '>': output.Append("&gt;"); break;
+                    case '"': output.Append("&quot;"); break;
+                    default: output.Append(c); break;
+                }
+            }
+        }
+
+        private static string? GetSafeHref(string attributes)
+        {
+            var match = HrefPattern.Match(attributes);
+            if (!match.Success)
+            {
+                return null;
+            }
+
+            var value = WebUtility.HtmlDecode(match.Groups[1].Success ? match.Groups[1].Value
+                : match.Groups[2].Success ? match.Groups[2].Value
+                : match.Groups[3].Value).Trim();
+
+            return Uri.TryCreate(value, UriKind.Absolute, out var uri) && AllowedSchemes.Contains(uri.Scheme)
+                ? uri.AbsoluteUri
+                : null;
+        }
+    }
+}
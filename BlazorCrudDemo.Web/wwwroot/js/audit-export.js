@@ -0,0 +1,114 @@
+// Audit Log Export JavaScript
+// Exports the filtered audit log for Pages/Admin/AuditLogs.razor. Entries are fetched from .NET a
+// page at a time (GetExportPage), written as CSV and NDJSON, and downloaded in one .zip together
+// with manifest.json: the filters, export time and user supplied by the server, the number of
+// entries and the SHA-256 checksum of each file. .NET shows progress as it serves pages and
+// cancels by answering null.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.auditExport = window.blazorCrudDemo.auditExport || {
+    running: false,
+
+    columns: ['id', 'timestamp', 'userId', 'userName', 'action', 'entityType', 'entityId',
+        'changes', 'oldValues', 'newValues', 'ipAddress', 'userAgent'],
+
+    // options: { fileName, pageSize, expectedCount, manifest: { exportedAt, exportedBy, filters } }
+    // Returns false when an export is already running. The outcome is reported to
+    // OnExportCompleted(summary), OnExportCancelled() or OnExportFailed(message).
+    start: function (dotNetRef, options) {
+        if (this.running) {
+            return false;
+        }
+        this.running = true;
+
+        this.run(dotNetRef, options)
+            .then(summary => summary
+                ? dotNetRef.invokeMethodAsync('OnExportCompleted', summary)
+                : dotNetRef.invokeMethodAsync('OnExportCancelled'))
+            .catch(error => dotNetRef.invokeMethodAsync('OnExportFailed', (error && error.message) || String(error)))
+            .catch(() => {
+                // The page has gone away
+            })
+            .finally(() => {
+                this.running = false;
+            });
+        return true;
+    },
+
+    // Resolves to the summary, or null when cancelled
+    run: function (dotNetRef, options) {
+        if (!window.crypto || !window.crypto.subtle) {
+            return Promise.reject(new Error('Checksums need a secure (HTTPS) connection.'));
+        }
+
+        const csv = [this.columns.map(name => this.escapeCsv(name)).join(',')];
+        const ndjson = [];
+        let count = 0;
+
+        const fetchPage = page => dotNetRef.invokeMethodAsync('GetExportPage', page).then(rows => {
+            if (rows === null) {
+                return false;
+            }
+            rows.forEach(row => {
+                csv.push(this.columns.map(name => this.escapeCsv(row[name])).join(','));
+                ndjson.push(JSON.stringify(row));
+            });
+            count += rows.length;
+            return rows.length < options.pageSize ? true : fetchPage(page + 1);
+        });
+
+        return fetchPage(1).then(completed => {
+            if (!completed) {
+                return null;
+            }
+
+            // Entries are capped at the export time, so the count only changes if the log could
+            // not be read; a partial file must not look complete
+            if (count !== options.expectedCount) {
+                throw new Error(`Expected ${options.expectedCount} entries but received ${count}. Please try again.`);
+            }
+
+            const encoder = new TextEncoder();
+            const files = [
+                { name: 'audit-log.csv', format: 'csv', data: encoder.encode('\uFEFF' + csv.join('\r\n') + '\r\n') },
+                { name: 'audit-log.ndjson', format: 'ndjson', data: encoder.encode(ndjson.map(line => line + '\n').join('')) }
+            ];
+
+            return Promise.all(files.map(file => this.sha256(file.data))).then(checksums => {
+                const manifest = Object.assign({}, options.manifest, {
+                    recordCount: count,
+                    files: files.map((file, index) => ({
+                        name: file.name,
+                        format: file.format,
+                        bytes: file.data.length,
+                        sha256: checksums[index]
+                    }))
+                });
+                files.push({ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+
+                const exporter = window.blazorCrudDemo.exports;
+                return exporter.zip(files)
+                    .then(zip => exporter.download(options.fileName, 'application/zip', zip))
+                    .then(() => ({ recordCount: count, fileName: options.fileName, files: manifest.files }));
+            });
+        });
+    },
+
+    sha256: function (data) {
+        return window.crypto.subtle.digest('SHA-256', data).then(hash =>
+            Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join(''));
+    },
+
+    // RFC 4180; values with commas, quotes or line breaks are quoted, with quotes doubled. Text that
+    // Excel would run as a formula (user names, user agents, changed values) gets a leading apostrophe
+    escapeCsv: function (value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+};
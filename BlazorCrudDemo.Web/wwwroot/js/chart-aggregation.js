@@ -0,0 +1,197 @@
+// Chart Aggregation JavaScript
+// Buckets timestamped events into day, week or month series for the dashboard charts
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.chartAggregation = {
+    // Periods up to a month are shown per day, up to half a year per week, anything longer per month
+    getBucketUnit: function (periodDays) {
+        if (periodDays <= 31) {
+            return 'day';
+        }
+        return periodDays <= 180 ? 'week' : 'month';
+    },
+
+    // events: [{ timestamp, value }], where value defaults to 1 (a plain count)
+    // options: { periodDays, endDate, unit, locale, compareToPrevious }
+    // Returns { unit, labels, ranges, current, previous, previousLabels, previousRanges } with empty buckets filled with zero.
+    // Ranges are inclusive local dates ('yyyy-mm-dd') covered by each bucket.
+    aggregate: function (events, options) {
+        const periodDays = Math.max(1, parseInt(options.periodDays, 10) || 30);
+        const unit = options.unit || this.getBucketUnit(periodDays);
+        const locale = this.resolveLocale(options.locale);
+
+        const windowEnd = this.startOfDay(options.endDate ? new Date(options.endDate) : new Date());
+        windowEnd.setDate(windowEnd.getDate() + 1);
+        const windowStart = this.addDays(windowEnd, -periodDays);
+
+        const buckets = this.createBuckets(windowStart, windowEnd, unit, locale);
+        const current = this.sumIntoBuckets(events, buckets);
+
+        const result = {
+            unit: unit,
+            labels: buckets.map(bucket => this.formatLabel(bucket.start, unit, periodDays, locale)),
+            ranges: buckets.map(bucket => this.toDateRange(bucket)),
+            current: current,
+            previous: null,
+            previousLabels: null,
+            previousRanges: null
+        };
+
+        if (options.compareToPrevious) {
+            // The previous period is the same window shifted back, so bucket i lines up with bucket i
+            const previousBuckets = buckets.map(bucket => ({
+                start: this.addDays(bucket.start, -periodDays),
+                end: this.addDays(bucket.end, -periodDays)
+            }));
+
+            result.previous = this.sumIntoBuckets(events, previousBuckets);
+            result.previousLabels = previousBuckets.map(bucket => this.formatLabel(bucket.start, unit, periodDays, locale));
+            result.previousRanges = previousBuckets.map(bucket => this.toDateRange(bucket));
+        }
+
+        return result;
+    },
+
+    createBuckets: function (windowStart, windowEnd, unit, locale) {
+        const buckets = [];
+        let start = this.startOfBucket(windowStart, unit, locale);
+
+        while (start < windowEnd) {
+            const end = this.nextBucketStart(start, unit);
+            buckets.push({
+                // Clamp the first bucket so events before the window are not counted
+                start: start < windowStart ? windowStart : start,
+                end: end > windowEnd ? windowEnd : end
+            });
+            start = end;
+        }
+
+        return buckets;
+    },
+
+    sumIntoBuckets: function (events, buckets) {
+        const totals = buckets.map(() => 0);
+        if (!buckets.length) {
+            return totals;
+        }
+
+        const first = buckets[0].start.getTime();
+        const last = buckets[buckets.length - 1].end.getTime();
+
+        (events || []).forEach(event => {
+            const time = new Date(event.timestamp).getTime();
+            if (isNaN(time) || time < first || time >= last) {
+                return;
+            }
+
+            const index = this.findBucketIndex(buckets, time);
+            const value = event.value === null || event.value === undefined ? 1 : Number(event.value);
+            if (index >= 0 && !isNaN(value)) {
+                totals[index] += value;
+            }
+        });
+
+        return totals;
+    },
+
+    findBucketIndex: function (buckets, time) {
+        let low = 0;
+        let high = buckets.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (time < buckets[mid].start.getTime()) {
+                high = mid - 1;
+            } else if (time >= buckets[mid].end.getTime()) {
+                low = mid + 1;
+            } else {
+                return mid;
+            }
+        }
+
+        return -1;
+    },
+
+    startOfBucket: function (date, unit, locale) {
+        const start = this.startOfDay(date);
+
+        if (unit === 'week') {
+            const firstDay = this.getFirstDayOfWeek(locale);
+            start.setDate(start.getDate() - ((start.getDay() - firstDay + 7) % 7));
+        } else if (unit === 'month') {
+            start.setDate(1);
+        }
+
+        return start;
+    },
+
+    nextBucketStart: function (start, unit) {
+        if (unit === 'week') {
+            return this.addDays(start, 7);
+        }
+        if (unit === 'month') {
+            return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+        }
+        return this.addDays(start, 1);
+    },
+
+    formatLabel: function (date, unit, periodDays, locale) {
+        let format;
+        if (unit === 'month') {
+            format = { month: 'short', year: 'numeric' };
+        } else if (unit === 'day' && periodDays <= 7) {
+            format = { weekday: 'short', day: 'numeric' };
+        } else {
+            format = { month: 'short', day: 'numeric' };
+        }
+
+        return new Intl.DateTimeFormat(locale, format).format(date);
+    },
+
+    resolveLocale: function (locale) {
+        if (locale) {
+            return locale;
+        }
+        if (navigator.languages && navigator.languages.length) {
+            return navigator.languages[0];
+        }
+        return navigator.language || undefined;
+    },
+
+    // Sunday is 0. Uses Intl week info where the browser provides it, otherwise Monday (ISO 8601).
+    getFirstDayOfWeek: function (locale) {
+        try {
+            const intlLocale = new Intl.Locale(locale || 'en');
+            const weekInfo = typeof intlLocale.getWeekInfo === 'function' ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+            if (weekInfo && weekInfo.firstDay) {
+                return weekInfo.firstDay % 7;
+            }
+        } catch (e) {
+            // Intl.Locale is unavailable or the locale is invalid
+        }
+        return 1;
+    },
+
+    toDateRange: function (bucket) {
+        return {
+            start: this.toDateString(bucket.start),
+            end: this.toDateString(this.addDays(bucket.end, -1))
+        };
+    },
+
+    toDateString: function (date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    startOfDay: function (date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    addDays: function (date, days) {
+        const result = new Date(date.getTime());
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+};
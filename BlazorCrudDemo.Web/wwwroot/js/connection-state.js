@@ -0,0 +1,461 @@
+// Connection State JavaScript
+// The one place that decides what happens when the Blazor circuit's connection drops. Starts Blazor
+// with a custom reconnection handler and moves between these states:
+//   connecting      - Blazor has not started yet
+//   connected       - the circuit is up
+//   reconnecting    - the circuit is down and the server answers; retrying with backoff
+//   offline         - the browser has no network; waiting for the 'online' event
+//   server-down     - the circuit is down and the server does not answer; retrying with backoff
+//   session-expired - the server no longer has our circuit (or we are signed out); needs a reload
+// The page is only reloaded as a last resort: when the server is reachable but maxAttempts
+// reconnects in a row have failed, or when Blazor could not start at all.
+// .NET code subscribes with a DotNetObjectReference (Services/ConnectionStateService.cs); JS code
+// with blazorCrudDemo.connection.on(listener).
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.connection = window.blazorCrudDemo.connection || {
+    state: 'connecting',
+    options: {
+        minRetryDelay: 1000,
+        maxRetryDelay: 30 * 1000,
+        // Consecutive failed reconnects, with the server reachable, before reloading
+        maxAttempts: 10,
+        probeUrl: '/health/live',
+        probeTimeout: 5000,
+        loginUrl: '/auth/login'
+    },
+
+    circuitDown: false,
+    attempt: 0,
+    downSince: null,
+    retryTimer: null,
+    retryAt: null,
+    countdownTimer: null,
+    reconnecting: false,
+    reloading: false,
+    startFailed: false,
+    listeners: new Set(),
+    dotNetRefs: new Set(),
+    // State changes not yet delivered to .NET; they can only be sent while the circuit is up
+    pendingEvents: [],
+    maxPendingEvents: 20,
+
+    start: function () {
+        if (this._started) {
+            return this._started;
+        }
+
+        if (!window.Blazor || !window.Blazor.start) {
+            console.error('Blazor script not loaded, cannot start the application');
+            this.setState('server-down', { reason: 'script-missing' });
+            return Promise.resolve(false);
+        }
+
+        window.addEventListener('online', () => this.onOnline());
+        window.addEventListener('offline', () => this.onOffline());
+        document.addEventListener('visibilitychange', () => {
+            // Coming back to a tab that has been waiting out a long backoff: try right away
+            if (document.visibilityState === 'visible' && this.retryTimer) {
+                this.retryNow();
+            }
+        });
+        this.bindUi();
+
+        this._started = window.Blazor.start({
+            reconnectionHandler: {
+                onConnectionDown: (options, error) => this.onConnectionDown(error),
+                onConnectionUp: () => this.onConnectionUp()
+            }
+        })
+            .then(() => {
+                this.setState('connected');
+                if (typeof initializeNotificationHub === 'function') {
+                    initializeNotificationHub();
+                }
+                return true;
+            })
+            .catch(error => {
+                // Without a first circuit there is nothing to reconnect to, so reloading loses nothing
+                console.error('Failed to start Blazor:', error);
+                this.startFailed = true;
+                this.circuitDown = true;
+                this.downSince = Date.now();
+                this.setState(navigator.onLine ? 'server-down' : 'offline', { error: this.describeError(error) });
+                this.waitForServerThenReload();
+                return false;
+            });
+
+        return this._started;
+    },
+
+    // Subscriptions
+
+    // listener(event) gets { state, previousState, attempt, downtimeMs, reason, error, timestamp }.
+    // Returns a function that removes the listener.
+    on: function (listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    subscribe: function (dotNetRef) {
+        this.dotNetRefs.add(dotNetRef);
+        this.pendingEvents = [];
+        return this.createEvent(this.state, this.state, {});
+    },
+
+    unsubscribe: function (dotNetRef) {
+        this.dotNetRefs.delete(dotNetRef);
+    },
+
+    // Blazor reconnection handler
+
+    onConnectionDown: function (error) {
+        if (this.circuitDown) {
+            return;
+        }
+
+        this.circuitDown = true;
+        this.attempt = 0;
+        this.downSince = Date.now();
+
+        if (this.isUnauthorized(error)) {
+            this.setState('session-expired', { reason: 'unauthorized' });
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.setState('offline', { error: this.describeError(error) });
+            return;
+        }
+
+        this.setState('reconnecting', { error: this.describeError(error) });
+        this.scheduleRetry(0);
+    },
+
+    onConnectionUp: function () {
+        this.clearRetry();
+        if (!this.circuitDown && this.state === 'connected') {
+            return;
+        }
+
+        const downtimeMs = this.downSince ? Date.now() - this.downSince : 0;
+        this.circuitDown = false;
+        this.attempt = 0;
+        this.downSince = null;
+        this.setState('connected', { downtimeMs: downtimeMs });
+    },
+
+    // Browser network events
+
+    onOnline: function () {
+        if (this.circuitDown) {
+            if (this.state === 'offline') {
+                this.setState('reconnecting');
+                this.retryNow();
+            }
+        } else if (this.state === 'offline') {
+            this.setState('connected');
+        }
+    },
+
+    onOffline: function () {
+        if (this.state === 'session-expired') {
+            return;
+        }
+        // Retrying without a network only burns attempts; 'online' resumes
+        this.clearRetry();
+        this.setState('offline');
+    },
+
+    // Reconnecting
+
+    scheduleRetry: function (delay) {
+        this.clearRetry();
+        if (delay === undefined) {
+            // Exponential backoff with equal jitter, so tabs and clients don't retry in lockstep
+            const base = Math.min(this.options.maxRetryDelay, this.options.minRetryDelay * Math.pow(2, this.attempt - 1));
+            delay = base / 2 + Math.random() * base / 2;
+        }
+
+        this.retryAt = Date.now() + delay;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.retryAt = null;
+            this.reconnect();
+        }, delay);
+        this.renderUi();
+    },
+
+    clearRetry: function () {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.retryAt = null;
+    },
+
+    // Also used by the "Retry now" button and forceReconnect() in site.js
+    retryNow: function () {
+        if (this.startFailed) {
+            this.reloadAsLastResort('start-failed');
+            return;
+        }
+        if (!this.circuitDown || this.reconnecting || this.state === 'session-expired') {
+            return;
+        }
+        this.scheduleRetry(0);
+    },
+
+    reconnect: function () {
+        if (this.reconnecting || !this.circuitDown) {
+            return Promise.resolve(!this.circuitDown);
+        }
+
+        if (!navigator.onLine) {
+            this.setState('offline');
+            return Promise.resolve(false);
+        }
+
+        this.reconnecting = true;
+        this.attempt++;
+        this.renderUi();
+
+        return window.Blazor.reconnect()
+            .then(reconnected => {
+                if (reconnected) {
+                    this.onConnectionUp();
+                } else {
+                    // The server answered but has dropped our circuit (restart, timeout or sign-out)
+                    this.clearRetry();
+                    this.setState('session-expired', { reason: 'circuit-rejected' });
+                }
+                return reconnected;
+            })
+            .catch(error => {
+                if (this.isUnauthorized(error)) {
+                    this.setState('session-expired', { reason: 'unauthorized' });
+                    return false;
+                }
+                return this.onReconnectFailed(error).then(() => false);
+            })
+            .then(result => {
+                this.reconnecting = false;
+                this.renderUi();
+                return result;
+            });
+    },
+
+    onReconnectFailed: function (error) {
+        return this.probeServer().then(serverUp => {
+            if (!this.circuitDown || this.state === 'offline') {
+                return;
+            }
+
+            if (serverUp && this.attempt >= this.options.maxAttempts) {
+                this.reloadAsLastResort('reconnect-failed');
+                return;
+            }
+
+            this.setState(serverUp ? 'reconnecting' : 'server-down', { error: this.describeError(error) });
+            this.scheduleRetry();
+        });
+    },
+
+    // heartbeat.js result (from this tab or the tab that probes for all of them): the server is
+    // back, so don't wait out the rest of the backoff
+    onHeartbeat: function (result) {
+        if (result.ok && this.circuitDown && (this.state === 'server-down' || this.state === 'reconnecting')) {
+            this.retryNow();
+        }
+    },
+
+    // True when the server answers at all; tells "server down" apart from "circuit cannot resume"
+    probeServer: function () {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.options.probeTimeout) : null;
+
+        return fetch(this.options.probeUrl, {
+            cache: 'no-store',
+            credentials: 'same-origin',
+            signal: controller ? controller.signal : undefined
+        })
+            .then(response => response.status < 500)
+            .catch(() => false)
+            .then(serverUp => {
+                clearTimeout(timer);
+                return serverUp;
+            });
+    },
+
+    // Blazor never started: wait until the server answers, then reload
+    waitForServerThenReload: function () {
+        this.attempt++;
+        const base = Math.min(this.options.maxRetryDelay, this.options.minRetryDelay * Math.pow(2, this.attempt));
+        this.retryAt = Date.now() + base;
+        this.renderUi();
+
+        setTimeout(() => {
+            this.retryAt = null;
+            this.probeServer().then(serverUp => {
+                if (serverUp && navigator.onLine) {
+                    this.reloadAsLastResort('start-failed');
+                } else {
+                    this.waitForServerThenReload();
+                }
+            });
+        }, base);
+    },
+
+    // Listeners get a 'reloading' event first so they can save what they need to
+    reloadAsLastResort: function (reason) {
+        if (this.reloading) {
+            return;
+        }
+        this.reloading = true;
+        this.clearRetry();
+        console.warn(`Reloading the page (${reason})`);
+        this.notifyListeners(this.createEvent('reloading', this.state, { reason: reason }));
+        window.location.reload();
+    },
+
+    // State
+
+    setState: function (state, detail) {
+        detail = detail || {};
+        const previousState = this.state;
+        if (state === previousState) {
+            this.renderUi();
+            return;
+        }
+
+        this.state = state;
+        const event = this.createEvent(state, previousState, detail);
+
+        const breadcrumbs = window.blazorCrudDemo.breadcrumbs;
+        if (breadcrumbs) {
+            breadcrumbs.add('connection', `blazor ${state}`, detail.error || detail.reason ?
+                { error: detail.error || null, reason: detail.reason || null } : null);
+        }
+
+        this.renderUi();
+        this.notifyListeners(event);
+        this.queueDotNetEvent(event);
+    },
+
+    createEvent: function (state, previousState, detail) {
+        return {
+            state: state,
+            previousState: previousState,
+            attempt: this.attempt,
+            downtimeMs: detail.downtimeMs || (this.downSince ? Date.now() - this.downSince : 0),
+            reason: detail.reason || null,
+            error: detail.error || null,
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    notifyListeners: function (event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in connection state listener:', error);
+            }
+        });
+    },
+
+    queueDotNetEvent: function (event) {
+        this.pendingEvents.push(event);
+        if (this.pendingEvents.length > this.maxPendingEvents) {
+            this.pendingEvents.shift();
+        }
+
+        if (this.state === 'connected') {
+            const events = this.pendingEvents;
+            this.pendingEvents = [];
+            this.dotNetRefs.forEach(dotNetRef => {
+                events.forEach(pending => {
+                    dotNetRef.invokeMethodAsync('OnConnectionStateChanged', pending)
+                        .catch(error => console.warn('Could not deliver connection state to .NET:', error));
+                });
+            });
+        }
+    },
+
+    isUnauthorized: function (error) {
+        return !!error && (error.statusCode === 401 || /\b401\b|Unauthorized/.test(error.message || ''));
+    },
+
+    describeError: function (error) {
+        return error ? String(error.message || error) : null;
+    },
+
+    // Reconnect UI (#components-reconnect-modal in _Host.cshtml)
+
+    bindUi: function () {
+        const modal = document.getElementById('components-reconnect-modal');
+        if (!modal || modal.dataset.bound) {
+            return;
+        }
+        modal.dataset.bound = 'true';
+
+        // Inline onclick handlers are blocked by the CSP, so the buttons are wired up here
+        modal.addEventListener('click', event => {
+            const button = event.target.closest('[data-connection-action]');
+            if (!button) {
+                return;
+            }
+
+            switch (button.dataset.connectionAction) {
+                case 'retry':
+                    this.retryNow();
+                    break;
+                case 'reload':
+                    this.reloadAsLastResort('user');
+                    break;
+                case 'login':
+                    window.location.href = `${this.options.loginUrl}?returnUrl=${encodeURIComponent(window.location.pathname)}`;
+                    break;
+            }
+        });
+    },
+
+    renderUi: function () {
+        const modal = document.getElementById('components-reconnect-modal');
+        if (!modal) {
+            return;
+        }
+
+        const visible = this.circuitDown || this.state === 'session-expired';
+        modal.dataset.connectionState = this.state;
+        modal.hidden = !visible;
+
+        const status = modal.querySelector('[data-connection-retry]');
+        if (status) {
+            status.textContent = this.describeRetry();
+        }
+
+        // Keep the countdown ticking only while there is one to show
+        if (visible && this.retryAt && !this.countdownTimer) {
+            this.countdownTimer = setInterval(() => this.renderUi(), 1000);
+        } else if ((!visible || !this.retryAt) && this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    },
+
+    describeRetry: function () {
+        if (this.reconnecting) {
+            return 'Reconnecting…';
+        }
+        if (this.retryAt) {
+            const seconds = Math.max(0, Math.ceil((this.retryAt - Date.now()) / 1000));
+            return seconds > 0 ? `Retrying in ${seconds}s` : 'Reconnecting…';
+        }
+        return '';
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.connection.start();
+});
@@ -1,328 +1,1198 @@
 // Dashboard Charts JavaScript
-// Initialize charts when DOM is loaded
-
-document.addEventListener('DOMContentLoaded', function() {
-    // Initialize charts after a short delay to ensure canvas elements are rendered
-    setTimeout(function() {
-        initializeCharts();
-    }, 100);
-});
-
-function initializeCharts() {
-    // Destroy existing charts to prevent canvas reuse errors
-    // Chart.js 3.x compatibility - use a safer approach
+// Charts are drawn from specs supplied by Dashboard/Index.razor.cs through renderChart/updateChart
+
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+// Chart instances keyed by canvas id. Only charts created through renderChart are
+// tracked here, so re-rendering one chart never touches other Chart.js instances.
+window.blazorCrudDemo.chartRegistry = window.blazorCrudDemo.chartRegistry || new Map();
+
+// Drill-down callbacks keyed by canvas id: { dotNetRef, methodName }
+window.blazorCrudDemo.chartDrillDown = window.blazorCrudDemo.chartDrillDown || new Map();
+
+// Notification hub events each chart follows, keyed by canvas id: { events: [], maxPoints }
+window.blazorCrudDemo.chartLiveUpdates = window.blazorCrudDemo.chartLiveUpdates || new Map();
+
+// Fallback colours used when the page does not define the --chart-series-N custom properties
+var DEFAULT_CHART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+
+// Custom properties read for chart chrome, with the colours used when they are not defined
+var CHART_THEME_PROPERTIES = {
+    text: ['--chart-text', '#64748b'],
+    title: ['--chart-title', '#1e293b'],
+    grid: ['--chart-grid', '#e2e8f0'],
+    surface: ['--chart-surface', '#ffffff'],
+    tooltipBackground: ['--chart-tooltip-bg', '#1e293b'],
+    tooltipText: ['--chart-tooltip-text', '#ffffff'],
+    tooltipBorder: ['--chart-tooltip-border', '#3b82f6']
+};
+
+// Render (or re-render) a chart on the given canvas.
+// spec: { type: 'line' | 'bar' | 'doughnut', title, valueLabel, labels: [], keys: [], series: [{ label, data: [], color, colors }] }
+// keys are optional ids aligned with labels, used to match live updates and passed back on drill-down.
+// Colours may be CSS custom property references such as 'var(--chart-series-1)', resolved against the canvas.
+function renderChart(canvasId, spec) {
+    const registry = window.blazorCrudDemo.chartRegistry;
+    pruneDetachedCharts();
+
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || typeof Chart === 'undefined') {
+        console.warn(`Cannot render chart '${canvasId}': canvas or Chart.js not available`);
+        return false;
+    }
+
+    watchChartTheme();
+    const theme = resolveChartTheme(canvas);
+
+    const existing = registry.get(canvasId);
+    if (existing && existing.chart.canvas === canvas && existing.spec.type === spec.type) {
+        existing.spec = spec;
+        existing.theme = theme;
+        existing.source = null;
+        applyChartData(existing.chart, spec, theme);
+        applyChartOptions(existing.chart.options, spec, theme);
+        existing.chart.update();
+        updateChartAccessibility(canvasId, existing);
+        return true;
+    }
+
+    destroyChart(canvasId);
+
     try {
-        if (typeof Chart !== 'undefined' && Chart.instances) {
-            Object.values(Chart.instances).forEach(instance => {
-                if (instance && typeof instance.destroy === 'function') {
-                    instance.destroy();
-                }
+        const config = buildChartConfig(spec, theme);
+        config.options.onClick = function (event, elements) {
+            if (elements.length) {
+                activateChartPoint(canvasId, elements[0].datasetIndex, elements[0].index);
+            }
+        };
+        config.options.onHover = function (event, elements) {
+            canvas.style.cursor = elements.length && window.blazorCrudDemo.chartDrillDown.has(canvasId) ? 'pointer' : 'default';
+        };
+
+        const chart = new Chart(canvas, config);
+        const entry = { chart: chart, spec: spec, theme: theme };
+        registry.set(canvasId, entry);
+        attachChartKeyboard(canvasId, canvas);
+        updateChartAccessibility(canvasId, entry);
+        return true;
+    } catch (error) {
+        console.error(`Error creating chart '${canvasId}':`, error);
+        return false;
+    }
+}
+
+// Replace the labels and series of an existing chart without recreating it
+function updateChart(canvasId, data) {
+    const entry = window.blazorCrudDemo.chartRegistry.get(canvasId);
+    if (!entry) {
+        console.warn(`Cannot update chart '${canvasId}': it has not been rendered`);
+        return false;
+    }
+
+    entry.spec = Object.assign({}, entry.spec, data);
+    applyChartData(entry.chart, entry.spec, entry.theme);
+    applyChartOptions(entry.chart.options, entry.spec, entry.theme);
+    entry.chart.update();
+    updateChartAccessibility(canvasId, entry);
+    return true;
+}
+
+// Render a chart from raw timestamped events, bucketed client-side by chart-aggregation.js.
+// spec: { type, title, valueLabel, periodDays, compareToPrevious, locale, series: [{ label, color, events: [{ timestamp, value }] }] }
+function renderTimeSeriesChart(canvasId, spec) {
+    const rendered = renderChart(canvasId, buildTimeSeriesSpec(spec));
+    if (rendered) {
+        // Kept so live updates can add events and re-bucket
+        window.blazorCrudDemo.chartRegistry.get(canvasId).source = spec;
+    }
+    return rendered;
+}
+
+function buildTimeSeriesSpec(spec) {
+    const aggregation = window.blazorCrudDemo.chartAggregation;
+    const series = [];
+    let labels = [];
+    let unit = null;
+
+    (spec.series || []).forEach(function (source, index) {
+        const result = aggregation.aggregate(source.events || [], {
+            periodDays: spec.periodDays,
+            compareToPrevious: spec.compareToPrevious && index === 0,
+            locale: spec.locale
+        });
+
+        labels = result.labels;
+        unit = result.unit;
+        series.push({
+            label: source.label,
+            color: source.color,
+            data: result.current,
+            pointLabels: result.labels,
+            pointRanges: result.ranges
+        });
+
+        if (result.previous) {
+            series.push({
+                label: `${source.label} (previous period)`,
+                color: source.color,
+                data: result.previous,
+                pointLabels: result.previousLabels,
+                pointRanges: result.previousRanges,
+                dashed: true
             });
         }
+    });
+
+    return {
+        type: spec.type || 'line',
+        title: spec.title,
+        valueLabel: spec.valueLabel,
+        periodDays: spec.periodDays,
+        bucketUnit: unit,
+        labels: labels,
+        series: series
+    };
+}
+
+// Route clicks and keyboard activation on a chart to a [JSInvokable] .NET method.
+// The method receives { canvasId, datasetIndex, index, label, key, value, rangeStart, rangeEnd }.
+function enableChartDrillDown(canvasId, dotNetRef, methodName) {
+    window.blazorCrudDemo.chartDrillDown.set(canvasId, {
+        dotNetRef: dotNetRef,
+        methodName: methodName || 'OnChartPointActivated'
+    });
+}
+
+function disableChartDrillDown(canvasId) {
+    window.blazorCrudDemo.chartDrillDown.delete(canvasId);
+}
+
+function activateChartPoint(canvasId, datasetIndex, index) {
+    const handler = window.blazorCrudDemo.chartDrillDown.get(canvasId);
+    const entry = window.blazorCrudDemo.chartRegistry.get(canvasId);
+    if (!handler || !entry) {
+        return;
+    }
+
+    const series = (entry.spec.series || [])[datasetIndex] || {};
+    const range = series.pointRanges ? series.pointRanges[index] : null;
+
+    handler.dotNetRef.invokeMethodAsync(handler.methodName, {
+        canvasId: canvasId,
+        datasetIndex: datasetIndex,
+        index: index,
+        label: series.pointLabels ? series.pointLabels[index] : (entry.spec.labels || [])[index],
+        key: (entry.spec.keys || [])[index] || null,
+        value: (series.data || [])[index],
+        rangeStart: range ? range.start : null,
+        rangeEnd: range ? range.end : null
+    }).catch(function (error) {
+        console.warn(`Chart drill-down for '${canvasId}' failed:`, error);
+    });
+}
+
+// Canvases are focusable: Left/Right (Home/End) move between points, Up/Down between series,
+// Enter or Space drills down into the focused point. Each move is announced through the live region.
+function attachChartKeyboard(canvasId, canvas) {
+    if (canvas.dataset.chartKeyboard) {
+        return;
+    }
+
+    canvas.dataset.chartKeyboard = 'true';
+    if (!canvas.hasAttribute('tabindex')) {
+        canvas.setAttribute('tabindex', '0');
+    }
+
+    canvas.addEventListener('keydown', function (event) {
+        const entry = window.blazorCrudDemo.chartRegistry.get(canvasId);
+        const count = entry ? (entry.spec.labels || []).length : 0;
+        if (!count) {
+            return;
+        }
+
+        const seriesCount = isCircularChart(entry.spec.type) ? 1 : (entry.spec.series || []).length;
+        const datasetIndex = Math.min(entry.focusDatasetIndex || 0, Math.max(seriesCount - 1, 0));
+        const current = entry.focusIndex === undefined ? -1 : Math.min(entry.focusIndex, count - 1);
+
+        switch (event.key) {
+            case 'ArrowRight':
+                focusChartPoint(canvasId, entry, datasetIndex, Math.min(current + 1, count - 1));
+                break;
+            case 'ArrowLeft':
+                focusChartPoint(canvasId, entry, datasetIndex, Math.max(current - 1, 0));
+                break;
+            case 'Home':
+                focusChartPoint(canvasId, entry, datasetIndex, 0);
+                break;
+            case 'End':
+                focusChartPoint(canvasId, entry, datasetIndex, count - 1);
+                break;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (seriesCount < 2) {
+                    return;
+                }
+                focusChartPoint(canvasId, entry,
+                    (datasetIndex + (event.key === 'ArrowDown' ? 1 : seriesCount - 1)) % seriesCount,
+                    Math.max(current, 0));
+                break;
+            case 'Enter':
+            case ' ':
+                if (current < 0) {
+                    return;
+                }
+                activateChartPoint(canvasId, datasetIndex, current);
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    });
+
+    canvas.addEventListener('blur', function () {
+        const entry = window.blazorCrudDemo.chartRegistry.get(canvasId);
+        if (entry) {
+            entry.chart.setActiveElements([]);
+            entry.chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+            entry.chart.update();
+        }
+    });
+}
+
+// Highlight a point, move the tooltip onto it and announce its value
+function focusChartPoint(canvasId, entry, datasetIndex, index) {
+    const element = entry.chart.getDatasetMeta(datasetIndex).data[index];
+    if (!element) {
+        return;
+    }
+
+    const active = [{ datasetIndex: datasetIndex, index: index }];
+    entry.focusDatasetIndex = datasetIndex;
+    entry.focusIndex = index;
+    entry.chart.setActiveElements(active);
+    entry.chart.tooltip.setActiveElements(active, element.tooltipPosition());
+    entry.chart.update();
+
+    const liveRegion = document.getElementById(`${canvasId}-live`);
+    if (liveRegion) {
+        liveRegion.textContent = describeChartPoint(entry.spec, datasetIndex, index);
+    }
+}
+
+function destroyChart(canvasId) {
+    const registry = window.blazorCrudDemo.chartRegistry;
+    const entry = registry.get(canvasId);
+    if (!entry) {
+        return;
+    }
+
+    try {
+        entry.chart.destroy();
     } catch (error) {
-        console.warn('Error destroying existing charts:', error);
+        console.warn(`Error destroying chart '${canvasId}':`, error);
     }
+    registry.delete(canvasId);
+}
 
-    // Sales Activity Chart (Line Chart)
-    const salesCtx = document.getElementById('salesChart');
-    if (salesCtx) {
-        try {
-            const salesChart = new Chart(salesCtx, {
-                type: 'line',
-                data: {
-                    labels: ['Jan 1', 'Jan 8', 'Jan 15', 'Jan 22', 'Jan 29', 'Feb 5', 'Feb 12', 'Feb 19', 'Feb 26', 'Mar 5', 'Mar 12', 'Mar 19'],
-                    datasets: [{
-                        label: 'Orders',
-                        data: [12, 19, 15, 25, 22, 30, 28, 35, 32, 40, 38, 45],
-                        borderColor: '#3b82f6',
-                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                        borderWidth: 3,
-                        fill: true,
-                        tension: 0.4,
-                        pointBackgroundColor: '#3b82f6',
-                        pointBorderColor: '#ffffff',
-                        pointBorderWidth: 2,
-                        pointRadius: 6,
-                        pointHoverRadius: 8
-                    }]
+// Blazor re-renders the dashboard markup on refresh, which leaves charts pointing at removed canvases
+function pruneDetachedCharts() {
+    window.blazorCrudDemo.chartRegistry.forEach(function (entry, canvasId) {
+        if (!entry.chart.canvas || !entry.chart.canvas.isConnected) {
+            destroyChart(canvasId);
+        }
+    });
+}
+
+function buildChartConfig(spec, theme) {
+    const config = isCircularChart(spec.type) ? buildDoughnutConfig(spec) : buildCartesianConfig(spec);
+    config.data = { labels: [], datasets: [] };
+    applyChartData(config, spec, theme);
+    applyChartOptions(config.options, spec, theme);
+    return config;
+}
+
+function applyChartData(chart, spec, theme) {
+    chart.data.labels = (spec.labels || []).slice();
+    chart.data.datasets = (spec.series || []).map(function (series, index) {
+        return isCircularChart(spec.type)
+            ? buildDoughnutDataset(series, spec.labels || [], theme)
+            : buildCartesianDataset(series, index, theme);
+    });
+}
+
+// Options that depend on the data or the theme, re-applied whenever a chart is updated in place
+function applyChartOptions(options, spec, theme) {
+    const tooltip = options.plugins.tooltip;
+    tooltip.backgroundColor = theme.tooltipBackground;
+    tooltip.titleColor = theme.tooltipText;
+    tooltip.bodyColor = theme.tooltipText;
+    tooltip.borderColor = theme.tooltipBorder;
+
+    if (isCircularChart(spec.type)) {
+        return;
+    }
+
+    options.plugins.legend.display = (spec.series || []).length > 1;
+    options.plugins.legend.labels = Object.assign(options.plugins.legend.labels || {}, { color: theme.text });
+    options.scales.x.ticks.maxTicksLimit = spec.periodDays && spec.periodDays <= 7 ? spec.periodDays : 8;
+    options.scales.x.ticks.color = theme.text;
+    options.scales.y.ticks.color = theme.text;
+    options.scales.y.grid.color = theme.grid;
+}
+
+function isCircularChart(type) {
+    return type === 'doughnut' || type === 'pie';
+}
+
+function buildCartesianDataset(series, index, theme) {
+    const color = series.color ? theme.resolve(series.color) : theme.series[index % theme.series.length];
+    const dataset = {
+        label: series.label,
+        data: (series.data || []).slice(),
+        pointLabels: series.pointLabels,
+        borderColor: color,
+        backgroundColor: toRgba(color, 0.1),
+        borderWidth: 3,
+        fill: index === 0,
+        tension: 0.4,
+        pointBackgroundColor: color,
+        pointBorderColor: theme.surface,
+        pointBorderWidth: 2,
+        pointRadius: 6,
+        pointHoverRadius: 8
+    };
+
+    // Comparison series are drawn as a thin dashed line behind the current period
+    if (series.dashed) {
+        Object.assign(dataset, {
+            borderDash: [6, 4],
+            borderWidth: 2,
+            backgroundColor: 'transparent',
+            fill: false,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            order: 1
+        });
+    }
+
+    return dataset;
+}
+
+function buildDoughnutDataset(series, labels, theme) {
+    const colors = series.colors && series.colors.length
+        ? series.colors.map(theme.resolve)
+        : labels.map(function (_, index) { return theme.series[index % theme.series.length]; });
+
+    return {
+        label: series.label,
+        data: (series.data || []).slice(),
+        backgroundColor: colors,
+        borderColor: labels.map(function () { return theme.surface; }),
+        borderWidth: 3,
+        hoverBorderWidth: 4,
+        hoverOffset: 8
+    };
+}
+
+function buildTooltipOptions(labelCallback) {
+    return {
+        borderWidth: 1,
+        cornerRadius: 8,
+        displayColors: false,
+        callbacks: {
+            label: labelCallback
+        }
+    };
+}
+
+function buildCartesianConfig(spec) {
+    const config = {
+        type: spec.type || 'line',
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
                 },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: false
-                        },
-                        tooltip: {
-                            backgroundColor: '#1e293b',
-                            titleColor: '#ffffff',
-                            bodyColor: '#ffffff',
-                            borderColor: '#3b82f6',
-                            borderWidth: 1,
-                            cornerRadius: 8,
-                            displayColors: false,
-                            callbacks: {
-                                label: function(context) {
-                                    return `Orders: ${context.parsed.y}`;
-                                }
-                            }
-                        }
+                tooltip: buildTooltipOptions(function (context) {
+                    // Comparison points carry their own dates, which differ from the x-axis labels
+                    const pointLabels = context.dataset.pointLabels;
+                    const pointLabel = context.dataset.borderDash && pointLabels ? ` (${pointLabels[context.dataIndex]})` : '';
+                    return `${context.dataset.label}${pointLabel}: ${context.parsed.y}`;
+                })
+            },
+            scales: {
+                x: {
+                    grid: {
+                        display: false
                     },
-                    scales: {
-                        x: {
-                            grid: {
-                                display: false
-                            },
-                            ticks: {
-                                color: '#64748b',
-                                font: {
-                                    size: 12
-                                }
-                            }
+                    ticks: {
+                        font: {
+                            size: 12
                         },
-                        y: {
-                            beginAtZero: true,
-                            grid: {
-                                color: '#e2e8f0',
-                                borderDash: [2, 2]
-                            },
-                            ticks: {
-                                color: '#64748b',
-                                font: {
-                                    size: 12
-                                },
-                                callback: function(value) {
-                                    return value;
-                                }
-                            }
-                        }
-                    },
-                    interaction: {
-                        intersect: false,
-                        mode: 'index'
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: {
+                        borderDash: [2, 2]
                     },
-                    elements: {
-                        point: {
-                            hoverBorderWidth: 3
+                    ticks: {
+                        font: {
+                            size: 12
                         }
                     }
                 }
-            });
-        } catch (error) {
-            console.error('Error creating sales chart:', error);
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            },
+            elements: {
+                point: {
+                    hoverBorderWidth: 3
+                }
+            }
         }
-    }
+    };
 
-    // Category Distribution Chart (Doughnut Chart)
-    const categoryCtx = document.getElementById('categoryChart');
-    if (categoryCtx) {
-        try {
-            const categoryChart = new Chart(categoryCtx, {
-                type: 'doughnut',
-                data: {
-                    labels: ['Electronics', 'Home & Garden', 'Fashion', 'Sports'],
-                    datasets: [{
-                        data: [45, 25, 20, 10],
-                        backgroundColor: [
-                            '#3b82f6',
-                            '#10b981',
-                            '#f59e0b',
-                            '#ef4444'
-                        ],
-                        borderColor: [
-                            '#ffffff',
-                            '#ffffff',
-                            '#ffffff',
-                            '#ffffff'
-                        ],
-                        borderWidth: 3,
-                        hoverBorderWidth: 4,
-                        hoverOffset: 8
-                    }]
+    return config;
+}
+
+function buildDoughnutConfig(spec) {
+    const valueLabel = spec.valueLabel || 'items';
+
+    return {
+        type: spec.type,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false // The dashboard renders its own legend
                 },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: false // We have custom legend
-                        },
-                        tooltip: {
-                            backgroundColor: '#1e293b',
-                            titleColor: '#ffffff',
-                            bodyColor: '#ffffff',
-                            borderColor: '#3b82f6',
-                            borderWidth: 1,
-                            cornerRadius: 8,
-                            displayColors: false,
-                            callbacks: {
-                                label: function(context) {
-                                    const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                                    const percentage = Math.round((context.parsed / total) * 100);
-                                    return `${context.label}: ${context.parsed} items (${percentage}%)`;
-                                }
-                            }
-                        }
-                    },
-                    cutout: '60%',
-                    radius: '80%'
+                tooltip: buildTooltipOptions(function (context) {
+                    const total = context.dataset.data.reduce(function (a, b) { return a + b; }, 0);
+                    const percentage = total > 0 ? Math.round((context.parsed / total) * 100) : 0;
+                    return `${context.label}: ${context.parsed} ${valueLabel} (${percentage}%)`;
+                })
+            },
+            cutout: '60%',
+            radius: '80%'
+        }
+    };
+}
+
+// Palette values can be written as #rgb, #rrggbb or rgb(); anything else is returned unchanged
+function toRgba(color, alpha) {
+    const value = (color || '').trim();
+
+    const rgb = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i.exec(value);
+    if (rgb) {
+        return `rgba(${rgb[1]}, ${rgb[2]}, ${rgb[3]}, ${alpha})`;
+    }
+
+    let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (!hex) {
+        return value;
+    }
+
+    hex = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return `rgba(${parseInt(hex.slice(0, 2), 16)}, ${parseInt(hex.slice(2, 4), 16)}, ${parseInt(hex.slice(4, 6), 16)}, ${alpha})`;
+}
+
+// Live updates
+
+// Translate notification hub messages (Hubs/NotificationHub.cs) into chart events:
+// { type, timestamp, key, label, value, delta, set }. key matches spec.keys (category or product id).
+var CHART_HUB_EVENTS = {
+    ReceiveProductUpdate: function (message) {
+        const product = message.product || {};
+        const actions = ['Created', 'Updated', 'Deleted'];
+        const action = typeof message.action === 'string' ? message.action : actions[message.action];
+
+        return {
+            type: `product${action}`,
+            timestamp: message.timestamp,
+            key: product.categoryId ? String(product.categoryId) : null,
+            label: product.categoryName || (product.category ? product.category.name : null),
+            value: 1,
+            delta: action === 'Created' ? 1 : action === 'Deleted' ? -1 : 0
+        };
+    },
+    ReceiveStockChanged: function (message) {
+        return {
+            type: 'stockChanged',
+            timestamp: message.timestamp,
+            key: String(message.productId),
+            label: message.productName,
+            value: message.newStock - message.previousStock,
+            set: message.newStock
+        };
+    }
+};
+
+// Update a chart in place when the notification hub reports one of the given events.
+// options: { events: ['productCreated' | 'productUpdated' | 'productDeleted' | 'stockChanged'], maxPoints }
+// Time series charts record the event and re-bucket, sliding the window forward as time passes.
+// Other charts adjust the point whose key (or label) matches, appending it if it is new and
+// dropping the oldest points beyond maxPoints.
+function enableLiveChartUpdates(canvasId, options) {
+    if (!window.blazorCrudDemo.notificationHub) {
+        console.warn(`Cannot enable live updates for chart '${canvasId}': notification-hub.js not loaded`);
+        return false;
+    }
+
+    window.blazorCrudDemo.chartLiveUpdates.set(canvasId, {
+        events: (options && options.events) || [],
+        maxPoints: (options && options.maxPoints) || 0
+    });
+    listenForChartHubEvents();
+    return true;
+}
+
+function disableLiveChartUpdates(canvasId) {
+    window.blazorCrudDemo.chartLiveUpdates.delete(canvasId);
+}
+
+// One hub subscription per message type, shared by every chart
+function listenForChartHubEvents() {
+    if (window.blazorCrudDemo.chartHubListeners) {
+        return;
+    }
+
+    window.blazorCrudDemo.chartHubListeners = Object.keys(CHART_HUB_EVENTS).map(function (methodName) {
+        return window.blazorCrudDemo.notificationHub.on(methodName, function (message) {
+            const event = CHART_HUB_EVENTS[methodName](message || {});
+            window.blazorCrudDemo.chartLiveUpdates.forEach(function (subscription, canvasId) {
+                if (subscription.events.indexOf(event.type) >= 0) {
+                    applyLiveChartEvent(canvasId, event, subscription);
                 }
             });
-        } catch (error) {
-            console.error('Error creating category chart:', error);
-        }
+        });
+    });
+}
+
+function applyLiveChartEvent(canvasId, event, subscription) {
+    const entry = window.blazorCrudDemo.chartRegistry.get(canvasId);
+    if (!entry || !entry.chart.canvas.isConnected) {
+        return;
+    }
+
+    if (entry.source) {
+        recordTimeSeriesEvent(entry, event);
+    } else if (!adjustChartPoint(entry.spec, event, subscription.maxPoints)) {
+        return;
     }
+
+    syncChartData(entry);
+    updateChartAccessibility(canvasId, entry);
 }
 
-// Function to update charts when period changes
-function updateChartPeriod(period) {
-    // This would typically fetch new data based on the selected period
-    console.log('Updating chart period to:', period);
+function recordTimeSeriesEvent(entry, event) {
+    const source = entry.source;
+    const series = (source.series || [])[0];
+    if (!series) {
+        return;
+    }
 
-    // For demo purposes, we'll just reinitialize with slightly different data
-    setTimeout(function() {
-        // Remove existing charts
-        try {
-            if (typeof Chart !== 'undefined' && Chart.instances) {
-                Object.values(Chart.instances).forEach(instance => {
-                    if (instance && typeof instance.destroy === 'function') {
-                        instance.destroy();
-                    }
-                });
+    series.events = series.events || [];
+    series.events.push({
+        timestamp: event.timestamp || new Date().toISOString(),
+        value: event.value === undefined ? 1 : event.value
+    });
+
+    // Only the current and previous windows are ever drawn, so older events can go
+    const cutoff = Date.now() - ((source.periodDays || 30) * 2 + 1) * 86400000;
+    if (new Date(series.events[0].timestamp).getTime() < cutoff) {
+        series.events = series.events.filter(function (e) { return new Date(e.timestamp).getTime() >= cutoff; });
+    }
+
+    entry.spec = buildTimeSeriesSpec(source);
+}
+
+// Returns false when the event does not map onto the chart
+function adjustChartPoint(spec, event, maxPoints) {
+    const series = (spec.series || [])[0];
+    if (!series) {
+        return false;
+    }
+
+    spec.labels = spec.labels || [];
+    let index = event.key !== null && spec.keys ? spec.keys.indexOf(event.key) : -1;
+    if (index < 0 && event.label) {
+        index = spec.labels.indexOf(event.label);
+    }
+
+    if (index >= 0) {
+        const current = Number(series.data[index]) || 0;
+        series.data[index] = Math.max(0, event.set !== undefined ? event.set : current + (event.delta || 0));
+        return true;
+    }
+
+    const value = event.set !== undefined ? event.set : event.delta;
+    if (!event.label || !(value > 0)) {
+        return false;
+    }
+
+    spec.labels.push(event.label);
+    if (spec.keys) {
+        spec.keys.push(event.key);
+    }
+    spec.series.forEach(function (s) {
+        s.data = s.data || [];
+        s.data.push(s === series ? value : 0);
+    });
+    if (series.colors) {
+        series.colors.push(`var(--chart-series-${series.colors.length % DEFAULT_CHART_COLORS.length + 1})`);
+    }
+
+    if (maxPoints && spec.labels.length > maxPoints) {
+        const excess = spec.labels.length - maxPoints;
+        spec.labels.splice(0, excess);
+        if (spec.keys) {
+            spec.keys.splice(0, excess);
+        }
+        spec.series.forEach(function (s) {
+            s.data.splice(0, excess);
+            if (s.colors) {
+                s.colors.splice(0, excess);
             }
-        } catch (error) {
-            console.warn('Error updating chart period:', error);
+        });
+    }
+
+    return true;
+}
+
+// Copy spec values into the chart's existing arrays rather than replacing datasets, so Chart.js
+// animates the changed points and slides the axis when points fall off the front of the window
+function syncChartData(entry) {
+    const chart = entry.chart;
+    const spec = entry.spec;
+    const series = spec.series || [];
+    const labels = spec.labels || [];
+
+    if (chart.data.datasets.length !== series.length) {
+        applyChartData(chart, spec, entry.theme);
+        applyChartOptions(chart.options, spec, entry.theme);
+        chart.update();
+        return;
+    }
+
+    const shift = labels.length ? Math.max(0, chart.data.labels.indexOf(labels[0])) : 0;
+    if (shift) {
+        chart.data.labels.splice(0, shift);
+        chart.data.datasets.forEach(function (dataset) { dataset.data.splice(0, shift); });
+    }
+
+    replaceItems(chart.data.labels, labels);
+    chart.data.datasets.forEach(function (dataset, index) {
+        replaceItems(dataset.data, series[index].data || []);
+        dataset.pointLabels = series[index].pointLabels;
+
+        if (isCircularChart(spec.type)) {
+            const styled = buildDoughnutDataset(series[index], labels, entry.theme);
+            dataset.backgroundColor = styled.backgroundColor;
+            dataset.borderColor = styled.borderColor;
         }
+    });
 
-        // Reinitialize with new data based on period
-        initializeChartsWithPeriod(period);
-    }, 100);
+    chart.update();
 }
 
-function initializeChartsWithPeriod(period) {
-    const days = parseInt(period);
-    const multiplier = days / 30; // Base is 30 days
+function replaceItems(target, source) {
+    source.forEach(function (value, index) {
+        if (index >= target.length) {
+            target.push(value);
+        } else if (target[index] !== value) {
+            target[index] = value;
+        }
+    });
 
-    // Sales Activity Chart with adjusted data
-    const salesCtx = document.getElementById('salesChart');
-    if (salesCtx) {
-        try {
-            const baseData = [12, 19, 15, 25, 22, 30, 28, 35, 32, 40, 38, 45];
-            const adjustedData = baseData.map(value => Math.round(value * multiplier));
-
-            const salesChart = new Chart(salesCtx, {
-                type: 'line',
-                data: {
-                    labels: generateLabels(days),
-                    datasets: [{
-                        label: 'Orders',
-                        data: adjustedData,
-                        borderColor: '#3b82f6',
-                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                        borderWidth: 3,
-                        fill: true,
-                        tension: 0.4,
-                        pointBackgroundColor: '#3b82f6',
-                        pointBorderColor: '#ffffff',
-                        pointBorderWidth: 2,
-                        pointRadius: 6,
-                        pointHoverRadius: 8
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: false
-                        },
-                        tooltip: {
-                            backgroundColor: '#1e293b',
-                            titleColor: '#ffffff',
-                            bodyColor: '#ffffff',
-                            borderColor: '#3b82f6',
-                            borderWidth: 1,
-                            cornerRadius: 8,
-                            displayColors: false,
-                            callbacks: {
-                                label: function(context) {
-                                    return `Orders: ${context.parsed.y}`;
-                                }
-                            }
-                        }
-                    },
-                    scales: {
-                        x: {
-                            grid: {
-                                display: false
-                            },
-                            ticks: {
-                                color: '#64748b',
-                                font: {
-                                    size: 12
-                                },
-                                maxTicksLimit: days > 7 ? 6 : days
-                            }
-                        },
-                        y: {
-                            beginAtZero: true,
-                            grid: {
-                                color: '#e2e8f0',
-                                borderDash: [2, 2]
-                            },
-                            ticks: {
-                                color: '#64748b',
-                                font: {
-                                    size: 12
-                                }
-                            }
-                        }
-                    }
+    if (target.length > source.length) {
+        target.splice(source.length);
+    }
+}
+
+// Accessibility
+
+// Canvases are opaque to screen readers, so each chart gets a visually hidden summary, data table
+// and live region placed after its canvas. The canvas is described by the summary and keyboard hint.
+function updateChartAccessibility(canvasId, entry) {
+    const canvas = entry.chart.canvas;
+    const containerId = `${canvasId}-a11y`;
+    let container = document.getElementById(containerId);
+
+    if (!container) {
+        container = document.createElement('div');
+        container.id = containerId;
+        container.className = 'visually-hidden';
+        container.innerHTML =
+            `<p id="${canvasId}-summary"></p>` +
+            `<p id="${canvasId}-hint">Use the arrow keys to move between data points.</p>` +
+            `<table id="${canvasId}-table"></table>` +
+            `<div id="${canvasId}-live" aria-live="polite" aria-atomic="true"></div>`;
+        canvas.parentNode.insertBefore(container, canvas.nextSibling);
+    }
+
+    // 'application' so screen readers pass the arrow keys through instead of using them for browsing
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-roledescription', 'chart');
+    canvas.setAttribute('aria-label', entry.spec.title || 'Chart');
+    canvas.setAttribute('aria-describedby', `${canvasId}-summary ${canvasId}-hint`);
+
+    document.getElementById(`${canvasId}-summary`).textContent = describeChart(entry.spec);
+    renderChartTable(document.getElementById(`${canvasId}-table`), entry.spec);
+}
+
+function renderChartTable(table, spec) {
+    const series = spec.series || [];
+    table.textContent = '';
+
+    const caption = table.createCaption();
+    caption.textContent = spec.title || 'Chart data';
+
+    const headerRow = table.createTHead().insertRow();
+    [isCircularChart(spec.type) ? 'Category' : 'Period'].concat(series.map(function (s) { return s.label; }))
+        .forEach(function (text) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+    const body = table.createTBody();
+    (spec.labels || []).forEach(function (label, index) {
+        const row = body.insertRow();
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = label;
+        row.appendChild(th);
+
+        series.forEach(function (s) {
+            // Comparison series carry their own dates, which differ from the row label
+            const pointLabel = s.dashed && s.pointLabels ? ` (${s.pointLabels[index]})` : '';
+            row.insertCell().textContent = `${formatChartValue((s.data || [])[index])}${pointLabel}`;
+        });
+    });
+}
+
+// One-sentence overview, e.g. "Orders rose 275% over 12 weeks, from 4 to 15."
+function describeChart(spec) {
+    const series = spec.series || [];
+    const labels = spec.labels || [];
+    if (!series.length || !labels.length) {
+        return `${spec.title || 'Chart'}: no data.`;
+    }
+
+    const valueLabel = spec.valueLabel || '';
+    const data = (series[0].data || []).map(Number);
+    const total = data.reduce(function (a, b) { return a + b; }, 0);
+
+    if (isCircularChart(spec.type)) {
+        const largest = data.indexOf(Math.max.apply(null, data));
+        const share = total > 0 ? Math.round((data[largest] / total) * 100) : 0;
+        return `${spec.title || series[0].label}: ${formatChartValue(total)} ${valueLabel} across ${labels.length} categories. ` +
+            `${labels[largest]} is the largest at ${share}%.`;
+    }
+
+    const first = data[0];
+    const last = data[data.length - 1];
+    const span = spec.bucketUnit
+        ? `${labels.length} ${spec.bucketUnit}${labels.length === 1 ? '' : 's'}`
+        : `${labels.length} points`;
+
+    let trend;
+    if (last === first) {
+        trend = `${series[0].label} held steady at ${formatChartValue(last)} over ${span}.`;
+    } else {
+        const verb = last > first ? 'rose' : 'fell';
+        trend = first !== 0
+            ? `${series[0].label} ${verb} ${Math.round(Math.abs((last - first) / first) * 100)}% over ${span}, from ${formatChartValue(first)} to ${formatChartValue(last)}.`
+            : `${series[0].label} ${verb} from ${formatChartValue(first)} to ${formatChartValue(last)} over ${span}.`;
+    }
+
+    const peak = data.indexOf(Math.max.apply(null, data));
+    let summary = `${trend} Peak of ${formatChartValue(data[peak])} on ${labels[peak]}, ${formatChartValue(total)} ${valueLabel} in total.`;
+
+    const previous = series.find(function (s) { return s.dashed; });
+    if (previous) {
+        const previousTotal = (previous.data || []).reduce(function (a, b) { return a + Number(b); }, 0);
+        summary += previousTotal > 0
+            ? ` ${total >= previousTotal ? 'Up' : 'Down'} ${Math.round(Math.abs((total - previousTotal) / previousTotal) * 100)}% on the previous period.`
+            : ' No activity in the previous period.';
+    }
+
+    return summary.replace(/ +/g, ' ');
+}
+
+// Announcement for a focused point, e.g. "Orders, Mar 3: 12 orders. Point 5 of 30."
+function describeChartPoint(spec, datasetIndex, index) {
+    const series = (spec.series || [])[datasetIndex] || {};
+    const labels = spec.labels || [];
+    const label = series.pointLabels ? series.pointLabels[index] : labels[index];
+    const value = (series.data || [])[index];
+    const prefix = isCircularChart(spec.type) ? label : `${series.label}, ${label}`;
+
+    let text = `${prefix}: ${formatChartValue(value)} ${spec.valueLabel || ''}`.trim();
+    if (isCircularChart(spec.type)) {
+        const total = (series.data || []).reduce(function (a, b) { return a + Number(b); }, 0);
+        text += ` (${total > 0 ? Math.round((value / total) * 100) : 0}%)`;
+    }
+
+    return `${text}. Point ${index + 1} of ${labels.length}.`;
+}
+
+function formatChartValue(value) {
+    return value === undefined || value === null ? 'no data' : Number(value).toLocaleString();
+}
+
+// Chart theming
+
+// Read chart colours from CSS custom properties as they apply to the canvas, so a
+// .dark-theme ancestor or a palette stylesheet (css/palettes) is picked up
+function resolveChartTheme(element) {
+    const style = window.getComputedStyle(element || document.documentElement);
+    const read = function (name, fallback) {
+        return style.getPropertyValue(name).trim() || fallback;
+    };
+
+    const theme = {};
+    Object.keys(CHART_THEME_PROPERTIES).forEach(function (key) {
+        theme[key] = read(CHART_THEME_PROPERTIES[key][0], CHART_THEME_PROPERTIES[key][1]);
+    });
+    theme.series = DEFAULT_CHART_COLORS.map(function (fallback, index) {
+        return read(`--chart-series-${index + 1}`, fallback);
+    });
+
+    // Spec colours may reference custom properties: 'var(--name)' or 'var(--name, fallback)'
+    theme.resolve = function (color) {
+        const match = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/.exec((color || '').trim());
+        return match ? read(match[1], match[2] ? match[2].trim() : color) : color;
+    };
+    theme.key = JSON.stringify(theme);
+
+    return theme;
+}
+
+// Re-resolve colours for every registered chart and update those whose theme changed.
+// Called automatically on theme and palette changes; exposed for code that switches stylesheets another way.
+function refreshChartTheme() {
+    window.blazorCrudDemo.chartRegistry.forEach(function (entry) {
+        const canvas = entry.chart.canvas;
+        if (!canvas || !canvas.isConnected) {
+            return;
+        }
+
+        const theme = resolveChartTheme(canvas);
+        if (theme.key === entry.theme.key) {
+            return;
+        }
+
+        entry.theme = theme;
+        applyChartData(entry.chart, entry.spec, theme);
+        applyChartOptions(entry.chart.options, entry.spec, theme);
+        entry.chart.update('none');
+    });
+}
+
+// MainLayout toggles dark-theme/light-theme on .layout-container and palettes are swapped as
+// <link> stylesheets, so watch class changes above charts and stylesheet changes in <head>
+function watchChartTheme() {
+    if (window.blazorCrudDemo.chartThemeWatcher || typeof MutationObserver === 'undefined') {
+        return;
+    }
+
+    let scheduled = false;
+    const scheduleRefresh = function () {
+        if (scheduled) {
+            return;
+        }
+        scheduled = true;
+        window.requestAnimationFrame(function () {
+            scheduled = false;
+            refreshChartTheme();
+        });
+    };
+
+    const affectsChart = function (node) {
+        let affected = false;
+        window.blazorCrudDemo.chartRegistry.forEach(function (entry) {
+            affected = affected || (node.contains && node.contains(entry.chart.canvas));
+        });
+        return affected;
+    };
+
+    const classObserver = new MutationObserver(function (mutations) {
+        if (mutations.some(function (mutation) { return affectsChart(mutation.target); })) {
+            scheduleRefresh();
+        }
+    });
+    classObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'], subtree: true });
+
+    // A new stylesheet only applies once loaded
+    const stylesheetObserver = new MutationObserver(function (mutations) {
+        mutations.forEach(function (mutation) {
+            mutation.addedNodes.forEach(function (node) {
+                if (node.tagName === 'LINK') {
+                    node.addEventListener('load', scheduleRefresh, { once: true });
                 }
             });
-        } catch (error) {
-            console.error('Error creating sales chart with period:', error);
+            if (mutation.type === 'attributes' && mutation.target.tagName === 'LINK') {
+                mutation.target.addEventListener('load', scheduleRefresh, { once: true });
+            }
+        });
+        scheduleRefresh();
+    });
+    stylesheetObserver.observe(document.head, { childList: true, subtree: true, attributes: true, attributeFilter: ['href', 'media', 'disabled'] });
+
+    const colorScheme = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    if (colorScheme && colorScheme.addEventListener) {
+        colorScheme.addEventListener('change', scheduleRefresh);
+    }
+
+    window.blazorCrudDemo.chartThemeWatcher = { classObserver: classObserver, stylesheetObserver: stylesheetObserver };
+}
+
+// Chart export
+
+// Download a rendered chart. format: 'png' | 'svg' | 'csv'
+// options: { scale (PNG resolution multiplier), period (e.g. 'Last 30 days') }
+function exportChart(canvasId, format, options) {
+    const entry = window.blazorCrudDemo.chartRegistry.get(canvasId);
+    if (!entry) {
+        console.warn(`Cannot export chart '${canvasId}': it has not been rendered`);
+        return Promise.resolve(false);
+    }
+
+    options = options || {};
+    const fileName = buildExportFileName(entry.spec, canvasId, options.period, format);
+
+    try {
+        switch (format) {
+            case 'png':
+                return exportChartPng(entry, options.scale || 2).then(function (blob) {
+                    window.downloadFile(fileName, 'image/png', blob);
+                    return true;
+                });
+            case 'svg':
+                window.downloadFile(fileName, 'image/svg+xml', buildChartSvg(entry, options.period));
+                return Promise.resolve(true);
+            case 'csv':
+                window.downloadFile(fileName, 'text/csv', buildChartCsv(entry.spec));
+                return Promise.resolve(true);
+            default:
+                console.warn(`Unsupported chart export format '${format}'`);
+                return Promise.resolve(false);
         }
+    } catch (error) {
+        console.error(`Error exporting chart '${canvasId}' as ${format}:`, error);
+        return Promise.resolve(false);
     }
 }
 
-function generateLabels(days) {
-    const labels = [];
-    const now = new Date();
+function buildExportFileName(spec, canvasId, period, extension) {
+    const parts = [spec.title || canvasId];
+    if (period) {
+        parts.push(period);
+    } else if (spec.periodDays) {
+        parts.push(`last ${spec.periodDays} days`);
+    }
+    parts.push(new Date().toISOString().slice(0, 10));
 
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(now);
-        date.setDate(date.getDate() - i);
+    const slug = parts
+        .map(function (part) {
+            return String(part).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        })
+        .filter(Boolean)
+        .join('_');
 
-        if (days <= 7) {
-            labels.push(date.toLocaleDateString('en-US', { weekday: 'short' }));
-        } else if (days <= 30) {
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-        } else {
-            labels.push(date.toLocaleDateString('en-US', { month: 'short' }));
+    return `${slug}.${extension}`;
+}
+
+// Re-draws the chart off-screen at the requested pixel ratio, with its title and a solid background
+function exportChartPng(entry, scale) {
+    return new Promise(function (resolve, reject) {
+        const source = entry.chart;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.style.width = `${source.width}px`;
+        canvas.style.height = `${source.height}px`;
+
+        const theme = entry.theme;
+        const config = buildChartConfig(entry.spec, theme);
+        config.options.responsive = false;
+        config.options.animation = false;
+        config.options.devicePixelRatio = scale;
+        config.options.plugins.title = {
+            display: !!entry.spec.title,
+            text: entry.spec.title,
+            color: theme.title,
+            font: { size: 16, weight: 'bold' }
+        };
+        config.plugins = [{
+            id: 'exportBackground',
+            beforeDraw: function (chart) {
+                const ctx = chart.ctx;
+                ctx.save();
+                ctx.fillStyle = theme.surface;
+                ctx.fillRect(0, 0, chart.width, chart.height);
+                ctx.restore();
+            }
+        }];
+
+        let exportChartInstance;
+        try {
+            exportChartInstance = new Chart(canvas, config);
+        } catch (error) {
+            reject(error);
+            return;
         }
+
+        canvas.toBlob(function (blob) {
+            exportChartInstance.destroy();
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Canvas could not be encoded as PNG'));
+            }
+        }, 'image/png');
+    });
+}
+
+function buildChartCsv(spec) {
+    const series = spec.series || [];
+    const rows = [['Label'].concat(series.map(function (s) { return s.label; }))];
+
+    (spec.labels || []).forEach(function (label, index) {
+        rows.push([label].concat(series.map(function (s) {
+            const value = (s.data || [])[index];
+            return value === undefined || value === null ? '' : value;
+        })));
+    });
+
+    return rows.map(function (row) { return row.map(escapeCsvValue).join(','); }).join('\r\n');
+}
+
+function escapeCsvValue(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Vector rendition built from the geometry Chart.js has already laid out on screen
+function buildChartSvg(entry, period) {
+    const chart = entry.chart;
+    const spec = entry.spec;
+    const theme = entry.theme;
+    const titleHeight = spec.title ? 32 : 0;
+    const width = Math.round(chart.width);
+    const height = Math.round(chart.height) + titleHeight;
+    const parts = [];
+
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Segoe UI, Roboto, Helvetica, Arial, sans-serif">`);
+    parts.push(`<rect width="100%" height="100%" fill="${theme.surface}"/>`);
+
+    if (spec.title) {
+        const title = period ? `${spec.title} (${period})` : spec.title;
+        parts.push(`<text x="${width / 2}" y="22" text-anchor="middle" font-size="16" font-weight="bold" fill="${theme.title}">${escapeXml(title)}</text>`);
+    }
+
+    parts.push(`<g transform="translate(0, ${titleHeight})">`);
+    if (isCircularChart(spec.type)) {
+        appendDoughnutSvg(parts, chart, theme);
+    } else {
+        appendCartesianSvg(parts, chart, theme);
     }
+    parts.push('</g></svg>');
 
-    return labels;
+    return parts.join('\n');
 }
 
-// Function to refresh charts (called from Blazor)
-function refreshCharts() {
-    // Remove existing charts using the correct Chart.js API
-    try {
-        if (typeof Chart !== 'undefined' && Chart.instances) {
-            Object.values(Chart.instances).forEach(instance => {
-                if (instance && typeof instance.destroy === 'function') {
-                    instance.destroy();
-                }
+function appendCartesianSvg(parts, chart, theme) {
+    const area = chart.chartArea;
+    const xScale = chart.scales.x;
+    const yScale = chart.scales.y;
+
+    yScale.ticks.forEach(function (tick) {
+        const y = roundSvg(yScale.getPixelForValue(tick.value));
+        parts.push(`<line x1="${roundSvg(area.left)}" y1="${y}" x2="${roundSvg(area.right)}" y2="${y}" stroke="${theme.grid}" stroke-dasharray="2,2"/>`);
+        parts.push(`<text x="${roundSvg(area.left - 8)}" y="${y + 4}" text-anchor="end" font-size="12" fill="${theme.text}">${escapeXml(tick.label)}</text>`);
+    });
+
+    xScale.ticks.forEach(function (tick, index) {
+        const x = roundSvg(xScale.getPixelForTick(index));
+        parts.push(`<text x="${x}" y="${roundSvg(area.bottom + 18)}" text-anchor="middle" font-size="12" fill="${theme.text}">${escapeXml(tick.label)}</text>`);
+    });
+
+    chart.data.datasets.forEach(function (dataset, datasetIndex) {
+        const meta = chart.getDatasetMeta(datasetIndex);
+        if (meta.hidden) {
+            return;
+        }
+
+        const points = meta.data.map(function (point) { return `${roundSvg(point.x)},${roundSvg(point.y)}`; }).join(' ');
+        const dash = dataset.borderDash ? ` stroke-dasharray="${dataset.borderDash.join(',')}"` : '';
+        parts.push(`<polyline points="${points}" fill="none" stroke="${dataset.borderColor}" stroke-width="${dataset.borderWidth}"${dash}/>`);
+
+        if (dataset.pointRadius) {
+            meta.data.forEach(function (point) {
+                parts.push(`<circle cx="${roundSvg(point.x)}" cy="${roundSvg(point.y)}" r="${Math.min(dataset.pointRadius, 4)}" fill="${dataset.pointBackgroundColor}"/>`);
             });
         }
-    } catch (error) {
-        console.warn('Error refreshing charts:', error);
+    });
+}
+
+function appendDoughnutSvg(parts, chart, theme) {
+    const dataset = chart.data.datasets[0];
+    const meta = chart.getDatasetMeta(0);
+    if (!dataset || !meta) {
+        return;
     }
 
-    // Reinitialize charts
-    setTimeout(function() {
-        initializeCharts();
-    }, 100);
+    meta.data.forEach(function (arc, index) {
+        const colors = Array.isArray(dataset.backgroundColor) ? dataset.backgroundColor : [dataset.backgroundColor];
+        parts.push(`<path d="${describeArc(arc)}" fill="${colors[index % colors.length]}" stroke="${theme.surface}" stroke-width="2"/>`);
+    });
+
+    // Doughnuts rely on the dashboard's own legend, so the export carries one of its own
+    const colors = Array.isArray(dataset.backgroundColor) ? dataset.backgroundColor : [dataset.backgroundColor];
+    const total = dataset.data.reduce(function (a, b) { return a + b; }, 0);
+    (chart.data.labels || []).forEach(function (label, index) {
+        const y = 16 + index * 20;
+        const percentage = total > 0 ? Math.round((dataset.data[index] / total) * 100) : 0;
+        parts.push(`<rect x="8" y="${y - 10}" width="12" height="12" rx="6" fill="${colors[index % colors.length]}"/>`);
+        parts.push(`<text x="26" y="${y}" font-size="12" fill="${theme.title}">${escapeXml(label)} (${percentage}%)</text>`);
+    });
+}
+
+function describeArc(arc) {
+    const props = arc.getProps(['x', 'y', 'startAngle', 'endAngle', 'innerRadius', 'outerRadius'], true);
+    const largeArc = props.endAngle - props.startAngle > Math.PI ? 1 : 0;
+    const point = function (radius, angle) {
+        return `${roundSvg(props.x + radius * Math.cos(angle))},${roundSvg(props.y + radius * Math.sin(angle))}`;
+    };
+
+    return [
+        `M ${point(props.outerRadius, props.startAngle)}`,
+        `A ${roundSvg(props.outerRadius)} ${roundSvg(props.outerRadius)} 0 ${largeArc} 1 ${point(props.outerRadius, props.endAngle)}`,
+        `L ${point(props.innerRadius, props.endAngle)}`,
+        `A ${roundSvg(props.innerRadius)} ${roundSvg(props.innerRadius)} 0 ${largeArc} 0 ${point(props.innerRadius, props.startAngle)}`,
+        'Z'
+    ].join(' ');
+}
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function roundSvg(value) {
+    return Math.round(value * 10) / 10;
 }
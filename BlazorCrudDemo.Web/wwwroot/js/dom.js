@@ -0,0 +1,23 @@
+// DOM JavaScript
+// Element helpers for the scripts that build their own UI (notifications, keyboard shortcut help,
+// image cropping, offline browser). Load it before them.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.dom = window.blazorCrudDemo.dom || {
+    // el('a', { className: 'x', 'aria-label': 'y' }, 'text'). Names the element has as a property
+    // are set as properties, the rest (aria-*, data-*) as attributes.
+    el: function (tag, attributes, text) {
+        const element = document.createElement(tag);
+        Object.entries(attributes || {}).forEach(([name, value]) => {
+            if (name in element && !name.includes('-')) {
+                element[name] = value;
+            } else {
+                element.setAttribute(name, value);
+            }
+        });
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+};
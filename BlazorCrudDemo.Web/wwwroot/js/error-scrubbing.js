@@ -0,0 +1,185 @@
+// Error Scrubbing JavaScript
+// Removes personal data from error payloads before error-tracking.js stores or sends them.
+// Tests: BlazorCrudDemo.Tests/JavaScript/error-scrubbing.test.js
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+// Kept across repeated loads of this script so configure() changes survive
+window.blazorCrudDemo.errorScrubbing = window.blazorCrudDemo.errorScrubbing || {
+    redacted: '[redacted]',
+
+    options: {
+        // 'denylist' redacts the query parameters below; 'allowlist' keeps only allowedQueryParams
+        urlMode: 'denylist',
+
+        // Matched case-insensitively against query parameter and object property names
+        deniedQueryParams: [
+            'email', 'username', 'user', 'token', 'code', 'resetToken', 'password', 'secret', 'key',
+            'access_token', 'refresh_token', 'id_token', 'signature', 'sig',
+            'q', 'query', 'search', 'searchTerm', 'term', 'keywords', 'returnUrl'
+        ],
+
+        // Used in allowlist mode: parameters that never carry user data
+        allowedQueryParams: ['v', 'page', 'pageSize', 'sort', 'sortBy', 'period', 'tab'],
+
+        // Everything after these path prefixes is user input (e.g. the serialized product search)
+        redactedPathPrefixes: ['/products/search/'],
+
+        // Property names whose values are dropped wherever they appear
+        deniedKeys: ['password', 'authorization', 'cookie', 'token', 'accessToken', 'refreshToken'],
+
+        // Applied to every string, in order
+        patterns: [
+            { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, replacement: '[jwt]' },
+            { name: 'email', regex: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi, replacement: '[email]' },
+            { name: 'card', regex: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: '[card]', validate: 'luhn' }
+        ]
+    },
+
+    configure: function (options) {
+        Object.assign(this.options, options || {});
+    },
+
+    // Scrub any error payload: strings, arrays and plain objects, recursively
+    scrub: function (value, key, depth) {
+        depth = depth || 0;
+
+        if (key && this.matchesName(key, this.options.deniedKeys)) {
+            return value === null || value === undefined ? value : this.redacted;
+        }
+
+        if (typeof value === 'string') {
+            return key && /url|href|filename|location/i.test(key) ? this.scrubUrl(value) : this.scrubText(value);
+        }
+
+        if (!value || typeof value !== 'object' || depth > 8) {
+            return value;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.scrub(item, null, depth + 1));
+        }
+
+        const result = {};
+        Object.keys(value).forEach(name => {
+            result[name] = this.scrub(value[name], name, depth + 1);
+        });
+        return result;
+    },
+
+    // Redact URLs inside free text (messages, stacks) and then any remaining patterns
+    scrubText: function (text) {
+        if (!text) {
+            return text;
+        }
+
+        // Stack frames end URLs with :line:column, which must not be read as part of the query
+        const withUrls = String(text).replace(/\bhttps?:\/\/[^\s)'"<>]+/g, url => {
+            const location = url.match(/(?::\d+){1,2}$/);
+            const suffix = location ? location[0] : '';
+            return this.scrubUrl(url.slice(0, url.length - suffix.length)) + suffix;
+        });
+        return this.scrubPatterns(withUrls);
+    },
+
+    scrubPatterns: function (text) {
+        return this.options.patterns.reduce((result, pattern) => result.replace(pattern.regex, match => {
+            if (pattern.validate === 'luhn' && !this.passesLuhn(match)) {
+                return match;
+            }
+            return pattern.replacement;
+        }), text);
+    },
+
+    scrubUrl: function (url) {
+        if (!url) {
+            return url;
+        }
+
+        let parsed;
+        const absolute = /^[a-z][a-z0-9+.-]*:/i.test(url);
+        try {
+            parsed = new URL(url, 'http://relative.invalid');
+        } catch (e) {
+            return this.scrubPatterns(url);
+        }
+
+        parsed.pathname = this.scrubPath(parsed.pathname);
+
+        // Rebuilt by hand so untouched parameters keep their original encoding
+        const query = parsed.search.replace(/^\?/, '').split('&').map(pair => {
+            if (!pair) {
+                return pair;
+            }
+            const separator = pair.indexOf('=');
+            const name = separator === -1 ? pair : pair.slice(0, separator);
+            const value = separator === -1 ? '' : pair.slice(separator + 1);
+            let decodedName;
+            let decodedValue;
+            try {
+                decodedName = decodeURIComponent(name.replace(/\+/g, ' '));
+                decodedValue = decodeURIComponent(value.replace(/\+/g, ' '));
+            } catch (e) {
+                decodedName = name;
+                decodedValue = value;
+            }
+            const scrubbed = this.scrubParam(decodedName, decodedValue);
+            return scrubbed === decodedValue ? pair : `${name}=${scrubbed}`;
+        }).join('&');
+
+        const base = absolute ? `${parsed.protocol}//${parsed.host}` : '';
+        // Fragments can carry tokens (e.g. #access_token=...) and are never needed for debugging
+        const hash = parsed.hash ? `#${this.redacted}` : '';
+        return base + parsed.pathname + (query ? `?${query}` : '') + hash;
+    },
+
+    scrubParam: function (name, value) {
+        if (this.options.urlMode === 'allowlist') {
+            return this.matchesName(name, this.options.allowedQueryParams) ? this.scrubPatterns(value) : this.redacted;
+        }
+        return this.matchesName(name, this.options.deniedQueryParams) ? this.redacted : this.scrubPatterns(value);
+    },
+
+    scrubPath: function (path) {
+        const prefix = this.options.redactedPathPrefixes.find(p => path.toLowerCase().startsWith(p.toLowerCase()));
+        if (prefix && path.length > prefix.length) {
+            return prefix + this.redacted;
+        }
+
+        return path.split('/').map(segment => {
+            let decoded;
+            try {
+                decoded = decodeURIComponent(segment);
+            } catch (e) {
+                decoded = segment;
+            }
+            const scrubbed = this.scrubPatterns(decoded);
+            return scrubbed === decoded ? segment : scrubbed;
+        }).join('/');
+    },
+
+    matchesName: function (name, list) {
+        const lower = String(name).toLowerCase();
+        return list.some(item => item.toLowerCase() === lower);
+    },
+
+    // Card numbers pass the Luhn checksum; most other long digit runs (timestamps, ids) do not
+    passesLuhn: function (candidate) {
+        const digits = candidate.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+};
@@ -1,46 +1,375 @@
 // Network Status Monitoring JavaScript
+// Tells "no network" (navigator.onLine is false) apart from "server unreachable" (the probe
+// fails or times out) and "captive portal" (the probe is answered by something that is not us:
+// an HTML page or a redirect to another origin). Connection quality combines navigator.connection
+// (effective type, RTT) with the latency measured by our own and heartbeat.js's probes.
+// Every change is pushed to NetworkStatusService.OnNetworkStatusReported.
 window.blazorCrudDemo = window.blazorCrudDemo || {};
 
-window.blazorCrudDemo.networkStatus = {
+window.blazorCrudDemo.networkStatus = window.blazorCrudDemo.networkStatus || {
+    probeUrl: '/health/live',
+    probeTimeout: 5000,
+    // Measured latency (median of recent probes) at or above which the connection counts as slow
+    slowLatency: 1000,
+    slowEffectiveTypes: ['slow-2g', '2g'],
+    maxLatencySamples: 5,
+
     dotNetRef: null,
+    handlers: null,
+    latencies: [],
+    status: null,
+    checking: null,
 
     initialize: function (dotNetRef) {
         this.dotNetRef = dotNetRef;
 
-        // Listen for online/offline events
-        window.addEventListener('online', this.onOnline.bind(this));
-        window.addEventListener('offline', this.onOffline.bind(this));
+        if (!this.handlers) {
+            // Keep the bound functions so dispose can remove exactly these listeners
+            this.handlers = {
+                online: () => this.onOnline(),
+                offline: () => this.onOffline(),
+                connectionChange: () => this.update(),
+                heartbeat: result => this.onHeartbeat(result)
+            };
+
+            window.addEventListener('online', this.handlers.online);
+            window.addEventListener('offline', this.handlers.offline);
+            if (navigator.connection) {
+                navigator.connection.addEventListener('change', this.handlers.connectionChange);
+            }
 
-        console.log('Network status monitoring initialized');
+            const heartbeat = window.blazorCrudDemo.heartbeat;
+            this.removeHeartbeatListener = heartbeat ? heartbeat.on(this.handlers.heartbeat) : null;
+        }
+
+        return this.check();
     },
 
     dispose: function () {
-        if (this.dotNetRef) {
-            window.removeEventListener('online', this.onOnline.bind(this));
-            window.removeEventListener('offline', this.onOffline.bind(this));
-            this.dotNetRef = null;
+        if (this.handlers) {
+            window.removeEventListener('online', this.handlers.online);
+            window.removeEventListener('offline', this.handlers.offline);
+            if (navigator.connection) {
+                navigator.connection.removeEventListener('change', this.handlers.connectionChange);
+            }
+            if (this.removeHeartbeatListener) {
+                this.removeHeartbeatListener();
+                this.removeHeartbeatListener = null;
+            }
+            this.handlers = null;
         }
 
-        console.log('Network status monitoring disposed');
+        this.dotNetRef = null;
     },
 
     onOnline: function () {
-        console.log('Network status: Online');
-        if (this.dotNetRef) {
-            this.dotNetRef.invokeMethodAsync('OnNetworkStatusChanged', true);
-        }
+        window.blazorCrudDemo.breadcrumbs.add('network', 'online');
+        this.check();
     },
 
     onOffline: function () {
-        console.log('Network status: Offline');
-        if (this.dotNetRef) {
-            this.dotNetRef.invokeMethodAsync('OnNetworkStatusChanged', false);
+        window.blazorCrudDemo.breadcrumbs.add('network', 'offline');
+        this.update('offline');
+    },
+
+    // While online, heartbeats are latency samples for free. Anything else is worth diagnosing:
+    // a failed heartbeat, or a successful one that may mean the user got past a captive portal.
+    onHeartbeat: function (result) {
+        if (result.ok && this.status && this.status.state === 'online') {
+            this.addLatency(result.latency);
+            this.update();
+        } else {
+            this.check();
+        }
+    },
+
+    // Probes the server and reports the result. Concurrent calls share one probe.
+    check: function () {
+        if (!navigator.onLine) {
+            return Promise.resolve(this.update('offline'));
+        }
+
+        if (!this.checking) {
+            this.checking = this.probe()
+                .then(state => this.update(state))
+                .finally(() => { this.checking = null; });
+        }
+        return this.checking;
+    },
+
+    // Resolves to 'online', 'server-unreachable' or 'captive-portal'
+    probe: function () {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.probeTimeout) : null;
+        const start = performance.now();
+
+        return fetch(this.probeUrl, {
+            cache: 'no-store',
+            credentials: 'same-origin',
+            signal: controller ? controller.signal : undefined
+        })
+            .then(response => {
+                const contentType = response.headers.get('content-type') || '';
+                const foreignRedirect = response.redirected && new URL(response.url).origin !== window.location.origin;
+
+                // The health endpoint answers in plain text; a login page from a hotel Wi-Fi or a
+                // proxy's error page does not
+                if (foreignRedirect || contentType.includes('text/html')) {
+                    return 'captive-portal';
+                }
+                if (response.status >= 500) {
+                    return 'server-unreachable';
+                }
+
+                this.addLatency(performance.now() - start);
+                return 'online';
+            })
+            .catch(() => 'server-unreachable')
+            .finally(() => clearTimeout(timer));
+    },
+
+    addLatency: function (latency) {
+        this.latencies.push(Math.round(latency));
+        if (this.latencies.length > this.maxLatencySamples) {
+            this.latencies.shift();
+        }
+    },
+
+    // Median, so one slow probe does not flag the connection
+    measuredLatency: function () {
+        if (!this.latencies.length) {
+            return null;
+        }
+        const sorted = this.latencies.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    },
+
+    // Builds the status ({ state, quality, effectiveType, rtt, downlink, saveData, latency, checkedAt })
+    // and reports it when the state or quality changed. state defaults to the last one.
+    update: function (state) {
+        const connection = navigator.connection || {};
+        const latency = this.measuredLatency();
+        const previous = this.status;
+        state = state || (previous ? previous.state : 'online');
+
+        let quality = 'unknown';
+        if (state === 'online') {
+            const slow = this.slowEffectiveTypes.includes(connection.effectiveType) ||
+                (connection.rtt || 0) >= this.slowLatency ||
+                (latency !== null && latency >= this.slowLatency);
+            quality = slow ? 'slow' : (connection.effectiveType || latency !== null ? 'good' : 'unknown');
+        }
+
+        const status = {
+            state: state,
+            quality: quality,
+            effectiveType: connection.effectiveType || null,
+            rtt: typeof connection.rtt === 'number' ? connection.rtt : null,
+            downlink: typeof connection.downlink === 'number' ? connection.downlink : null,
+            saveData: !!connection.saveData,
+            latency: latency,
+            checkedAt: new Date().toISOString()
+        };
+        this.status = status;
+
+        if (!previous || previous.state !== status.state || previous.quality !== status.quality) {
+            if (previous) {
+                window.blazorCrudDemo.breadcrumbs.add('network', `${status.state} (${status.quality})`,
+                    { latency: String(latency), effectiveType: String(status.effectiveType) });
+            }
+            if (this.dotNetRef) {
+                this.dotNetRef.invokeMethodAsync('OnNetworkStatusReported', status)
+                    .catch(error => console.warn('Could not report network status:', error));
+            }
+        }
+
+        return status;
+    }
+};
+
+// Breadcrumbs: a ring buffer of what the user did before an error (navigations, clicks,
+// interop calls, connection changes), attached to each tracked error.
+// Kept across repeated loads of this script so earlier breadcrumbs are not lost.
+window.blazorCrudDemo.breadcrumbs = window.blazorCrudDemo.breadcrumbs || {
+    maxBreadcrumbs: 50,
+    items: [],
+    instrumented: false,
+
+    // category: 'navigation' | 'click' | 'interop' | 'connection' | 'network'
+    add: function (category, message, data) {
+        const scrubbing = window.blazorCrudDemo.errorScrubbing;
+        if (!scrubbing) {
+            return;
+        }
+
+        this.items.push({
+            timestamp: new Date().toISOString(),
+            category: category,
+            message: category === 'navigation' ? scrubbing.scrubUrl(message) : scrubbing.scrubText(message),
+            data: data ? scrubbing.scrub(data) : null
+        });
+
+        if (this.items.length > this.maxBreadcrumbs) {
+            this.items.splice(0, this.items.length - this.maxBreadcrumbs);
+        }
+    },
+
+    getRecent: function (count) {
+        return this.items.slice(-count);
+    },
+
+    clear: function () {
+        this.items = [];
+    },
+
+    instrument: function () {
+        if (this.instrumented) {
+            return;
+        }
+        this.instrumented = true;
+
+        this.instrumentNavigation();
+        this.instrumentClicks();
+
+        // Interop entry points called from .NET
+        this.instrumentFunction('downloadFile', (fileName, contentType) => ({ contentType: contentType }));
+        this.instrumentFunction('blazorCrudDemo.notifications.show', options => ({ type: (options && options.type) || 'info' }));
+    },
+
+    // Blazor navigates with history.pushState/replaceState; back and forward raise popstate
+    instrumentNavigation: function () {
+        let currentPath = window.location.pathname;
+        const record = () => {
+            const path = window.location.pathname;
+            if (path !== currentPath) {
+                this.add('navigation', path, { from: currentPath });
+                currentPath = path;
+            }
+        };
+
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = history[method];
+            history[method] = function () {
+                const result = original.apply(this, arguments);
+                record();
+                return result;
+            };
+        });
+        window.addEventListener('popstate', record);
+    },
+
+    instrumentClicks: function () {
+        document.addEventListener('click', event => {
+            const target = event.target && event.target.closest
+                ? event.target.closest('button, a, [role="button"], input[type="submit"], input[type="button"]')
+                : null;
+            if (target) {
+                this.add('click', this.describeElement(target));
+            }
+        }, true);
+    },
+
+    // A selector rather than the element's text, which may contain user data,
+    // e.g. "form#product-form > button.btn.btn-primary[type=submit]"
+    describeElement: function (element) {
+        const describe = el => {
+            let selector = el.tagName.toLowerCase();
+            if (el.id) {
+                return `${selector}#${el.id}`;
+            }
+
+            const classes = Array.from(el.classList).filter(name => !/^(active|show|focus|hover)$/.test(name)).slice(0, 3);
+            if (classes.length) {
+                selector += `.${classes.join('.')}`;
+            }
+            return selector;
+        };
+
+        let selector = describe(element);
+        if (element.tagName === 'A' && element.getAttribute('href')) {
+            // Path only: query strings can carry search terms or tokens
+            selector += `[href="${element.getAttribute('href').replace(/[?#].*$/, '')}"]`;
+        } else if (element.getAttribute('type')) {
+            selector += `[type=${element.getAttribute('type')}]`;
+        }
+
+        const parent = element.parentElement && element.parentElement.closest('[id]');
+        return parent ? `${describe(parent)} > ${selector}` : selector;
+    },
+
+    // name is a path from window, e.g. 'downloadFile' or 'blazorCrudDemo.notifications.show'
+    instrumentFunction: function (name, describeArgs) {
+        const path = name.split('.');
+        const member = path.pop();
+        const owner = path.reduce((target, key) => target && target[key], window);
+        const original = owner && owner[member];
+        if (typeof original !== 'function' || original.breadcrumbWrapped) {
+            return;
         }
+
+        const breadcrumbs = this;
+        const wrapped = function () {
+            breadcrumbs.add('interop', name, describeArgs.apply(null, arguments));
+            return original.apply(this, arguments);
+        };
+        wrapped.breadcrumbWrapped = true;
+        owner[member] = wrapped;
     }
 };
 
 // Error tracking and reporting
-window.blazorCrudDemo.errorTracking = {
+// Errors are grouped into issues by fingerprint (message, top stack frames and URL path) and kept in
+// localStorage until the server has accepted them, so anything left over from an earlier session
+// (or from time spent offline) is sent on the next page load.
+window.blazorCrudDemo.errorTracking = window.blazorCrudDemo.errorTracking || {
+    storageKey: 'blazorCrudDemo_errors',
+    maxStoredErrors: 50,
+
+    // Performance summaries from performance-monitoring.js travel in the same batches
+    metricsStorageKey: 'blazorCrudDemo_metrics',
+    maxStoredMetrics: 200,
+
+    // Breadcrumbs stored with the latest occurrence of each issue
+    breadcrumbsPerError: 20,
+
+    // Fraction of errors recorded (0-1). Sent with each issue so counts can be scaled up server-side.
+    sampleRate: 1,
+
+    grouping: {
+        stackFrames: 3
+    },
+
+    // At most maxReports new issues per fingerprint within windowMs; further occurrences are
+    // counted and folded into the next issue. Storage is written at most every writeInterval ms.
+    rateLimit: {
+        maxReports: 5,
+        windowMs: 60 * 60 * 1000,
+        writeInterval: 1000
+    },
+
+    // Occurrences not yet written to storage, keyed by fingerprint
+    pendingIssues: new Map(),
+    // Times new issues were stored, and occurrences held back by the rate limit, keyed by fingerprint
+    reportTimes: new Map(),
+    suppressedCounts: new Map(),
+    persistTimer: null,
+
+    reporting: {
+        endpoint: '/api/ClientErrors',
+        batchSize: 20,
+        metricsBatchSize: 100,
+        // Browsers cap keepalive fetch and sendBeacon bodies at 64 KB
+        maxBatchBytes: 60 * 1024,
+        flushDelay: 2000,
+        minRetryDelay: 2000,
+        maxRetryDelay: 5 * 60 * 1000,
+        retryDelay: 0,
+        timer: null,
+        sending: false,
+        // Ids of issues in the request being sent, so new occurrences are not merged into them
+        inFlightIds: new Set()
+    },
+
     initialize: function () {
         // Check if already initialized
         if (this._initialized) {
@@ -60,6 +389,9 @@ window.blazorCrudDemo.errorTracking = {
             this.setupBlazorErrorMonitoring();
         }
 
+        window.blazorCrudDemo.breadcrumbs.instrument();
+        this.setupReporting();
+
         console.log('Error tracking initialized');
     },
 
@@ -87,6 +419,7 @@ window.blazorCrudDemo.errorTracking = {
         const error = {
             message: 'Unhandled promise rejection',
             reason: event.reason ? event.reason.toString() : 'Unknown reason',
+            stack: event.reason && event.reason.stack ? event.reason.stack : '',
             promise: event.promise ? event.promise.toString() : 'Unknown promise',
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
@@ -122,39 +455,451 @@ window.blazorCrudDemo.errorTracking = {
         };
     },
 
+    // Record an occurrence. Repeats of the same fingerprint only bump the issue's count, and
+    // storage writes are batched so a render loop that throws every frame stays cheap.
     logError: function (type, error) {
-        // In a real application, you would send this to your logging service
-        // For now, we'll store it locally and could send it via AJAX
-        try {
-            const errors = JSON.parse(localStorage.getItem('blazorCrudDemo_errors') || '[]');
-            errors.push({
+        if (this.sampleRate < 1 && Math.random() >= this.sampleRate) {
+            return;
+        }
+
+        // Nothing is stored unscrubbed; without error-scrubbing.js errors are only logged to the console
+        const scrubbing = window.blazorCrudDemo.errorScrubbing;
+        if (!scrubbing) {
+            return;
+        }
+        error = scrubbing.scrub(error);
+
+        const now = new Date().toISOString();
+        const frames = this.normalizeStack(error && error.stack);
+        const fingerprint = this.createFingerprint(type, error, frames);
+
+        const breadcrumbs = window.blazorCrudDemo.breadcrumbs.getRecent(this.breadcrumbsPerError);
+
+        const pending = this.pendingIssues.get(fingerprint);
+        if (pending) {
+            pending.count++;
+            pending.lastSeen = now;
+            pending.error = error;
+            pending.breadcrumbs = breadcrumbs;
+        } else {
+            this.pendingIssues.set(fingerprint, {
+                fingerprint: fingerprint,
                 type: type,
                 error: error,
-                timestamp: new Date().toISOString()
+                frames: frames,
+                breadcrumbs: breadcrumbs,
+                count: 1,
+                firstSeen: now,
+                lastSeen: now
             });
+        }
+
+        if (!this.persistTimer) {
+            this.persistTimer = setTimeout(() => this.persistPendingIssues(), this.rateLimit.writeInterval);
+        }
+    },
+
+    persistPendingIssues: function () {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        if (!this.pendingIssues.size) {
+            return;
+        }
+
+        try {
+            const issues = this.getStoredErrors();
+
+            this.pendingIssues.forEach((pending, fingerprint) => {
+                const stored = issues.find(issue => issue.fingerprint === fingerprint && !this.reporting.inFlightIds.has(issue.id));
+                if (stored) {
+                    stored.count += pending.count;
+                    stored.lastSeen = pending.lastSeen;
+                    stored.error = pending.error;
+                    stored.breadcrumbs = pending.breadcrumbs;
+                    return;
+                }
+
+                if (!this.allowNewIssue(fingerprint)) {
+                    this.suppressedCounts.set(fingerprint, (this.suppressedCounts.get(fingerprint) || 0) + pending.count);
+                    return;
+                }
 
-            // Keep only last 50 errors
-            if (errors.length > 50) {
-                errors.splice(0, errors.length - 50);
+                issues.push(Object.assign({ id: this.createErrorId(), timestamp: pending.firstSeen }, pending, {
+                    count: pending.count + (this.suppressedCounts.get(fingerprint) || 0)
+                }));
+                this.suppressedCounts.delete(fingerprint);
+            });
+
+            // Keep the most recently seen issues while the server is unreachable
+            if (issues.length > this.maxStoredErrors) {
+                issues.sort((a, b) => (a.lastSeen < b.lastSeen ? -1 : 1));
+                issues.splice(0, issues.length - this.maxStoredErrors);
             }
 
-            localStorage.setItem('blazorCrudDemo_errors', JSON.stringify(errors));
+            localStorage.setItem(this.storageKey, JSON.stringify(issues));
         } catch (e) {
             console.error('Failed to store error locally:', e);
         }
+
+        this.pendingIssues.clear();
+        this.scheduleFlush();
+    },
+
+    allowNewIssue: function (fingerprint) {
+        const cutoff = Date.now() - this.rateLimit.windowMs;
+        const times = (this.reportTimes.get(fingerprint) || []).filter(time => time > cutoff);
+
+        const allowed = times.length < this.rateLimit.maxReports;
+        if (allowed) {
+            times.push(Date.now());
+        }
+        this.reportTimes.set(fingerprint, times);
+        return allowed;
+    },
+
+    // Grouping
+
+    // Reduce Chrome ("at fn (url:line:col)") and Firefox/Safari ("fn@url:line:col") stack lines
+    // to "fn@file:line", dropping origins, query strings (asp-append-version) and columns
+    normalizeStack: function (stack) {
+        if (!stack) {
+            return [];
+        }
+
+        return String(stack).split('\n')
+            .map(line => {
+                const chrome = /^\s*at\s+(?:(.*?)\s+\()?(.+?):(\d+):\d+\)?\s*$/.exec(line);
+                const gecko = !chrome && /^\s*(.*?)@(.+?):(\d+):\d+\s*$/.exec(line);
+                const match = chrome || gecko;
+                if (!match) {
+                    return null;
+                }
+
+                const fn = (match[1] || '?').replace(/^async\s+/, '').replace(/^Object\./, '') || '?';
+                const file = match[2].replace(/[?#].*$/, '').replace(/^.*\//, '') || '?';
+                return `${fn}@${file}:${match[3]}`;
+            })
+            .filter(Boolean);
+    },
+
+    createFingerprint: function (type, error, frames) {
+        const message = String((error && (error.reason || error.message)) || '')
+            // Ids, numbers and quoted values differ between occurrences of the same bug
+            .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<guid>')
+            .replace(/\d+/g, '<n>')
+            .replace(/(['"]).*?\1/g, '<str>');
+        const path = this.normalizePath(error && error.url);
+
+        return this.hash([type, message, frames.slice(0, this.grouping.stackFrames).join('|'), path].join('\n'));
+    },
+
+    normalizePath: function (url) {
+        try {
+            return new URL(url || window.location.href).pathname
+                .split('/')
+                .map(segment => (/^\d+$|^[0-9a-f-]{32,36}$/i.test(segment) ? ':id' : segment))
+                .join('/');
+        } catch (e) {
+            return '';
+        }
+    },
+
+    // 32-bit FNV-1a, as hex
+    hash: function (text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    createErrorId: function () {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    // Reporting transport
+
+    setupReporting: function () {
+        window.addEventListener('online', () => {
+            this.reporting.retryDelay = 0;
+            this.scheduleFlush(0);
+        });
+
+        // pagehide fires reliably on mobile and with the back/forward cache, where unload does not
+        window.addEventListener('pagehide', () => this.flushWithBeacon());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushWithBeacon();
+            }
+        });
+
+        // Drain whatever earlier sessions left behind
+        this.scheduleFlush(0);
+    },
+
+    scheduleFlush: function (delay) {
+        const reporting = this.reporting;
+        if (reporting.timer) {
+            return;
+        }
+
+        reporting.timer = setTimeout(() => {
+            reporting.timer = null;
+            this.flush();
+        }, delay === undefined ? reporting.flushDelay : delay);
+    },
+
+    // Post the oldest stored errors. Network failures and 429/5xx responses are retried with
+    // exponential backoff; other rejections drop the batch so one bad report cannot block the rest.
+    flush: function () {
+        this.persistPendingIssues();
+        const reporting = this.reporting;
+        if (reporting.sending || !navigator.onLine) {
+            return Promise.resolve(false);
+        }
+
+        const batch = this.takeBatch();
+        if (!batch.errors.length && !batch.metrics.length) {
+            // takeBatch may have dropped a whole batch of entries too large to send
+            if (this.getStoredErrors().length || this.getStoredMetrics().length) {
+                this.scheduleFlush(0);
+            }
+            return Promise.resolve(true);
+        }
+
+        reporting.sending = true;
+        batch.errors.forEach(entry => reporting.inFlightIds.add(entry.id));
+
+        return fetch(reporting.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: this.serializeBatch(batch),
+            credentials: 'same-origin',
+            keepalive: true
+        })
+            .then(response => {
+                if (response.ok || (response.status >= 400 && response.status < 500 && response.status !== 429)) {
+                    if (!response.ok) {
+                        console.warn(`Error report rejected with status ${response.status}, discarding ${batch.errors.length} errors and ${batch.metrics.length} metrics`);
+                    }
+                    this.removeSentBatch(batch);
+                    reporting.retryDelay = 0;
+                    return true;
+                }
+                throw new Error(`Error report failed with status ${response.status}`);
+            })
+            .catch(error => {
+                reporting.retryDelay = Math.min(
+                    Math.max(reporting.retryDelay * 2, reporting.minRetryDelay),
+                    reporting.maxRetryDelay);
+                console.warn(`Could not send error reports, retrying in ${Math.round(reporting.retryDelay / 1000)}s:`, error.message);
+                return false;
+            })
+            .then(sent => {
+                reporting.sending = false;
+                reporting.inFlightIds.clear();
+                if (!sent) {
+                    // Jitter keeps many tabs or clients from retrying in lockstep
+                    this.scheduleFlush(reporting.retryDelay + Math.random() * 1000);
+                } else if (this.getStoredErrors().length || this.getStoredMetrics().length) {
+                    this.scheduleFlush(0);
+                }
+                return sent;
+            });
+    },
+
+    // Last chance to deliver when the page is hidden or unloaded; fetch may not complete by then
+    flushWithBeacon: function () {
+        this.persistPendingIssues();
+        if (!navigator.sendBeacon || !navigator.onLine) {
+            return;
+        }
+
+        const batch = this.takeBatch();
+        if ((batch.errors.length || batch.metrics.length) &&
+            navigator.sendBeacon(this.reporting.endpoint, this.serializeBatch(batch))) {
+            this.removeSentBatch(batch);
+        }
+    },
+
+    // The oldest issues and metrics whose JSON fits in maxBatchBytes. An issue too large on its own
+    // goes without breadcrumbs and with a shortened stack; what does not fit even then is dropped,
+    // as a batch over the limit would fail, and be retried, forever.
+    takeBatch: function () {
+        const reporting = this.reporting;
+        const batch = { errors: [], reports: [], metrics: [] };
+        const dropped = { errors: [], metrics: [] };
+        const empty = this.byteLength(this.serializeBatch(batch));
+        let size = empty;
+
+        for (const entry of this.getStoredErrors().slice(0, reporting.batchSize)) {
+            const report = this.fitReport(this.toReport(entry), reporting.maxBatchBytes - empty);
+            if (!report) {
+                dropped.errors.push(entry);
+                continue;
+            }
+
+            // One more byte for the separating comma
+            const reportSize = this.byteLength(JSON.stringify(report)) + 1;
+            if (size + reportSize > reporting.maxBatchBytes) {
+                break;
+            }
+            batch.errors.push(entry);
+            batch.reports.push(report);
+            size += reportSize;
+        }
+
+        for (const metric of this.getStoredMetrics().slice(0, reporting.metricsBatchSize)) {
+            const metricSize = this.byteLength(JSON.stringify(metric)) + 1;
+            if (empty + metricSize > reporting.maxBatchBytes) {
+                dropped.metrics.push(metric);
+                continue;
+            }
+            if (size + metricSize > reporting.maxBatchBytes) {
+                break;
+            }
+            batch.metrics.push(metric);
+            size += metricSize;
+        }
+
+        if (dropped.errors.length || dropped.metrics.length) {
+            console.warn(`Discarding ${dropped.errors.length} errors and ${dropped.metrics.length} metrics too large to report`);
+            this.removeSentBatch(dropped);
+        }
+        return batch;
+    },
+
+    fitReport: function (report, maxBytes) {
+        if (this.byteLength(JSON.stringify(report)) + 1 <= maxBytes) {
+            return report;
+        }
+
+        const trimmed = Object.assign({}, report, {
+            breadcrumbs: [],
+            frames: (report.frames || []).slice(0, 20),
+            message: report.message ? String(report.message).slice(0, 1000) : report.message,
+            stack: report.stack ? String(report.stack).slice(0, 4000) : report.stack
+        });
+        return this.byteLength(JSON.stringify(trimmed)) + 1 <= maxBytes ? trimmed : null;
+    },
+
+    byteLength: function (text) {
+        return new TextEncoder().encode(text).length;
+    },
+
+    serializeBatch: function (batch) {
+        return JSON.stringify({
+            errors: batch.reports,
+            metrics: batch.metrics
+        });
+    },
+
+    // Shape expected by ClientErrorsController (Models/ClientErrorModels.cs)
+    toReport: function (entry) {
+        const error = entry.error || {};
+        return {
+            id: entry.id,
+            fingerprint: entry.fingerprint,
+            count: entry.count,
+            firstSeen: entry.firstSeen,
+            lastSeen: entry.lastSeen,
+            sampleRate: this.sampleRate,
+            frames: entry.frames,
+            breadcrumbs: entry.breadcrumbs || [],
+            type: entry.type,
+            message: error.reason ? `${error.message}: ${error.reason}` : error.message,
+            stack: error.stack || null,
+            url: error.url || null,
+            source: error.filename || null,
+            line: error.lineno || null,
+            column: error.colno || null,
+            userAgent: error.userAgent || navigator.userAgent,
+            timestamp: entry.timestamp || error.timestamp
+        };
+    },
+
+    removeSentBatch: function (batch) {
+        this.removeStoredErrors(batch.errors);
+        this.removeStoredMetrics(batch.metrics);
+    },
+
+    // Other tabs may have added errors meanwhile, so remove by id from the current contents
+    removeStoredErrors: function (sent) {
+        const sentIds = new Set(sent.map(entry => entry.id));
+        try {
+            const remaining = this.getStoredErrors().filter(entry => !sentIds.has(entry.id));
+            localStorage.setItem(this.storageKey, JSON.stringify(remaining));
+        } catch (e) {
+            console.error('Failed to update stored errors:', e);
+        }
     },
 
     // Method to retrieve stored errors (could be called from .NET)
+    // Grouped issues not yet accepted by the server:
+    // { id, fingerprint, type, error and breadcrumbs (latest occurrence), frames, count, firstSeen, lastSeen }
     getStoredErrors: function () {
         try {
-            return JSON.parse(localStorage.getItem('blazorCrudDemo_errors') || '[]');
+            const errors = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            // Entries written by older versions are single, ungrouped and unscrubbed events
+            errors.forEach(entry => {
+                if (!entry.fingerprint && window.blazorCrudDemo.errorScrubbing) {
+                    entry.error = window.blazorCrudDemo.errorScrubbing.scrub(entry.error);
+                }
+                entry.id = entry.id || `legacy-${entry.timestamp}`;
+                entry.fingerprint = entry.fingerprint || entry.id;
+                entry.count = entry.count || 1;
+                entry.firstSeen = entry.firstSeen || entry.timestamp;
+                entry.lastSeen = entry.lastSeen || entry.timestamp;
+            });
+            return errors;
         } catch (e) {
             return [];
         }
     },
 
     clearStoredErrors: function () {
-        localStorage.removeItem('blazorCrudDemo_errors');
+        localStorage.removeItem(this.storageKey);
+    },
+
+    // Queue performance summaries ({ id, route, metric, ... }) for the next report
+    queueMetrics: function (metrics) {
+        if (!metrics || !metrics.length) {
+            return;
+        }
+
+        try {
+            const stored = this.getStoredMetrics().concat(metrics);
+            // Oldest summaries go first when storage is full (e.g. after a long time offline)
+            localStorage.setItem(this.metricsStorageKey, JSON.stringify(stored.slice(-this.maxStoredMetrics)));
+        } catch (e) {
+            console.error('Failed to store performance metrics:', e);
+            return;
+        }
+
+        this.scheduleFlush();
+    },
+
+    getStoredMetrics: function () {
+        try {
+            return JSON.parse(localStorage.getItem(this.metricsStorageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+
+    removeStoredMetrics: function (sent) {
+        if (!sent.length) {
+            return;
+        }
+
+        const sentIds = new Set(sent.map(metric => metric.id));
+        try {
+            const remaining = this.getStoredMetrics().filter(metric => !sentIds.has(metric.id));
+            localStorage.setItem(this.metricsStorageKey, JSON.stringify(remaining));
+        } catch (e) {
+            console.error('Failed to update stored performance metrics:', e);
+        }
     }
 };
 
@@ -166,10 +911,5 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
     }
 
-    // Mark as initialized
-    if (window.blazorCrudDemo && window.blazorCrudDemo.errorTracking) {
-        window.blazorCrudDemo.errorTracking._initialized = true;
-    }
-
     window.blazorCrudDemo.errorTracking.initialize();
 });
@@ -0,0 +1,428 @@
+// Client Export JavaScript
+// File downloads and .xlsx workbooks built in the browser. Content arrives from .NET as a
+// DotNetStreamReference (see ClientExportService), so large exports are streamed over the circuit
+// instead of being sent as one interop message. Workbooks are written as a minimal Office Open
+// XML package: one worksheet with a bold, frozen header row and typed number, currency, date and
+// boolean cells.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.exports = window.blazorCrudDemo.exports || {
+    // Text cells longer than this are cut; it is Excel's own limit
+    maxCellLength: 32767,
+
+    // Built-in Excel number formats; anything else becomes a custom format from id 164
+    builtInFormats: { 'General': 0, '0': 1, '0.00': 2, '#,##0': 3, '#,##0.00': 4 },
+
+    defaultFormats: {
+        number: 'General',
+        integer: '#,##0',
+        currency: '#,##0.00',
+        date: 'yyyy-mm-dd'
+    },
+
+    // content: string, Blob, ArrayBuffer, typed array or a DotNetStreamReference
+    download: function (fileName, contentType, content) {
+        return this.toBlob(content, contentType).then(blob => {
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.style.display = 'none';
+
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            // Some browsers start the download after click() returns
+            setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+        });
+    },
+
+    toBlob: function (content, contentType) {
+        if (content instanceof Blob) {
+            return Promise.resolve(content.type ? content : new Blob([content], { type: contentType }));
+        }
+        if (content && typeof content.arrayBuffer === 'function') {
+            return Promise.resolve(content.arrayBuffer()).then(buffer => new Blob([buffer], { type: contentType }));
+        }
+        return Promise.resolve(new Blob([content], { type: contentType }));
+    },
+
+    // sheet: { name, columns: [{ header, type, format, width }] }
+    // rows: NDJSON, one JSON array of cell values per line, as a DotNetStreamReference or string.
+    // Resolves to the number of rows written.
+    xlsx: function (fileName, sheet, rows) {
+        const worksheet = this.createWorksheet(sheet);
+        return this.readLines(rows, line => worksheet.addRow(JSON.parse(line)))
+            .then(() => this.buildWorkbook(sheet.name, worksheet))
+            .then(blob => this.download(fileName, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', blob))
+            .then(() => worksheet.rowCount);
+    },
+
+    // Calls onLine for each non-empty line as the stream arrives, without holding the whole text
+    readLines: function (source, onLine) {
+        if (typeof source === 'string') {
+            source.split('\n').forEach(line => {
+                if (line.trim()) {
+                    onLine(line);
+                }
+            });
+            return Promise.resolve();
+        }
+
+        return Promise.resolve(source.stream()).then(stream => {
+            const reader = stream.getReader();
+            const decoder = new TextDecoder();
+            let pending = '';
+
+            const next = () => reader.read().then(({ done, value }) => {
+                pending += done ? decoder.decode() : decoder.decode(value, { stream: true });
+                const lines = pending.split('\n');
+                pending = done ? '' : lines.pop();
+                lines.forEach(line => {
+                    if (line.trim()) {
+                        onLine(line);
+                    }
+                });
+                return done ? undefined : next();
+            });
+            return next();
+        });
+    },
+
+    createWorksheet: function (sheet) {
+        const writer = this;
+        const columns = (sheet.columns || []).map(column => {
+            const type = String(column.type || 'text').toLowerCase();
+            return {
+                header: column.header || '',
+                type: type,
+                format: column.format || this.defaultFormats[type] || null,
+                width: column.width || null,
+                longest: String(column.header || '').length
+            };
+        });
+
+        // Style 0 is the default and 1 the bold header; one more per distinct number format
+        const formats = [];
+        const styleFor = format => {
+            if (!format) {
+                return 0;
+            }
+            let index = formats.indexOf(format);
+            if (index < 0) {
+                index = formats.push(format) - 1;
+            }
+            return index + 2;
+        };
+        columns.forEach(column => {
+            column.style = column.type === 'text' || column.type === 'boolean' ? 0 : styleFor(column.format);
+        });
+
+        const worksheet = {
+            columns: columns,
+            formats: formats,
+            rowCount: 0,
+            parts: [],
+
+            addRow: function (values) {
+                const rowNumber = this.rowCount + 2;
+                const cells = columns.map((column, index) => {
+                    const value = values[index];
+                    return value === null || value === undefined || value === ''
+                        ? ''
+                        : writer.cell(column, writer.cellReference(index, rowNumber), value);
+                });
+                this.parts.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+                this.rowCount++;
+            }
+        };
+        return worksheet;
+    },
+
+    cell: function (column, reference, value) {
+        const style = column.style ? ` s="${column.style}"` : '';
+        switch (column.type) {
+            case 'number':
+            case 'integer':
+            case 'currency': {
+                const number = typeof value === 'number' ? value : Number(value);
+                if (Number.isFinite(number)) {
+                    column.longest = Math.max(column.longest, String(number).length + 3);
+                    return `<c r="${reference}"${style}><v>${number}</v></c>`;
+                }
+                break;
+            }
+            case 'date': {
+                const serial = this.toSerialDate(value);
+                if (serial !== null) {
+                    column.longest = Math.max(column.longest, column.format.length);
+                    return `<c r="${reference}"${style}><v>${serial}</v></c>`;
+                }
+                break;
+            }
+            case 'boolean':
+                return `<c r="${reference}" t="b"><v>${value === true || value === 'true' ? 1 : 0}</v></c>`;
+        }
+        return this.textCell(column, reference, value, '');
+    },
+
+    textCell: function (column, reference, value, style) {
+        let text = this.sanitizeText(String(value));
+        if (text.length > this.maxCellLength) {
+            text = text.substring(0, this.maxCellLength);
+        }
+        column.longest = Math.max(column.longest, text.length);
+        const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+        return `<c r="${reference}"${style} t="inlineStr"><is><t${space}>${this.escapeXml(text)}</t></is></c>`;
+    },
+
+    // Excel counts days from 1899-12-30. Dates come from .NET without an offset, so they are read
+    // as wall-clock time rather than converted from the browser's time zone.
+    toSerialDate: function (value) {
+        let time;
+        if (value instanceof Date) {
+            time = Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(), value.getHours(), value.getMinutes(), value.getSeconds());
+        } else {
+            const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?/.exec(String(value));
+            if (!match) {
+                return null;
+            }
+            const [, year, month, day, hours, minutes, seconds, fraction] = match;
+            time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0),
+                fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0);
+        }
+        if (Number.isNaN(time)) {
+            return null;
+        }
+        return Math.round(((time - Date.UTC(1899, 11, 30)) / 86400000) * 1e8) / 1e8;
+    },
+
+    buildWorkbook: function (sheetName, worksheet) {
+        const encoder = new TextEncoder();
+        const files = [
+            { name: '[Content_Types].xml', content: this.contentTypesXml() },
+            { name: '_rels/.rels', content: this.rootRelationshipsXml() },
+            { name: 'xl/workbook.xml', content: this.workbookXml(this.sanitizeSheetName(sheetName)) },
+            { name: 'xl/_rels/workbook.xml.rels', content: this.workbookRelationshipsXml() },
+            { name: 'xl/styles.xml', content: this.stylesXml(worksheet.formats) },
+            { name: 'xl/worksheets/sheet1.xml', content: this.worksheetXml(worksheet) }
+        ].map(file => ({ name: file.name, data: encoder.encode(file.content) }));
+
+        return this.zip(files);
+    },
+
+    contentTypesXml: function () {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>';
+    },
+
+    rootRelationshipsXml: function () {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    },
+
+    workbookXml: function (sheetName) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${this.escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>';
+    },
+
+    workbookRelationshipsXml: function () {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>';
+    },
+
+    stylesXml: function (formats) {
+        let customId = 164;
+        const numberFormats = [];
+        const formatXfs = formats.map(format => {
+            let id = this.builtInFormats[format];
+            if (id === undefined) {
+                id = customId++;
+                numberFormats.push(`<numFmt numFmtId="${id}" formatCode="${this.escapeXml(format)}"/>`);
+            }
+            return `<xf numFmtId="${id}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`;
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            (numberFormats.length ? `<numFmts count="${numberFormats.length}">${numberFormats.join('')}</numFmts>` : '') +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${formatXfs.length + 2}">` +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            formatXfs.join('') +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    },
+
+    worksheetXml: function (worksheet) {
+        const columns = worksheet.columns;
+        const header = columns.map((column, index) =>
+            this.textCell({ longest: 0 }, this.cellReference(index, 1), column.header, ' s="1"')).join('');
+        const widths = columns.map((column, index) => {
+            const width = column.width || Math.min(60, Math.max(8, column.longest + 2));
+            return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (widths ? `<cols>${widths}</cols>` : '') +
+            `<sheetData><row r="1">${header}</row>${worksheet.parts.join('')}</sheetData>` +
+            '</worksheet>';
+    },
+
+    // A1-style reference for a zero-based column and one-based row
+    cellReference: function (columnIndex, rowNumber) {
+        let name = '';
+        for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name + rowNumber;
+    },
+
+    // Sheet names are at most 31 characters and may not contain : \ / ? * [ ]
+    sanitizeSheetName: function (name) {
+        const cleaned = String(name || '').replace(/[:\\/?*[\]]/g, ' ').trim().substring(0, 31);
+        return cleaned || 'Sheet1';
+    },
+
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    sanitizeText: function (text) {
+        return text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+    },
+
+    escapeXml: function (text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    // ZIP archive of [{ name, data: Uint8Array }]; entries are deflated where the browser supports
+    // CompressionStream and stored otherwise
+    zip: function (files) {
+        return Promise.all(files.map(file => this.compress(file.data).then(compressed => ({
+            name: new TextEncoder().encode(file.name),
+            data: compressed ? compressed : file.data,
+            method: compressed ? 8 : 0,
+            crc: this.crc32(file.data),
+            size: file.data.length
+        })))).then(entries => {
+            const { time, date } = this.dosDateTime(new Date());
+            const parts = [];
+            const directory = [];
+            let offset = 0;
+
+            entries.forEach(entry => {
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034b50, true);
+                local.setUint16(4, 20, true);
+                local.setUint16(6, 0x0800, true); // UTF-8 names
+                local.setUint16(8, entry.method, true);
+                local.setUint16(10, time, true);
+                local.setUint16(12, date, true);
+                local.setUint32(14, entry.crc, true);
+                local.setUint32(18, entry.data.length, true);
+                local.setUint32(22, entry.size, true);
+                local.setUint16(26, entry.name.length, true);
+                local.setUint16(28, 0, true);
+                parts.push(local.buffer, entry.name, entry.data);
+
+                const central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, 0x02014b50, true);
+                central.setUint16(4, 20, true);
+                central.setUint16(6, 20, true);
+                central.setUint16(8, 0x0800, true);
+                central.setUint16(10, entry.method, true);
+                central.setUint16(12, time, true);
+                central.setUint16(14, date, true);
+                central.setUint32(16, entry.crc, true);
+                central.setUint32(20, entry.data.length, true);
+                central.setUint32(24, entry.size, true);
+                central.setUint16(28, entry.name.length, true);
+                central.setUint32(42, offset, true);
+                directory.push(central.buffer, entry.name);
+
+                offset += 30 + entry.name.length + entry.data.length;
+            });
+
+            const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob(parts.concat(directory, [end.buffer]), { type: 'application/zip' });
+        });
+    },
+
+    // Raw deflate, or null where CompressionStream is unavailable
+    compress: function (data) {
+        if (typeof CompressionStream === 'undefined') {
+            return Promise.resolve(null);
+        }
+        try {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Response(stream).arrayBuffer()
+                .then(buffer => new Uint8Array(buffer))
+                .catch(() => null);
+        } catch (error) {
+            return Promise.resolve(null);
+        }
+    },
+
+    crc32: function (data) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    dosDateTime: function (now) {
+        return {
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+    }
+};
+
+// Called from .NET and dashboard-charts.js; kept as a global so error-tracking.js and
+// performance-monitoring.js can instrument it. Not reassigned when this file loads a second time.
+window.downloadFile = window.downloadFile || function (fileName, contentType, content) {
+    return window.blazorCrudDemo.exports.download(fileName, contentType, content);
+};
@@ -0,0 +1,156 @@
+// Form Preservation JavaScript
+// Snapshots forms marked with data-preserve-form="<key>" into sessionStorage when the circuit drops
+// or connection-state.js is about to reload the page. If the page does get reloaded, the re-rendered
+// form shows a FormRecoveryBanner (Components/Shared) that restores or discards the snapshot.
+// Password, hidden and file inputs are never stored; other fields opt out with data-preserve="false".
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.formPreservation = window.blazorCrudDemo.formPreservation || {
+    storagePrefix: 'blazorCrudDemo_form:',
+    maxAge: 30 * 60 * 1000,
+    // Snapshots written by this page; dropped again if the circuit resumes with the forms intact
+    savedKeys: new Set(),
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        const connection = window.blazorCrudDemo.connection;
+        if (!connection) {
+            return;
+        }
+
+        connection.on(event => {
+            if (event.state === 'reloading') {
+                this.snapshotAll();
+            } else if (event.previousState === 'connected' && event.state !== 'connected') {
+                this.snapshotAll();
+            } else if (event.state === 'connected' && event.previousState !== 'connecting') {
+                this.discardSaved();
+            }
+        });
+    },
+
+    // Snapshots are per form and per page, so /products/5 is never restored into /products/7
+    storageKey: function (formKey) {
+        return `${this.storagePrefix}${formKey}:${window.location.pathname}`;
+    },
+
+    snapshotAll: function () {
+        document.querySelectorAll('form[data-preserve-form]').forEach(form => this.snapshot(form));
+    },
+
+    snapshot: function (form) {
+        const fields = this.getFields(form)
+            .map((element, index) => {
+                const field = { key: this.fieldKey(element, index) };
+                if (element.type === 'checkbox' || element.type === 'radio') {
+                    field.checked = element.checked;
+                } else {
+                    field.value = element.value;
+                }
+                return field;
+            });
+
+        if (!fields.length) {
+            return;
+        }
+
+        const key = this.storageKey(form.dataset.preserveForm);
+        try {
+            sessionStorage.setItem(key, JSON.stringify({ savedAt: new Date().toISOString(), fields: fields }));
+            this.savedKeys.add(key);
+        } catch (e) {
+            console.warn('Could not save form snapshot:', e);
+        }
+    },
+
+    getFields: function (form) {
+        return Array.from(form.querySelectorAll('input, select, textarea'))
+            .filter(element => !['password', 'hidden', 'file', 'submit', 'button', 'reset'].includes(element.type) &&
+                element.dataset.preserve !== 'false' &&
+                !/^cc-/.test(element.autocomplete || ''));
+    },
+
+    // Blazor inputs rarely have a name, so fall back to the position within the form
+    fieldKey: function (element, index) {
+        return element.id || element.name || element.dataset.preserveField || `@${index}`;
+    },
+
+    read: function (formKey) {
+        const key = this.storageKey(formKey);
+        try {
+            const snapshot = JSON.parse(sessionStorage.getItem(key) || 'null');
+            if (snapshot && Date.now() - new Date(snapshot.savedAt).getTime() <= this.maxAge) {
+                return snapshot;
+            }
+            sessionStorage.removeItem(key);
+        } catch (e) {
+            // Unreadable snapshots are treated as absent
+        }
+        return null;
+    },
+
+    // Called by FormRecoveryBanner: when the snapshot was taken, or null if there is none
+    peek: function (formKey) {
+        const snapshot = this.read(formKey);
+        return snapshot ? snapshot.savedAt : null;
+    },
+
+    // Write the snapshot into the rendered form. Events are dispatched so Blazor's bindings
+    // (onchange and oninput) pick the values up. Returns the number of fields restored.
+    restore: function (formKey) {
+        const snapshot = this.read(formKey);
+        const form = document.querySelector(`form[data-preserve-form="${CSS.escape(formKey)}"]`);
+        if (!snapshot || !form) {
+            return 0;
+        }
+
+        const fields = this.getFields(form);
+        const byKey = new Map(fields.map((element, index) => [this.fieldKey(element, index), element]));
+        let restored = 0;
+
+        snapshot.fields.forEach(field => {
+            const element = byKey.get(field.key);
+            if (!element) {
+                return;
+            }
+
+            if ('checked' in field) {
+                if (element.checked === field.checked) {
+                    return;
+                }
+                element.checked = field.checked;
+            } else {
+                if (element.value === field.value) {
+                    return;
+                }
+                element.value = field.value;
+            }
+
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            restored++;
+        });
+
+        this.discard(formKey);
+        return restored;
+    },
+
+    discard: function (formKey) {
+        const key = this.storageKey(formKey);
+        sessionStorage.removeItem(key);
+        this.savedKeys.delete(key);
+    },
+
+    discardSaved: function () {
+        this.savedKeys.forEach(key => sessionStorage.removeItem(key));
+        this.savedKeys.clear();
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.formPreservation.initialize();
+});
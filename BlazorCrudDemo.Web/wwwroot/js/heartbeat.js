@@ -0,0 +1,230 @@
+// Heartbeat JavaScript
+// Checks that the server answers (connection.probeServer, /health/live) so a tab waiting on a
+// dropped circuit can reconnect as soon as the server is back. Only one tab probes: open tabs elect
+// a leader over BroadcastChannel and the leader shares each result with the rest. Nothing is probed
+// while the page is hidden, and the interval backs off while the server keeps failing.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.heartbeat = window.blazorCrudDemo.heartbeat || {
+    channelName: 'blazorCrudDemo-heartbeat',
+    interval: 30 * 1000,
+    maxInterval: 5 * 60 * 1000,
+    // A leader that has not been heard from for this many intervals is presumed gone
+    leaderTimeoutIntervals: 2.5,
+    // How long a claim waits for objections before the tab takes over
+    claimWindow: 500,
+
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    channel: null,
+    isLeader: false,
+    leaderId: null,
+    leaderSeenAt: 0,
+    claiming: false,
+    failures: 0,
+    lastResult: null,
+    timer: null,
+    listeners: new Set(),
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = event => this.onMessage(event.data || {});
+        }
+
+        document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+        window.addEventListener('pagehide', () => this.resign());
+        window.addEventListener('online', () => {
+            this.failures = 0;
+            this.schedule(0);
+        });
+
+        const connection = window.blazorCrudDemo.connection;
+        if (connection) {
+            this.on(result => connection.onHeartbeat(result));
+        }
+
+        this.schedule(this.interval);
+    },
+
+    // listener({ ok, latency, at, source }) is called for every result, own or from the leader
+    on: function (listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    currentInterval: function () {
+        return Math.min(this.maxInterval, this.interval * Math.pow(2, this.failures));
+    },
+
+    schedule: function (delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (document.visibilityState === 'hidden') {
+            return;
+        }
+        this.timer = setTimeout(() => this.tick(), delay);
+    },
+
+    tick: function () {
+        this.timer = null;
+        if (document.visibilityState === 'hidden') {
+            return;
+        }
+
+        if (this.isLeader || !this.channel) {
+            this.probe().then(() => this.schedule(this.currentInterval()));
+            return;
+        }
+
+        const leaderTimeout = this.currentInterval() * this.leaderTimeoutIntervals;
+        if (!this.leaderId || Date.now() - this.leaderSeenAt > leaderTimeout) {
+            this.claimLeadership();
+        } else {
+            this.schedule(this.currentInterval());
+        }
+    },
+
+    probe: function () {
+        const connection = window.blazorCrudDemo.connection;
+        if (!connection || !navigator.onLine) {
+            return Promise.resolve(false);
+        }
+
+        const start = performance.now();
+        return connection.probeServer().then(ok => {
+            const result = { ok: ok, latency: Math.round(performance.now() - start), at: Date.now(), source: this.id };
+            this.failures = ok ? 0 : this.failures + 1;
+            this.post({ type: 'result', id: this.id, result: result, failures: this.failures });
+            this.publish(result);
+            return ok;
+        });
+    },
+
+    publish: function (result) {
+        const previous = this.lastResult;
+        this.lastResult = result;
+
+        const breadcrumbs = window.blazorCrudDemo.breadcrumbs;
+        if (breadcrumbs && (!previous || previous.ok !== result.ok)) {
+            breadcrumbs.add('connection', `heartbeat ${result.ok ? 'ok' : 'failed'}`, { latency: String(result.latency) });
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(result);
+            } catch (error) {
+                console.error('Error in heartbeat listener:', error);
+            }
+        });
+    },
+
+    // Leader election
+
+    claimLeadership: function () {
+        if (this.claiming) {
+            return;
+        }
+
+        this.claiming = true;
+        this.post({ type: 'claim', id: this.id });
+
+        // Jitter keeps tabs that noticed the missing leader at the same moment from colliding
+        setTimeout(() => {
+            if (this.claiming) {
+                this.claiming = false;
+                this.becomeLeader();
+            }
+        }, this.claimWindow + Math.random() * this.claimWindow);
+    },
+
+    becomeLeader: function () {
+        this.isLeader = true;
+        this.leaderId = this.id;
+        this.post({ type: 'leader', id: this.id });
+        this.schedule(0);
+    },
+
+    // Hidden or closing tabs hand over, so the probing tab is always one someone is looking at
+    resign: function () {
+        if (!this.isLeader) {
+            return;
+        }
+        this.isLeader = false;
+        this.leaderId = null;
+        this.post({ type: 'resign', id: this.id });
+    },
+
+    onMessage: function (message) {
+        switch (message.type) {
+            case 'claim':
+                if (this.isLeader) {
+                    // Tell the claimant there is a leader already
+                    this.post({ type: 'leader', id: this.id });
+                } else if (this.claiming && message.id < this.id) {
+                    // Lower id wins a simultaneous claim
+                    this.claiming = false;
+                    this.schedule(this.currentInterval());
+                }
+                break;
+            case 'leader':
+                this.followLeader(message.id);
+                break;
+            case 'result':
+                this.followLeader(message.id);
+                this.failures = message.failures || 0;
+                this.publish(message.result);
+                break;
+            case 'resign':
+                if (this.leaderId === message.id) {
+                    this.leaderId = null;
+                    this.schedule(Math.random() * this.claimWindow);
+                }
+                break;
+        }
+    },
+
+    followLeader: function (leaderId) {
+        if (this.claiming) {
+            // tick() does not reschedule while a claim is pending; keep watching the leader from here
+            this.claiming = false;
+            this.schedule(this.currentInterval());
+        }
+        this.leaderId = leaderId;
+        this.leaderSeenAt = Date.now();
+        if (this.isLeader && leaderId !== this.id) {
+            // Two leaders after a partition; the lower id keeps the role
+            if (leaderId < this.id) {
+                this.isLeader = false;
+                this.schedule(this.currentInterval());
+            } else {
+                this.leaderId = this.id;
+            }
+        }
+    },
+
+    onVisibilityChange: function () {
+        if (document.visibilityState === 'hidden') {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.resign();
+        } else {
+            // Probe (or find the leader) soon after the user comes back to the tab
+            this.schedule(Math.random() * this.claimWindow);
+        }
+    },
+
+    post: function (message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.heartbeat.initialize();
+});
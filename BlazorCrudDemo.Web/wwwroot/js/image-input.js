@@ -0,0 +1,492 @@
+// Image Input JavaScript
+// Client side of Components/InputImage.razor. Takes a picture from the drop zone, the clipboard or
+// the file picker, turns it upright according to its EXIF orientation, lets the user crop it to
+// the product aspect ratio, then scales it down and re-encodes it as WebP (or JPEG where WebP
+// encoding is unsupported) until it fits the size budget. Only the processed bytes cross to .NET,
+// through takeProcessed() as an IJSStreamReference. Re-encoding also drops the original metadata
+// (camera details, GPS position).
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.imageInput = window.blazorCrudDemo.imageInput || {
+    inputs: new Map(),
+    nextId: 1,
+
+    defaults: {
+        aspectRatio: 4 / 3,
+        maxWidth: 1600,
+        maxHeight: 1200,
+        targetBytes: 500 * 1024,
+        maxInputBytes: 20 * 1024 * 1024
+    },
+
+    // Larger pictures are scaled down while being turned upright, to bound canvas memory
+    maxWorkingEdge: 4096,
+
+    // Scaling stops here even if the budget is not met yet
+    minOutputWidth: 320,
+
+    qualities: [0.9, 0.8, 0.7, 0.6, 0.5],
+
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/avif'],
+
+    // container: the drop zone, containing the <input type="file">. dotNetRef receives
+    // OnImageStatus(status), OnImageError(message) and OnImageProcessed(image).
+    attach: function (container, dotNetRef, options) {
+        const state = {
+            id: this.nextId++,
+            container: container,
+            dotNetRef: dotNetRef,
+            options: Object.assign({}, this.defaults, this.withoutEmpty(options)),
+            processed: null,
+            previewUrl: null,
+            busy: false,
+            removers: []
+        };
+
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            state.removers.push(() => target.removeEventListener(type, handler));
+        };
+
+        // dragleave also fires when moving onto a child element, so count enters and leaves
+        let dragDepth = 0;
+        listen(container, 'dragenter', event => {
+            if (this.hasFiles(event)) {
+                event.preventDefault();
+                dragDepth++;
+                container.classList.add('is-drag-over');
+            }
+        });
+        listen(container, 'dragover', event => {
+            if (this.hasFiles(event)) {
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        listen(container, 'dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                container.classList.remove('is-drag-over');
+            }
+        });
+        listen(container, 'drop', event => {
+            event.preventDefault();
+            dragDepth = 0;
+            container.classList.remove('is-drag-over');
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (file) {
+                this.handleFile(state, file);
+            }
+        });
+
+        listen(container, 'paste', event => {
+            const item = Array.from((event.clipboardData && event.clipboardData.items) || [])
+                .find(entry => entry.kind === 'file' && entry.type.startsWith('image/'));
+            if (item) {
+                event.preventDefault();
+                this.handleFile(state, item.getAsFile());
+            }
+        });
+
+        const input = container.querySelector('input[type="file"]');
+        if (input) {
+            listen(input, 'change', () => {
+                const file = input.files && input.files[0];
+                // Cleared so picking the same file again still raises change
+                input.value = '';
+                if (file) {
+                    this.handleFile(state, file);
+                }
+            });
+
+            // The drop zone is focusable so it can receive paste; let the keyboard open the picker too
+            listen(container, 'keydown', event => {
+                if ((event.key === 'Enter' || event.key === ' ') && event.target === container) {
+                    event.preventDefault();
+                    input.click();
+                }
+            });
+        }
+
+        this.inputs.set(state.id, state);
+        return state.id;
+    },
+
+    detach: function (id) {
+        const state = this.inputs.get(id);
+        if (state) {
+            state.removers.forEach(remove => remove());
+            this.release(id);
+            this.inputs.delete(id);
+        }
+    },
+
+    // The processed image for .NET to read as a stream
+    takeProcessed: function (id) {
+        const state = this.inputs.get(id);
+        if (!state || !state.processed) {
+            throw new Error('There is no processed image to upload.');
+        }
+        return state.processed;
+    },
+
+    // Frees the processed image and its preview once .NET has stored it
+    release: function (id) {
+        const state = this.inputs.get(id);
+        if (state) {
+            if (state.previewUrl) {
+                URL.revokeObjectURL(state.previewUrl);
+            }
+            state.processed = null;
+            state.previewUrl = null;
+        }
+    },
+
+    handleFile: function (state, file) {
+        if (state.busy) {
+            return;
+        }
+
+        const options = state.options;
+        if (!this.acceptedTypes.includes(file.type)) {
+            this.report(state, 'OnImageError', 'Please choose a JPEG, PNG, WebP, GIF, BMP or AVIF image.');
+            return;
+        }
+        if (file.size > options.maxInputBytes) {
+            this.report(state, 'OnImageError', `The image is larger than ${this.formatBytes(options.maxInputBytes)}.`);
+            return;
+        }
+
+        state.busy = true;
+        this.report(state, 'OnImageStatus', 'processing');
+
+        this.loadUpright(file)
+            .then(canvas => {
+                this.report(state, 'OnImageStatus', 'cropping');
+                return this.crop(state, canvas).then(rect => {
+                    if (!rect) {
+                        return null;
+                    }
+                    this.report(state, 'OnImageStatus', 'processing');
+                    return this.encode(canvas, rect, options);
+                });
+            })
+            .then(result => {
+                if (!result) {
+                    this.report(state, 'OnImageStatus', 'idle');
+                    return undefined;
+                }
+
+                this.release(state.id);
+                state.processed = result.blob;
+                state.previewUrl = URL.createObjectURL(result.blob);
+                return state.dotNetRef.invokeMethodAsync('OnImageProcessed', {
+                    previewUrl: state.previewUrl,
+                    contentType: result.blob.type,
+                    size: result.blob.size,
+                    width: result.width,
+                    height: result.height,
+                    originalName: file.name || null,
+                    originalSize: file.size
+                });
+            })
+            .catch(error => {
+                console.warn('Image processing failed:', error);
+                this.report(state, 'OnImageError', 'The image could not be read. Please try a different file.');
+            })
+            .finally(() => {
+                state.busy = false;
+            });
+    },
+
+    report: function (state, method, value) {
+        state.dotNetRef.invokeMethodAsync(method, value).catch(() => {
+            // The component has gone away
+        });
+    },
+
+    // Decodes the file and draws it upright onto a canvas
+    loadUpright: function (file) {
+        return Promise.all([this.readJpegInfo(file), this.decode(file)]).then(([info, image]) => {
+            const width = image.naturalWidth;
+            const height = image.naturalHeight;
+            const orientation = this.needsOrientationFix(info, width, height) ? info.orientation : 1;
+            const scale = Math.min(1, this.maxWorkingEdge / Math.max(width, height));
+            const w = Math.round(width * scale);
+            const h = Math.round(height * scale);
+
+            const canvas = document.createElement('canvas');
+            const swap = orientation >= 5;
+            canvas.width = swap ? h : w;
+            canvas.height = swap ? w : h;
+
+            const context = canvas.getContext('2d');
+            context.imageSmoothingQuality = 'high';
+            switch (orientation) {
+                case 2: context.transform(-1, 0, 0, 1, w, 0); break;
+                case 3: context.transform(-1, 0, 0, -1, w, h); break;
+                case 4: context.transform(1, 0, 0, -1, 0, h); break;
+                case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+                case 6: context.transform(0, 1, -1, 0, h, 0); break;
+                case 7: context.transform(0, -1, -1, 0, h, w); break;
+                case 8: context.transform(0, -1, 1, 0, 0, w); break;
+            }
+            context.drawImage(image, 0, 0, w, h);
+            URL.revokeObjectURL(image.src);
+            return canvas;
+        });
+    },
+
+    decode: function (file) {
+        const image = new Image();
+        image.src = URL.createObjectURL(file);
+        return image.decode().then(() => image, error => {
+            URL.revokeObjectURL(image.src);
+            throw error;
+        });
+    },
+
+    // Current browsers already turn images upright when decoding. Where the stored size is known
+    // and the orientation swaps width and height, compare; otherwise go by image-orientation support.
+    needsOrientationFix: function (info, decodedWidth, decodedHeight) {
+        if (!info || info.orientation <= 1 || info.orientation > 8) {
+            return false;
+        }
+        if (info.orientation >= 5 && info.width && info.height && info.width !== info.height) {
+            return decodedWidth === info.width && decodedHeight === info.height;
+        }
+        return !(window.CSS && CSS.supports && CSS.supports('image-orientation', 'from-image'));
+    },
+
+    // { orientation, width, height } from a JPEG's EXIF block and frame header; null for other files
+    readJpegInfo: function (file) {
+        if (file.type !== 'image/jpeg') {
+            return Promise.resolve(null);
+        }
+
+        return file.slice(0, 256 * 1024).arrayBuffer().then(buffer => {
+            const view = new DataView(buffer);
+            if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+                return null;
+            }
+
+            const info = { orientation: 1, width: 0, height: 0 };
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                if (view.getUint8(offset) !== 0xFF) {
+                    break;
+                }
+                const marker = view.getUint8(offset + 1);
+                const length = view.getUint16(offset + 2);
+
+                if (marker === 0xE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                    info.orientation = this.readOrientation(view, offset + 10) || 1;
+                } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                    if (offset + 9 <= view.byteLength) {
+                        info.height = view.getUint16(offset + 5);
+                        info.width = view.getUint16(offset + 7);
+                    }
+                    break;
+                } else if (marker === 0xDA) {
+                    break;
+                }
+                offset += 2 + length;
+            }
+            return info;
+        }).catch(() => null);
+    },
+
+    // Orientation tag (0x0112) of IFD0 in the TIFF structure starting at tiff
+    readOrientation: function (view, tiff) {
+        try {
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            const entries = view.getUint16(ifd, little);
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    return view.getUint16(entry + 8, little);
+                }
+            }
+        } catch (error) {
+            // Truncated or malformed EXIF
+        }
+        return null;
+    },
+
+    // Shows the crop dialog; resolves to { x, y, width, height } in canvas pixels, or null
+    crop: function (state, canvas) {
+        const el = window.blazorCrudDemo.dom.el;
+        const aspect = state.options.aspectRatio;
+        const maxWidth = Math.min(canvas.width, canvas.height * aspect);
+        const rect = { width: maxWidth, height: maxWidth / aspect, zoom: 1 };
+        rect.x = (canvas.width - rect.width) / 2;
+        rect.y = (canvas.height - rect.height) / 2;
+
+        return new Promise(resolve => {
+            const previouslyFocused = document.activeElement;
+            const backdrop = el('div', { className: 'image-crop-backdrop' });
+            const dialog = el('div', { className: 'image-crop', role: 'dialog', 'aria-modal': 'true', 'aria-label': 'Crop image' });
+            dialog.appendChild(el('h5', {}, 'Crop image'));
+            dialog.appendChild(el('p', { className: 'text-muted small' },
+                'Drag the frame or use the arrow keys to choose the visible part. Use the slider to zoom.'));
+
+            const stage = el('div', { className: 'image-crop-stage' });
+            canvas.className = 'image-crop-canvas';
+            stage.appendChild(canvas);
+            const frame = el('div', { className: 'image-crop-frame', tabIndex: 0, 'aria-label': 'Crop area; move it with the arrow keys' });
+            stage.appendChild(frame);
+            dialog.appendChild(stage);
+
+            const zoom = el('input', { type: 'range', className: 'form-range', min: '30', max: '100', value: '100', 'aria-label': 'Crop size' });
+            dialog.appendChild(zoom);
+
+            const actions = el('div', { className: 'image-crop-actions' });
+            const cancel = el('button', { type: 'button', className: 'btn btn-outline-secondary' }, 'Cancel');
+            const apply = el('button', { type: 'button', className: 'btn btn-primary' }, 'Use image');
+            actions.appendChild(cancel);
+            actions.appendChild(apply);
+            dialog.appendChild(actions);
+            backdrop.appendChild(dialog);
+
+            const clamp = () => {
+                rect.x = Math.min(Math.max(0, rect.x), canvas.width - rect.width);
+                rect.y = Math.min(Math.max(0, rect.y), canvas.height - rect.height);
+            };
+            const render = () => {
+                clamp();
+                frame.style.left = `${(rect.x / canvas.width) * 100}%`;
+                frame.style.top = `${(rect.y / canvas.height) * 100}%`;
+                frame.style.width = `${(rect.width / canvas.width) * 100}%`;
+                frame.style.height = `${(rect.height / canvas.height) * 100}%`;
+            };
+            // Screen pixels to canvas pixels
+            const scale = () => canvas.width / (canvas.getBoundingClientRect().width || canvas.width);
+
+            zoom.addEventListener('input', () => {
+                const centerX = rect.x + rect.width / 2;
+                const centerY = rect.y + rect.height / 2;
+                rect.width = maxWidth * (Number(zoom.value) / 100);
+                rect.height = rect.width / aspect;
+                rect.x = centerX - rect.width / 2;
+                rect.y = centerY - rect.height / 2;
+                render();
+            });
+
+            let drag = null;
+            frame.addEventListener('pointerdown', event => {
+                event.preventDefault();
+                frame.setPointerCapture(event.pointerId);
+                drag = { pointerX: event.clientX, pointerY: event.clientY, x: rect.x, y: rect.y, scale: scale() };
+            });
+            frame.addEventListener('pointermove', event => {
+                if (drag) {
+                    rect.x = drag.x + (event.clientX - drag.pointerX) * drag.scale;
+                    rect.y = drag.y + (event.clientY - drag.pointerY) * drag.scale;
+                    render();
+                }
+            });
+            frame.addEventListener('pointerup', () => {
+                drag = null;
+            });
+            frame.addEventListener('keydown', event => {
+                const step = 10 * scale() * (event.shiftKey ? 5 : 1);
+                const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+                if (moves[event.key]) {
+                    event.preventDefault();
+                    rect.x += moves[event.key][0];
+                    rect.y += moves[event.key][1];
+                    render();
+                }
+            });
+
+            // Suspends page shortcuts while open; Escape cancels and Enter applies
+            const shortcuts = window.blazorCrudDemo.shortcuts;
+            const removeShortcuts = shortcuts ? shortcuts.add('modal', [
+                { id: 'image.crop-apply', keys: 'enter', description: 'Use the cropped image' },
+                { id: 'image.crop-cancel', keys: 'escape', description: 'Cancel cropping', allowInInputs: true }
+            ], shortcut => finish(shortcut.id === 'image.crop-apply')) : null;
+
+            let finished = false;
+            const finish = applied => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                if (removeShortcuts) {
+                    removeShortcuts();
+                }
+                backdrop.remove();
+                if (previouslyFocused && previouslyFocused.focus) {
+                    previouslyFocused.focus();
+                }
+                resolve(applied ? { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) } : null);
+            };
+            cancel.addEventListener('click', () => finish(false));
+            apply.addEventListener('click', () => finish(true));
+
+            document.body.appendChild(backdrop);
+            render();
+            frame.focus();
+        });
+    },
+
+    // Draws the cropped area at most maxWidth × maxHeight and re-encodes it, lowering quality and
+    // then size until it fits targetBytes
+    encode: function (source, rect, options) {
+        const fit = Math.min(1, options.maxWidth / rect.width, options.maxHeight / rect.height);
+        let width = Math.max(1, Math.round(rect.width * fit));
+        let height = Math.max(1, Math.round(rect.height * fit));
+
+        const attempt = (type, qualityIndex) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            if (type === 'image/jpeg') {
+                // JPEG has no transparency; keep transparent areas white rather than black
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, width, height);
+            }
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+
+            return this.toBlob(canvas, type, this.qualities[qualityIndex]).then(blob => {
+                // Browsers that cannot encode WebP return PNG instead
+                if (type === 'image/webp' && blob.type !== 'image/webp') {
+                    return attempt('image/jpeg', qualityIndex);
+                }
+                if (blob.size <= options.targetBytes) {
+                    return { blob: blob, width: width, height: height };
+                }
+                if (qualityIndex + 1 < this.qualities.length) {
+                    return attempt(type, qualityIndex + 1);
+                }
+                if (width * 0.8 < this.minOutputWidth) {
+                    return { blob: blob, width: width, height: height };
+                }
+                width = Math.round(width * 0.8);
+                height = Math.round(height * 0.8);
+                return attempt(type, 1);
+            });
+        };
+
+        return attempt('image/webp', 0);
+    },
+
+    toBlob: function (canvas, type, quality) {
+        return new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Encoding failed')), type, quality));
+    },
+
+    hasFiles: function (event) {
+        return !!event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+    },
+
+    withoutEmpty: function (options) {
+        return Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value !== null && value !== undefined && value !== 0));
+    },
+
+    formatBytes: function (bytes) {
+        return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${Math.round(bytes / 1024)} KB`;
+    }
+};
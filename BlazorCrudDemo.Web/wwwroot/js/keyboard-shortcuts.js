@@ -0,0 +1,482 @@
+// Keyboard Shortcuts JavaScript
+// The one keydown listener of the app. Shortcuts are registered in scopes:
+// - 'global': always available (MainLayout)
+// - 'page': the current page; wins over a global shortcut with the same keys
+// - 'modal': an open dialog; while one is registered only the newest modal scope is active
+// Keys are written like 'ctrl+shift+l', 'shift+a', '/', 'escape' ('mod' is Ctrl, or Cmd on a Mac).
+// "?" opens a cheat sheet of the active shortcuts, where they can be remapped. Remappings are
+// saved per user by Services/KeyboardShortcutService.cs, which also registers the .NET shortcuts.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.shortcuts = window.blazorCrudDemo.shortcuts || {
+    scopes: ['global', 'page', 'modal'],
+    helpKeys: '?',
+    // Standard editing and browser keys: never taken over by the app, and cannot be chosen when remapping
+    reservedKeys: ['ctrl+a', 'ctrl+c', 'ctrl+v', 'ctrl+x', 'ctrl+z', 'ctrl+y', 'ctrl+f', 'ctrl+p', 'ctrl+s',
+        'ctrl+n', 'ctrl+t', 'ctrl+w', 'ctrl+r', 'ctrl+l', 'ctrl+shift+n', 'ctrl+shift+t', 'ctrl+shift+w',
+        'meta+a', 'meta+c', 'meta+v', 'meta+x', 'meta+z', 'meta+f', 'meta+n', 'meta+t', 'meta+w', 'meta+r',
+        'tab', 'shift+tab', 'f5'],
+    modifiers: ['ctrl', 'alt', 'shift', 'meta'],
+
+    // Registration id -> { id, scope, shortcuts, invoke }
+    registrations: new Map(),
+    nextId: 1,
+    // Registration id -> remove function, for .NET registrations
+    removers: new Map(),
+    // Conflicts already logged
+    reported: new Set(),
+    // Shortcut id -> keys chosen by the user
+    bindings: {},
+    // .NET KeyboardShortcutService, which saves the bindings
+    dotNetRef: null,
+    help: null,
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        document.addEventListener('keydown', event => this.handleKeyDown(event));
+
+        this.add('global', [{ id: 'app.help', keys: this.helpKeys, description: 'Show keyboard shortcuts', group: 'General', fixed: true }],
+            () => this.toggleHelp());
+
+        // Remapped in another tab
+        const tabSync = window.blazorCrudDemo.tabSync;
+        if (tabSync) {
+            tabSync.on('shortcuts:changed', bindings => {
+                this.bindings = bindings || {};
+                this.renderHelp();
+            });
+        }
+    },
+
+    // Called by KeyboardShortcutService with the user's saved bindings
+    configure: function (bindings, dotNetRef) {
+        this.initialize();
+        this.bindings = bindings || {};
+        this.dotNetRef = dotNetRef;
+        this.reportConflicts();
+    },
+
+    // For .NET: dotNetRef.OnShortcut(id) is called when one of the shortcuts is pressed. Returns an id for unregister.
+    register: function (scope, shortcuts, dotNetRef) {
+        const remove = this.add(scope, shortcuts, shortcut => dotNetRef.invokeMethodAsync('OnShortcut', shortcut.id)
+            .catch(error => console.warn(`Shortcut ${shortcut.id} failed:`, error)));
+        this.removers.set(remove.id, remove);
+        return remove.id;
+    },
+
+    unregister: function (id) {
+        const remove = this.removers.get(id);
+        if (remove) {
+            this.removers.delete(id);
+            remove();
+        }
+    },
+
+    // For JS: invoke(shortcut, event) is called when one of the shortcuts is pressed.
+    // shortcuts: [{ id, keys, description, group, allowInInputs, focus }]; returns a function that removes them.
+    add: function (scope, shortcuts, invoke) {
+        this.initialize();
+        if (!this.scopes.includes(scope)) {
+            throw new Error(`Unknown shortcut scope '${scope}'`);
+        }
+
+        const registration = {
+            id: this.nextId++,
+            scope: scope,
+            shortcuts: (shortcuts || []).map(shortcut => Object.assign({}, shortcut, { keys: this.normalize(shortcut.keys) })),
+            invoke: invoke
+        };
+        this.registrations.set(registration.id, registration);
+
+        registration.shortcuts
+            .filter(shortcut => this.reservedKeys.includes(shortcut.keys))
+            .forEach(shortcut => console.warn(`Shortcut ${shortcut.id} uses ${shortcut.keys}, which is left to the browser`));
+        this.reportConflicts();
+        this.renderHelp();
+
+        const remove = () => {
+            this.registrations.delete(registration.id);
+            this.renderHelp();
+        };
+        remove.id = registration.id;
+        return remove;
+    },
+
+    keysOf: function (shortcut) {
+        return this.bindings[shortcut.id] || shortcut.keys;
+    },
+
+    // Registrations that currently receive keys, most specific first
+    activeRegistrations: function () {
+        const all = Array.from(this.registrations.values());
+        const modals = all.filter(r => r.scope === 'modal');
+        if (modals.length) {
+            // The cheat sheet stays reachable from dialogs
+            const help = all.filter(r => r.scope === 'global' && r.shortcuts.some(s => s.id === 'app.help'));
+            return [modals[modals.length - 1]].concat(help);
+        }
+        return all.filter(r => r.scope === 'page').reverse()
+            .concat(all.filter(r => r.scope === 'global').reverse());
+    },
+
+    // [{ registration, shortcut }] in priority order; only the first entry for a key combination is used
+    activeShortcuts: function () {
+        const entries = [];
+        this.activeRegistrations().forEach(registration => registration.shortcuts.forEach(shortcut => {
+            entries.push({ registration: registration, shortcut: shortcut, keys: this.keysOf(shortcut) });
+        }));
+        return entries;
+    },
+
+    // Groups of active shortcuts that share keys: [{ keys, entries }]
+    conflicts: function () {
+        const byKeys = new Map();
+        this.activeShortcuts().forEach(entry => {
+            if (!byKeys.has(entry.keys)) {
+                byKeys.set(entry.keys, []);
+            }
+            byKeys.get(entry.keys).push(entry);
+        });
+        return Array.from(byKeys.entries())
+            .filter(([, entries]) => entries.length > 1)
+            .map(([keys, entries]) => ({ keys: keys, entries: entries }));
+    },
+
+    reportConflicts: function () {
+        this.conflicts().forEach(conflict => {
+            const signature = `${conflict.keys}:${conflict.entries.map(e => e.shortcut.id).join(',')}`;
+            if (!this.reported.has(signature)) {
+                this.reported.add(signature);
+                console.warn(`Keyboard shortcut conflict on ${conflict.keys}: ${conflict.entries.map(e => e.shortcut.id).join(', ')}; ` +
+                    `${conflict.entries[0].shortcut.id} wins`);
+            }
+        });
+    },
+
+    handleKeyDown: function (event) {
+        if (event.defaultPrevented || event.isComposing || event.repeat) {
+            return;
+        }
+        if (this.capture) {
+            this.captureKeyDown(event);
+            return;
+        }
+
+        const keys = this.fromEvent(event);
+        if (!keys || this.reservedKeys.includes(keys)) {
+            return;
+        }
+
+        // Enter and Space keep activating the focused button or link
+        if ((keys === 'enter' || keys === 'space') && event.target.closest && event.target.closest('button, a[href], [role="button"]')) {
+            return;
+        }
+
+        const entry = this.activeShortcuts().find(e => e.keys === keys);
+        if (!entry || (this.isTyping(event.target) && !entry.shortcut.allowInInputs && !this.hasCommandModifier(keys))) {
+            return;
+        }
+
+        event.preventDefault();
+        if (entry.shortcut.focus) {
+            const target = document.querySelector(entry.shortcut.focus);
+            if (target) {
+                target.focus();
+                if (typeof target.select === 'function') {
+                    target.select();
+                }
+            }
+            return;
+        }
+        entry.registration.invoke(entry.shortcut, event);
+    },
+
+    isTyping: function (target) {
+        return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    },
+
+    // Ctrl/Alt/Cmd combinations are not text, so they work in form fields too
+    hasCommandModifier: function (keys) {
+        return /(^|\+)(ctrl|alt|meta)\+/.test(keys);
+    },
+
+    isMac: function () {
+        return /Mac|iPhone|iPad/.test(navigator.platform || '');
+    },
+
+    // 'Ctrl+Shift+L' -> 'ctrl+shift+l'; 'mod' becomes ctrl or meta
+    normalize: function (keys) {
+        if (!keys) {
+            return '';
+        }
+        const parts = String(keys).toLowerCase().split('+').map(p => p.trim());
+        // '+' itself, e.g. 'ctrl++'
+        let key = parts.pop() || (parts.length ? (parts.pop(), '+') : '');
+        const modifiers = new Set(parts.map(p => p === 'mod' ? (this.isMac() ? 'meta' : 'ctrl') : p === 'cmd' ? 'meta' : p));
+        if (key === 'esc') {
+            key = 'escape';
+        }
+        if (key === ' ') {
+            key = 'space';
+        }
+        return this.modifiers.filter(m => modifiers.has(m)).concat([key]).join('+');
+    },
+
+    fromEvent: function (event) {
+        let key = event.key;
+        if (!key || ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified'].includes(key)) {
+            return null;
+        }
+        key = key === ' ' ? 'space' : key.toLowerCase();
+
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('ctrl');
+        if (event.altKey) modifiers.push('alt');
+        // Shift is part of characters like '?' and '!', but not of letters or named keys
+        if (event.shiftKey && (key.length > 1 || /[a-z0-9]/.test(key))) modifiers.push('shift');
+        if (event.metaKey) modifiers.push('meta');
+        return modifiers.concat([key]).join('+');
+    },
+
+    // 'ctrl+shift+l' -> ['Ctrl', 'Shift', 'L']
+    displayKeys: function (keys) {
+        const names = { ctrl: 'Ctrl', alt: this.isMac() ? 'Option' : 'Alt', shift: 'Shift', meta: this.isMac() ? '⌘' : 'Meta', escape: 'Esc', delete: 'Del', space: 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', enter: 'Enter' };
+        return keys.split(/\+(?!$)/).map(part => names[part] || (part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1)));
+    },
+
+    // Why keys cannot be used for a shortcut, or null
+    validate: function (shortcutId, keys) {
+        if (!keys) {
+            return 'Press a key combination.';
+        }
+        if (this.reservedKeys.includes(keys)) {
+            return `${this.displayKeys(keys).join('+')} is kept for the browser.`;
+        }
+        if (keys === this.helpKeys || keys === 'escape') {
+            return `${this.displayKeys(keys).join('+')} cannot be reassigned.`;
+        }
+
+        // Shortcuts that can be active at the same time: global and page together, or modal on its own
+        const owner = this.findRegistration(shortcutId);
+        const together = owner && owner.scope === 'modal' ? ['modal'] : ['global', 'page'];
+        for (const registration of this.registrations.values()) {
+            if (!together.includes(registration.scope) || (registration.scope === 'modal' && registration !== owner)) {
+                continue;
+            }
+            const clash = registration.shortcuts.find(s => s.id !== shortcutId && this.keysOf(s) === keys);
+            if (clash) {
+                return `${this.displayKeys(keys).join('+')} is already used for "${clash.description}".`;
+            }
+        }
+        return null;
+    },
+
+    findRegistration: function (shortcutId) {
+        return Array.from(this.registrations.values()).find(r => r.shortcuts.some(s => s.id === shortcutId));
+    },
+
+    setBinding: function (shortcutId, keys) {
+        const registration = this.findRegistration(shortcutId);
+        const shortcut = registration && registration.shortcuts.find(s => s.id === shortcutId);
+        if (!shortcut || keys === shortcut.keys) {
+            delete this.bindings[shortcutId];
+        } else {
+            this.bindings[shortcutId] = keys;
+        }
+        return this.saveBindings();
+    },
+
+    resetBindings: function () {
+        this.bindings = {};
+        return this.saveBindings();
+    },
+
+    saveBindings: function () {
+        this.renderHelp();
+        if (window.blazorCrudDemo.tabSync) {
+            window.blazorCrudDemo.tabSync.publish('shortcuts:changed', this.bindings);
+        }
+        if (!this.dotNetRef) {
+            return Promise.resolve();
+        }
+        return this.dotNetRef.invokeMethodAsync('SaveBindings', this.bindings)
+            .catch(error => console.warn('Could not save keyboard shortcuts:', error));
+    },
+
+    // ---- Cheat sheet ----
+
+    toggleHelp: function () {
+        if (this.help) {
+            this.closeHelp();
+        } else {
+            this.openHelp();
+        }
+    },
+
+    openHelp: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        this.returnFocus = document.activeElement;
+        this.help = { root: el('div', { id: 'keyboard-shortcuts-help', className: 'shortcut-help-backdrop' }), message: '' };
+        this.help.root.addEventListener('click', event => {
+            if (event.target === this.help.root) {
+                this.closeHelp();
+            }
+        });
+        document.body.appendChild(this.help.root);
+        this.help.removeScope = this.add('modal', [{ id: 'app.help.close', keys: 'escape', description: 'Close', group: 'General', allowInInputs: true, fixed: true }],
+            () => this.closeHelp());
+        this.help.root.querySelector('.shortcut-help').focus();
+    },
+
+    closeHelp: function () {
+        if (!this.help) {
+            return;
+        }
+        const help = this.help;
+        this.help = null;
+        this.capture = null;
+        help.removeScope();
+        help.root.remove();
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+    },
+
+    renderHelp: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        if (!this.help) {
+            return;
+        }
+
+        const dialog = el('div', { className: 'shortcut-help', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'shortcut-help-title', tabIndex: -1 });
+        const header = el('div', { className: 'shortcut-help-header' });
+        header.appendChild(el('h5', { id: 'shortcut-help-title' }, 'Keyboard shortcuts'));
+        header.appendChild(this.button('Close', () => this.closeHelp(), 'btn-close', 'Close'));
+        dialog.appendChild(header);
+
+        dialog.appendChild(el('p', { className: 'shortcut-help-message', role: 'status' }, this.help.message));
+
+        // The shortcuts of the page underneath, not of the cheat sheet itself
+        const listed = Array.from(this.registrations.values())
+            .filter(r => r.scope !== 'modal')
+            .sort((a, b) => this.scopes.indexOf(b.scope) - this.scopes.indexOf(a.scope));
+        const conflicting = new Set();
+        this.conflicts().forEach(c => c.entries.slice(1).forEach(e => conflicting.add(e.shortcut.id)));
+
+        const groups = new Map();
+        listed.forEach(registration => registration.shortcuts.forEach(shortcut => {
+            const group = shortcut.group || (registration.scope === 'page' ? 'This page' : 'General');
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(shortcut);
+        }));
+
+        groups.forEach((shortcuts, group) => {
+            const section = el('section');
+            section.appendChild(el('h6', {}, group));
+            const table = el('dl', { className: 'shortcut-help-list' });
+            shortcuts.forEach(shortcut => table.appendChild(this.renderShortcut(shortcut, conflicting.has(shortcut.id))));
+            section.appendChild(table);
+            dialog.appendChild(section);
+        });
+
+        const footer = el('div', { className: 'shortcut-help-footer' });
+        if (Object.keys(this.bindings).length) {
+            footer.appendChild(this.button('Reset all to defaults', () => {
+                this.help.message = 'All shortcuts are back to their defaults.';
+                this.resetBindings();
+            }, 'btn btn-sm btn-outline-secondary'));
+        }
+        dialog.appendChild(footer);
+
+        this.help.root.replaceChildren(dialog);
+        if (!dialog.contains(document.activeElement)) {
+            dialog.focus();
+        }
+    },
+
+    renderShortcut: function (shortcut, shadowed) {
+        const el = window.blazorCrudDemo.dom.el;
+        const row = el('div', { className: 'shortcut-help-row' });
+        row.appendChild(el('dt', {}, shortcut.description));
+
+        const keysCell = el('dd');
+        if (this.capture && this.capture.shortcutId === shortcut.id) {
+            keysCell.appendChild(el('span', { className: 'shortcut-help-capture' }, 'Press the new keys… (Esc to cancel)'));
+        } else {
+            const keys = this.keysOf(shortcut);
+            this.displayKeys(keys).forEach((part, index) => {
+                if (index) {
+                    keysCell.appendChild(document.createTextNode(' + '));
+                }
+                keysCell.appendChild(el('kbd', {}, part));
+            });
+            if (shadowed) {
+                keysCell.appendChild(el('span', { className: 'shortcut-help-conflict', title: 'Another shortcut uses the same keys and takes precedence' }, ' conflict'));
+            }
+            if (!shortcut.fixed) {
+                keysCell.appendChild(this.button('Change', () => this.startCapture(shortcut.id), 'btn btn-link btn-sm', `Change shortcut for ${shortcut.description}`));
+                if (this.bindings[shortcut.id]) {
+                    keysCell.appendChild(this.button('Reset', () => {
+                        this.help.message = `"${shortcut.description}" is back to ${this.displayKeys(shortcut.keys).join('+')}.`;
+                        this.setBinding(shortcut.id, shortcut.keys);
+                    }, 'btn btn-link btn-sm', `Reset shortcut for ${shortcut.description}`));
+                }
+            }
+        }
+        row.appendChild(keysCell);
+        return row;
+    },
+
+    startCapture: function (shortcutId) {
+        this.capture = { shortcutId: shortcutId };
+        this.help.message = '';
+        this.renderHelp();
+    },
+
+    captureKeyDown: function (event) {
+        const keys = this.fromEvent(event);
+        if (!keys) {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+
+        const shortcutId = this.capture.shortcutId;
+        this.capture = null;
+        if (keys === 'escape') {
+            this.help.message = '';
+            this.renderHelp();
+            return;
+        }
+
+        const problem = this.validate(shortcutId, keys);
+        if (problem) {
+            this.help.message = problem;
+            this.renderHelp();
+            return;
+        }
+
+        this.help.message = `Saved ${this.displayKeys(keys).join('+')}.`;
+        this.setBinding(shortcutId, keys);
+    },
+
+    button: function (text, onClick, className, label) {
+        const el = window.blazorCrudDemo.dom.el;
+        const button = el('button', { type: 'button', className: className }, className === 'btn-close' ? undefined : text);
+        if (label) {
+            button.setAttribute('aria-label', label);
+        }
+        button.addEventListener('click', onClick);
+        return button;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.shortcuts.initialize();
+});
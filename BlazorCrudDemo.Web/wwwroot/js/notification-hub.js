@@ -0,0 +1,83 @@
+// Notification Hub JavaScript
+// Client for /notificationHub (Hubs/NotificationHub.cs). Scripts subscribe with
+// window.blazorCrudDemo.notificationHub.on('ReceiveProductUpdate', handler) and get the
+// message objects the hub sends; subscribing before the connection starts is fine.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.notificationHub = window.blazorCrudDemo.notificationHub || {
+    url: '/notificationHub',
+    connection: null,
+    starting: null,
+    handlers: new Map(),
+
+    // Returns a function that removes the handler again
+    on: function (methodName, handler) {
+        if (!this.handlers.has(methodName)) {
+            this.handlers.set(methodName, new Set());
+            if (this.connection) {
+                this.listen(methodName);
+            }
+        }
+
+        const handlers = this.handlers.get(methodName);
+        handlers.add(handler);
+        this.start();
+
+        return function () {
+            handlers.delete(handler);
+        };
+    },
+
+    start: function () {
+        if (this.starting) {
+            return this.starting;
+        }
+
+        if (typeof signalR === 'undefined' || !signalR.HubConnectionBuilder) {
+            console.warn('SignalR client not loaded, live notifications are disabled');
+            return Promise.resolve(false);
+        }
+
+        this.connection = new signalR.HubConnectionBuilder()
+            .withUrl(this.url)
+            .withAutomaticReconnect()
+            .configureLogging(signalR.LogLevel.Warning)
+            .build();
+
+        this.handlers.forEach((_, methodName) => this.listen(methodName));
+
+        const breadcrumbs = window.blazorCrudDemo.breadcrumbs;
+        if (breadcrumbs) {
+            this.connection.onreconnecting(() => breadcrumbs.add('connection', 'notification hub reconnecting'));
+            this.connection.onreconnected(() => breadcrumbs.add('connection', 'notification hub reconnected'));
+        }
+
+        this.starting = this.connection.start()
+            .then(() => true)
+            .catch(error => {
+                console.warn('Could not connect to the notification hub:', error);
+                this.connection = null;
+                this.starting = null;
+                return false;
+            });
+
+        return this.starting;
+    },
+
+    listen: function (methodName) {
+        this.connection.on(methodName, message => {
+            (this.handlers.get(methodName) || []).forEach(handler => {
+                try {
+                    handler(message);
+                } catch (error) {
+                    console.error(`Error handling hub message '${methodName}':`, error);
+                }
+            });
+        });
+    }
+};
+
+// Called by _Host.cshtml once Blazor has started
+function initializeNotificationHub() {
+    return window.blazorCrudDemo.notificationHub.start();
+}
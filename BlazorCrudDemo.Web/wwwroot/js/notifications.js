@@ -0,0 +1,397 @@
+// Notifications JavaScript
+// The app's toasts. One entry point, show(options), used from JS and by
+// Services/NotificationCenterService.cs:
+//   { type: 'success' | 'error' | 'warning' | 'info', title, message, duration (ms, 0 = until closed),
+//     key (toasts with the same key are merged), actions: [{ id, label }] }
+// Text is only ever set through textContent. Toasts stack newest first, at most maxVisible at a time;
+// their timers pause while hovered or focused. Each toast is announced through an ARIA live region
+// and kept in a history (per tab, last historySize entries) that toggleHistory() shows.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.notifications = window.blazorCrudDemo.notifications || {
+    maxVisible: 4,
+    historySize: 50,
+    historyKey: 'blazorCrudDemo_notifications',
+    durations: { success: 4000, info: 5000, warning: 7000, error: 10000 },
+    icons: { success: 'bi-check-circle-fill', error: 'bi-exclamation-triangle-fill', warning: 'bi-exclamation-circle-fill', info: 'bi-info-circle-fill' },
+
+    // Visible toasts, newest first: { id, key, type, title, message, count, element, timer, remaining, startedAt }
+    toasts: [],
+    history: [],
+    unread: 0,
+    nextId: 1,
+    listeners: new Set(),
+    container: null,
+    historyPanel: null,
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        try {
+            this.history = JSON.parse(sessionStorage.getItem(this.historyKey) || '[]');
+        } catch (e) {
+            this.history = [];
+        }
+        this.unread = this.history.filter(entry => !entry.read).length;
+
+        // Live regions must be in the page before anything is announced through them
+        if (document.body) {
+            this.ensureContainer();
+        }
+    },
+
+    // listener({ unread, history }); returns a function that removes it
+    on: function (listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    // For .NET: NotificationCenterService follows the unread count through dotNetRef.OnUnreadCountChanged(unread).
+    // Returns the current count.
+    follow: function (dotNetRef) {
+        this.initialize();
+        if (this.unfollow) {
+            this.unfollow();
+        }
+        // A circuit that has gone away stops listening
+        const remove = this.on(state => dotNetRef.invokeMethodAsync('OnUnreadCountChanged', state.unread).catch(() => remove()));
+        this.unfollow = remove;
+        return this.unread;
+    },
+
+    emit: function () {
+        const state = { unread: this.unread, history: this.history };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.error('Notification listener failed:', e);
+            }
+        });
+    },
+
+    // Returns the toast id, which dismiss() takes. onAction(actionId) is called when an action button is clicked.
+    show: function (options, onAction) {
+        this.initialize();
+        options = options || {};
+        const type = this.normalizeType(options.type);
+        const title = options.title ? String(options.title) : '';
+        const message = options.message ? String(options.message) : '';
+        const key = options.key || `${type}|${title}|${message}`;
+        const duration = options.duration === undefined || options.duration === null ? this.durations[type] : options.duration;
+
+        // Same toast again: count it instead of stacking a copy
+        const existing = this.toasts.find(toast => toast.key === key);
+        if (existing) {
+            existing.count++;
+            existing.message = message;
+            existing.onAction = onAction || existing.onAction;
+            this.renderToast(existing);
+            this.startTimer(existing, duration);
+            this.announce(existing);
+            return existing.id;
+        }
+
+        const toast = {
+            id: this.nextId++,
+            key: key,
+            type: type,
+            title: title,
+            message: message,
+            actions: (options.actions || []).filter(action => action && action.id && action.label),
+            onAction: onAction,
+            count: 1,
+            timer: null
+        };
+
+        this.ensureContainer();
+        toast.element = this.createToastElement(toast);
+        this.container.prepend(toast.element);
+        this.toasts.unshift(toast);
+        this.startTimer(toast, duration);
+        this.announce(toast);
+        this.record(toast);
+
+        // Over the cap: drop the oldest, preferring ones that would close on their own
+        while (this.toasts.length > this.maxVisible) {
+            const oldest = this.toasts.slice().reverse();
+            this.dismiss((oldest.find(t => t.duration > 0) || oldest[0]).id);
+        }
+
+        requestAnimationFrame(() => toast.element.classList.add('show'));
+        return toast.id;
+    },
+
+    normalizeType: function (type) {
+        type = String(type || 'info').toLowerCase();
+        if (type === 'danger') {
+            return 'error';
+        }
+        return this.durations[type] ? type : 'info';
+    },
+
+    dismiss: function (id) {
+        const index = this.toasts.findIndex(toast => toast.id === id);
+        if (index < 0) {
+            return;
+        }
+
+        const toast = this.toasts[index];
+        this.toasts.splice(index, 1);
+        clearTimeout(toast.timer);
+        toast.element.classList.remove('show');
+        setTimeout(() => toast.element.remove(), 300);
+    },
+
+    clear: function () {
+        this.toasts.slice().forEach(toast => this.dismiss(toast.id));
+    },
+
+    startTimer: function (toast, duration) {
+        clearTimeout(toast.timer);
+        toast.duration = duration;
+        toast.remaining = duration;
+        if (duration > 0 && !toast.paused) {
+            this.resumeTimer(toast);
+        }
+    },
+
+    pauseTimer: function (toast) {
+        if (toast.paused) {
+            return;
+        }
+        toast.paused = true;
+        if (toast.timer) {
+            clearTimeout(toast.timer);
+            toast.timer = null;
+            toast.remaining -= Date.now() - toast.startedAt;
+        }
+    },
+
+    resumeTimer: function (toast) {
+        toast.paused = false;
+        if (toast.duration > 0) {
+            toast.startedAt = Date.now();
+            toast.timer = setTimeout(() => this.dismiss(toast.id), Math.max(toast.remaining, 1000));
+        }
+    },
+
+    ensureContainer: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        if (this.container && document.body.contains(this.container)) {
+            return;
+        }
+
+        this.container = el('div', { id: 'notification-center', className: 'notification-stack' });
+        // Announcements go through separate regions so rebuilding a toast is not read out again
+        this.politeRegion = el('div', { className: 'visually-hidden', 'aria-live': 'polite', 'aria-atomic': 'true' });
+        this.assertiveRegion = el('div', { className: 'visually-hidden', 'aria-live': 'assertive', 'aria-atomic': 'true' });
+        document.body.appendChild(this.container);
+        document.body.appendChild(this.politeRegion);
+        document.body.appendChild(this.assertiveRegion);
+    },
+
+    announce: function (toast) {
+        const region = toast.type === 'error' ? this.assertiveRegion : this.politeRegion;
+        const text = [toast.title, toast.message].filter(Boolean).join(': ') +
+            (toast.actions.length ? `. Actions: ${toast.actions.map(a => a.label).join(', ')}` : '');
+        // Clear first so the same text is announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, 100);
+    },
+
+    createToastElement: function (toast) {
+        const el = window.blazorCrudDemo.dom.el;
+        const element = el('div', { className: `notification-toast notification-${toast.type}` });
+        element.addEventListener('mouseenter', () => this.pauseTimer(toast));
+        element.addEventListener('mouseleave', () => this.resumeTimer(toast));
+        element.addEventListener('focusin', () => this.pauseTimer(toast));
+        element.addEventListener('focusout', event => {
+            if (!element.contains(event.relatedTarget)) {
+                this.resumeTimer(toast);
+            }
+        });
+        element.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.dismiss(toast.id);
+            }
+        });
+        toast.element = element;
+        this.renderToast(toast);
+        return element;
+    },
+
+    renderToast: function (toast) {
+        const el = window.blazorCrudDemo.dom.el;
+        const element = toast.element;
+        element.replaceChildren();
+
+        element.appendChild(el('i', { className: `bi ${this.icons[toast.type]} notification-icon`, 'aria-hidden': 'true' }));
+
+        const body = el('div', { className: 'notification-body' });
+        if (toast.title) {
+            const title = el('div', { className: 'notification-title' }, toast.title);
+            if (toast.count > 1) {
+                title.appendChild(el('span', { className: 'notification-count', 'aria-label': `${toast.count} times` }, ` ×${toast.count}`));
+            }
+            body.appendChild(title);
+        }
+        if (toast.message) {
+            body.appendChild(el('div', { className: 'notification-message' }, toast.message));
+        }
+        if (toast.actions.length) {
+            const actions = el('div', { className: 'notification-actions' });
+            toast.actions.forEach(action => {
+                const button = el('button', { type: 'button', className: 'btn btn-sm btn-link' }, action.label);
+                button.addEventListener('click', () => this.runAction(toast, action));
+                actions.appendChild(button);
+            });
+            body.appendChild(actions);
+        }
+        element.appendChild(body);
+
+        const close = el('button', { type: 'button', className: 'btn-close notification-close', 'aria-label': 'Dismiss notification' });
+        close.addEventListener('click', () => this.dismiss(toast.id));
+        element.appendChild(close);
+    },
+
+    runAction: function (toast, action) {
+        this.dismiss(toast.id);
+        if (!toast.onAction) {
+            return;
+        }
+        Promise.resolve()
+            .then(() => toast.onAction(action.id))
+            .catch(error => console.warn(`Notification action ${action.id} failed:`, error));
+    },
+
+    // For .NET: like show(), but actions call dotNetRef.OnNotificationAction(callbackId, actionId)
+    showFromDotNet: function (options, callbackId, dotNetRef) {
+        return this.show(options, callbackId && dotNetRef
+            ? actionId => dotNetRef.invokeMethodAsync('OnNotificationAction', callbackId, actionId)
+            : null);
+    },
+
+    // ---- History ----
+
+    record: function (toast) {
+        this.history.unshift({ type: toast.type, title: toast.title, message: toast.message, at: Date.now(), read: false });
+        this.history = this.history.slice(0, this.historySize);
+        this.unread = this.history.filter(entry => !entry.read).length;
+        this.saveHistory();
+        this.renderHistory();
+        this.emit();
+    },
+
+    saveHistory: function () {
+        try {
+            sessionStorage.setItem(this.historyKey, JSON.stringify(this.history));
+        } catch (e) {
+            // Storage is full or disabled; the history stays in memory
+        }
+    },
+
+    markAllRead: function () {
+        this.history.forEach(entry => {
+            entry.read = true;
+        });
+        this.unread = 0;
+        this.saveHistory();
+        this.emit();
+    },
+
+    clearHistory: function () {
+        this.history = [];
+        this.unread = 0;
+        this.saveHistory();
+        this.renderHistory();
+        this.emit();
+    },
+
+    toggleHistory: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        this.initialize();
+        if (this.historyPanel) {
+            this.closeHistory();
+            return;
+        }
+
+        this.historyReturnFocus = document.activeElement;
+        this.historyPanel = el('div', { id: 'notification-history', className: 'notification-history', role: 'dialog', 'aria-label': 'Recent notifications', tabIndex: -1 });
+        this.historyPanel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.closeHistory();
+            }
+        });
+        document.body.appendChild(this.historyPanel);
+        this.renderHistory();
+        this.historyPanel.focus();
+        this.markAllRead();
+    },
+
+    closeHistory: function () {
+        if (!this.historyPanel) {
+            return;
+        }
+        this.historyPanel.remove();
+        this.historyPanel = null;
+        if (this.historyReturnFocus && typeof this.historyReturnFocus.focus === 'function') {
+            this.historyReturnFocus.focus();
+        }
+    },
+
+    renderHistory: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        const panel = this.historyPanel;
+        if (!panel) {
+            return;
+        }
+        panel.replaceChildren();
+
+        const header = el('div', { className: 'notification-history-header' });
+        header.appendChild(el('h6', {}, 'Recent notifications'));
+        if (this.history.length) {
+            const clear = el('button', { type: 'button', className: 'btn btn-sm btn-link' }, 'Clear');
+            clear.addEventListener('click', () => this.clearHistory());
+            header.appendChild(clear);
+        }
+        const close = el('button', { type: 'button', className: 'btn-close', 'aria-label': 'Close' });
+        close.addEventListener('click', () => this.closeHistory());
+        header.appendChild(close);
+        panel.appendChild(header);
+
+        if (!this.history.length) {
+            panel.appendChild(el('p', { className: 'notification-history-empty' }, 'No notifications yet.'));
+            return;
+        }
+
+        const list = el('ul', { className: 'notification-history-list' });
+        this.history.forEach(entry => {
+            const item = el('li', { className: `notification-history-item notification-${entry.type}${entry.read ? '' : ' unread'}` });
+            item.appendChild(el('i', { className: `bi ${this.icons[entry.type] || this.icons.info}`, 'aria-hidden': 'true' }));
+            const text = el('div');
+            if (entry.title) {
+                text.appendChild(el('div', { className: 'notification-title' }, entry.title));
+            }
+            if (entry.message) {
+                text.appendChild(el('div', { className: 'notification-message' }, entry.message));
+            }
+            text.appendChild(el('time', { className: 'notification-time', dateTime: new Date(entry.at).toISOString() },
+                new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })));
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.notifications.initialize();
+});
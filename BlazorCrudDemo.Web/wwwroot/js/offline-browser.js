@@ -0,0 +1,256 @@
+// Offline Browser JavaScript
+// Read-only view of the offline snapshot (offline-snapshot.js) for when Blazor cannot render:
+// product list with local search, categories, and product details. Opened from the reconnect
+// modal's "Browse cached data" button, and by offline.html (served by the service worker) when a
+// page is loaded without a network. Everything is built with textContent, never innerHTML.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.offlineBrowser = window.blazorCrudDemo.offlineBrowser || {
+    snapshot: null,
+    root: null,
+    standalone: false,
+    view: { name: 'products', search: '', categoryId: null, productId: null },
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        document.addEventListener('click', event => {
+            if (event.target.closest && event.target.closest('[data-offline-browse]')) {
+                this.open();
+            }
+        });
+
+        const connection = window.blazorCrudDemo.connection;
+        if (connection) {
+            connection.on(event => {
+                if (event.state === 'connected') {
+                    this.close();
+                } else {
+                    this.updateBrowseButton();
+                }
+            });
+        }
+    },
+
+    // Only offer the button when there is something to browse
+    updateBrowseButton: function () {
+        const button = document.querySelector('[data-offline-browse]');
+        if (!button) {
+            return;
+        }
+        window.blazorCrudDemo.offlineSnapshot.load().then(snapshot => {
+            button.hidden = !snapshot;
+        });
+    },
+
+    open: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        return window.blazorCrudDemo.offlineSnapshot.load().then(snapshot => {
+            this.snapshot = snapshot;
+            if (!this.root) {
+                this.root = el('div', { id: 'offline-browser', className: 'offline-browser', role: 'dialog', 'aria-modal': 'true', 'aria-label': 'Cached data' });
+                document.body.appendChild(this.root);
+            }
+            this.render();
+        });
+    },
+
+    // For offline.html: the browser is the whole page and cannot be closed
+    openStandalone: function () {
+        this.standalone = true;
+        return this.open();
+    },
+
+    close: function () {
+        if (this.root && !this.standalone) {
+            this.root.remove();
+            this.root = null;
+        }
+    },
+
+    navigate: function (changes) {
+        Object.assign(this.view, changes);
+        this.render();
+    },
+
+    render: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        const root = this.root;
+        root.replaceChildren();
+        root.appendChild(this.renderHeader());
+
+        const body = el('div', { className: 'offline-browser-body' });
+        if (!this.snapshot) {
+            body.appendChild(el('p', { className: 'offline-browser-empty' },
+                'Nothing has been cached on this device yet, or the cached data has expired.'));
+        } else if (this.view.name === 'product') {
+            body.appendChild(this.renderProduct());
+        } else if (this.view.name === 'categories') {
+            body.appendChild(this.renderCategories());
+        } else {
+            body.appendChild(this.renderProducts());
+        }
+        root.appendChild(body);
+    },
+
+    renderHeader: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        const header = el('div', { className: 'offline-browser-header' });
+        const status = this.snapshot
+            ? `Viewing cached data from ${this.formatTime(this.snapshot.savedAt)}. Changes are not possible while offline.`
+            : 'You are offline.';
+        header.appendChild(el('div', { className: 'offline-browser-status', role: 'status' }, status));
+
+        const nav = el('div', { className: 'offline-browser-nav' });
+        nav.appendChild(this.button('Products', () => this.navigate({ name: 'products', productId: null }), this.view.name === 'products'));
+        nav.appendChild(this.button('Categories', () => this.navigate({ name: 'categories', productId: null }), this.view.name === 'categories'));
+        if (this.standalone) {
+            nav.appendChild(this.button('Try again', () => window.location.reload()));
+        } else {
+            nav.appendChild(this.button('Close', () => this.close()));
+        }
+        header.appendChild(nav);
+        return header;
+    },
+
+    renderProducts: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        const container = el('div');
+        const search = el('input', {
+            type: 'search',
+            className: 'form-control',
+            placeholder: 'Search cached products…',
+            value: this.view.search,
+            'aria-label': 'Search cached products'
+        });
+        search.addEventListener('input', () => {
+            this.view.search = search.value;
+            this.renderProductList(list);
+        });
+
+        const category = el('select', { className: 'form-select', 'aria-label': 'Category' });
+        category.appendChild(el('option', { value: '' }, 'All categories'));
+        this.sortedCategories().forEach(c => {
+            category.appendChild(el('option', { value: String(c.id), selected: c.id === this.view.categoryId }, c.name || ''));
+        });
+        category.addEventListener('change', () => {
+            this.view.categoryId = category.value ? Number(category.value) : null;
+            this.renderProductList(list);
+        });
+
+        const filters = el('div', { className: 'offline-browser-filters' });
+        filters.appendChild(search);
+        filters.appendChild(category);
+        container.appendChild(filters);
+
+        const list = el('div', { className: 'offline-browser-list' });
+        this.renderProductList(list);
+        container.appendChild(list);
+        return container;
+    },
+
+    renderProductList: function (list) {
+        const el = window.blazorCrudDemo.dom.el;
+        const term = this.view.search.trim().toLowerCase();
+        const products = this.snapshot.products
+            .filter(p => this.view.categoryId === null || p.categoryId === this.view.categoryId)
+            .filter(p => !term || [p.name, p.sku, this.plainText(p.description), p.categoryName]
+                .some(value => value && value.toLowerCase().includes(term)))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        list.replaceChildren();
+        list.appendChild(el('p', { className: 'text-muted' },
+            `${products.length} of ${this.snapshot.products.length} cached product${this.snapshot.products.length === 1 ? '' : 's'}`));
+
+        products.forEach(product => {
+            const item = el('button', { type: 'button', className: 'offline-browser-item' });
+            item.appendChild(el('strong', {}, product.name || '(no name)'));
+            item.appendChild(el('span', {}, [product.sku, product.categoryName, product.formattedPrice].filter(Boolean).join(' · ')));
+            item.addEventListener('click', () => this.navigate({ name: 'product', productId: product.id }));
+            list.appendChild(item);
+        });
+    },
+
+    renderCategories: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        const list = el('div', { className: 'offline-browser-list' });
+        this.sortedCategories().forEach(category => {
+            const count = this.snapshot.products.filter(p => p.categoryId === category.id).length;
+            const item = el('button', { type: 'button', className: 'offline-browser-item' });
+            item.appendChild(el('strong', {}, category.name || '(no name)'));
+            item.appendChild(el('span', {}, `${count} cached product${count === 1 ? '' : 's'}${category.isActive ? '' : ' · inactive'}`));
+            item.addEventListener('click', () => this.navigate({ name: 'products', categoryId: category.id }));
+            list.appendChild(item);
+        });
+
+        if (!this.snapshot.categories.length) {
+            list.appendChild(el('p', { className: 'offline-browser-empty' }, 'No categories have been cached.'));
+        }
+        return list;
+    },
+
+    renderProduct: function () {
+        const el = window.blazorCrudDemo.dom.el;
+        const product = this.snapshot.products.find(p => p.id === this.view.productId);
+        const container = el('div', { className: 'offline-browser-product' });
+        container.appendChild(this.button('← Back to products', () => this.navigate({ name: 'products', productId: null })));
+
+        if (!product) {
+            container.appendChild(el('p', { className: 'offline-browser-empty' }, 'This product is not in the cached data.'));
+            return container;
+        }
+
+        if (product.imageUrl) {
+            // Served from the service worker's image cache while offline
+            const image = el('img', { src: product.imageUrl, alt: product.name || '' });
+            image.addEventListener('error', () => image.remove());
+            container.appendChild(image);
+        }
+
+        container.appendChild(el('h4', {}, product.name || '(no name)'));
+        const details = el('dl');
+        [
+            ['SKU', product.sku],
+            ['Category', product.categoryName],
+            ['Price', product.formattedPrice],
+            ['Stock', product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'],
+            ['Status', product.isActive ? 'Active' : 'Inactive'],
+            ['Last changed', product.modifiedDate ? new Date(product.modifiedDate).toLocaleString() : null],
+            ['Description', this.plainText(product.description)]
+        ].filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+            details.appendChild(el('dt', {}, label));
+            details.appendChild(el('dd', {}, String(value)));
+        });
+        container.appendChild(details);
+        return container;
+    },
+
+    sortedCategories: function () {
+        return this.snapshot.categories.slice().sort((a, b) => (a.displayOrder - b.displayOrder) || (a.name || '').localeCompare(b.name || ''));
+    },
+
+    // Descriptions are rich text (rich-text.js)
+    // Descriptions are stored as HTML. DOMParser documents are inert (no scripts, no image loads),
+    // so this works offline without rich-text.js
+    plainText: function (html) {
+        return html ? new DOMParser().parseFromString(html, 'text/html').body.textContent.replace(/\s+/g, ' ').trim() : '';
+    },
+
+    formatTime: function (date) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    },
+
+    button: function (text, onClick, active) {
+        const el = window.blazorCrudDemo.dom.el;
+        const button = el('button', { type: 'button', className: `btn btn-sm ${active ? 'btn-primary' : 'btn-outline-secondary'}` }, text);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.offlineBrowser.initialize();
+});
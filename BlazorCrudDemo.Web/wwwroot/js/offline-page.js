@@ -0,0 +1,7 @@
+// Offline Page JavaScript
+// Entry point of offline.html: shows the cached data, and returns to the app once the network is back.
+window.blazorCrudDemo.offlineBrowser.openStandalone();
+
+window.addEventListener('online', function () {
+    window.location.reload();
+});
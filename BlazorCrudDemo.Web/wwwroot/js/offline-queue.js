@@ -0,0 +1,271 @@
+// Offline Queue JavaScript
+// Product and category changes saved while the circuit is down are kept in IndexedDB, so neither
+// the lost circuit nor a reload loses them. Forms opt in with data-offline-action ("product.update",
+// "category.create", ...), data-offline-entity-id, data-offline-version (the entity's version when
+// the form was loaded, see OfflineActionProcessor.VersionOf) and data-offline-label; each field to
+// send carries data-offline-field="<DTO property>", formatted numbers also data-offline-decimal-separator
+// (see fieldValue). Once the circuit is back (or after a reload),
+// OfflineModeService.ProcessOfflineActionsAsync replays the queue in order. Actions whose entity
+// changed on the server in the meantime stay queued as conflicts until the user resolves them. Each
+// action records who made it (setUser), and only that user's circuit replays it.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.offlineQueue = window.blazorCrudDemo.offlineQueue || {
+    // The app's offline database; offline-snapshot.js keeps its products and categories here too
+    dbName: 'blazorCrudDemo-offline',
+    dbVersion: 2,
+    storeName: 'actions',
+    metaStoreName: 'meta',
+    // A tab replaying the queue holds it this long at most, so a closed tab cannot block the others
+    replayLease: 60 * 1000,
+
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    dbPromise: null,
+    pendingCount: 0,
+    userId: null,
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB is not available; changes made offline cannot be kept');
+            return;
+        }
+
+        // Capture phase, so the submit is taken over before Blazor's handler tries the dead circuit
+        document.addEventListener('submit', event => this.onSubmit(event), true);
+
+        const connection = window.blazorCrudDemo.connection;
+        if (connection) {
+            connection.on(() => this.renderUi());
+        }
+
+        this.count().then(() => this.renderUi());
+    },
+
+    open: function () {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = event => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        // seq keeps the order the changes were made in
+                        const actions = db.createObjectStore(this.storeName, { keyPath: 'seq', autoIncrement: true });
+                        actions.createIndex('id', 'id', { unique: true });
+                        db.createObjectStore(this.metaStoreName, { keyPath: 'key' });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('products', { keyPath: 'id' });
+                        db.createObjectStore('categories', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    },
+
+    // Runs work(store) in one transaction; resolves with work's result once the transaction commits
+    transaction: function (storeName, mode, work) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            Promise.resolve(work(transaction.objectStore(storeName))).then(value => { result = value; });
+        }));
+    },
+
+    request: function (request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Called by OfflineModeService.InitializeAsync once the circuit knows who is signed in
+    setUser: function (userId) {
+        this.userId = userId || null;
+    },
+
+    // action: { type, entityId, baseVersion, label, data }. Returns the new action's id.
+    enqueue: function (action) {
+        const record = {
+            id: typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+            type: action.type,
+            entityId: action.entityId === undefined ? null : action.entityId,
+            baseVersion: action.baseVersion || null,
+            label: action.label || null,
+            data: action.data || null,
+            userId: this.userId,
+            queuedAt: new Date().toISOString(),
+            status: 'pending',
+            reason: null,
+            serverVersion: null
+        };
+
+        return this.transaction(this.storeName, 'readwrite', store => this.request(store.add(record)))
+            .then(() => {
+                const breadcrumbs = window.blazorCrudDemo.breadcrumbs;
+                if (breadcrumbs) {
+                    breadcrumbs.add('network', `queued ${record.type} offline`);
+                }
+                return this.count();
+            })
+            .then(() => record.id);
+    },
+
+    // All queued actions, oldest first
+    getAll: function () {
+        return this.transaction(this.storeName, 'readonly', store => this.request(store.getAll()));
+    },
+
+    // Merges changes ({ status, reason, serverVersion }) into the action with this id
+    update: function (id, changes) {
+        return this.transaction(this.storeName, 'readwrite', store =>
+            this.request(store.index('id').get(id)).then(record => {
+                if (record) {
+                    return this.request(store.put(Object.assign(record, changes))).then(() => true);
+                }
+                return false;
+            }));
+    },
+
+    remove: function (id) {
+        return this.transaction(this.storeName, 'readwrite', store =>
+            this.request(store.index('id').getKey(id)).then(key => {
+                if (key !== undefined) {
+                    return this.request(store.delete(key)).then(() => true);
+                }
+                return false;
+            }))
+            .then(removed => this.count().then(() => removed));
+    },
+
+    clear: function () {
+        return this.transaction(this.storeName, 'readwrite', store => this.request(store.clear()))
+            .then(() => this.count());
+    },
+
+    count: function () {
+        return this.transaction(this.storeName, 'readonly', store => this.request(store.count()))
+            .then(count => {
+                this.pendingCount = count;
+                return count;
+            });
+    },
+
+    // Only one tab may replay at a time, or the same change would be applied twice.
+    // IndexedDB runs read-write transactions on the same store one after another, so this is atomic.
+    claimReplay: function () {
+        return this.transaction(this.metaStoreName, 'readwrite', store =>
+            this.request(store.get('replay')).then(lease => {
+                if (lease && lease.owner !== this.id && lease.expires > Date.now()) {
+                    return false;
+                }
+                return this.request(store.put({ key: 'replay', owner: this.id, expires: Date.now() + this.replayLease }))
+                    .then(() => true);
+            }));
+    },
+
+    releaseReplay: function () {
+        return this.transaction(this.metaStoreName, 'readwrite', store =>
+            this.request(store.get('replay')).then(lease => {
+                if (lease && lease.owner === this.id) {
+                    return this.request(store.delete('replay'));
+                }
+            }));
+    },
+
+    onSubmit: function (event) {
+        const form = event.target;
+        const connection = window.blazorCrudDemo.connection;
+        if (!form || !form.dataset || !form.dataset.offlineAction || !connection || !connection.circuitDown) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        const data = {};
+        form.querySelectorAll('[data-offline-field]').forEach(element => {
+            data[element.dataset.offlineField] = this.fieldValue(element);
+        });
+
+        const entityId = form.dataset.offlineEntityId ? Number(form.dataset.offlineEntityId) : null;
+        this.enqueue({
+            type: form.dataset.offlineAction,
+            entityId: entityId,
+            baseVersion: form.dataset.offlineVersion,
+            label: form.dataset.offlineLabel,
+            data: data
+        })
+            .then(() => {
+                // The queued change supersedes the snapshot form-preservation.js took when the circuit dropped
+                const preservation = window.blazorCrudDemo.formPreservation;
+                if (preservation && form.dataset.preserveForm) {
+                    preservation.discard(form.dataset.preserveForm);
+                }
+                this.renderUi();
+            })
+            .catch(error => {
+                console.error('Could not keep the change offline:', error);
+                window.alert('Your change could not be saved on this device. Please try again once you are back online.');
+            });
+    },
+
+    // OfflineActionProcessor reads numbers in the invariant culture, so a formatted one such as
+    // InputCurrency's "Ksh1,234.50" is sent as "1234.50"
+    fieldValue: function (element) {
+        if (element.type === 'checkbox') {
+            return element.checked;
+        }
+
+        const separator = element.dataset.offlineDecimalSeparator;
+        if (!separator) {
+            return element.value;
+        }
+
+        const index = element.value.lastIndexOf(separator);
+        const whole = (index < 0 ? element.value : element.value.slice(0, index)).replace(/\D/g, '');
+        const fraction = index < 0 ? '' : element.value.slice(index + separator.length).replace(/\D/g, '');
+        if (!whole && !fraction) {
+            return '';
+        }
+        return fraction ? `${whole || '0'}.${fraction}` : whole;
+    },
+
+    // While the circuit is down on a page with an offline-capable form, the reconnect modal shrinks
+    // to a bar so the form stays usable, and says what has been queued
+    renderUi: function () {
+        const modal = document.getElementById('components-reconnect-modal');
+        const connection = window.blazorCrudDemo.connection;
+        if (!modal || !connection) {
+            return;
+        }
+
+        const offlineEditing = connection.circuitDown && connection.state !== 'session-expired' &&
+            !!document.querySelector('form[data-offline-action]');
+        modal.toggleAttribute('data-offline-editing', offlineEditing);
+
+        const note = modal.querySelector('[data-offline-queued]');
+        if (note) {
+            note.textContent = this.pendingCount > 0
+                ? `${this.pendingCount} change${this.pendingCount === 1 ? '' : 's'} saved on this device, to be sent when the connection is back.`
+                : 'Changes you save on this page are kept on this device and sent when the connection is back.';
+        }
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.offlineQueue.initialize();
+});
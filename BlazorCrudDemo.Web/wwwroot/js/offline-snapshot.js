@@ -0,0 +1,123 @@
+// Offline Snapshot JavaScript
+// Products and categories the user has loaded, kept in the offline database (see offline-queue.js)
+// so offline-browser.js can show them read-only while the server cannot be reached. Written by
+// OfflineModeService.CacheProductsAsync / CacheCategoriesAsync; entries older than
+// OfflineBrowsing:SnapshotMaxAgeMinutes are dropped when read. Also registers the service worker
+// (/service-worker.js), which serves the offline page and keeps product images.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.offlineSnapshot = window.blazorCrudDemo.offlineSnapshot || {
+    serviceWorkerUrl: '/service-worker.js',
+    // Shared with service-worker.js
+    imageCacheName: 'blazorCrudDemo-images',
+    maxImagesPerSave: 50,
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register(this.serviceWorkerUrl)
+                .catch(error => console.warn('Service worker registration failed:', error));
+        }
+    },
+
+    queue: function () {
+        return window.blazorCrudDemo.offlineQueue;
+    },
+
+    // options: { maxAgeMinutes, maxProducts }
+    saveProducts: function (products, options) {
+        const queue = this.queue();
+        const now = Date.now();
+
+        return queue.transaction('products', 'readwrite', store => {
+            products.forEach(product => store.put(Object.assign({}, product, { cachedAt: now })));
+
+            // Keep the most recently seen products
+            return queue.request(store.getAll()).then(all => {
+                all.sort((a, b) => b.cachedAt - a.cachedAt)
+                    .slice(options.maxProducts)
+                    .forEach(stale => store.delete(stale.id));
+            });
+        })
+            .then(() => this.touch(options))
+            .then(() => this.cacheImages(products.map(product => product.imageUrl)));
+    },
+
+    saveCategories: function (categories, options) {
+        const queue = this.queue();
+        const now = Date.now();
+
+        return queue.transaction('categories', 'readwrite', store => {
+            store.clear();
+            categories.forEach(category => store.put(Object.assign({}, category, { cachedAt: now })));
+        })
+            .then(() => this.touch(options));
+    },
+
+    touch: function (options) {
+        const queue = this.queue();
+        return queue.transaction(queue.metaStoreName, 'readwrite', store =>
+            queue.request(store.put({ key: 'snapshot', savedAt: Date.now(), maxAge: options.maxAgeMinutes * 60 * 1000 })));
+    },
+
+    // The service worker caches images as they are shown; this also fetches the ones not shown yet
+    cacheImages: function (urls) {
+        if (typeof caches === 'undefined') {
+            return Promise.resolve();
+        }
+
+        const unique = Array.from(new Set(urls.filter(url => url && !url.startsWith('data:')))).slice(0, this.maxImagesPerSave);
+        return caches.open(this.imageCacheName).then(cache => Promise.all(unique.map(url =>
+            cache.match(url).then(hit => hit || fetch(url, { mode: 'no-cors' })
+                .then(response => cache.put(url, response))
+                .catch(() => { /* Shown as a placeholder offline */ })))));
+    },
+
+    // Resolves to { savedAt, products, categories } without expired entries, or null if nothing is left
+    load: function () {
+        const queue = this.queue();
+        if (!queue || typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        return queue.transaction(queue.metaStoreName, 'readonly', store => queue.request(store.get('snapshot')))
+            .then(meta => {
+                if (!meta) {
+                    return null;
+                }
+
+                const cutoff = Date.now() - meta.maxAge;
+                return Promise.all([
+                    this.loadStore('products', cutoff),
+                    this.loadStore('categories', cutoff)
+                ]).then(([products, categories]) => {
+                    if (!products.length && !categories.length) {
+                        return null;
+                    }
+                    const newest = Math.max(...products.concat(categories).map(item => item.cachedAt));
+                    return { savedAt: new Date(newest), products: products, categories: categories };
+                });
+            })
+            .catch(error => {
+                console.warn('Could not read the offline snapshot:', error);
+                return null;
+            });
+    },
+
+    // Expired entries are deleted as they are read
+    loadStore: function (storeName, cutoff) {
+        const queue = this.queue();
+        return queue.transaction(storeName, 'readwrite', store => queue.request(store.getAll()).then(all => {
+            all.filter(item => item.cachedAt < cutoff).forEach(item => store.delete(item.id));
+            return all.filter(item => item.cachedAt >= cutoff);
+        }));
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.offlineSnapshot.initialize();
+});
@@ -0,0 +1,327 @@
+// Performance Monitoring JavaScript
+// Real-user measurements of how the UI feels: Web Vitals (LCP, CLS, INP), long tasks, SignalR
+// round trips and JS interop call durations. Samples are grouped by route (ids replaced with :id)
+// and summarised into percentiles, which errorTracking sends to api/ClientErrors with its batches.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.performanceMonitoring = window.blazorCrudDemo.performanceMonitoring || {
+    // Fraction of page loads that are measured (0-1)
+    sampleRate: 1,
+    // Summaries are queued for reporting this often, and whenever the page is hidden
+    reportInterval: 60 * 1000,
+    // Samples kept per route and metric between reports; older ones are replaced at random
+    maxSamples: 500,
+    percentiles: [50, 75, 95],
+
+    rtt: {
+        interval: 30 * 1000,
+        timeout: 10 * 1000,
+        // [JSInvokable] static method in Services/PerformanceInterop.cs
+        assembly: 'BlazorCrudDemo.Web',
+        method: 'PerformancePing',
+        pending: false
+    },
+
+    // Window functions called from .NET that are timed. The dashboard refreshes its charts through
+    // renderChart/renderTimeSeriesChart; functions not defined on a page are skipped.
+    interopFunctions: ['refreshCharts', 'renderChart', 'renderTimeSeriesChart', 'exportChart', 'downloadFile'],
+
+    // route -> metric -> { unit, values, count }
+    samples: new Map(),
+    // Layout shifts grouped into session windows per route; CLS is the largest window
+    layoutShifts: new Map(),
+    // interactionId -> { route, duration }; one INP sample per interaction
+    interactions: new Map(),
+    lcp: null,
+    observers: [],
+    timers: [],
+    enabled: false,
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        if (typeof PerformanceObserver === 'undefined' || Math.random() >= this.sampleRate) {
+            return;
+        }
+        this.enabled = true;
+
+        this.observeLargestContentfulPaint();
+        this.observeLayoutShifts();
+        this.observeInteractions();
+        this.observeLongTasks();
+        this.instrumentInterop();
+        this.startRoundTripSampling();
+
+        this.timers.push(setInterval(() => this.report(), this.reportInterval));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.finalizeLargestContentfulPaint();
+                this.report();
+                window.blazorCrudDemo.errorTracking.flushWithBeacon();
+            }
+        });
+    },
+
+    dispose: function () {
+        this.observers.forEach(observer => observer.disconnect());
+        this.timers.forEach(timer => clearInterval(timer));
+        this.observers = [];
+        this.timers = [];
+        this.enabled = false;
+    },
+
+    // Route of the current page, e.g. /products/edit/:id. Search pages carry user input in the
+    // path, so the route goes through the scrubber as well.
+    currentRoute: function () {
+        const path = window.blazorCrudDemo.errorTracking.normalizePath(window.location.href) || '/';
+        const scrubbing = window.blazorCrudDemo.errorScrubbing;
+        return scrubbing ? scrubbing.scrubPath(path) : path;
+    },
+
+    record: function (metric, value, unit, route) {
+        if (!this.enabled || typeof value !== 'number' || !isFinite(value) || value < 0) {
+            return;
+        }
+
+        route = route || this.currentRoute();
+        if (!this.samples.has(route)) {
+            this.samples.set(route, new Map());
+        }
+
+        const metrics = this.samples.get(route);
+        if (!metrics.has(metric)) {
+            metrics.set(metric, { unit: unit || 'ms', values: [], count: 0 });
+        }
+
+        // Reservoir sampling keeps the percentiles representative without unbounded memory
+        const sample = metrics.get(metric);
+        sample.count++;
+        if (sample.values.length < this.maxSamples) {
+            sample.values.push(value);
+        } else {
+            const index = Math.floor(Math.random() * sample.count);
+            if (index < this.maxSamples) {
+                sample.values[index] = value;
+            }
+        }
+    },
+
+    observe: function (type, callback, options) {
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe(Object.assign({ type: type, buffered: true }, options || {}));
+            this.observers.push(observer);
+            return observer;
+        } catch (e) {
+            // Entry type not supported by this browser
+            return null;
+        }
+    },
+
+    // Web Vitals
+
+    // LCP only exists for the initial document load; later Blazor navigations don't produce entries.
+    // The candidate is final once the user interacts or the page is hidden.
+    observeLargestContentfulPaint: function () {
+        const route = this.currentRoute();
+        const observer = this.observe('largest-contentful-paint', entry => {
+            this.lcp = { route: route, value: entry.renderTime || entry.loadTime || entry.startTime };
+        });
+        if (!observer) {
+            return;
+        }
+
+        const finalize = () => {
+            this.finalizeLargestContentfulPaint();
+            ['keydown', 'pointerdown'].forEach(type => window.removeEventListener(type, finalize, true));
+        };
+        ['keydown', 'pointerdown'].forEach(type => window.addEventListener(type, finalize, true));
+        this.lcpObserver = observer;
+    },
+
+    finalizeLargestContentfulPaint: function () {
+        if (this.lcpObserver) {
+            this.lcpObserver.disconnect();
+            this.lcpObserver = null;
+        }
+        if (this.lcp) {
+            this.record('lcp', this.lcp.value, 'ms', this.lcp.route);
+            this.lcp = null;
+        }
+    },
+
+    // Shifts less than 1s apart form a session window of at most 5s (same as the web-vitals library)
+    observeLayoutShifts: function () {
+        this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) {
+                return;
+            }
+
+            const route = this.currentRoute();
+            const shifts = this.layoutShifts.get(route) || { max: 0, session: 0, first: 0, last: 0 };
+            if (shifts.session && entry.startTime - shifts.last < 1000 && entry.startTime - shifts.first < 5000) {
+                shifts.session += entry.value;
+            } else {
+                shifts.session = entry.value;
+                shifts.first = entry.startTime;
+            }
+            shifts.last = entry.startTime;
+            shifts.max = Math.max(shifts.max, shifts.session);
+            this.layoutShifts.set(route, shifts);
+        });
+    },
+
+    // Event entries sharing an interactionId (pointerdown, pointerup, click) are one interaction;
+    // its latency is the longest of them. INP is read from the high percentiles of these samples.
+    observeInteractions: function () {
+        this.observe('event', entry => {
+            if (!entry.interactionId) {
+                return;
+            }
+
+            const interaction = this.interactions.get(entry.interactionId);
+            if (interaction) {
+                interaction.duration = Math.max(interaction.duration, entry.duration);
+            } else {
+                this.interactions.set(entry.interactionId, { route: this.currentRoute(), duration: entry.duration });
+            }
+        }, { durationThreshold: 16 });
+    },
+
+    observeLongTasks: function () {
+        this.observe('longtask', entry => this.record('longTask', entry.duration));
+    },
+
+    // Interop and SignalR
+
+    instrumentInterop: function () {
+        this.interopFunctions.forEach(name => {
+            const original = window[name];
+            if (typeof original !== 'function' || original.performanceWrapped) {
+                return;
+            }
+
+            const monitoring = this;
+            const wrapped = function () {
+                const start = performance.now();
+                const done = () => monitoring.record(`interop.${name}`, performance.now() - start);
+                const result = original.apply(this, arguments);
+                if (result && typeof result.then === 'function') {
+                    result.then(done, done);
+                } else {
+                    done();
+                }
+                return result;
+            };
+            wrapped.performanceWrapped = true;
+            window[name] = wrapped;
+        });
+    },
+
+    startRoundTripSampling: function () {
+        this.timers.push(setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                this.measureRoundTrips();
+            }
+        }, this.rtt.interval));
+    },
+
+    // Blazor's circuit is the connection every click goes through; the notification hub is measured
+    // separately because it can be slow or down on its own.
+    measureRoundTrips: function () {
+        const rtt = this.rtt;
+        if (!rtt.pending && typeof DotNet !== 'undefined') {
+            rtt.pending = true;
+            this.time(() => DotNet.invokeMethodAsync(rtt.assembly, rtt.method))
+                .then(duration => this.record('signalr.circuit', duration))
+                .catch(() => { /* circuit disconnected; the reconnect UI covers this */ })
+                .then(() => { rtt.pending = false; });
+        }
+
+        const hub = window.blazorCrudDemo.notificationHub;
+        const connection = hub && hub.connection;
+        if (connection && typeof signalR !== 'undefined' && connection.state === signalR.HubConnectionState.Connected) {
+            this.time(() => connection.invoke('SendHeartbeatAsync'))
+                .then(duration => this.record('signalr.hub', duration))
+                .catch(() => { });
+        }
+    },
+
+    // Duration of an async call, rejected if it takes longer than rtt.timeout
+    time: function (call) {
+        const start = performance.now();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('timeout')), this.rtt.timeout);
+            Promise.resolve()
+                .then(call)
+                .then(() => resolve(performance.now() - start), reject)
+                .then(() => clearTimeout(timer));
+        });
+    },
+
+    // Reporting
+
+    // Turn everything recorded since the last report into per-route summaries and queue them
+    report: function () {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.interactions.forEach(interaction => this.record('inp', interaction.duration, 'ms', interaction.route));
+        this.interactions.clear();
+        this.layoutShifts.forEach((shifts, route) => this.record('cls', shifts.max, 'score', route));
+        this.layoutShifts.clear();
+
+        const summaries = this.summarize();
+        this.samples.clear();
+        window.blazorCrudDemo.errorTracking.queueMetrics(summaries);
+    },
+
+    // Shape expected by ClientErrorsController (ClientMetricReport in Models/ClientErrorModels.cs)
+    summarize: function () {
+        const timestamp = new Date().toISOString();
+        const summaries = [];
+
+        this.samples.forEach((metrics, route) => {
+            metrics.forEach((sample, metric) => {
+                const sorted = sample.values.slice().sort((a, b) => a - b);
+                const summary = {
+                    id: window.blazorCrudDemo.errorTracking.createErrorId(),
+                    route: route,
+                    metric: metric,
+                    unit: sample.unit,
+                    count: sample.count,
+                    max: this.round(sorted[sorted.length - 1], sample.unit),
+                    sampleRate: this.sampleRate,
+                    timestamp: timestamp
+                };
+                this.percentiles.forEach(p => {
+                    summary[`p${p}`] = this.round(this.percentile(sorted, p), sample.unit);
+                });
+                summaries.push(summary);
+            });
+        });
+
+        return summaries;
+    },
+
+    // Nearest-rank percentile of an ascending array
+    percentile: function (sorted, p) {
+        if (!sorted.length) {
+            return 0;
+        }
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+    },
+
+    round: function (value, unit) {
+        return unit === 'score' ? Math.round(value * 1000) / 1000 : Math.round(value);
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.performanceMonitoring.initialize();
+});
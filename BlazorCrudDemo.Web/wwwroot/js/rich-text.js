@@ -0,0 +1,527 @@
+// Rich Text Editor JavaScript
+// Editing for Components/InputRichText.razor: a toolbar for bold, italic, headings, lists and
+// links, markdown shortcuts ("# ", "- ", "**bold**") that can be switched off, and paste cleanup
+// for Word and web pages. The editor's content is rebuilt through an allow-list (the same one as
+// Utilities/RichTextSanitizer.cs, which sanitizes again on save) and kept in the component's
+// textarea, so form-preservation.js and offline-queue.js see it like any other field.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.richText = window.blazorCrudDemo.richText || {
+    editors: new Map(),
+    nextId: 1,
+    markdownKey: 'blazorCrudDemo_richTextMarkdown',
+    syncDelay: 300,
+    // Longer values are not sent over the circuit; SignalR messages are limited to 32KB
+    maxSyncLength: 16000,
+
+    // Tag name in the input -> tag kept in the output
+    allowedTags: {
+        p: 'p', div: 'p', br: 'br', strong: 'strong', b: 'strong', em: 'em', i: 'em',
+        ul: 'ul', ol: 'ol', li: 'li', h1: 'h2', h2: 'h2', h3: 'h3', h4: 'h3', h5: 'h3', h6: 'h3', a: 'a'
+    },
+    // Removed together with their content
+    droppedTags: new Set(['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed', 'svg', 'math',
+        'head', 'title', 'xml', 'textarea', 'select', 'button']),
+    blockTags: new Set(['p', 'br', 'ul', 'ol', 'li', 'h2', 'h3']),
+
+    // Typed at the start of a paragraph, followed by a space
+    blockShortcuts: [
+        { pattern: /^# $/, command: 'formatBlock', value: '<h2>' },
+        { pattern: /^## $/, command: 'formatBlock', value: '<h3>' },
+        { pattern: /^[-*] $/, command: 'insertUnorderedList' },
+        { pattern: /^1[.)] $/, command: 'insertOrderedList' }
+    ],
+
+    // Returns { id, textLength }; changes are reported to OnContentChanged(html, textLength),
+    // with html null when it is too long to send.
+    attach: function (root, dotNetRef) {
+        const state = {
+            id: this.nextId++,
+            root: root,
+            editor: root.querySelector('.rich-text-editor'),
+            source: root.querySelector('.rich-text-source'),
+            toolbar: root.querySelector('.rich-text-toolbar'),
+            dotNetRef: dotNetRef,
+            lastValue: null,
+            timer: null,
+            listeners: []
+        };
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            state.listeners.push(() => target.removeEventListener(type, handler));
+        };
+
+        listen(state.editor, 'input', event => this.onInput(state, event));
+        listen(state.editor, 'keydown', event => this.onKeyDown(state, event));
+        listen(state.editor, 'paste', event => this.onPaste(state, event));
+        listen(state.editor, 'blur', () => this.flush(state));
+        // Keep the selection in the editor while toolbar buttons are clicked
+        listen(state.toolbar, 'mousedown', event => {
+            if (event.target.closest('button')) {
+                event.preventDefault();
+            }
+        });
+        listen(state.toolbar, 'click', event => this.onToolbarClick(state, event));
+        listen(document, 'selectionchange', () => this.updateToolbar(state));
+
+        try {
+            document.execCommand('defaultParagraphSeparator', false, 'p');
+        } catch (e) {
+            // Older browsers keep their own separator, which the allow-list maps to <p>
+        }
+
+        this.editors.set(state.id, state);
+        this.setMarkdown(state, this.markdownEnabled());
+        return { id: state.id, textLength: this.load(state, state.source.value) };
+    },
+
+    detach: function (id) {
+        const state = this.editors.get(id);
+        if (!state) {
+            return;
+        }
+        clearTimeout(state.timer);
+        state.listeners.forEach(remove => remove());
+        this.editors.delete(id);
+    },
+
+    // Replaces the content when .NET changes the value; returns the visible length
+    setValue: function (id, html) {
+        const state = this.editors.get(id);
+        return state ? this.load(state, html) : 0;
+    },
+
+    load: function (state, value) {
+        const html = this.sanitize(this.fromValue(value));
+        state.editor.innerHTML = html;
+        state.source.value = html;
+        state.lastValue = html;
+        state.editor.classList.toggle('is-empty', html === '');
+        return this.textLength(html);
+    },
+
+    onInput: function (state, event) {
+        if (state.markdown && event.inputType === 'insertText' && event.data) {
+            this.applyMarkdown(state, event.data);
+        }
+        this.update(state);
+    },
+
+    onKeyDown: function (state, event) {
+        const mod = this.isMac() ? event.metaKey : event.ctrlKey;
+        if (!mod || event.altKey || event.shiftKey) {
+            return;
+        }
+
+        // Handled here so app shortcuts on the same keys (Ctrl+B toggles the sidebar) do not fire
+        const command = { b: 'bold', i: 'italic', u: 'underline' }[event.key.toLowerCase()];
+        if (command) {
+            event.preventDefault();
+            if (command !== 'underline') {
+                this.run(state, command);
+            }
+        }
+    },
+
+    onPaste: function (state, event) {
+        const data = event.clipboardData;
+        if (!data) {
+            return;
+        }
+        event.preventDefault();
+
+        const html = data.getData('text/html');
+        const clean = html ? this.sanitize(html) : this.fromPlainText(data.getData('text/plain'));
+        if (clean) {
+            document.execCommand('insertHTML', false, clean);
+        }
+        this.update(state);
+    },
+
+    onToolbarClick: function (state, event) {
+        const button = event.target.closest('button[data-command]');
+        if (!button) {
+            return;
+        }
+
+        if (button.dataset.command === 'markdown') {
+            this.setMarkdown(state, !state.markdown);
+            try {
+                localStorage.setItem(this.markdownKey, state.markdown ? 'on' : 'off');
+            } catch (e) {
+                // Storage can be unavailable in private browsing
+            }
+            return;
+        }
+
+        state.editor.focus();
+        this.run(state, button.dataset.command);
+    },
+
+    run: function (state, command) {
+        switch (command) {
+            case 'bold':
+            case 'italic':
+                document.execCommand(command);
+                break;
+            case 'h2':
+            case 'h3':
+                document.execCommand('formatBlock', false, this.currentBlock(state) === command ? '<p>' : `<${command}>`);
+                break;
+            case 'ul':
+                document.execCommand('insertUnorderedList');
+                break;
+            case 'ol':
+                document.execCommand('insertOrderedList');
+                break;
+            case 'link':
+                this.toggleLink(state);
+                break;
+        }
+        this.update(state);
+        this.updateToolbar(state);
+    },
+
+    toggleLink: function (state) {
+        const selection = window.getSelection();
+        const link = this.closestInEditor(state, 'a');
+        if (link) {
+            const range = document.createRange();
+            range.selectNodeContents(link);
+            selection.removeAllRanges();
+            selection.addRange(range);
+            document.execCommand('unlink');
+            return;
+        }
+
+        if (!selection.rangeCount) {
+            return;
+        }
+        const range = selection.getRangeAt(0).cloneRange();
+        const answer = window.prompt('Link address', 'https://');
+        if (answer === null || !answer.trim() || answer.trim() === 'https://') {
+            return;
+        }
+
+        const address = answer.trim();
+        const href = this.safeHref(/^[a-z][a-z0-9+.-]*:/i.test(address) ? address : `https://${address}`);
+        if (!href) {
+            window.alert('Links must be web (http:// or https://) or mailto: addresses.');
+            return;
+        }
+
+        // The prompt can take the selection away from the editor
+        state.editor.focus();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        if (range.collapsed) {
+            document.execCommand('insertHTML', false, `<a href="${this.escape(href)}">${this.escape(href)}</a>`);
+        } else {
+            document.execCommand('createLink', false, href);
+        }
+    },
+
+    // Turns "# " and "- " at the start of a paragraph into a heading or list, and **text**,
+    // __text__, *text* and _text_ into bold or italic text once the closing marker is typed
+    applyMarkdown: function (state, typed) {
+        const selection = window.getSelection();
+        const node = selection.anchorNode;
+        if (!selection.isCollapsed || !node || node.nodeType !== Node.TEXT_NODE || !state.editor.contains(node)) {
+            return;
+        }
+        const offset = selection.anchorOffset;
+        const before = node.nodeValue.slice(0, offset).replace(/\u00a0/g, ' ');
+
+        if (typed === ' ') {
+            const shortcut = this.blockShortcuts.find(s => s.pattern.test(before));
+            if (shortcut && this.isAtBlockStart(state, node)) {
+                node.deleteData(0, offset);
+                selection.collapse(node, 0);
+                document.execCommand(shortcut.command, false, shortcut.value);
+            }
+            return;
+        }
+
+        if (typed !== '*' && typed !== '_') {
+            return;
+        }
+        let match = /(\*\*|__)([^*_\s](?:[^*_]*[^*_\s])?)\1$/.exec(before);
+        let command = 'bold';
+        let length = match ? match[0].length : 0;
+        if (!match) {
+            match = /(^|[^*_\w])([*_])([^*_\s](?:[^*_]*[^*_\s])?)\2$/.exec(before);
+            command = 'italic';
+            length = match ? match[0].length - match[1].length : 0;
+        }
+        if (!match) {
+            return;
+        }
+
+        const text = command === 'bold' ? match[2] : match[3];
+        const range = document.createRange();
+        range.setStart(node, offset - length);
+        range.setEnd(node, offset);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        const tag = command === 'bold' ? 'strong' : 'em';
+        document.execCommand('insertHTML', false, `<${tag}>${this.escape(text)}</${tag}>`);
+
+        // Carry on typing in plain text
+        if (document.queryCommandState(command)) {
+            document.execCommand(command);
+        }
+    },
+
+    isAtBlockStart: function (state, node) {
+        const block = (node.parentElement && node.parentElement.closest('p, div, li, h2, h3')) || state.editor;
+        const range = document.createRange();
+        range.setStart(block.contains(state.editor) ? state.editor : block, 0);
+        range.setEnd(node, 0);
+        return range.toString() === '';
+    },
+
+    update: function (state) {
+        const html = this.sanitize(state.editor.innerHTML);
+        state.source.value = html;
+        state.editor.classList.toggle('is-empty', html === '');
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.flush(state), this.syncDelay);
+    },
+
+    flush: function (state) {
+        clearTimeout(state.timer);
+        const html = state.source.value;
+        if (html === state.lastValue) {
+            return;
+        }
+        state.lastValue = html;
+
+        state.dotNetRef.invokeMethodAsync('OnContentChanged', html.length > this.maxSyncLength ? null : html, this.textLength(html))
+            .catch(() => {
+                // The component has been disposed
+            });
+    },
+
+    updateToolbar: function (state) {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || !state.editor.contains(selection.anchorNode)) {
+            return;
+        }
+
+        const block = this.currentBlock(state);
+        state.toolbar.querySelectorAll('button[data-command]').forEach(button => {
+            let pressed;
+            switch (button.dataset.command) {
+                case 'bold':
+                case 'italic':
+                    pressed = document.queryCommandState(button.dataset.command);
+                    break;
+                case 'h2':
+                case 'h3':
+                    pressed = block === button.dataset.command;
+                    break;
+                case 'ul':
+                case 'ol':
+                    pressed = !!this.closestInEditor(state, button.dataset.command);
+                    break;
+                case 'link':
+                    pressed = !!this.closestInEditor(state, 'a');
+                    break;
+                default:
+                    return;
+            }
+            button.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+        });
+    },
+
+    setMarkdown: function (state, enabled) {
+        state.markdown = enabled;
+        const button = state.toolbar.querySelector('button[data-command="markdown"]');
+        if (button) {
+            button.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+        }
+    },
+
+    markdownEnabled: function () {
+        try {
+            return localStorage.getItem(this.markdownKey) !== 'off';
+        } catch (e) {
+            return true;
+        }
+    },
+
+    currentBlock: function (state) {
+        const block = this.closestInEditor(state, 'h2, h3, li, p');
+        return block ? block.nodeName.toLowerCase() : null;
+    },
+
+    closestInEditor: function (state, selector) {
+        const node = window.getSelection().anchorNode;
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        const found = element && element.closest(selector);
+        return found && found !== state.editor && state.editor.contains(found) ? found : null;
+    },
+
+    // Values saved before the editor existed are plain text
+    fromValue: function (value) {
+        if (!value) {
+            return '';
+        }
+        return /<\/?[a-z][^>]*>/i.test(value) ? value : this.fromPlainText(value);
+    },
+
+    // Blank lines separate paragraphs; single line breaks stay line breaks
+    fromPlainText: function (text) {
+        return (text || '').split(/\r?\n\s*\r?\n/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${this.escape(paragraph.trim()).replace(/\r?\n/g, '<br>')}</p>`)
+            .join('');
+    },
+
+    // Rebuilds html from the allow-list. It is parsed into an inert document, so nothing in it
+    // loads or runs; only new elements and text nodes reach the result.
+    sanitize: function (html) {
+        if (!html) {
+            return '';
+        }
+        const source = new DOMParser().parseFromString(html, 'text/html');
+        this.convertWordLists(source.body);
+
+        const output = document.implementation.createHTMLDocument('');
+        const container = output.createElement('div');
+        this.copyNodes(source.body, container, false);
+        return this.visibleText(container) ? container.innerHTML : '';
+    },
+
+    copyNodes: function (from, to, inLink) {
+        const output = to.ownerDocument;
+        Array.from(from.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                to.appendChild(output.createTextNode(node.nodeValue));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+
+            const name = node.nodeName.toLowerCase();
+            const style = (node.getAttribute('style') || '').toLowerCase();
+            // Word writes list bullets and numbers as text marked mso-list:Ignore
+            if (this.droppedTags.has(name) || /mso-list:\s*ignore/.test(style)) {
+                return;
+            }
+
+            let tag = this.allowedTags[name] || this.tagFromStyle(style);
+            // Google Docs wraps pasted text in <b style="font-weight:normal">
+            if (tag === 'strong' && /font-weight:\s*(normal|[1-5]00)\b/.test(style)) {
+                tag = null;
+            }
+            const href = tag === 'a' && !inLink ? this.safeHref(node.getAttribute('href')) : null;
+            if (tag === 'a' && !href) {
+                tag = null;
+            }
+
+            if (!tag) {
+                this.copyNodes(node, to, inLink);
+                return;
+            }
+
+            const element = output.createElement(tag);
+            if (href) {
+                element.setAttribute('href', href);
+                element.setAttribute('rel', 'nofollow noopener noreferrer');
+                element.setAttribute('target', '_blank');
+            }
+            if (tag !== 'br') {
+                this.copyNodes(node, element, inLink || tag === 'a');
+            }
+            to.appendChild(element);
+        });
+    },
+
+    // Web pages and Google Docs often style spans instead of using <strong> and <em>
+    tagFromStyle: function (style) {
+        if (/font-weight:\s*(bold|[6-9]00)\b/.test(style)) {
+            return 'strong';
+        }
+        return /font-style:\s*italic/.test(style) ? 'em' : null;
+    },
+
+    // Word pastes lists as paragraphs with mso-list styles; runs of them become <ul> or <ol>
+    convertWordLists: function (body) {
+        Array.from(body.querySelectorAll('p')).forEach(paragraph => {
+            if (!/mso-list/i.test(paragraph.getAttribute('style') || '') && !/^MsoListParagraph/.test(paragraph.className)) {
+                return;
+            }
+
+            let list = paragraph.previousElementSibling;
+            if (!list || !list.hasAttribute('data-word-list')) {
+                const marker = paragraph.querySelector('[style*="mso-list"]');
+                list = body.ownerDocument.createElement(marker && /^\s*\w{1,3}[.)]/.test(marker.textContent) ? 'ol' : 'ul');
+                list.setAttribute('data-word-list', '');
+                paragraph.parentNode.insertBefore(list, paragraph);
+            }
+
+            const item = body.ownerDocument.createElement('li');
+            while (paragraph.firstChild) {
+                item.appendChild(paragraph.firstChild);
+            }
+            list.appendChild(item);
+            paragraph.remove();
+        });
+    },
+
+    safeHref: function (value) {
+        try {
+            const url = new URL((value || '').trim());
+            return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    textLength: function (html) {
+        return this.plainText(html).length;
+    },
+
+    // What a reader sees: whitespace collapsed, one space between blocks. Matches
+    // RichTextSanitizer.ToPlainText on the server.
+    plainText: function (html) {
+        return html ? this.visibleText(new DOMParser().parseFromString(html, 'text/html').body) : '';
+    },
+
+    visibleText: function (root) {
+        const parts = [];
+        const walk = node => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    parts.push(child.nodeValue);
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    const block = this.blockTags.has(child.nodeName.toLowerCase());
+                    if (block) {
+                        parts.push(' ');
+                    }
+                    walk(child);
+                    if (block) {
+                        parts.push(' ');
+                    }
+                }
+            });
+        };
+        walk(root);
+        return parts.join('').replace(/\s+/g, ' ').trim();
+    },
+
+    escape: function (text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    isMac: function () {
+        return /Mac|iPhone|iPad/.test(navigator.platform || '');
+    }
+};
@@ -0,0 +1,114 @@
+// Tab Sync JavaScript
+// Messages between open tabs of the app over BroadcastChannel (localStorage 'storage' events where
+// BroadcastChannel is missing). Messages are { topic, payload } and never reach the tab that sent them.
+// .NET publishes and subscribes through Services/CrossTabSyncService.cs; topics are listed there.
+window.blazorCrudDemo = window.blazorCrudDemo || {};
+
+window.blazorCrudDemo.tabSync = window.blazorCrudDemo.tabSync || {
+    channelName: 'blazorCrudDemo-sync',
+    storageKey: 'blazorCrudDemo_sync',
+    loginUrl: '/auth/login',
+
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    channel: null,
+    handlers: new Map(),
+    // Subscription id -> unsubscribe function, for .NET subscribers
+    subscriptions: new Map(),
+    nextSubscriptionId: 1,
+
+    initialize: function () {
+        if (this._initialized) {
+            return;
+        }
+        this._initialized = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = event => this.receive(event.data);
+        } else {
+            window.addEventListener('storage', event => {
+                if (event.key === this.storageKey && event.newValue) {
+                    try {
+                        this.receive(JSON.parse(event.newValue));
+                    } catch (e) {
+                        // Not one of ours
+                    }
+                }
+            });
+        }
+
+        // Signing out in one tab signs out all of them, whether or not a component is listening
+        this.on('auth:logout', () => {
+            if (!/^\/(auth\/)?login/i.test(window.location.pathname)) {
+                window.location.href = this.loginUrl;
+            }
+        });
+    },
+
+    publish: function (topic, payload) {
+        this.initialize();
+        const message = { topic: topic, payload: payload === undefined ? null : payload, sender: this.id, at: Date.now() };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            // Setting and removing the key still fires 'storage' in the other tabs
+            localStorage.setItem(this.storageKey, JSON.stringify(message));
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Could not notify other tabs:', e);
+        }
+    },
+
+    // handler(payload, message); returns a function that removes it
+    on: function (topic, handler) {
+        this.initialize();
+        if (!this.handlers.has(topic)) {
+            this.handlers.set(topic, new Set());
+        }
+
+        const handlers = this.handlers.get(topic);
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+    },
+
+    // For .NET: messages are delivered to dotNetRef.ReceiveTabMessage(topic, payload).
+    // Returns an id for unsubscribe.
+    subscribe: function (topic, dotNetRef) {
+        const id = this.nextSubscriptionId++;
+        this.subscriptions.set(id, this.on(topic, payload => {
+            dotNetRef.invokeMethodAsync('ReceiveTabMessage', topic, payload)
+                .catch(error => console.warn(`Could not deliver '${topic}' to .NET:`, error));
+        }));
+        return id;
+    },
+
+    unsubscribe: function (id) {
+        const unsubscribe = this.subscriptions.get(id);
+        if (unsubscribe) {
+            unsubscribe();
+            this.subscriptions.delete(id);
+        }
+    },
+
+    receive: function (message) {
+        if (!message || !message.topic || message.sender === this.id) {
+            return;
+        }
+
+        (this.handlers.get(message.topic) || []).forEach(handler => {
+            try {
+                handler(message.payload, message);
+            } catch (error) {
+                console.error(`Error handling tab message '${message.topic}':`, error);
+            }
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    window.blazorCrudDemo.tabSync.initialize();
+});
@@ -0,0 +1,96 @@
+// Service worker: lets the app open read-only while offline.
+// - Page loads go to the network; when that fails, the cached offline.html is served instead and
+//   shows the offline snapshot (js/offline-browser.js).
+// - The files offline.html needs come from the cache first, so it can load them while offline.
+// - Images are cached as they are loaded (and by js/offline-snapshot.js) so cached products keep them.
+// - Everything else (the Blazor circuit, APIs, health checks) is never intercepted.
+// Bump the version to replace the cached offline page and its scripts.
+const shellCacheName = 'blazorCrudDemo-shell-v2';
+const imageCacheName = 'blazorCrudDemo-images';
+const maxCachedImages = 300;
+
+const offlinePage = '/offline.html';
+const shellFiles = [
+    offlinePage,
+    '/css/site.css',
+    '/css/blazor-error-handling.css',
+    '/js/offline-queue.js',
+    '/js/offline-snapshot.js',
+    '/js/dom.js',
+    '/js/offline-browser.js',
+    '/js/offline-page.js',
+    '/favicon.png'
+];
+
+// offline.html loads only its own same-origin scripts, so it gets a fixed policy instead of the
+// per-request nonce the server would have sent
+const offlinePagePolicy = "default-src 'self'; script-src 'self'; style-src 'self'; img-src 'self' data: https: http:; object-src 'none'; base-uri 'self'";
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(shellCacheName)
+        .then(cache => cache.addAll(shellFiles))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('blazorCrudDemo-shell-') && name !== shellCacheName)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => offlineResponse()));
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && shellFiles.includes(url.pathname)) {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cachedImage(request));
+    }
+});
+
+function offlineResponse() {
+    return caches.match(offlinePage).then(cached => {
+        if (!cached) {
+            return Response.error();
+        }
+        return cached.text().then(body => new Response(body, {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Content-Security-Policy': offlinePagePolicy
+            }
+        }));
+    });
+}
+
+// Network first, so images stay current while online; the cache only answers when it fails
+function cachedImage(request) {
+    return caches.open(imageCacheName).then(cache => fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone()).then(() => trimImages(cache));
+            }
+            return response;
+        })
+        .catch(() => cache.match(request).then(cached => cached || Response.error())));
+}
+
+function trimImages(cache) {
+    return cache.keys().then(keys => Promise.all(keys
+        .slice(0, Math.max(0, keys.length - maxCachedImages))
+        .map(key => cache.delete(key))));
+}